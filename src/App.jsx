@@ -6,6 +6,9 @@ import BlackboxAnalyzer from './component/BlackboxAnalyzer'
 import FlightVisualizer3D from './component/FlightVisualizer3D'  // Імпортуємо новий компонент
 import PidOptimizer from './component/PidOptimizer';
 import PidSimulator from './component/PidSimulator'; // Add this import
+import LogLibrary from './component/LogLibrary';
+import LogComparison from './component/LogComparison';
+import TuningSession from './component/TuningSession';
 
 function App() {
   const [activeSection, setActiveSection] = useState('viewer')
@@ -50,6 +53,16 @@ function App() {
           >
             Аналіз і рекомендації
           </button>
+          <button
+            onClick={() => setActiveSection('flight-3d')}
+            className={`mr-8 py-4 px-1 ${
+              activeSection === 'flight-3d'
+                ? 'border-b-2 border-blue-500 font-medium text-blue-600'
+                : 'text-gray-500 hover:text-gray-700 hover:border-gray-300'
+            }`}
+          >
+            3D Політ
+          </button>
           <button
             onClick={() => setActiveSection('visualizer')}
             className={`mr-8 py-4 px-1 ${
@@ -70,6 +83,36 @@ function App() {
           >
            PID Vis
           </button>
+          <button
+            onClick={() => setActiveSection('comparison')}
+            className={`mr-8 py-4 px-1 ${
+              activeSection === 'comparison'
+                ? 'border-b-2 border-blue-500 font-medium text-blue-600'
+                : 'text-gray-500 hover:text-gray-700 hover:border-gray-300'
+            }`}
+          >
+            Порівняння логів
+          </button>
+          <button
+            onClick={() => setActiveSection('tuning-session')}
+            className={`mr-8 py-4 px-1 ${
+              activeSection === 'tuning-session'
+                ? 'border-b-2 border-blue-500 font-medium text-blue-600'
+                : 'text-gray-500 hover:text-gray-700 hover:border-gray-300'
+            }`}
+          >
+            Сесія налаштування
+          </button>
+          <button
+            onClick={() => setActiveSection('library')}
+            className={`mr-8 py-4 px-1 ${
+              activeSection === 'library'
+                ? 'border-b-2 border-blue-500 font-medium text-blue-600'
+                : 'text-gray-500 hover:text-gray-700 hover:border-gray-300'
+            }`}
+          >
+            Бібліотека логів
+          </button>
         </nav>
       </div>
       
@@ -77,8 +120,12 @@ function App() {
       {activeSection === 'viewer' && <BlackboxLogViewer />}
       {activeSection === 'summary' && <BlackboxSummary />}
       {activeSection === 'analyzer' && <BlackboxAnalyzer />}
+      {activeSection === 'flight-3d' && <FlightVisualizer3D />}
       {activeSection === 'visualizer' && <PidOptimizer />}
       {activeSection === 'visualizer-pid' && <PidSimulator />}
+      {activeSection === 'comparison' && <LogComparison />}
+      {activeSection === 'tuning-session' && <TuningSession />}
+      {activeSection === 'library' && <LogLibrary onOpenLog={() => setActiveSection('viewer')} />}
     </div>
   )
 }
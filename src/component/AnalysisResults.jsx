@@ -17,7 +17,10 @@ const AnalysisResults = ({ analysisResults }) => {
         <ErrorMetricsSection errorMetrics={analysisResults.errorMetrics} />
 
         {/* Step Response Analysis */}
-        <StepResponseSection stepResponseMetrics={analysisResults.stepResponseMetrics} />
+        <StepResponseSection
+          stepResponseMetrics={analysisResults.stepResponseMetrics}
+          deconvolvedStepResponse={analysisResults.deconvolvedStepResponse}
+        />
 
         {/* Frequency Analysis */}
         <FrequencySection frequencyAnalysis={analysisResults.frequencyAnalysis} />
@@ -1,31 +1,54 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import useBlackboxStore from '../store/blackboxStore';
 import AnalysisResults from './AnalysisResults';
+import SpectrogramSection from './analysis/SpectrogramSection';
 import RecommendationPanel from './RecommendationPanel';
 import SettingsSimulator from './SettingsSimulator'; // Додайте цей рядок
+import _ from 'lodash';
 
-import { 
-  analyzeErrorMetrics, 
-  analyzeStepResponse, 
-  analyzeFrequencyCharacteristics, 
-  analyzeHarmonicDistortion, 
-  analyzeFilters,
-  generateRecommendations
-} from '../services/blackboxAnalysisService';
+import { generateRecommendations } from '../services/blackboxAnalysisService';
+import { runAnalysisPipeline } from '../services/analysisPipeline';
+import { ANALYSIS_STEPS, ANALYSIS_VERSION } from '../services/analysisSteps';
+import { getFlightSettings } from '../utils/flightSettings';
+import { FLIGHT_MODES, getModeRowRanges } from '../utils/flightTimeline';
+import FlightTimelineBand from './FlightTimelineBand';
+import CraftProfileSelector from './CraftProfileSelector';
+import CliDiffPanel from './CliDiffPanel';
+import { mergeCliIntoMetadata } from '../utils/cliDiff';
+
+// Підписи станів кроків аналізу
+const STEP_STATUS_LABELS = {
+  pending: 'очікує',
+  running: 'виконується',
+  done: 'готово',
+  error: 'помилка'
+};
 
 const BlackboxAnalyzer = () => {
   // Отримуємо дані зі сховища
   const { 
     flightData, 
     metadata, 
-    dataHeaders 
+    dataHeaders,
+    logIntegrity,
+    flightTimeline,
+    analysisModes,
+    setAnalysisModes,
+    logAnalysis,
+    setLogAnalysis,
+    craftProfile,
+    cliSettings
   } = useBlackboxStore();
+  // Неповні заголовки доповнюються параметрами з CLI diff апарата
+  const settingsMetadata = useMemo(() => mergeCliIntoMetadata(metadata, cliSettings), [metadata, cliSettings]);
+  const flightSettings = getFlightSettings(settingsMetadata);
 
   // Стан для аналізу
   const [analyzing, setAnalyzing] = useState(false);
   const [progress, setProgress] = useState(0);
-  const [analysisResults, setAnalysisResults] = useState(null);
-  const [recommendations, setRecommendations] = useState(null);
+  // Результати зберігаються разом з логом (і в бібліотеці), тож показуються після повторного відкриття
+  const analysisResults = logAnalysis ? logAnalysis.results : null;
+  const recommendations = logAnalysis ? logAnalysis.recommendations : null;
   const [error, setError] = useState(null);
   const [analysisStats, setAnalysisStats] = useState({
     startTime: null,
@@ -33,9 +56,30 @@ const BlackboxAnalyzer = () => {
     memoryUsage: {}
   });
 
+  // Стан кожного кроку конвеєра: { [id]: { status, time } }
+  const [stepStatuses, setStepStatuses] = useState({});
+  const abortControllerRef = useRef(null);
+
   // Додаємо стан для режиму аналізу
   const [analysisMode, setAnalysisMode] = useState('standard');
 
+  // Зупиняємо воркери, якщо компонент зникає під час аналізу
+  useEffect(() => () => {
+    if (abortControllerRef.current) abortControllerRef.current.abort();
+  }, []);
+
+  // Перемикає режим польоту у фільтрі аналізу; порожній вибір не дозволяємо
+  const toggleAnalysisFlightMode = (mode) => {
+    const current = analysisModes || flightTimeline.modes;
+    const next = current.includes(mode) ? current.filter(m => m !== mode) : [...current, mode];
+    if (!next.length) return;
+    setAnalysisModes(next.length === flightTimeline.modes.length ? null : next);
+  };
+
+  const cancelAnalysis = () => {
+    if (abortControllerRef.current) abortControllerRef.current.abort();
+  };
+
   // Функція аналізу даних
   const analyzeData = async () => {
     if (!flightData || flightData.length === 0) {
@@ -47,8 +91,6 @@ const BlackboxAnalyzer = () => {
       setAnalyzing(true);
       setProgress(0);
       setError(null);
-      setAnalysisResults(null);
-      setRecommendations(null);
       
       // Фіксуємо час початку аналізу
       const startTime = performance.now();
@@ -62,74 +104,55 @@ const BlackboxAnalyzer = () => {
       console.log(`Starting analysis of ${flightData.length} data rows (full dataset)`);
       console.log(`Analysis mode: ${analysisMode}`);
 
-      // Всі кроки аналізу з обробкою помилок для кожного кроку
-      const steps = [
-        { name: 'Аналіз відхилень', func: () => analyzeErrorMetrics(flightData, dataHeaders), progress: 20 },
-        { name: 'Аналіз швидкості реакції', func: () => analyzeStepResponse(flightData, dataHeaders, metadata), progress: 40 },
-        { name: 'Аналіз частотної характеристики', func: () => analyzeFrequencyCharacteristics(flightData, dataHeaders, metadata), progress: 60 },
-        { name: 'Аналіз гармонійності руху', func: () => analyzeHarmonicDistortion(flightData, dataHeaders, metadata), progress: 80 },
-        { name: 'Аналіз фільтрів', func: () => analyzeFilters(flightData, dataHeaders, metadata), progress: 100 }
-      ];
+      const abortController = new AbortController();
+      abortControllerRef.current = abortController;
+      setStepStatuses(Object.fromEntries(ANALYSIS_STEPS.map(step => [step.id, { status: 'pending' }])));
 
-      let results = {};
-      const processingTimes = {};
-      
-      // Виконуємо кожен крок аналізу послідовно
-      for (let i = 0; i < steps.length; i++) {
-        const step = steps[i];
-        setProgress(i > 0 ? steps[i-1].progress : 0);
-        console.log(`Executing step: ${step.name} (using full dataset of ${flightData.length} points)`);
-        
-        try {
-          // Вимірюємо час виконання кроку
-          const stepStartTime = performance.now();
-          
-          // Виконуємо крок з очищенням пам'яті
-          const stepResult = await step.func();
-          
-          // Зберігаємо результати та час виконання
-          results = { ...results, ...stepResult };
-          const stepEndTime = performance.now();
-          processingTimes[step.name] = (stepEndTime - stepStartTime) / 1000; // в секундах
-          
-          // Оновлюємо статистику
-          setAnalysisStats(prev => ({
+      // Аналізуємо лише рядки вибраних режимів польоту
+      const allowedRanges = getModeRowRanges(flightTimeline, analysisModes);
+
+      // Незалежні кроки виконуються паралельно у Web Worker
+      const { results, processingTimes, errors } = await runAnalysisPipeline(flightData, dataHeaders, metadata, {
+        signal: abortController.signal,
+        // Вікна FFT і відгуки на ступінчасту зміну не мають перетинати розриви логу
+        gapRows: logIntegrity ? logIntegrity.gaps.map(gap => gap.row) : [],
+        allowedRanges,
+        // Полюси моторів з профілю апарата для частот RPM
+        craftProfile,
+        onStepUpdate: (update) => {
+          setStepStatuses(prev => ({
             ...prev,
-            processingTime: {
-              ...prev.processingTime,
-              [step.name]: processingTimes[step.name]
-            }
+            [update.id]: { status: update.status, time: update.time }
           }));
-          
-          setProgress(step.progress);
-          
-          // Короткі паузи для UI під час тривалих обчислень
-          await new Promise(resolve => setTimeout(resolve, 100));
-          
-          // Примусове очищення пам'яті
-        //   if (global.gc) {
-        //     global.gc();
-        //   }
-        } catch (stepError) {
-          console.error(`Error in step ${step.name}:`, stepError);
-          setError(`Помилка у кроці ${step.name}: ${stepError.message}`);
-          // Продовжуємо з наступним кроком
+          setProgress(Math.round((update.completed / update.total) * 100));
+
+          if (update.time !== undefined) {
+            setAnalysisStats(prev => ({
+              ...prev,
+              processingTime: {
+                ...prev.processingTime,
+                [update.name]: update.time
+              }
+            }));
+          }
         }
-      }
+      });
+      abortControllerRef.current = null;
 
-      // Встановлюємо результати аналізу
-      setAnalysisResults(results);
+      const failedSteps = Object.entries(errors);
+      if (failedSteps.length > 0) {
+        setError(failedSteps.map(([step, message]) => `Помилка у кроці ${step}: ${message}`).join('; '));
+      }
 
       // Генеруємо рекомендації на основі результатів аналізу
+      let generatedRecommendations = null;
       try {
         console.log(`Generating recommendations based on full dataset analysis with mode: ${analysisMode}`);
         const recommendStartTime = performance.now();
-        const generatedRecommendations = generateRecommendations(results, metadata, analysisMode);
+        generatedRecommendations = generateRecommendations(results, settingsMetadata, analysisMode);
         const recommendEndTime = performance.now();
         processingTimes['Recommendations'] = (recommendEndTime - recommendStartTime) / 1000;
         
-        setRecommendations(generatedRecommendations);
-        
         // Оновлюємо статистику
         setAnalysisStats(prev => ({
           ...prev,
@@ -143,6 +166,17 @@ const BlackboxAnalyzer = () => {
         setError(`Помилка генерації рекомендацій: ${recError.message}`);
       }
 
+      // Встановлюємо результати аналізу та рекомендації
+      setLogAnalysis({
+        results,
+        recommendations: generatedRecommendations,
+        analysisMode,
+        // Версія та діапазони рядків визначають, чи можна повторно використати збережений аналіз
+        version: ANALYSIS_VERSION,
+        allowedRanges,
+        createdAt: Date.now()
+      });
+
       // Завершення аналізу
       const endTime = performance.now();
       const totalTime = (endTime - startTime) / 1000; // в секундах
@@ -165,8 +199,14 @@ const BlackboxAnalyzer = () => {
       }, 200);
 
     } catch (err) {
-      console.error("Global analysis error:", err);
-      setError(`Помилка аналізу: ${err.message}`);
+      abortControllerRef.current = null;
+      if (err.name === 'AbortError') {
+        console.log('Analysis cancelled');
+        setProgress(0);
+      } else {
+        console.error("Global analysis error:", err);
+        setError(`Помилка аналізу: ${err.message}`);
+      }
       setAnalyzing(false);
     }
   };
@@ -192,6 +232,9 @@ const BlackboxAnalyzer = () => {
         </div>
       ) : (
         <>
+          <CraftProfileSelector />
+          <CliDiffPanel />
+
           {/* Вибір режиму аналізу */}
           <div className="mb-4">
             <label className="block text-sm font-medium text-gray-700 mb-2">Режим аналізу:</label>
@@ -230,6 +273,27 @@ const BlackboxAnalyzer = () => {
             )}
           </div>
 
+          {/* Режими польоту, які враховуються в аналізі */}
+          {flightTimeline && flightTimeline.modes.length > 1 && (
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Режими польоту для аналізу:</label>
+              <FlightTimelineBand />
+              <div className="flex flex-wrap gap-4">
+                {flightTimeline.modes.map(mode => (
+                  <label key={mode} className="flex items-center text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={!analysisModes || analysisModes.includes(mode)}
+                      onChange={() => toggleAnalysisFlightMode(mode)}
+                      className="h-4 w-4 text-blue-600 mr-2"
+                    />
+                    {FLIGHT_MODES[mode].label}
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* Кнопка аналізу */}
           <div className="mb-6">
             <button
@@ -243,6 +307,14 @@ const BlackboxAnalyzer = () => {
             >
               {analyzing ? 'Аналіз...' : 'Запустити аналіз даних'}
             </button>
+            {analyzing && (
+              <button
+                onClick={cancelAnalysis}
+                className="ml-2 py-2 px-4 rounded-md font-medium bg-gray-200 hover:bg-gray-300 text-gray-700"
+              >
+                Скасувати
+              </button>
+            )}
             <p className="mt-2 text-sm text-gray-600">
               Аналіз повного набору даних може зайняти до кількох хвилин, залежно від обсягу даних ({flightData.length.toLocaleString()} записів).
             </p>
@@ -259,6 +331,26 @@ const BlackboxAnalyzer = () => {
               <p className="mt-1 text-sm text-gray-600 text-right">
                 {progress}% завершено
               </p>
+
+              {/* Стан кроків конвеєра */}
+              <ul className="mt-2 grid grid-cols-1 md:grid-cols-2 gap-1">
+                {ANALYSIS_STEPS.map(step => {
+                  const status = stepStatuses[step.id]?.status || 'pending';
+                  return (
+                    <li key={step.id} className="text-xs flex justify-between bg-gray-50 rounded px-2 py-1">
+                      <span className="font-medium">{step.name}</span>
+                      <span className={
+                        status === 'done' ? 'text-green-600'
+                          : status === 'error' ? 'text-red-600'
+                            : status === 'running' ? 'text-blue-600'
+                              : 'text-gray-400'
+                      }>
+                        {STEP_STATUS_LABELS[status]}
+                      </span>
+                    </li>
+                  );
+                })}
+              </ul>
               
               {/* Додаткова інформація про поточний крок */}
               {Object.keys(analysisStats.processingTime).length > 0 && (
@@ -295,6 +387,9 @@ const BlackboxAnalyzer = () => {
           {/* Результати аналізу */}
           {analysisResults && <AnalysisResults analysisResults={analysisResults} />}
 
+          {/* Спектрограма не потребує запуску аналізу */}
+          <SpectrogramSection />
+
           {/* Рекомендації */}
           {recommendations && <RecommendationPanel recommendations={recommendations} />}
           {/* Додайте SettingsSimulator тут */}
@@ -302,34 +397,20 @@ const BlackboxAnalyzer = () => {
   <SettingsSimulator 
     currentSettings={{
       pid: {
-        roll: { 
-          p: parseInt(metadata.rollPID?.split(',')[0]) || 0, 
-          i: parseInt(metadata.rollPID?.split(',')[1]) || 0, 
-          d: parseInt(metadata.rollPID?.split(',')[2]) || 0,
-          f: parseInt(metadata.rollPID?.split(',')[3]) || 0
-        },
-        pitch: { 
-          p: parseInt(metadata.pitchPID?.split(',')[0]) || 0, 
-          i: parseInt(metadata.pitchPID?.split(',')[1]) || 0, 
-          d: parseInt(metadata.pitchPID?.split(',')[2]) || 0,
-          f: parseInt(metadata.pitchPID?.split(',')[3]) || 0
-        },
-        yaw: { 
-          p: parseInt(metadata.yawPID?.split(',')[0]) || 0, 
-          i: parseInt(metadata.yawPID?.split(',')[1]) || 0, 
-          d: parseInt(metadata.yawPID?.split(',')[2]) || 0,
-          f: parseInt(metadata.yawPID?.split(',')[3]) || 0
-        }
+        roll: _.pick(flightSettings.pid.roll, ['p', 'i', 'd', 'f']),
+        pitch: _.pick(flightSettings.pid.pitch, ['p', 'i', 'd', 'f']),
+        yaw: _.pick(flightSettings.pid.yaw, ['p', 'i', 'd', 'f'])
       },
       filters: {
-        gyro_lowpass_hz: parseInt(metadata.gyro_lowpass_hz) || 0,
-        dterm_lowpass_hz: parseInt(metadata.dterm_lowpass_hz) || 0,
-        dyn_notch_count: parseInt(metadata.dyn_notch_count) || 0,
-        dyn_notch_q: parseInt(metadata.dyn_notch_q) || 0
+        gyro_lowpass_hz: flightSettings.filters.gyro.lpf1.staticHz,
+        dterm_lowpass_hz: flightSettings.filters.dterm.lpf1.staticHz,
+        dyn_notch_count: flightSettings.filters.dynNotch.count,
+        dyn_notch_q: flightSettings.filters.dynNotch.q,
+        rpm_filter_q: flightSettings.filters.rpm.harmonics > 0 ? flightSettings.filters.rpm.q : 0
       }
     }}
     recommendations={recommendations}
-    metadata={metadata}
+    metadata={settingsMetadata}
   />
 )}
           {/* Інформація про аналіз */}
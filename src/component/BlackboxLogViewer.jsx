@@ -1,27 +1,40 @@
 import React, { useState, useEffect, useRef } from 'react';
 import _ from 'lodash';
 import useBlackboxStore from '../store/blackboxStore';
+import FlightSelector from './FlightSelector';
+import LogIntegrityPanel from './LogIntegrityPanel';
+import FlightTimelineBand from './FlightTimelineBand';
+import LogTrimPanel from './LogTrimPanel';
+import { FIELD_CATEGORIES, getFieldDefinition } from '../utils/blackboxColumnMapper';
+import { createUnitConverter } from '../utils/unitConversion';
 
 const BlackboxLogViewer = () => {
   // Отримуємо дані та функції зі сховища Zustand
   const {
-    logData,
+    fileName,
     metadata,
     flightData,
     dataHeaders,
+    columnUnits,
+    logIntegrity,
     selectedColumns,
     isLoading,
     errorMessage,
-    parseBlackboxLog,
+    loadProgress,
+    loadBlackboxFile,
+    cancelLoading,
     toggleColumnSelection,
     resetColumnSelection,
-    setErrorMessage
+    setErrorMessage,
+    cursorRow,
+    setCursorRow
   } = useBlackboxStore();
 
   // Локальний стан для UI компонента
   const [activeTab, setActiveTab] = useState('metadata');
   const [visibleFlightData, setVisibleFlightData] = useState([]);
   const [columnSelectOpen, setColumnSelectOpen] = useState(false);
+  const [showPhysicalUnits, setShowPhysicalUnits] = useState(true);
   
   // Стан для віртуального скролінгу
   const [scrollTop, setScrollTop] = useState(0);
@@ -58,7 +71,38 @@ const BlackboxLogViewer = () => {
   const scrollHeight = flightData.length * rowHeight;
   
   // Розрахунок початкової позиції для видимих рядків
-  const startOffset = Math.max(0, Math.floor(scrollTop / rowHeight) - bufferSize) * rowHeight;
+  const startRow = Math.max(0, Math.floor(scrollTop / rowHeight) - bufferSize);
+  const startOffset = startRow * rowHeight;
+
+  const units = createUnitConverter(metadata, columnUnits);
+
+  // Підпис і одиниці колонки з реєстру полів; одиниці з CSV мають пріоритет
+  const describeColumn = (column) => {
+    const field = getFieldDefinition(column);
+    const rawUnit = columnUnits[column] || (field && field.rawUnit);
+    return {
+      label: field ? field.label : column,
+      unit: showPhysicalUnits ? units.unitOf(column) || rawUnit : rawUnit,
+      category: field ? field.category : 'other'
+    };
+  };
+
+  // Значення комірки в сирому вигляді або у фізичних одиницях
+  const formatCellValue = (row, column) => {
+    const raw = row[column];
+    if (!showPhysicalUnits || typeof raw !== 'number') return raw;
+
+    const value = units.convert(column, raw);
+    return value === raw || Number.isInteger(value) ? value : value.toFixed(2);
+  };
+
+  // Стовпці, згруповані за категоріями реєстру в порядку FIELD_CATEGORIES
+  const columnGroups = Object.keys(FIELD_CATEGORIES)
+    .map(category => ({
+      category,
+      columns: dataHeaders.filter(column => describeColumn(column).category === category)
+    }))
+    .filter(group => group.columns.length > 0);
 
   // Отримання опису для параметрів метаданих
   const getMetadataDescription = (key) => {
@@ -140,19 +184,31 @@ const BlackboxLogViewer = () => {
     }
   }, [flightData]);
 
+  // Курсор часу, поставлений на спектрограмі, прокручує таблицю до свого рядка, якщо його не видно
+  useEffect(() => {
+    const body = bodyRef.current;
+    if (cursorRow === null || !body || activeTab !== 'flightData') return;
+
+    const rowTop = cursorRow * rowHeight;
+    if (rowTop < body.scrollTop || rowTop + rowHeight > body.scrollTop + body.clientHeight) {
+      body.scrollTop = Math.max(0, rowTop - body.clientHeight / 2);
+    }
+  }, [cursorRow, activeTab]);
+
   const handleFileUpload = (event) => {
-    const file = event.target.files[0];
-    if (!file) return;
+    const files = Array.from(event.target.files);
+    if (!files.length) return;
 
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      const content = e.target.result;
-      parseBlackboxLog(content);
-    };
-    reader.onerror = () => {
-      setErrorMessage('Не вдалося прочитати файл. Будь ласка, спробуйте ще раз.');
-    };
-    reader.readAsText(file);
+    // Супровідний файл метаданих CSV (.headers.csv) можна вибрати разом з логом
+    const headersFile = files.find(f => f.name.toLowerCase().endsWith('.headers.csv'));
+    const file = files.find(f => f !== headersFile);
+    if (!file) {
+      setErrorMessage('Файл .headers.csv містить лише метадані. Виберіть також CSV файл з даними польоту.');
+      return;
+    }
+
+    // Файл читається потоком - прогрес і скасування доступні через сховище
+    loadBlackboxFile(file, headersFile || null);
   };
 
   return (
@@ -164,9 +220,13 @@ const BlackboxLogViewer = () => {
         <label className="block text-sm font-medium text-gray-700 mb-2">
           Завантажити файл логів Betaflight Blackbox
         </label>
+        <p className="text-xs text-gray-500 mb-2">
+          Підтримуються .BBL/.BFL, текстові логи та CSV з Blackbox Explorer або blackbox_decode (разом з .headers.csv за наявності), а також файли проєкту .bbproj
+        </p>
         <input
           type="file"
-          accept=".txt,.log,.csv"
+          accept=".txt,.log,.csv,.bbl,.bfl,.bbproj"
+          multiple
           onChange={handleFileUpload}
           className="block w-full text-sm text-gray-500
             file:mr-4 file:py-2 file:px-4
@@ -197,12 +257,33 @@ const BlackboxLogViewer = () => {
       {isLoading && (
         <div className="text-center py-4">
           <div className="inline-block h-8 w-8 animate-spin rounded-full border-4 border-solid border-blue-500 border-r-transparent align-[-0.125em] motion-reduce:animate-[spin_1.5s_linear_infinite]"></div>
-          <p className="mt-2 text-gray-600">Обробка даних логу...</p>
+          <p className="mt-2 text-gray-600">Обробка даних логу... {loadProgress}%</p>
+          <div className="w-64 mx-auto bg-gray-200 rounded-full h-2 mt-2">
+            <div
+              className="bg-blue-600 h-2 rounded-full transition-all duration-300"
+              style={{ width: `${loadProgress}%` }}
+            ></div>
+          </div>
+          <button
+            onClick={cancelLoading}
+            className="mt-3 px-3 py-1 text-sm text-red-600 border border-red-300 rounded-md hover:bg-red-50"
+          >
+            Скасувати
+          </button>
         </div>
       )}
 
-      {logData && !isLoading && (
+      {fileName && !isLoading && (
         <>
+          {/* Вибір польоту для файлів з кількома логами */}
+          <FlightSelector />
+
+          {/* Режими польоту та події */}
+          <FlightTimelineBand />
+
+          {/* Обрізання логу та експорт сегмента */}
+          <LogTrimPanel />
+
           {/* Навігація по вкладках */}
           <div className="border-b border-gray-200 mb-4">
             <nav className="flex -mb-px">
@@ -226,6 +307,19 @@ const BlackboxLogViewer = () => {
               >
                 Дані польоту ({flightData.length.toLocaleString()} рядків)
               </button>
+              <button
+                onClick={() => setActiveTab('integrity')}
+                className={`ml-4 py-2 px-3 ${
+                  activeTab === 'integrity'
+                    ? 'border-b-2 border-blue-500 font-medium text-blue-600'
+                    : 'text-gray-500 hover:text-gray-700'
+                }`}
+              >
+                Цілісність
+                {logIntegrity && logIntegrity.issues.some(issue => issue.severity !== 'info') && (
+                  <span className="ml-1 text-yellow-600">⚠</span>
+                )}
+              </button>
             </nav>
           </div>
 
@@ -257,6 +351,8 @@ const BlackboxLogViewer = () => {
             </div>
           )}
 
+          {activeTab === 'integrity' && <LogIntegrityPanel />}
+
           {activeTab === 'flightData' && dataHeaders.length > 0 && (
             <div className="shadow rounded-lg border border-gray-200">
               {/* Селектор стовпців */}
@@ -288,18 +384,25 @@ const BlackboxLogViewer = () => {
                           </div>
                         </div>
                         
-                        {dataHeaders.map((column, index) => (
-                          <div key={index} className="px-4 py-2 hover:bg-gray-100">
-                            <label className="inline-flex items-center">
-                              <input
-                                type="checkbox"
-                                className="form-checkbox h-4 w-4 text-blue-600 transition duration-150 ease-in-out"
-                                checked={selectedColumns.includes(column)}
-                                onChange={() => toggleColumnSelection(column)}
-                                disabled={column === dataHeaders[0]} // Перший стовпець не можна деактивувати
-                              />
-                              <span className="ml-2 text-sm text-gray-700">{column}</span>
-                            </label>
+                        {columnGroups.map(group => (
+                          <div key={group.category}>
+                            <div className="px-4 py-1 bg-gray-50 text-xs font-semibold text-gray-500 uppercase">
+                              {FIELD_CATEGORIES[group.category]}
+                            </div>
+                            {group.columns.map(column => (
+                              <div key={column} className="px-4 py-2 hover:bg-gray-100">
+                                <label className="inline-flex items-center" title={column}>
+                                  <input
+                                    type="checkbox"
+                                    className="form-checkbox h-4 w-4 text-blue-600 transition duration-150 ease-in-out"
+                                    checked={selectedColumns.includes(column)}
+                                    onChange={() => toggleColumnSelection(column)}
+                                    disabled={column === dataHeaders[0]} // Перший стовпець не можна деактивувати
+                                  />
+                                  <span className="ml-2 text-sm text-gray-700">{describeColumn(column).label}</span>
+                                </label>
+                              </div>
+                            ))}
                           </div>
                         ))}
                       </div>
@@ -310,6 +413,16 @@ const BlackboxLogViewer = () => {
                 <div className="text-sm text-gray-500">
                   Показано {selectedColumns.length} з {dataHeaders.length} стовпців
                 </div>
+
+                <label className="inline-flex items-center ml-4 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    className="form-checkbox h-4 w-4 text-blue-600"
+                    checked={showPhysicalUnits}
+                    onChange={(e) => setShowPhysicalUnits(e.target.checked)}
+                  />
+                  <span className="ml-2">Фізичні одиниці (%, V, A)</span>
+                </label>
                 
                 <div className="ml-auto text-sm text-gray-500">
                   <span className="font-medium">{flightData.length.toLocaleString()}</span> рядків
@@ -326,15 +439,20 @@ const BlackboxLogViewer = () => {
                   <table className="min-w-full divide-y divide-gray-200">
                     <thead>
                       <tr>
-                        {selectedColumns.map((column, index) => (
-                          <th
-                            key={index}
-                            className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider whitespace-nowrap bg-gray-50"
-                            style={{ minWidth: '120px' }}
-                          >
-                            {column}
-                          </th>
-                        ))}
+                        {selectedColumns.map((column, index) => {
+                          const { label, unit } = describeColumn(column);
+                          return (
+                            <th
+                              key={index}
+                              className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider whitespace-nowrap bg-gray-50"
+                              style={{ minWidth: '120px' }}
+                              title={column}
+                            >
+                              {label}
+                              {unit && <span className="ml-1 normal-case text-gray-400">({unit})</span>}
+                            </th>
+                          );
+                        })}
                       </tr>
                     </thead>
                   </table>
@@ -362,14 +480,22 @@ const BlackboxLogViewer = () => {
                   >
                     <tbody className="bg-white divide-y divide-gray-200">
                       {visibleFlightData.map((row, rowIndex) => (
-                        <tr key={rowIndex} className={rowIndex % 2 === 0 ? 'bg-white hover:bg-blue-50' : 'bg-gray-50 hover:bg-blue-50'}>
+                        <tr
+                          key={rowIndex}
+                          onClick={() => setCursorRow(startRow + rowIndex)}
+                          className={`cursor-pointer ${
+                            startRow + rowIndex === cursorRow
+                              ? 'bg-yellow-100'
+                              : rowIndex % 2 === 0 ? 'bg-white hover:bg-blue-50' : 'bg-gray-50 hover:bg-blue-50'
+                          }`}
+                        >
                           {selectedColumns.map((column, cellIndex) => (
                             <td 
                               key={cellIndex} 
                               className="px-4 py-3 text-sm text-gray-500 font-mono whitespace-nowrap"
                               style={{ minWidth: '120px' }}
                             >
-                              {row[column]}
+                              {formatCellValue(row, column)}
                             </td>
                           ))}
                         </tr>
@@ -383,6 +509,9 @@ const BlackboxLogViewer = () => {
                 {flightData.length > 0 && (
                   <div>
                     <span className="font-medium">{flightData.length.toLocaleString()}</span> рядків даних польоту
+                    {cursorRow !== null
+                      ? <> · курсор часу: рядок {cursorRow.toLocaleString()}</>
+                      : ' · клацніть рядок, щоб поставити курсор часу на спектрограмі аналізатора'}
                   </div>
                 )}
               </div>
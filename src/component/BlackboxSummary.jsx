@@ -1,13 +1,19 @@
 import React from 'react';
 import useBlackboxStore from '../store/blackboxStore';
+import { createFlightDataAccessor } from '../utils/flightDataAccessor';
+import { createUnitConverter } from '../utils/unitConversion';
 
 // Спрощена версія компонента для уникнення рекурсії
 const BlackboxSummary = () => {
   // Отримуємо тільки базові дані, використовуючи селектори для запобігання зайвих ререндерів
-  const metadata = useBlackboxStore(state => state.metadata);
   const flightData = useBlackboxStore(state => state.flightData);
   const dataHeaders = useBlackboxStore(state => state.dataHeaders);
   const isLoading = useBlackboxStore(state => state.isLoading);
+  const flightSettings = useBlackboxStore(state => state.flightSettings);
+  const metadata = useBlackboxStore(state => state.metadata);
+  const columnUnits = useBlackboxStore(state => state.columnUnits);
+  const { firmware, pid } = flightSettings;
+  const units = createUnitConverter(metadata, columnUnits);
 
   // Знаходимо основну інформацію без складних обчислень
   let flightTimeSeconds = 0;
@@ -16,6 +22,7 @@ const BlackboxSummary = () => {
   let maxGyroZ = 0;
   const avgMotorValues = {};
   const maxMotorValues = {};
+  let battery = null;
 
   if (flightData.length && dataHeaders.length) {
     // Знаходимо важливі стовпці, якщо вони є
@@ -29,7 +36,7 @@ const BlackboxSummary = () => {
     if (timeColumn) {
       const lastTimeEntry = parseFloat(flightData[flightData.length - 1][timeColumn]);
       const firstTimeEntry = parseFloat(flightData[0][timeColumn]);
-      flightTimeSeconds = (lastTimeEntry - firstTimeEntry) / 1000000; // Припускаємо, що час у мікросекундах
+      flightTimeSeconds = units.seconds(lastTimeEntry - firstTimeEntry);
     }
 
     // Базова статистика гіроскопа
@@ -67,7 +74,7 @@ const BlackboxSummary = () => {
         let max = 0;
         
         for (let i = 0; i < sampleSize; i++) {
-          const value = parseFloat(flightData[i][motor]) || 0;
+          const value = units.motorPercent(parseFloat(flightData[i][motor]) || 0);
           sum += value;
           if (value > max) max = value;
         }
@@ -76,6 +83,38 @@ const BlackboxSummary = () => {
         maxMotorValues[motor] = max;
       });
     }
+
+    // Живлення по всьому логу: колонки типізовані, тож прохід дешевий
+    const data = createFlightDataAccessor(flightData, dataHeaders);
+    const vbatValues = data.column('vbatLatest');
+    const amperageValues = data.column('amperageLatest');
+    const timeValues = data.column('time');
+
+    if (vbatValues || amperageValues) {
+      battery = { minVolts: Infinity, maxVolts: 0, maxAmps: 0, avgAmps: 0, consumedMah: null };
+      let ampsSum = 0;
+      let ampsCount = 0;
+
+      for (let i = 0; i < data.length; i++) {
+        if (vbatValues && vbatValues[i] > 0) {
+          const volts = units.volts(vbatValues[i]);
+          if (volts < battery.minVolts) battery.minVolts = volts;
+          if (volts > battery.maxVolts) battery.maxVolts = volts;
+        }
+        if (amperageValues && !Number.isNaN(amperageValues[i])) {
+          const amps = units.amps(amperageValues[i]);
+          if (amps > battery.maxAmps) battery.maxAmps = amps;
+          ampsSum += amps;
+          ampsCount++;
+        }
+      }
+
+      if (!Number.isFinite(battery.minVolts)) battery.minVolts = 0;
+      battery.avgAmps = ampsCount ? ampsSum / ampsCount : 0;
+      if (amperageValues && timeValues) {
+        battery.consumedMah = units.consumedMah(amperageValues, timeValues);
+      }
+    }
   }
 
   if (isLoading) {
@@ -110,12 +149,15 @@ const BlackboxSummary = () => {
           <ul className="space-y-1">
             <li className="text-sm"><span className="font-medium">Кількість рядків даних:</span> {flightData.length.toLocaleString()}</li>
             <li className="text-sm"><span className="font-medium">Час польоту:</span> {flightTimeSeconds.toFixed(2)} сек</li>
-            {metadata['firmwareVersion'] && (
-              <li className="text-sm"><span className="font-medium">Версія прошивки:</span> {metadata['firmwareVersion']}</li>
+            {(firmware.version || firmware.revision) && (
+              <li className="text-sm">
+                <span className="font-medium">Версія прошивки:</span> {firmware.version ? `${firmware.name} ${firmware.version}` : firmware.revision}
+              </li>
             )}
-            {metadata['Craft name'] && (
-              <li className="text-sm"><span className="font-medium">Назва апарату:</span> {metadata['Craft name']}</li>
+            {flightSettings.craftName && (
+              <li className="text-sm"><span className="font-medium">Назва апарату:</span> {flightSettings.craftName}</li>
             )}
+            <li className="text-sm"><span className="font-medium">Частота запису:</span> {flightSettings.sampleRateHz} Гц</li>
           </ul>
         </div>
         
@@ -131,7 +173,7 @@ const BlackboxSummary = () => {
         
         {/* Інформація про мотори (середні значення) */}
         <div className="bg-gray-50 p-3 rounded-md">
-          <h3 className="text-md font-medium mb-2">Мотори (Вибіркові середні значення)</h3>
+          <h3 className="text-md font-medium mb-2">Мотори, % (Вибіркові середні значення)</h3>
           <ul className="space-y-1">
             {Object.entries(avgMotorValues).map(([motor, value]) => (
               <li key={motor} className="text-sm">
@@ -143,7 +185,7 @@ const BlackboxSummary = () => {
         
         {/* Інформація про мотори (максимальні значення) */}
         <div className="bg-gray-50 p-3 rounded-md">
-          <h3 className="text-md font-medium mb-2">Мотори (Вибіркові максимальні значення)</h3>
+          <h3 className="text-md font-medium mb-2">Мотори, % (Вибіркові максимальні значення)</h3>
           <ul className="space-y-1">
             {Object.entries(maxMotorValues).map(([motor, value]) => (
               <li key={motor} className="text-sm">
@@ -152,31 +194,39 @@ const BlackboxSummary = () => {
             ))}
           </ul>
         </div>
+
+        {/* Живлення */}
+        {battery && (
+          <div className="bg-gray-50 p-3 rounded-md">
+            <h3 className="text-md font-medium mb-2">Живлення</h3>
+            <ul className="space-y-1">
+              {battery.maxVolts > 0 && (
+                <li className="text-sm"><span className="font-medium">Напруга:</span> {battery.minVolts.toFixed(2)} – {battery.maxVolts.toFixed(2)} V</li>
+              )}
+              {battery.maxAmps > 0 && (
+                <li className="text-sm"><span className="font-medium">Струм (сер. / макс.):</span> {battery.avgAmps.toFixed(1)} / {battery.maxAmps.toFixed(1)} A</li>
+              )}
+              {battery.consumedMah !== null && battery.maxAmps > 0 && (
+                <li className="text-sm"><span className="font-medium">Спожито:</span> {battery.consumedMah.toFixed(0)} мА·год</li>
+              )}
+            </ul>
+          </div>
+        )}
       </div>
 
       {/* PID налаштування з метаданих, якщо доступні */}
-      {(metadata['rollPID'] || metadata['pitchPID'] || metadata['yawPID']) && (
+      {(pid.roll.available || pid.pitch.available || pid.yaw.available) && (
         <div className="mt-4 bg-gray-50 p-3 rounded-md">
           <h3 className="text-md font-medium mb-2">PID Налаштування</h3>
           <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
-            {metadata['rollPID'] && (
-              <div>
-                <h4 className="text-sm font-medium">Roll PID</h4>
-                <p className="text-sm font-mono">{metadata['rollPID']}</p>
-              </div>
-            )}
-            {metadata['pitchPID'] && (
-              <div>
-                <h4 className="text-sm font-medium">Pitch PID</h4>
-                <p className="text-sm font-mono">{metadata['pitchPID']}</p>
-              </div>
-            )}
-            {metadata['yawPID'] && (
-              <div>
-                <h4 className="text-sm font-medium">Yaw PID</h4>
-                <p className="text-sm font-mono">{metadata['yawPID']}</p>
+            {['roll', 'pitch', 'yaw'].filter(axis => pid[axis].available).map(axis => (
+              <div key={axis}>
+                <h4 className="text-sm font-medium">{axis.charAt(0).toUpperCase() + axis.slice(1)} PID</h4>
+                <p className="text-sm font-mono">
+                  P {pid[axis].p} · I {pid[axis].i} · D {pid[axis].d}{pid[axis].f ? ` · FF ${pid[axis].f}` : ''}
+                </p>
               </div>
-            )}
+            ))}
           </div>
         </div>
       )}
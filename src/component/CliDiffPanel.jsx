@@ -0,0 +1,150 @@
+import React, { useState } from 'react';
+import useBlackboxStore from '../store/blackboxStore';
+import { compareCliWithMetadata, cliSettingsToMetadata } from '../utils/cliDiff';
+
+const STATUS_LABELS = {
+  match: { label: 'збігається', className: 'text-green-600' },
+  mismatch: { label: 'відрізняється', className: 'text-red-600' },
+  notInLog: { label: 'немає в лозі', className: 'text-gray-500' }
+};
+
+// CLI diff апарата: вставка або завантаження, вибір профілів і порівняння з заголовками логу
+const CliDiffPanel = () => {
+  const metadata = useBlackboxStore(state => state.metadata);
+  const cliSettings = useBlackboxStore(state => state.cliSettings);
+  const setCliDump = useBlackboxStore(state => state.setCliDump);
+  const setCliSettings = useBlackboxStore(state => state.setCliSettings);
+
+  const [expanded, setExpanded] = useState(false);
+  const [text, setText] = useState('');
+  const [showAll, setShowAll] = useState(false);
+
+  const applyText = (value) => {
+    if (setCliDump(value)) {
+      setText('');
+      setExpanded(false);
+    }
+  };
+
+  const loadFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (file) applyText(await file.text());
+  };
+
+  const comparison = cliSettings ? compareCliWithMetadata(cliSettings, metadata) : [];
+  const counts = comparison.reduce((acc, row) => ({ ...acc, [row.status]: (acc[row.status] || 0) + 1 }), {});
+  const rows = showAll ? comparison : comparison.filter(row => row.status === 'mismatch');
+  // Параметри, яких бракує в заголовках, рекомендації беруть з diff
+  const filledFromCli = cliSettings
+    ? Object.keys(cliSettingsToMetadata(cliSettings)).filter(name => metadata[name] === undefined).length
+    : 0;
+
+  const profileSelect = (kind, label) => {
+    const profiles = kind === 'rate' ? cliSettings.rateProfiles : cliSettings.profiles;
+    const key = kind === 'rate' ? 'activeRateProfile' : 'activeProfile';
+    const indexes = Object.keys(profiles);
+    if (indexes.length < 2) return null;
+    return (
+      <label className="text-xs text-gray-600">
+        {label}
+        <select
+          value={cliSettings[key] ?? ''}
+          onChange={e => setCliSettings({ ...cliSettings, [key]: Number(e.target.value) })}
+          className="ml-1 px-1 py-0.5 border border-gray-300 rounded-md"
+        >
+          {indexes.map(index => <option key={index} value={index}>{index}</option>)}
+        </select>
+      </label>
+    );
+  };
+
+  return (
+    <div className="mb-4 bg-gray-50 p-3 rounded-md text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="font-medium text-gray-700">CLI diff:</span>
+        {cliSettings ? (
+          <>
+            <span className="text-gray-600">
+              {cliSettings.firmwareRevision || 'прошивка невідома'}
+              {cliSettings.craftName && ` · ${cliSettings.craftName}`} · параметрів: {cliSettings.settingCount}
+            </span>
+            {profileSelect('pid', 'Профіль PID')}
+            {profileSelect('rate', 'Профіль rates')}
+            <button onClick={() => setCliSettings(null)} className="text-xs text-red-600 hover:underline">
+              Видалити
+            </button>
+          </>
+        ) : (
+          <span className="text-gray-500">не додано</span>
+        )}
+        <button onClick={() => setExpanded(!expanded)} className="text-xs text-blue-600 hover:underline">
+          {expanded ? 'Сховати' : cliSettings ? 'Замінити' : 'Додати'}
+        </button>
+      </div>
+
+      {expanded && (
+        <div className="mt-2">
+          <textarea
+            value={text}
+            onChange={e => setText(e.target.value)}
+            placeholder="Вставте вивід команди diff all"
+            rows={6}
+            className="w-full px-2 py-1 font-mono text-xs border border-gray-300 rounded-md"
+          />
+          <div className="mt-1 flex items-center gap-2">
+            <button
+              onClick={() => applyText(text)}
+              disabled={!text.trim()}
+              className={`px-3 py-1 text-sm rounded-md ${
+                text.trim() ? 'bg-blue-500 hover:bg-blue-600 text-white' : 'bg-gray-200 text-gray-400 cursor-not-allowed'
+              }`}
+            >
+              Розібрати
+            </button>
+            <input type="file" accept=".txt,.cli,.diff" onChange={loadFile} className="text-xs text-gray-500" />
+          </div>
+        </div>
+      )}
+
+      {cliSettings && (
+        <div className="mt-2">
+          <div className="text-xs text-gray-600">
+            Збігається: {counts.match || 0} · відрізняється: <span className="text-red-600">{counts.mismatch || 0}</span> · немає в лозі: {counts.notInLog || 0}
+            {filledFromCli > 0 && ` · рекомендації беруть з diff ${filledFromCli} параметрів, яких немає в заголовках`}
+          </div>
+          <div className="text-xs text-gray-400">
+            diff містить лише змінені параметри - відмінності в типових значеннях не видно.
+          </div>
+          {(rows.length > 0 || showAll) && (
+            <table className="mt-1 min-w-full text-xs">
+              <thead>
+                <tr>
+                  <th className="px-2 py-1 text-left font-medium text-gray-500">Параметр</th>
+                  <th className="px-2 py-1 text-left font-medium text-gray-500">diff</th>
+                  <th className="px-2 py-1 text-left font-medium text-gray-500">Заголовок логу</th>
+                  <th className="px-2 py-1 text-left font-medium text-gray-500">Статус</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {rows.map(row => (
+                  <tr key={row.name}>
+                    <td className="px-2 py-1 font-mono">{row.name}</td>
+                    <td className="px-2 py-1">{row.cliValue}</td>
+                    <td className="px-2 py-1">{row.headerValue ?? '-'}</td>
+                    <td className={`px-2 py-1 ${STATUS_LABELS[row.status].className}`}>{STATUS_LABELS[row.status].label}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <button onClick={() => setShowAll(!showAll)} className="mt-1 text-xs text-blue-600 hover:underline">
+            {showAll ? 'Лише відмінності' : 'Усі параметри'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CliDiffPanel;
@@ -0,0 +1,151 @@
+import React, { useEffect, useState } from 'react';
+import useBlackboxStore from '../store/blackboxStore';
+import { ESC_PROTOCOLS, getFrameClass } from '../utils/craftProfiles';
+
+const EMPTY_FORM = {
+  name: '',
+  craftNames: '',
+  frameSizeInch: 5,
+  prop: '',
+  motorKv: '',
+  cellCount: 6,
+  weightGrams: '',
+  motorPoles: '',
+  escProtocol: 'DSHOT600'
+};
+
+// Поля форми профілю: [ключ, підпис, тип, підказка]
+const FORM_FIELDS = [
+  ['name', 'Назва', 'text', 'Напр. Apex 5'],
+  ['craftNames', 'Craft name у логах', 'text', 'Через кому'],
+  ['frameSizeInch', 'Рама, дюйми', 'number', '5'],
+  ['prop', 'Пропелер', 'text', 'Напр. 5130x3'],
+  ['motorKv', 'Мотори, KV', 'number', '1950'],
+  ['cellCount', 'Банок (S)', 'number', '6'],
+  ['weightGrams', 'Вага, г', 'number', '650'],
+  ['motorPoles', 'Полюсів мотора', 'number', 'З заголовка логу']
+];
+
+// Керування профілями апаратів: список, створення, редагування та видалення
+const CraftProfilePanel = () => {
+  const craftProfiles = useBlackboxStore(state => state.craftProfiles);
+  const refreshCraftProfiles = useBlackboxStore(state => state.refreshCraftProfiles);
+  const saveCraftProfile = useBlackboxStore(state => state.saveCraftProfile);
+  const deleteCraftProfile = useBlackboxStore(state => state.deleteCraftProfile);
+
+  const [form, setForm] = useState(null);
+
+  useEffect(() => {
+    refreshCraftProfiles();
+  }, [refreshCraftProfiles]);
+
+  const editProfile = (profile) => {
+    setForm({ ...profile, craftNames: profile.craftNames.join(', '), motorPoles: profile.motorPoles || '' });
+  };
+
+  const submitForm = async () => {
+    if (!form.name.trim()) return;
+    const saved = await saveCraftProfile(form);
+    if (saved) setForm(null);
+  };
+
+  const removeProfile = (profile) => {
+    if (window.confirm(`Видалити профіль "${profile.name}"? Логи залишаться без профілю.`)) {
+      deleteCraftProfile(profile.id);
+    }
+  };
+
+  return (
+    <div className="mb-6">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-lg font-semibold">Профілі апаратів</h3>
+        {!form && (
+          <button
+            onClick={() => setForm(EMPTY_FORM)}
+            className="px-3 py-1 text-sm bg-blue-500 hover:bg-blue-600 text-white rounded-md"
+          >
+            Новий профіль
+          </button>
+        )}
+      </div>
+
+      {form && (
+        <div className="mb-4 bg-gray-50 p-4 rounded-md">
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+            {FORM_FIELDS.map(([key, label, type, placeholder]) => (
+              <label key={key} className="text-xs text-gray-600">
+                {label}
+                <input
+                  type={type}
+                  value={form[key]}
+                  placeholder={placeholder}
+                  onChange={e => setForm({ ...form, [key]: e.target.value })}
+                  className="block w-full mt-1 px-2 py-1 text-sm border border-gray-300 rounded-md"
+                />
+              </label>
+            ))}
+            <label className="text-xs text-gray-600">
+              Протокол ESC
+              <select
+                value={form.escProtocol}
+                onChange={e => setForm({ ...form, escProtocol: e.target.value })}
+                className="block w-full mt-1 px-2 py-1 text-sm border border-gray-300 rounded-md"
+              >
+                {ESC_PROTOCOLS.map(protocol => <option key={protocol} value={protocol}>{protocol}</option>)}
+              </select>
+            </label>
+          </div>
+          <div className="mt-3 flex gap-2">
+            <button
+              onClick={submitForm}
+              disabled={!form.name.trim()}
+              className={`px-3 py-1 text-sm rounded-md ${
+                form.name.trim() ? 'bg-blue-500 hover:bg-blue-600 text-white' : 'bg-gray-200 text-gray-400 cursor-not-allowed'
+              }`}
+            >
+              Зберегти профіль
+            </button>
+            <button
+              onClick={() => setForm(null)}
+              className="px-3 py-1 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-100"
+            >
+              Скасувати
+            </button>
+          </div>
+        </div>
+      )}
+
+      {craftProfiles.length === 0 ? (
+        <p className="text-sm text-gray-500">Профілів ще немає.</p>
+      ) : (
+        <div className="flex flex-wrap gap-2">
+          {craftProfiles.map(profile => (
+            <div key={profile.id} className="px-3 py-2 rounded-md border border-gray-300 text-sm">
+              <div className="font-medium">{profile.name}</div>
+              <div className="text-xs text-gray-500">
+                {getFrameClass(profile.frameSizeInch).label}
+                {profile.prop && ` · ${profile.prop}`} · {profile.cellCount}S
+                {profile.motorKv > 0 && ` · ${profile.motorKv} KV`}
+                {profile.weightGrams > 0 && ` · ${profile.weightGrams} г`}
+              </div>
+              <div className="text-xs text-gray-400">
+                {profile.motorPoles ? `${profile.motorPoles} полюсів · ` : ''}{profile.escProtocol}
+                {profile.craftNames.length > 0 && ` · ${profile.craftNames.join(', ')}`}
+              </div>
+              <div className="mt-1 flex gap-2">
+                <button onClick={() => editProfile(profile)} className="text-xs text-blue-600 hover:underline">
+                  Редагувати
+                </button>
+                <button onClick={() => removeProfile(profile)} className="text-xs text-red-600 hover:underline">
+                  Видалити
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CraftProfilePanel;
@@ -0,0 +1,64 @@
+import React, { useEffect } from 'react';
+import useBlackboxStore from '../store/blackboxStore';
+import { getFrameClass, suggestCraftProfile } from '../utils/craftProfiles';
+
+// Прив'язка профілю апарата до активного логу з пропозицією за "Craft name"
+const CraftProfileSelector = () => {
+  const craftProfiles = useBlackboxStore(state => state.craftProfiles);
+  const craftProfile = useBlackboxStore(state => state.craftProfile);
+  const metadata = useBlackboxStore(state => state.metadata);
+  const refreshCraftProfiles = useBlackboxStore(state => state.refreshCraftProfiles);
+  const attachCraftProfile = useBlackboxStore(state => state.attachCraftProfile);
+
+  useEffect(() => {
+    refreshCraftProfiles();
+  }, [refreshCraftProfiles]);
+
+  const craftName = metadata['Craft name'] || '';
+  const suggestion = craftProfile ? null : suggestCraftProfile(craftProfiles, craftName);
+
+  return (
+    <div className="mb-4 bg-gray-50 p-3 rounded-md text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <label className="font-medium text-gray-700" htmlFor="craft-profile-select">Профіль апарата:</label>
+        <select
+          id="craft-profile-select"
+          value={craftProfile ? craftProfile.id : ''}
+          onChange={e => attachCraftProfile(e.target.value === '' ? null : Number(e.target.value))}
+          className="px-2 py-1 border border-gray-300 rounded-md"
+        >
+          <option value="">Без профілю (за заголовками логу)</option>
+          {craftProfiles.map(profile => (
+            <option key={profile.id} value={profile.id}>{profile.name}</option>
+          ))}
+        </select>
+        {craftProfile && (
+          <span className="text-xs text-gray-500">
+            {getFrameClass(craftProfile.frameSizeInch).label} · {craftProfile.cellCount}S
+            {craftProfile.motorKv > 0 && ` · ${craftProfile.motorKv} KV`}
+            {craftProfile.motorPoles > 0 && ` · ${craftProfile.motorPoles} полюсів`}
+            · {craftProfile.escProtocol}
+          </span>
+        )}
+      </div>
+      {suggestion && (
+        <div className="mt-2 flex items-center gap-2 text-blue-700">
+          <span>Назва апарата "{craftName}" відповідає профілю "{suggestion.name}".</span>
+          <button
+            onClick={() => attachCraftProfile(suggestion.id)}
+            className="px-2 py-0.5 text-xs bg-blue-500 hover:bg-blue-600 text-white rounded-md"
+          >
+            Прив'язати
+          </button>
+        </div>
+      )}
+      {!craftProfiles.length && (
+        <div className="mt-1 text-xs text-gray-500">
+          Профілі апаратів створюються в розділі "Бібліотека логів".
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CraftProfileSelector;
@@ -0,0 +1,268 @@
+import React, { useState, useMemo } from 'react';
+import 'chart.js/auto';
+import { Line } from 'react-chartjs-2';
+import useBlackboxStore from '../store/blackboxStore';
+import { createFlightDataAccessor } from '../utils/flightDataAccessor';
+import { getFlightSettings } from '../utils/flightSettings';
+import { createUnitConverter } from '../utils/unitConversion';
+import {
+  createFilterChainConfig,
+  applyFilterSettings,
+  simulateFilterChain,
+  measureNoise,
+  NOISE_FROM_HZ
+} from '../utils/filterChain';
+import { estimateTransferFunction, summarizeTransferFunction } from '../utils/filterTransferFunction';
+
+const AXES = ['roll', 'pitch', 'yaw'];
+
+// Відрізок логу для симуляції (с) і розгін фільтрів перед ним, який не враховується (с)
+const SEGMENT_SECONDS = 8;
+const WARMUP_SECONDS = 0.5;
+// Ділянка, що показується на графіках сигналу (мс)
+const VIEW_MS = 200;
+
+const SERIES_STYLES = {
+  unfiltered: { borderColor: 'rgb(200, 200, 200)' },
+  logged: { borderColor: 'rgb(55, 65, 81)', borderDash: [4, 3] },
+  current: { borderColor: 'rgb(249, 115, 22)' },
+  proposed: { borderColor: 'rgb(54, 162, 235)' }
+};
+
+const chartOptions = (yTitle) => ({
+  responsive: true,
+  maintainAspectRatio: false,
+  animation: false,
+  parsing: false,
+  plugins: { legend: { position: 'bottom' } },
+  scales: {
+    x: { type: 'linear', title: { display: true, text: 'Час, мс' } },
+    y: { type: 'linear', title: { display: true, text: yTitle } }
+  }
+});
+
+// Затримка ланцюга в смузі керування: фазова затримка виходу відносно gyroUnfilt
+const measureDelay = (input, output, sampleRateHz) => {
+  const transfer = estimateTransferFunction(input, output, { sampleRateHz });
+  return transfer ? summarizeTransferFunction(transfer).delayMs : null;
+};
+
+const rms = (values) => Math.sqrt(values.reduce((sum, value) => sum + value * value, 0) / values.length);
+
+const formatValue = (value, digits = 1) => (value === null || value === undefined ? 'н/д' : value.toFixed(digits));
+
+// Модель ланцюга фільтрів Betaflight на записаному gyroUnfilt: відфільтрований сигнал,
+// шум і затримка з налаштуваннями логу та із запропонованими в симуляторі
+const FilterChainPreview = ({ metadata, filters, pid }) => {
+  const flightTable = useBlackboxStore(state => state.flightTable);
+  const dataHeaders = useBlackboxStore(state => state.dataHeaders);
+  const craftProfile = useBlackboxStore(state => state.craftProfile);
+  const cursorRow = useBlackboxStore(state => state.cursorRow);
+  const [axis, setAxis] = useState('roll');
+
+  const settings = getFlightSettings(metadata);
+  const sampleRateHz = settings.sampleRateHz;
+
+  const segment = useMemo(() => {
+    if (!flightTable) return null;
+    const flight = createFlightDataAccessor(flightTable, dataHeaders, metadata);
+    const gyroColumns = flight.axisColumns('gyroUnfilt');
+    if (!AXES.some(name => gyroColumns[name])) return null;
+
+    const units = createUnitConverter(metadata, {}, { motorPoles: craftProfile ? craftProfile.motorPoles : null });
+    const segmentRows = Math.round(SEGMENT_SECONDS * sampleRateHz);
+    const warmupRows = Math.round(WARMUP_SECONDS * sampleRateHz);
+    // Відрізок від курсора часу; без курсора - із середини логу (на початку апарат часто ще на землі)
+    const anchor = cursorRow !== null ? cursorRow : Math.floor((flight.length - segmentRows) / 2);
+    const start = Math.min(Math.max(0, anchor - warmupRows), Math.max(0, flight.length - segmentRows - warmupRows));
+    const end = Math.min(flight.length, start + warmupRows + segmentRows);
+    const slice = (values) => (values ? values.subarray(start, end) : null);
+    const sliceAxes = (columns) => Object.fromEntries(AXES.map(name => [name, slice(columns[name])]));
+
+    // Газ 0..1 для динамічних lowpass: rcCommand[3], без нього - середній вихід моторів
+    const rcThrottle = slice(flight.column('rcCommand[3]'));
+    const motorColumns = [0, 1, 2, 3].map(index => slice(flight.column(`motor[${index}]`))).filter(Boolean);
+    let throttle = null;
+    if (rcThrottle) {
+      throttle = Float64Array.from(rcThrottle, raw => units.throttlePercent(raw) / 100);
+    } else if (motorColumns.length) {
+      throttle = Float64Array.from(motorColumns[0], (_, row) => (
+        motorColumns.reduce((sum, values) => sum + units.motorPercent(values[row]), 0) / motorColumns.length / 100
+      ));
+    }
+
+    return {
+      startRow: start,
+      warmupRows,
+      gyroUnfilt: sliceAxes(gyroColumns),
+      gyroADC: sliceAxes(flight.axisColumns('gyroADC')),
+      axisD: sliceAxes(flight.axisColumns('axisD')),
+      throttle,
+      motorHz: [0, 1, 2, 3]
+        .map(index => slice(flight.column(`eRPM[${index}]`)))
+        .filter(Boolean)
+        .map(values => Float64Array.from(values, units.motorHz))
+    };
+  }, [flightTable, dataHeaders, metadata, craftProfile, cursorRow, sampleRateHz]);
+
+  const currentConfig = useMemo(() => createFilterChainConfig(settings), [settings]);
+  const proposedConfig = useMemo(() => applyFilterSettings(currentConfig, filters, pid), [currentConfig, filters, pid]);
+  const currentRun = useMemo(() => (segment ? simulateFilterChain(currentConfig, segment) : null), [currentConfig, segment]);
+  const proposedRun = useMemo(() => (segment ? simulateFilterChain(proposedConfig, segment) : null), [proposedConfig, segment]);
+
+  const activeAxis = segment && segment.gyroUnfilt[axis] ? axis : AXES.find(name => segment && segment.gyroUnfilt[name]);
+
+  // Метрики рахуються без розгону фільтрів на початку відрізка
+  const metrics = useMemo(() => {
+    if (!segment || !activeAxis) return null;
+    const trim = (values) => (values ? values.subarray(segment.warmupRows) : null);
+    const input = trim(segment.gyroUnfilt[activeAxis]);
+    const summarize = (gyro, dterm) => ({
+      gyroNoise: gyro ? measureNoise(gyro, { sampleRateHz }) : null,
+      dtermNoise: dterm ? measureNoise(dterm, { sampleRateHz }) : null,
+      delayMs: gyro ? measureDelay(input, gyro, sampleRateHz) : null
+    });
+    const logged = trim(segment.gyroADC[activeAxis]);
+    const current = trim(currentRun.gyro[activeAxis]);
+
+    return {
+      logged: summarize(logged, trim(segment.axisD[activeAxis])),
+      current: summarize(current, trim(currentRun.dterm[activeAxis])),
+      proposed: summarize(trim(proposedRun.gyro[activeAxis]), trim(proposedRun.dterm[activeAxis])),
+      // Наскільки модель з налаштуваннями логу відтворює записаний gyroADC
+      modelError: logged ? rms(current.map((value, row) => value - logged[row])) : null
+    };
+  }, [segment, activeAxis, currentRun, proposedRun, sampleRateHz]);
+
+  if (!flightTable) return null;
+
+  if (!segment) {
+    return (
+      <div className="bg-gray-50 p-4 rounded-lg">
+        <h3 className="text-lg font-semibold mb-2">Фільтри на записаному гіроскопі</h3>
+        <p className="text-sm text-gray-500">
+          У лозі немає колонки gyroUnfilt, тому модель фільтрів не можна застосувати до записаного сигналу.
+        </p>
+      </div>
+    );
+  }
+
+  const viewRows = Math.min(Math.round((VIEW_MS * sampleRateHz) / 1000), segment.gyroUnfilt[activeAxis].length - segment.warmupRows);
+  const points = (values) => {
+    const result = [];
+    for (let row = 0; row < viewRows; row++) {
+      result.push({ x: (row * 1000) / sampleRateHz, y: values[segment.warmupRows + row] });
+    }
+    return result;
+  };
+  const dataset = (label, values, style) => ({
+    label,
+    data: points(values),
+    ...SERIES_STYLES[style],
+    backgroundColor: SERIES_STYLES[style].borderColor,
+    borderWidth: 1.5,
+    pointRadius: 0
+  });
+
+  const gyroDatasets = [
+    dataset('gyroUnfilt', segment.gyroUnfilt[activeAxis], 'unfiltered'),
+    segment.gyroADC[activeAxis] && dataset('gyroADC (лог)', segment.gyroADC[activeAxis], 'logged'),
+    dataset('Модель: поточні', currentRun.gyro[activeAxis], 'current'),
+    dataset('Модель: нові', proposedRun.gyro[activeAxis], 'proposed')
+  ].filter(Boolean);
+  const dtermDatasets = [
+    segment.axisD[activeAxis] && dataset('axisD (лог)', segment.axisD[activeAxis], 'logged'),
+    dataset('Модель: поточні', currentRun.dterm[activeAxis], 'current'),
+    dataset('Модель: нові', proposedRun.dterm[activeAxis], 'proposed')
+  ].filter(Boolean);
+
+  const rows = [
+    { label: `Шум гіроскопа > ${NOISE_FROM_HZ} Гц, °/с`, key: 'gyroNoise', digits: 2 },
+    { label: `Шум D-терму > ${NOISE_FROM_HZ} Гц`, key: 'dtermNoise', digits: 2 },
+    { label: 'Затримка гіроскопа (20-100 Гц), мс', key: 'delayMs', digits: 2 }
+  ];
+
+  const describeDynamicNotches = (config, run) => {
+    if (!run.dynNotchActive) return 'вимкнено';
+    const centers = run.dynNotchHz[activeAxis].filter(center => center !== null);
+    return `${config.dynNotch.count} × Q ${(config.dynNotch.q / 100).toFixed(1)}` +
+      (centers.length ? `, центри ≈ ${centers.map(center => center.toFixed(0)).join(', ')} Гц` : '');
+  };
+
+  const segmentStart = (segment.startRow + segment.warmupRows) / sampleRateHz;
+
+  return (
+    <div className="bg-gray-50 p-4 rounded-lg">
+      <div className="flex flex-wrap justify-between items-center mb-2 gap-2">
+        <h3 className="text-lg font-semibold">Фільтри на записаному гіроскопі</h3>
+        <div className="space-x-2">
+          {AXES.filter(name => segment.gyroUnfilt[name]).map(name => (
+            <button
+              key={name}
+              onClick={() => setAxis(name)}
+              className={`px-3 py-1 rounded-md capitalize ${activeAxis === name ? 'bg-blue-500 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+            >
+              {name}
+            </button>
+          ))}
+        </div>
+      </div>
+      <p className="text-xs text-gray-500 mb-3">
+        Відрізок {segmentStart.toFixed(1)}-{(segmentStart + SEGMENT_SECONDS).toFixed(1)} с логу
+        ({cursorRow !== null ? 'від курсора часу' : 'середина логу; курсор часу на спектрограмі чи в таблиці задає інший'}).
+      </p>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <div className="h-56">
+          <Line data={{ datasets: gyroDatasets }} options={chartOptions('Гіроскоп, °/с')} />
+        </div>
+        <div className="h-56">
+          <Line data={{ datasets: dtermDatasets }} options={chartOptions('D-терм')} />
+        </div>
+      </div>
+
+      {metrics && (
+        <table className="min-w-full mt-4 text-sm">
+          <thead>
+            <tr className="text-xs text-gray-500">
+              <th className="text-left font-medium">Метрика</th>
+              <th className="text-center font-medium">Лог</th>
+              <th className="text-center font-medium">Модель: поточні</th>
+              <th className="text-center font-medium">Модель: нові</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.key}>
+                <td>{row.label}</td>
+                <td className="text-center font-mono">{formatValue(metrics.logged[row.key], row.digits)}</td>
+                <td className="text-center font-mono">{formatValue(metrics.current[row.key], row.digits)}</td>
+                <td className="text-center font-mono font-medium">{formatValue(metrics.proposed[row.key], row.digits)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div className="mt-3 text-xs text-gray-500 space-y-1">
+        <p>
+          Dyn notch: поточні - {describeDynamicNotches(currentConfig, currentRun)}; нові - {describeDynamicNotches(proposedConfig, proposedRun)}.
+          {' '}RPM-фільтр: {currentRun.rpmActive || proposedRun.rpmActive
+            ? `${proposedConfig.rpm.harmonics} гарм., Q ${(currentConfig.rpm.q / 100).toFixed(1)} → ${(proposedConfig.rpm.q / 100).toFixed(1)} (за eRPM логу)`
+            : 'немає eRPM або вимкнений'}.
+        </p>
+        {metrics && metrics.modelError !== null && (
+          <p>
+            Розбіжність моделі з налаштуваннями логу і записаного gyroADC: {formatValue(metrics.modelError, 2)} °/с СКЗ.
+          </p>
+        )}
+        <p className="text-gray-400">
+          Модель повторює фільтри Betaflight (PT1/PT2/PT3/biquad, динамічні lowpass за газом, статичні і dyn notch, RPM, D-терм),
+          але рахує на частоті запису ({sampleRateHz} Гц), а не гіроскопа; при прорідженому записі результат наближений.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default FilterChainPreview;
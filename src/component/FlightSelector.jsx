@@ -0,0 +1,48 @@
+import React, { useMemo } from 'react';
+import useBlackboxStore from '../store/blackboxStore';
+import { getFlightLogInfo, formatFlightDuration } from '../utils/flightLogInfo';
+
+// Вибір польоту, якщо файл містить кілька логів (кілька сесій arm/disarm)
+const FlightSelector = () => {
+  const logs = useBlackboxStore(state => state.logs);
+  const activeLogIndex = useBlackboxStore(state => state.activeLogIndex);
+  const selectLog = useBlackboxStore(state => state.selectLog);
+
+  const flights = useMemo(() => logs.map(log => getFlightLogInfo(log)), [logs]);
+
+  if (logs.length < 2) return null;
+
+  return (
+    <div className="mb-4 bg-gray-50 p-4 rounded-md">
+      <div className="text-sm font-medium text-gray-700 mb-2">
+        Файл містить {logs.length} польотів
+      </div>
+      <div className="flex flex-wrap gap-2">
+        {flights.map((flight, index) => (
+          <button
+            key={index}
+            onClick={() => selectLog(index)}
+            className={`text-left px-3 py-2 rounded-md border text-sm ${
+              index === activeLogIndex
+                ? 'border-blue-500 bg-blue-50 text-blue-700'
+                : 'border-gray-300 bg-white text-gray-700 hover:bg-gray-100'
+            }`}
+          >
+            <div className="font-medium">
+              Політ #{index + 1} · {formatFlightDuration(flight.durationSeconds)}
+            </div>
+            <div className="text-xs text-gray-500">
+              {flight.craftName || 'Без назви'}
+              {flight.firmware && ` · ${flight.firmware}`}
+            </div>
+            <div className="text-xs text-gray-400">
+              {flight.rowCount.toLocaleString()} рядків
+            </div>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default FlightSelector;
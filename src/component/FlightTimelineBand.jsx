@@ -0,0 +1,57 @@
+import React from 'react';
+import useBlackboxStore from '../store/blackboxStore';
+import { FLIGHT_MODES } from '../utils/flightTimeline';
+
+const formatSeconds = (timeUs, originUs) => ((timeUs - originUs) / 1000000).toFixed(2);
+
+// Смуга режимів польоту з позначками подій над таблицею та графіками
+const FlightTimelineBand = () => {
+  const flightTimeline = useBlackboxStore(state => state.flightTimeline);
+  const flightData = useBlackboxStore(state => state.flightData);
+
+  if (!flightTimeline || (!flightTimeline.hasModeData && !flightTimeline.events.length)) return null;
+
+  const { modeSegments, events } = flightTimeline;
+  const rowCount = Math.max(1, flightData.length);
+  const origin = modeSegments.length ? modeSegments[0].startTime : (events.length ? events[0].time : 0);
+  const toPercent = (row) => `${(row / rowCount) * 100}%`;
+
+  return (
+    <div className="mb-4">
+      <div className="relative h-6 rounded-md bg-gray-200 overflow-hidden">
+        {modeSegments.map((segment, index) => (
+          <div
+            key={index}
+            className={`absolute top-0 h-full ${FLIGHT_MODES[segment.mode].color}`}
+            style={{ left: toPercent(segment.start), width: toPercent(segment.end - segment.start) }}
+            title={`${FLIGHT_MODES[segment.mode].label}: ${formatSeconds(segment.startTime, origin)}-${formatSeconds(segment.endTime, origin)} с\n${segment.flags.join(', ')}`}
+          />
+        ))}
+        {events.map((event, index) => (
+          <div
+            key={`event-${index}`}
+            className="absolute top-0 h-full w-0.5 bg-gray-800"
+            style={{ left: toPercent(event.row) }}
+            title={`${event.label} (${formatSeconds(event.time, origin)} с)${event.description ? `\n${event.description}` : ''}`}
+          />
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-3 mt-1 text-xs text-gray-600">
+        {flightTimeline.modes.map(mode => (
+          <span key={mode} className="inline-flex items-center">
+            <span className={`inline-block w-3 h-3 rounded-sm mr-1 ${FLIGHT_MODES[mode].color}`}></span>
+            {FLIGHT_MODES[mode].label}
+          </span>
+        ))}
+        {events.length > 0 && (
+          <span className="inline-flex items-center">
+            <span className="inline-block w-0.5 h-3 bg-gray-800 mr-1"></span>
+            Події ({events.length})
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FlightTimelineBand;
@@ -1,10 +1,17 @@
-import React, { useRef, useState, useEffect } from 'react';
+import React, { useRef, useState, useEffect, useMemo } from 'react';
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls';
 import useBlackboxStore from '../store/blackboxStore';
+import { findColumnIndex } from '../utils/blackboxColumnMapper';
+import { createUnitConverter } from '../utils/unitConversion';
+import { toLocalTrack, getGpsIndexAtRow, colorRamp } from '../utils/gpsTrack';
 
 const FlightVisualizer3D = () => {
-  const { flightData, dataHeaders } = useBlackboxStore();
+  const { flightData, dataHeaders, metadata, columnUnits, gpsSeries } = useBlackboxStore();
+  const units = createUnitConverter(metadata, columnUnits);
+
+  // Траєкторія GPS у метрах відносно домашньої точки
+  const track = useMemo(() => (gpsSeries ? toLocalTrack(gpsSeries) : null), [gpsSeries]);
   
   // Refs для DOM елементів та Three.js
   const mountRef = useRef(null);
@@ -14,12 +21,17 @@ const FlightVisualizer3D = () => {
   const controlsRef = useRef(null);
   const droneRef = useRef(null);
   const pathRef = useRef(null);
+  const gridRef = useRef(null);
+  const trackRef = useRef(null);
   const animationFrameRef = useRef(null);
   
   // Стан для контролю візуалізації
   const [isPlaying, setIsPlaying] = useState(false);
   const [currentFrameIndex, setCurrentFrameIndex] = useState(0);
   const [playbackSpeed, setPlaybackSpeed] = useState(1);
+  // Колір траєкторії: швидкість або висота
+  const [trackColorMode, setTrackColorMode] = useState('speed');
+  const [gpsInfo, setGpsInfo] = useState(null);
   const [flightDataInfo, setFlightDataInfo] = useState({
     time: 0,
     motors: [0, 0, 0, 0],
@@ -31,20 +43,20 @@ const FlightVisualizer3D = () => {
   const getDataColumnIndices = () => {
     // Знаходимо індекси для стовпців, що нас цікавлять
     const indices = {
-      time: dataHeaders.findIndex(h => h === 'time'),
+      time: findColumnIndex('time', dataHeaders),
       motors: [
-        dataHeaders.findIndex(h => h === 'motor[0]'),
-        dataHeaders.findIndex(h => h === 'motor[1]'),
-        dataHeaders.findIndex(h => h === 'motor[2]'),
-        dataHeaders.findIndex(h => h === 'motor[3]')
+        findColumnIndex('motor[0]', dataHeaders),
+        findColumnIndex('motor[1]', dataHeaders),
+        findColumnIndex('motor[2]', dataHeaders),
+        findColumnIndex('motor[3]', dataHeaders)
       ],
-      roll: dataHeaders.findIndex(h => h === 'rcCommand[0]'),
-      pitch: dataHeaders.findIndex(h => h === 'rcCommand[1]'),
-      yaw: dataHeaders.findIndex(h => h === 'rcCommand[2]'),
-      throttle: dataHeaders.findIndex(h => h === 'rcCommand[3]'),
-      gyroRoll: dataHeaders.findIndex(h => h === 'gyroADC[0]'),
-      gyroPitch: dataHeaders.findIndex(h => h === 'gyroADC[1]'),
-      gyroYaw: dataHeaders.findIndex(h => h === 'gyroADC[2]'),
+      roll: findColumnIndex('rcCommand[0]', dataHeaders),
+      pitch: findColumnIndex('rcCommand[1]', dataHeaders),
+      yaw: findColumnIndex('rcCommand[2]', dataHeaders),
+      throttle: findColumnIndex('rcCommand[3]', dataHeaders),
+      gyroRoll: findColumnIndex('gyroADC[0]', dataHeaders),
+      gyroPitch: findColumnIndex('gyroADC[1]', dataHeaders),
+      gyroYaw: findColumnIndex('gyroADC[2]', dataHeaders),
     };
     
     return indices;
@@ -92,6 +104,7 @@ const FlightVisualizer3D = () => {
     // Створюємо основу сцени - "землю"
     const gridHelper = new THREE.GridHelper(50, 50, 0x888888, 0x444444);
     scene.add(gridHelper);
+    gridRef.current = gridHelper;
     
     // Створюємо модель дрона
     createDroneModel(scene);
@@ -135,6 +148,85 @@ const FlightVisualizer3D = () => {
     };
   }, []);
   
+  // Діапазон значень для кольорової шкали траєкторії
+  const trackColorRange = useMemo(() => {
+    if (!gpsSeries || !track) return null;
+    const values = trackColorMode === 'speed' ? gpsSeries.speed : track.up;
+    let min = Infinity;
+    let max = -Infinity;
+    values.forEach(value => {
+      min = Math.min(min, value);
+      max = Math.max(max, value);
+    });
+    return { values, min, max };
+  }, [gpsSeries, track, trackColorMode]);
+
+  // Реальна траєкторія GPS: x - схід, y - висота, z - південь (метри від дому)
+  useEffect(() => {
+    const scene = sceneRef.current;
+    if (!scene) return;
+
+    if (trackRef.current) {
+      scene.remove(trackRef.current);
+      trackRef.current.traverse(object => {
+        if (object.geometry) object.geometry.dispose();
+        if (object.material) object.material.dispose();
+      });
+      trackRef.current = null;
+    }
+    if (!track || !trackColorRange) return;
+
+    const { values, min, max } = trackColorRange;
+    const positions = new Float32Array(gpsSeries.length * 3);
+    const colors = new Float32Array(gpsSeries.length * 3);
+    for (let i = 0; i < gpsSeries.length; i++) {
+      positions[i * 3] = track.east[i];
+      positions[i * 3 + 1] = track.up[i];
+      positions[i * 3 + 2] = -track.north[i];
+      const [r, g, b] = colorRamp(max > min ? (values[i] - min) / (max - min) : 0);
+      colors[i * 3] = r;
+      colors[i * 3 + 1] = g;
+      colors[i * 3 + 2] = b;
+    }
+
+    const group = new THREE.Group();
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    group.add(new THREE.Line(geometry, new THREE.LineBasicMaterial({ vertexColors: true })));
+
+    // Розмір сцени під розмах польоту
+    const extent = Math.max(10, track.bounds.maxDistance, track.bounds.maxUp);
+
+    // Позначка домашньої точки
+    const home = new THREE.Mesh(
+      new THREE.CylinderGeometry(extent / 100, extent / 100, extent / 200, 16),
+      new THREE.MeshPhongMaterial({ color: 0xffffff })
+    );
+    group.add(home);
+
+    scene.add(group);
+    trackRef.current = group;
+
+    // Сітка з кроком 10 м, що покриває всю траєкторію
+    const gridSize = Math.ceil((extent * 2.2) / 10) * 10;
+    if (gridRef.current) {
+      scene.remove(gridRef.current);
+      gridRef.current.geometry.dispose();
+    }
+    gridRef.current = new THREE.GridHelper(gridSize, gridSize / 10, 0x888888, 0x444444);
+    scene.add(gridRef.current);
+
+    if (droneRef.current) droneRef.current.scale.setScalar(Math.max(1, extent / 50));
+    if (pathRef.current) pathRef.current.visible = false;
+
+    const camera = cameraRef.current;
+    camera.far = Math.max(1000, extent * 20);
+    camera.position.set(extent, extent * 0.8, extent);
+    camera.updateProjectionMatrix();
+    if (controlsRef.current) controlsRef.current.target.set(0, 0, 0);
+  }, [gpsSeries, track, trackColorRange]);
+
   // Створення моделі дрона
   const createDroneModel = (scene) => {
     // Група для всіх елементів дрона
@@ -208,17 +300,18 @@ const FlightVisualizer3D = () => {
     if (!frame) return;
     
     // Отримуємо дані з поточного кадру
-    const time = dataIndices.time >= 0 ? parseFloat(frame[dataHeaders[dataIndices.time]]) / 1000000 : 0; // Convert microseconds to seconds
+    const time = dataIndices.time >= 0 ? units.seconds(parseFloat(frame[dataHeaders[dataIndices.time]])) : 0;
     
+    // Мотори у відсотках діапазону motorOutput (DShot 48-2047 або PWM)
     const motors = dataIndices.motors.map(idx => 
-      idx >= 0 ? parseFloat(frame[dataHeaders[idx]]) || 0 : 0
+      idx >= 0 ? units.motorPercent(parseFloat(frame[dataHeaders[idx]]) || 0) : 0
     );
     
     const rcSticks = {
       roll: dataIndices.roll >= 0 ? parseFloat(frame[dataHeaders[dataIndices.roll]]) || 0 : 0,
       pitch: dataIndices.pitch >= 0 ? parseFloat(frame[dataHeaders[dataIndices.pitch]]) || 0 : 0,
       yaw: dataIndices.yaw >= 0 ? parseFloat(frame[dataHeaders[dataIndices.yaw]]) || 0 : 0,
-      throttle: dataIndices.throttle >= 0 ? parseFloat(frame[dataHeaders[dataIndices.throttle]]) || 0 : 0
+      throttle: dataIndices.throttle >= 0 ? units.throttlePercent(parseFloat(frame[dataHeaders[dataIndices.throttle]]) || 0) : 0
     };
     
     // Оновлюємо дані для відображення
@@ -233,7 +326,7 @@ const FlightVisualizer3D = () => {
       droneRef.current.userData.motors.forEach((motorObj, idx) => {
         const motorValue = motors[idx] || 0;
         // Обертаємо пропелер пропорційно потужності мотора
-        motorObj.propeller.rotation.y += (motorValue / 1000) * Math.PI;
+        motorObj.propeller.rotation.y += (motorValue / 50) * Math.PI;
       });
     }
     
@@ -247,9 +340,22 @@ const FlightVisualizer3D = () => {
     droneRef.current.rotation.x = gyroPitch * 0.01;  // pitch (навколо осі Y дрона)
     droneRef.current.rotation.y = gyroYaw * 0.01;    // yaw (навколо осі Z дрона)
     
+    // З GPS дрон рухається реальною траєкторією
+    if (track) {
+      const gpsIndex = getGpsIndexAtRow(gpsSeries, frameIndex);
+      droneRef.current.position.set(track.east[gpsIndex], track.up[gpsIndex], -track.north[gpsIndex]);
+      setGpsInfo({
+        speed: gpsSeries.speed[gpsIndex],
+        altitude: track.up[gpsIndex],
+        distance: track.distance[gpsIndex],
+        numSat: gpsSeries.numSat[gpsIndex]
+      });
+      return;
+    }
+    
     // Рух дрона вгору/вниз на основі газу
-    const throttleValue = rcSticks.throttle / 1000;
-    droneRef.current.position.y = Math.max(0.5, throttleValue * 5);
+    const throttleValue = rcSticks.throttle / 100;
+    droneRef.current.position.y = 0.5 + throttleValue * 5;
     
     // Оновлюємо шлях дрона більш ефективно
     // Оновлюємо шлях лише кожні 3 кадри для кращої продуктивності
@@ -446,7 +552,7 @@ const FlightVisualizer3D = () => {
     
     // Скидання положення дрона та шляху
     if (droneRef.current) {
-      droneRef.current.position.set(0, 0.5, 0);
+      droneRef.current.position.set(0, track ? 0 : 0.5, 0);
       droneRef.current.rotation.set(0, 0, 0);
     }
     
@@ -512,6 +618,20 @@ const FlightVisualizer3D = () => {
                 <option value="50">50x</option>
               </select>
             </div>
+
+            {track && (
+              <div className="flex items-center">
+                <span className="text-sm text-gray-600 mr-2">Колір траєкторії:</span>
+                <select
+                  value={trackColorMode}
+                  onChange={e => setTrackColorMode(e.target.value)}
+                  className="bg-white border border-gray-300 rounded-md px-2 py-1 text-sm"
+                >
+                  <option value="speed">Швидкість</option>
+                  <option value="altitude">Висота</option>
+                </select>
+              </div>
+            )}
             
             <div className="ml-auto text-sm text-gray-600">
               Прогрес: {Math.floor((currentFrameIndex / flightData.length) * 100)}% 
@@ -529,10 +649,34 @@ const FlightVisualizer3D = () => {
               className="w-full rounded-lg overflow-hidden"
               style={{ height: '60vh' }}
             ></div>
+
+            {/* Шкала кольорів траєкторії */}
+            {trackColorRange && (
+              <div className="absolute bottom-2 right-2 bg-black bg-opacity-70 text-white p-2 rounded-md text-xs font-mono">
+                <div>{trackColorMode === 'speed' ? 'Швидкість, м/с' : 'Висота, м'}</div>
+                <div
+                  className="w-40 h-3 rounded my-1"
+                  style={{ background: 'linear-gradient(to right, #0000ff, #00ff00, #ffff00, #ff0000)' }}
+                />
+                <div className="flex justify-between">
+                  <span>{trackColorRange.min.toFixed(1)}</span>
+                  <span>{trackColorRange.max.toFixed(1)}</span>
+                </div>
+              </div>
+            )}
             
             {/* Покращена інформаційна панель з візуалізацією стіків та моторів */}
             <div className="absolute top-2 left-2 bg-black bg-opacity-70 text-white p-3 rounded-md text-sm font-mono">
               <div>Час: {flightDataInfo.time.toFixed(2)} с</div>
+
+              {gpsInfo && (
+                <div className="mt-2">
+                  <div>GPS ({gpsInfo.numSat} супутн.):</div>
+                  <div>Швидкість: {gpsInfo.speed.toFixed(1)} м/с</div>
+                  <div>Висота: {gpsInfo.altitude.toFixed(1)} м</div>
+                  <div>Від дому: {gpsInfo.distance.toFixed(0)} м</div>
+                </div>
+              )}
               
               <div className="mt-2">
                 <div>Стіки:</div>
@@ -588,12 +732,12 @@ const FlightVisualizer3D = () => {
                       <div 
                         className="bg-red-500 h-4 rounded"
                         style={{ 
-                          width: `${flightDataInfo.rcSticks.throttle / 20}%`, 
+                          width: `${flightDataInfo.rcSticks.throttle}%`, 
                           transition: 'width 0.1s ease'
                         }} 
                       />
                     </div>
-                    <span className="ml-2">{flightDataInfo.rcSticks.throttle.toFixed(0)}</span>
+                    <span className="ml-2">{flightDataInfo.rcSticks.throttle.toFixed(0)}%</span>
                   </div>
                 </div>
               </div>
@@ -613,12 +757,12 @@ const FlightVisualizer3D = () => {
                             'bg-yellow-500'
                           }`}
                           style={{ 
-                            width: `${value / 20}%`, 
+                            width: `${value}%`, 
                             transition: 'width 0.1s ease'
                           }} 
                         />
                       </div>
-                      <span className="ml-2">{value.toFixed(0)}</span>
+                      <span className="ml-2">{value.toFixed(0)}%</span>
                     </div>
                   ))}
                 </div>
@@ -0,0 +1,330 @@
+import React, { useEffect, useRef, useState } from 'react';
+import 'chart.js/auto';
+import { Line } from 'react-chartjs-2';
+import useBlackboxStore from '../store/blackboxStore';
+import { analyzeLog } from '../services/analysisPipeline';
+import { loadLogFromLibrary } from '../services/logLibraryService';
+import { getFlightLogInfo, formatFlightDuration } from '../utils/flightLogInfo';
+import { getFlightSettings } from '../utils/flightSettings';
+import {
+  TUNING_SETTINGS,
+  diffTuningSettings,
+  compareErrorMetrics,
+  getNormalizedStepResponse,
+  getNoiseSpectrum
+} from '../utils/logComparison';
+
+const AXES = ['roll', 'pitch', 'yaw'];
+
+// Кроки аналізу, потрібні для порівняння
+const COMPARISON_STEPS = ['errorMetrics', 'stepResponse', 'frequency'];
+
+const LOG_COLORS = ['rgb(128, 128, 128)', 'rgb(54, 162, 235)', 'rgb(255, 99, 132)', 'rgb(75, 192, 192)', 'rgb(255, 159, 64)', 'rgb(153, 102, 255)'];
+
+const formatNumber = (value) => (Number.isInteger(value) ? String(value) : value.toFixed(2));
+
+// Зміна показника зі знаком; для відхилень зменшення - покращення
+const DeltaValue = ({ delta, percent }) => (
+  <span className={delta < 0 ? 'text-green-600' : delta > 0 ? 'text-red-600' : 'text-gray-500'}>
+    {delta > 0 ? '+' : ''}{delta.toFixed(2)} ({percent > 0 ? '+' : ''}{percent.toFixed(1)}%)
+  </span>
+);
+
+const lineOptions = (xTitle, yTitle, logarithmic = false) => ({
+  responsive: true,
+  maintainAspectRatio: false,
+  animation: false,
+  parsing: false,
+  plugins: { legend: { position: 'bottom' } },
+  scales: {
+    x: { type: 'linear', title: { display: true, text: xTitle } },
+    y: { type: logarithmic ? 'logarithmic' : 'linear', title: { display: true, text: yTitle } }
+  }
+});
+
+// Порівняння двох і більше логів: різниця налаштувань, відхилення, накладені графіки
+const LogComparison = () => {
+  const logs = useBlackboxStore(state => state.logs);
+  const activeFileName = useBlackboxStore(state => state.fileName);
+  const libraryEntries = useBlackboxStore(state => state.libraryEntries);
+  const refreshLibrary = useBlackboxStore(state => state.refreshLibrary);
+  const craftProfiles = useBlackboxStore(state => state.craftProfiles);
+  const refreshCraftProfiles = useBlackboxStore(state => state.refreshCraftProfiles);
+
+  // Вибрані логи: { key, label, log, results, status, error }; перший - базовий
+  const [items, setItems] = useState([]);
+  const [showUnfiltered, setShowUnfiltered] = useState(false);
+  const abortControllerRef = useRef(null);
+
+  useEffect(() => {
+    refreshLibrary();
+    refreshCraftProfiles();
+  }, [refreshLibrary, refreshCraftProfiles]);
+
+  // Скасовуємо аналіз, якщо розділ закрито
+  useEffect(() => () => {
+    if (abortControllerRef.current) abortControllerRef.current.abort();
+  }, []);
+
+  const updateItem = (key, changes) => {
+    setItems(prev => prev.map(item => (item.key === key ? { ...item, ...changes } : item)));
+  };
+
+  const addLog = async (key, label, loadLog) => {
+    if (items.some(item => item.key === key)) return;
+    setItems(prev => [...prev, { key, label, log: null, results: null, status: 'loading', error: null }]);
+
+    if (!abortControllerRef.current) abortControllerRef.current = new AbortController();
+    try {
+      const log = await loadLog();
+      updateItem(key, { log, status: 'analyzing' });
+      const craftProfile = craftProfiles.find(profile => profile.id === log.craftProfileId) || null;
+      const results = await analyzeLog(log, { stepIds: COMPARISON_STEPS, signal: abortControllerRef.current.signal, craftProfile });
+      updateItem(key, { results, status: 'done' });
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      console.error("Помилка аналізу логу для порівняння:", error);
+      updateItem(key, { status: 'error', error: error.message });
+    }
+  };
+
+  const removeLog = (key) => setItems(prev => prev.filter(item => item.key !== key));
+
+  const makeBaseline = (key) => {
+    setItems(prev => [...prev.filter(item => item.key === key), ...prev.filter(item => item.key !== key)]);
+  };
+
+  const fileName = activeFileName || 'Поточний файл';
+  const sessionOptions = logs.map((log, index) => {
+    const info = getFlightLogInfo(log);
+    return {
+      key: `session-${index}-${info.rowCount}`,
+      label: `${fileName} · політ #${index + 1} · ${formatFlightDuration(info.durationSeconds)}`,
+      loadLog: async () => log
+    };
+  });
+  const libraryOptions = libraryEntries.map(entry => ({
+    key: `library-${entry.id}`,
+    label: `${entry.craftName || entry.fileName || 'Без назви'} · ${entry.startDatetime || new Date(entry.savedAt).toLocaleDateString()} · ${formatFlightDuration(entry.durationSeconds)}`,
+    loadLog: async () => (await loadLogFromLibrary(entry.id)).log
+  }));
+  const availableOptions = [...sessionOptions, ...libraryOptions].filter(option => !items.some(item => item.key === option.key));
+
+  const readyItems = items.filter(item => item.status === 'done');
+  const [baseline, ...others] = readyItems;
+
+  // Налаштування, що відрізняються хоча б в одному лозі від базового
+  const changedKeys = new Set(baseline
+    ? others.flatMap(item => diffTuningSettings(baseline.log.metadata, item.log.metadata).map(change => change.key))
+    : []);
+  const changedSettings = TUNING_SETTINGS.filter(setting => changedKeys.has(setting.key));
+
+  const datasetsFor = (getPoints) => readyItems.map((item, index) => ({
+    label: item.label,
+    data: getPoints(item.results),
+    borderColor: LOG_COLORS[index % LOG_COLORS.length],
+    backgroundColor: LOG_COLORS[index % LOG_COLORS.length],
+    borderWidth: index === 0 ? 2 : 1.5,
+    pointRadius: 0
+  }));
+
+  return (
+    <div className="bg-white shadow-md rounded-lg p-6 mb-8">
+      <h2 className="text-2xl font-bold mb-4 text-gray-800">Порівняння логів</h2>
+
+      <div className="mb-4 bg-gray-50 p-4 rounded-md">
+        <label className="block text-sm font-medium text-gray-700 mb-2" htmlFor="comparison-add">
+          Додати лог (перший вибраний - базовий, з ним порівнюються інші):
+        </label>
+        <select
+          id="comparison-add"
+          value=""
+          onChange={e => {
+            const option = availableOptions.find(o => o.key === e.target.value);
+            if (option) addLog(option.key, option.label, option.loadLog);
+          }}
+          className="w-full px-2 py-1 text-sm border border-gray-300 rounded-md"
+        >
+          <option value="">{availableOptions.length ? 'Виберіть лог...' : 'Завантажте лог або збережіть логи в бібліотеці'}</option>
+          {sessionOptions.some(option => availableOptions.includes(option)) && (
+            <optgroup label="Завантажений файл">
+              {sessionOptions.filter(option => availableOptions.includes(option)).map(option => (
+                <option key={option.key} value={option.key}>{option.label}</option>
+              ))}
+            </optgroup>
+          )}
+          {libraryOptions.some(option => availableOptions.includes(option)) && (
+            <optgroup label="Бібліотека">
+              {libraryOptions.filter(option => availableOptions.includes(option)).map(option => (
+                <option key={option.key} value={option.key}>{option.label}</option>
+              ))}
+            </optgroup>
+          )}
+        </select>
+
+        {items.length > 0 && (
+          <ul className="mt-3 space-y-1 text-sm">
+            {items.map((item, index) => (
+              <li key={item.key} className="flex items-center gap-2">
+                <span className="inline-block w-3 h-3 rounded-full" style={{ backgroundColor: LOG_COLORS[index % LOG_COLORS.length] }} />
+                <span className={index === 0 ? 'font-medium' : ''}>{item.label}</span>
+                {index === 0 && <span className="text-xs text-gray-500">(базовий)</span>}
+                {item.status === 'loading' && <span className="text-xs text-gray-500">завантаження...</span>}
+                {item.status === 'analyzing' && <span className="text-xs text-blue-600">аналіз...</span>}
+                {item.status === 'error' && <span className="text-xs text-red-600">{item.error}</span>}
+                {index > 0 && item.status === 'done' && (
+                  <button onClick={() => makeBaseline(item.key)} className="text-xs text-blue-600 hover:underline">
+                    Зробити базовим
+                  </button>
+                )}
+                <button onClick={() => removeLog(item.key)} className="text-xs text-red-600 hover:underline">
+                  Прибрати
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {readyItems.length < 2 ? (
+        <p className="text-sm text-gray-500">Виберіть щонайменше два логи для порівняння.</p>
+      ) : (
+        <>
+          {/* Різниця налаштувань з заголовків */}
+          <div className="mb-6">
+            <h3 className="text-lg font-semibold mb-2">Різниця налаштувань</h3>
+            {changedSettings.length === 0 ? (
+              <p className="text-sm text-gray-500">Налаштування PID і фільтрів однакові.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-3 py-2 text-left font-medium text-gray-500">Параметр</th>
+                      {readyItems.map((item, index) => (
+                        <th key={item.key} className="px-3 py-2 text-left font-medium text-gray-500">
+                          {index === 0 ? 'Базовий' : `Лог ${index + 1}`}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {changedSettings.map(setting => {
+                      const baseValue = setting.read(getFlightSettings(baseline.log.metadata));
+                      return (
+                        <tr key={setting.key}>
+                          <td className="px-3 py-1">{setting.label}</td>
+                          {readyItems.map(item => {
+                            const value = setting.read(getFlightSettings(item.log.metadata));
+                            return (
+                              <td
+                                key={item.key}
+                                className={`px-3 py-1 font-mono ${value !== baseValue ? 'font-semibold text-blue-700' : ''}`}
+                              >
+                                {value === null ? '-' : formatNumber(value)}
+                              </td>
+                            );
+                          })}
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+
+          {/* Зміни RMS/STD відхилень відносно базового логу */}
+          <div className="mb-6">
+            <h3 className="text-lg font-semibold mb-2">Зміна відхилень (зменшення - покращення)</h3>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {others.map((item, index) => {
+                const comparison = compareErrorMetrics(baseline.results, item.results);
+                return (
+                  <div key={item.key} className="bg-gray-50 p-3 rounded-md text-sm">
+                    <div className="font-medium mb-1">Лог {index + 2}: {item.label}</div>
+                    {Object.keys(comparison).length === 0 ? (
+                      <p className="text-gray-500">Немає даних відхилень.</p>
+                    ) : (
+                      <table className="min-w-full">
+                        <thead>
+                          <tr className="text-gray-500">
+                            <th className="text-left">Вісь</th>
+                            <th className="text-left">RMS</th>
+                            <th className="text-left">STD</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {Object.entries(comparison).map(([axis, metrics]) => (
+                            <tr key={axis}>
+                              <td className="capitalize">{axis}</td>
+                              <td className="font-mono">
+                                {metrics.rmsError.after.toFixed(2)} <DeltaValue {...metrics.rmsError} />
+                              </td>
+                              <td className="font-mono">
+                                {metrics.stdDeviation.after.toFixed(2)} <DeltaValue {...metrics.stdDeviation} />
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+
+          {/* Накладені відгуки на ступінчасту зміну */}
+          <div className="mb-6">
+            <h3 className="text-lg font-semibold mb-2">Відгук на ступінчасту зміну</h3>
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+              {AXES.map(axis => (
+                <div key={axis} className="bg-gray-50 p-3 rounded-md">
+                  <div className="text-sm font-medium capitalize mb-1">{axis}</div>
+                  <div className="h-56">
+                    <Line
+                      data={{ datasets: datasetsFor(results => getNormalizedStepResponse(results, axis)) }}
+                      options={lineOptions('Час, мс', 'Частка цілі')}
+                    />
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {/* Накладені спектри шуму гіроскопа */}
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="text-lg font-semibold">Спектр шуму гіроскопа</h3>
+              <label className="text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={showUnfiltered}
+                  onChange={e => setShowUnfiltered(e.target.checked)}
+                  className="mr-1"
+                />
+                Нефільтрований гіроскоп
+              </label>
+            </div>
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+              {AXES.map(axis => (
+                <div key={axis} className="bg-gray-50 p-3 rounded-md">
+                  <div className="text-sm font-medium capitalize mb-1">{axis}</div>
+                  <div className="h-56">
+                    <Line
+                      data={{ datasets: datasetsFor(results => getNoiseSpectrum(results, axis, showUnfiltered)) }}
+                      options={lineOptions('Частота, Гц', 'Амплітуда', true)}
+                    />
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default LogComparison;
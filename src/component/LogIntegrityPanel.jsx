@@ -0,0 +1,103 @@
+import React from 'react';
+import useBlackboxStore from '../store/blackboxStore';
+import { MAX_REPORTED_GAPS, canResyncLog } from '../utils/logIntegrity';
+
+// Кольори повідомлень за рівнем серйозності
+const SEVERITY_STYLES = {
+  error: 'border-red-300 bg-red-50 text-red-700',
+  warning: 'border-yellow-300 bg-yellow-50 text-yellow-800',
+  info: 'border-blue-200 bg-blue-50 text-blue-700'
+};
+
+// Підписи типів розривів
+const GAP_TYPE_LABELS = {
+  missingIterations: 'пропуск ітерацій',
+  iterationReversal: 'loopIteration назад',
+  timeJump: 'стрибок часу',
+  timeReversal: 'час назад'
+};
+
+const formatSeconds = (timeUs) => (timeUs === undefined ? '-' : (timeUs / 1000000).toFixed(3));
+
+// Діагностика цілісності активного логу
+const LogIntegrityPanel = () => {
+  const logIntegrity = useBlackboxStore(state => state.logIntegrity);
+  const resyncActiveLog = useBlackboxStore(state => state.resyncActiveLog);
+
+  if (!logIntegrity) return null;
+
+  const { issues, gaps, segments } = logIntegrity;
+  const shownGaps = gaps.slice(0, MAX_REPORTED_GAPS);
+
+  return (
+    <div className="shadow rounded-lg border border-gray-200 p-4">
+      <div className="flex flex-wrap items-center justify-between mb-3">
+        <div className="text-sm text-gray-700">
+          {logIntegrity.rowCount.toLocaleString()} рядків · {segments.length} неперервних ділянок
+          {logIntegrity.timeStepUs > 0 && ` · крок ${logIntegrity.timeStepUs} мкс`}
+        </div>
+        {canResyncLog(logIntegrity) && (
+          <button
+            onClick={resyncActiveLog}
+            className="px-3 py-1 text-sm text-blue-600 border border-blue-300 rounded-md hover:bg-blue-50"
+          >
+            Відновити синхронізацію
+          </button>
+        )}
+      </div>
+
+      {issues.length === 0 ? (
+        <div className="p-3 rounded-md border border-green-300 bg-green-50 text-green-700 text-sm">
+          Проблем не виявлено: ітерації та час послідовні, всі рядки прочитано.
+        </div>
+      ) : (
+        <ul className="space-y-2 mb-4">
+          {issues.map((issue, index) => (
+            <li key={index} className={`p-2 rounded-md border text-sm ${SEVERITY_STYLES[issue.severity]}`}>
+              {issue.message}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {logIntegrity.badRowLines.length > 0 && (
+        <div className="text-xs text-gray-500 mb-4">
+          Рядки файлу з помилками: {logIntegrity.badRowLines.join(', ')}
+          {logIntegrity.badRows > logIntegrity.badRowLines.length && ' …'}
+        </div>
+      )}
+
+      {shownGaps.length > 0 && (
+        <div className="overflow-x-auto">
+          <div className="text-sm font-medium text-gray-700 mb-2">
+            Розриви ({gaps.length}{gaps.length > shownGaps.length && `, показано ${shownGaps.length}`}) - аналізи їх не перетинають
+          </div>
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead>
+              <tr>
+                <th className="px-4 py-2 bg-gray-50 text-left text-xs font-medium text-gray-500 uppercase">Рядок</th>
+                <th className="px-4 py-2 bg-gray-50 text-left text-xs font-medium text-gray-500 uppercase">Час, с</th>
+                <th className="px-4 py-2 bg-gray-50 text-left text-xs font-medium text-gray-500 uppercase">Тип</th>
+                <th className="px-4 py-2 bg-gray-50 text-left text-xs font-medium text-gray-500 uppercase">Пропущено ітерацій</th>
+                <th className="px-4 py-2 bg-gray-50 text-left text-xs font-medium text-gray-500 uppercase">Стрибок часу, мс</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {shownGaps.map(gap => (
+                <tr key={gap.row}>
+                  <td className="px-4 py-1 font-mono">{gap.row.toLocaleString()}</td>
+                  <td className="px-4 py-1 font-mono">{formatSeconds(gap.startTime)} → {formatSeconds(gap.endTime)}</td>
+                  <td className="px-4 py-1">{gap.types.map(type => GAP_TYPE_LABELS[type]).join(', ')}</td>
+                  <td className="px-4 py-1 font-mono">{gap.missingIterations || '-'}</td>
+                  <td className="px-4 py-1 font-mono">{gap.timeJumpUs ? (gap.timeJumpUs / 1000).toFixed(1) : '-'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LogIntegrityPanel;
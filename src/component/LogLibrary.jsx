@@ -0,0 +1,203 @@
+import React, { useEffect, useState } from 'react';
+import useBlackboxStore from '../store/blackboxStore';
+import { formatFlightDuration } from '../utils/flightLogInfo';
+import CraftProfilePanel from './CraftProfilePanel';
+import ProjectBundlePanel from './ProjectBundlePanel';
+
+// Теги вводяться через кому
+const parseTags = (value) => value.split(',').map(tag => tag.trim()).filter(Boolean);
+
+// Збігається з фільтром за апаратом, файлом, прошивкою, тегами або нотатками
+const matchesFilter = (entry, filter) => {
+  if (!filter) return true;
+  const text = [entry.craftName, entry.fileName, entry.firmware, entry.notes, ...entry.tags].join(' ').toLowerCase();
+  return text.includes(filter.toLowerCase());
+};
+
+// Локальна бібліотека логів: збереження активного логу, список, теги, нотатки та повторне відкриття
+const LogLibrary = ({ onOpenLog }) => {
+  const libraryEntries = useBlackboxStore(state => state.libraryEntries);
+  const craftProfiles = useBlackboxStore(state => state.craftProfiles);
+  const logs = useBlackboxStore(state => state.logs);
+  const activeLogIndex = useBlackboxStore(state => state.activeLogIndex);
+  const refreshLibrary = useBlackboxStore(state => state.refreshLibrary);
+  const saveActiveLogToLibrary = useBlackboxStore(state => state.saveActiveLogToLibrary);
+  const openLibraryLog = useBlackboxStore(state => state.openLibraryLog);
+  const updateLibraryEntry = useBlackboxStore(state => state.updateLibraryEntry);
+  const deleteLibraryEntry = useBlackboxStore(state => state.deleteLibraryEntry);
+
+  const [filter, setFilter] = useState('');
+  const [newTags, setNewTags] = useState('');
+  const [newNotes, setNewNotes] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    refreshLibrary();
+  }, [refreshLibrary]);
+
+  const activeLog = logs[activeLogIndex];
+  const isActiveSaved = activeLog && activeLog.libraryId != null;
+
+  const saveActiveLog = async () => {
+    setSaving(true);
+    await saveActiveLogToLibrary({ tags: parseTags(newTags), notes: newNotes });
+    setSaving(false);
+    setNewTags('');
+    setNewNotes('');
+  };
+
+  const openLog = async (id) => {
+    await openLibraryLog(id);
+    if (onOpenLog) onOpenLog();
+  };
+
+  const deleteLog = (entry) => {
+    if (window.confirm(`Видалити лог "${entry.craftName || entry.fileName || entry.id}" з бібліотеки?`)) {
+      deleteLibraryEntry(entry.id);
+    }
+  };
+
+  const entries = libraryEntries.filter(entry => matchesFilter(entry, filter));
+  const profileNames = Object.fromEntries(craftProfiles.map(profile => [profile.id, profile.name]));
+
+  return (
+    <div className="bg-white shadow-md rounded-lg p-6">
+      <h2 className="text-xl font-bold mb-4">Бібліотека логів</h2>
+
+      <CraftProfilePanel />
+
+      <ProjectBundlePanel onOpenProject={onOpenLog} />
+
+      {activeLog && (
+        <div className="mb-6 bg-gray-50 p-4 rounded-md">
+          <div className="text-sm font-medium text-gray-700 mb-2">
+            {isActiveSaved ? 'Активний лог уже збережено в бібліотеці' : 'Зберегти активний лог'}
+          </div>
+          {!isActiveSaved && (
+            <div className="flex flex-wrap gap-2 items-start">
+              <input
+                type="text"
+                value={newTags}
+                onChange={e => setNewTags(e.target.value)}
+                placeholder="Теги через кому"
+                className="px-2 py-1 text-sm border border-gray-300 rounded-md"
+              />
+              <textarea
+                value={newNotes}
+                onChange={e => setNewNotes(e.target.value)}
+                placeholder="Нотатки"
+                rows={1}
+                className="flex-1 min-w-[200px] px-2 py-1 text-sm border border-gray-300 rounded-md"
+              />
+              <button
+                onClick={saveActiveLog}
+                disabled={saving}
+                className={`px-3 py-1 text-sm rounded-md ${
+                  saving ? 'bg-gray-200 text-gray-400 cursor-not-allowed' : 'bg-blue-500 hover:bg-blue-600 text-white'
+                }`}
+              >
+                {saving ? 'Збереження...' : 'Зберегти в бібліотеку'}
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="flex items-center justify-between mb-2">
+        <div className="text-sm text-gray-600">
+          Збережено логів: {libraryEntries.length}
+        </div>
+        <input
+          type="text"
+          value={filter}
+          onChange={e => setFilter(e.target.value)}
+          placeholder="Пошук за апаратом, тегом, нотатками"
+          className="px-2 py-1 text-sm border border-gray-300 rounded-md w-64"
+        />
+      </div>
+
+      {entries.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          {libraryEntries.length ? 'Немає логів, що відповідають пошуку.' : 'Бібліотека порожня. Завантажте лог і збережіть його тут.'}
+        </p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-3 py-2 text-left font-medium text-gray-500">Апарат</th>
+                <th className="px-3 py-2 text-left font-medium text-gray-500">Дата</th>
+                <th className="px-3 py-2 text-left font-medium text-gray-500">Прошивка</th>
+                <th className="px-3 py-2 text-left font-medium text-gray-500">Тривалість</th>
+                <th className="px-3 py-2 text-left font-medium text-gray-500">Теги</th>
+                <th className="px-3 py-2 text-left font-medium text-gray-500">Нотатки</th>
+                <th className="px-3 py-2" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {entries.map(entry => (
+                <tr key={entry.id} className="align-top">
+                  <td className="px-3 py-2">
+                    <div className="font-medium">{entry.craftName || 'Без назви'}</div>
+                    {profileNames[entry.craftProfileId] && (
+                      <div className="text-xs text-blue-600">Профіль: {profileNames[entry.craftProfileId]}</div>
+                    )}
+                    <div className="text-xs text-gray-400">
+                      {entry.fileName}
+                      {entry.hasAnalysis && <span className="ml-1 text-green-600">· аналіз збережено</span>}
+                    </div>
+                  </td>
+                  <td className="px-3 py-2 whitespace-nowrap">
+                    {entry.startDatetime || new Date(entry.savedAt).toLocaleString()}
+                  </td>
+                  <td className="px-3 py-2">{entry.firmware || '-'}</td>
+                  <td className="px-3 py-2 whitespace-nowrap">
+                    {formatFlightDuration(entry.durationSeconds)}
+                    <div className="text-xs text-gray-400">{entry.rowCount.toLocaleString()} рядків</div>
+                  </td>
+                  <td className="px-3 py-2">
+                    {/* Значення зберігаються після виходу з поля */}
+                    <input
+                      key={entry.tags.join(',')}
+                      type="text"
+                      defaultValue={entry.tags.join(', ')}
+                      onBlur={e => updateLibraryEntry(entry.id, { tags: parseTags(e.target.value) })}
+                      className="w-40 px-2 py-1 text-xs border border-gray-300 rounded-md"
+                    />
+                  </td>
+                  <td className="px-3 py-2">
+                    <textarea
+                      key={entry.notes}
+                      defaultValue={entry.notes}
+                      onBlur={e => {
+                        if (e.target.value !== entry.notes) updateLibraryEntry(entry.id, { notes: e.target.value });
+                      }}
+                      rows={2}
+                      className="w-56 px-2 py-1 text-xs border border-gray-300 rounded-md"
+                    />
+                  </td>
+                  <td className="px-3 py-2 whitespace-nowrap">
+                    <button
+                      onClick={() => openLog(entry.id)}
+                      className="px-3 py-1 text-sm bg-blue-500 hover:bg-blue-600 text-white rounded-md mr-2"
+                    >
+                      Відкрити
+                    </button>
+                    <button
+                      onClick={() => deleteLog(entry)}
+                      className="px-3 py-1 text-sm text-red-600 border border-red-300 rounded-md hover:bg-red-50"
+                    >
+                      Видалити
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LogLibrary;
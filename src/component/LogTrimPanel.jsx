@@ -0,0 +1,126 @@
+import React, { useState } from 'react';
+import useBlackboxStore from '../store/blackboxStore';
+import { findColumnName } from '../utils/blackboxColumnMapper';
+import { exportBlackboxText, exportBlackboxCsv, downloadTextFile } from '../utils/blackboxExporter';
+import { trimLog } from '../utils/logSegment';
+
+// Ім'я файлу експорту на основі імені завантаженого логу
+const getExportFileName = (fileName, activeLogIndex, extension) => {
+  const baseName = fileName ? fileName.replace(/\.[^.]+$/, '') : 'blackbox';
+  return `${baseName}_flight${activeLogIndex + 1}_segment.${extension}`;
+};
+
+// Вибір діапазону рядків, обрізання активного логу та експорт сегмента
+const LogTrimPanel = () => {
+  const logs = useBlackboxStore(state => state.logs);
+  const activeLogIndex = useBlackboxStore(state => state.activeLogIndex);
+  const flightTable = useBlackboxStore(state => state.flightTable);
+  const dataHeaders = useBlackboxStore(state => state.dataHeaders);
+  const fileName = useBlackboxStore(state => state.fileName);
+  const trimActiveLog = useBlackboxStore(state => state.trimActiveLog);
+  const resetTrim = useBlackboxStore(state => state.resetTrim);
+
+  const rowCount = flightTable ? flightTable.length : 0;
+  const [range, setRange] = useState({ start: 0, end: rowCount, table: flightTable });
+
+  // Після обрізання або зміни польоту вибираємо весь лог
+  const selection = range.table === flightTable ? range : { start: 0, end: rowCount };
+
+  const log = logs[activeLogIndex];
+  if (!log || rowCount < 2) return null;
+
+  const timeHeader = findColumnName('time', dataHeaders, true, false);
+  const times = timeHeader ? flightTable.getColumn(timeHeader) : null;
+  const secondsAt = (row) => (times ? (times[Math.min(row, rowCount - 1)] - times[0]) / 1000000 : row);
+
+  const updateRange = (key, value) => {
+    const next = { ...selection, table: flightTable, [key]: Number(value) };
+    // Початок завжди лишається перед кінцем
+    if (key === 'start') next.start = Math.min(next.start, next.end - 2);
+    if (key === 'end') next.end = Math.max(next.end, next.start + 2);
+    setRange(next);
+  };
+
+  const isFullRange = selection.start === 0 && selection.end === rowCount;
+
+  // Експортуємо вибраний сегмент без зміни логу в сховищі
+  const exportSegment = (format) => {
+    const segment = isFullRange ? log : trimLog(log, selection.start, selection.end);
+    if (format === 'csv') {
+      downloadTextFile(exportBlackboxCsv(segment), getExportFileName(fileName, activeLogIndex, 'csv'), 'text/csv');
+    } else {
+      downloadTextFile(exportBlackboxText(segment), getExportFileName(fileName, activeLogIndex, 'txt'));
+    }
+  };
+
+  return (
+    <div className="mb-4 bg-gray-50 p-4 rounded-md">
+      <div className="flex flex-wrap items-center justify-between mb-2">
+        <div className="text-sm font-medium text-gray-700">
+          Сегмент: {secondsAt(selection.start).toFixed(2)} - {secondsAt(selection.end - 1).toFixed(2)} с
+          <span className="ml-2 text-xs text-gray-500">
+            ({(selection.end - selection.start).toLocaleString()} з {rowCount.toLocaleString()} рядків)
+          </span>
+          {log.trimRange && <span className="ml-2 text-xs text-blue-600">лог обрізано</span>}
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={() => trimActiveLog(selection.start, selection.end)}
+            disabled={isFullRange}
+            className={`px-3 py-1 text-sm rounded-md ${
+              isFullRange ? 'bg-gray-200 text-gray-400 cursor-not-allowed' : 'bg-blue-500 hover:bg-blue-600 text-white'
+            }`}
+          >
+            Обрізати
+          </button>
+          {log.untrimmed && (
+            <button
+              onClick={resetTrim}
+              className="px-3 py-1 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-100"
+            >
+              Скасувати обрізання
+            </button>
+          )}
+          <button
+            onClick={() => exportSegment('text')}
+            className="px-3 py-1 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-100"
+          >
+            Зберегти як текст
+          </button>
+          <button
+            onClick={() => exportSegment('csv')}
+            className="px-3 py-1 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-100"
+          >
+            Зберегти як CSV
+          </button>
+        </div>
+      </div>
+      <div className="grid grid-cols-2 gap-4">
+        <label className="text-xs text-gray-600">
+          Початок
+          <input
+            type="range"
+            min={0}
+            max={rowCount - 2}
+            value={selection.start}
+            onChange={e => updateRange('start', e.target.value)}
+            className="w-full"
+          />
+        </label>
+        <label className="text-xs text-gray-600">
+          Кінець
+          <input
+            type="range"
+            min={2}
+            max={rowCount}
+            value={selection.end}
+            onChange={e => updateRange('end', e.target.value)}
+            className="w-full"
+          />
+        </label>
+      </div>
+    </div>
+  );
+};
+
+export default LogTrimPanel;
@@ -2,9 +2,10 @@ import React, { useState, useEffect } from 'react';
 import { Line } from 'react-chartjs-2';
 import useBlackboxStore from '../store/blackboxStore';
 import { generateOptimalPidSettings, generateBetaflightCommands } from '../services/pidOptimizerService';
+import CraftProfileSelector from './CraftProfileSelector';
 
 const PidOptimizer = () => {
-  const { flightData, dataHeaders, metadata } = useBlackboxStore();
+  const { flightData, dataHeaders, metadata, craftProfile } = useBlackboxStore();
   
   const [isAnalyzing, setIsAnalyzing] = useState(false);
   const [progress, setProgress] = useState(0);
@@ -33,7 +34,7 @@ const PidOptimizer = () => {
       }, 300);
       
       // Виконання аналізу
-      const analyzedResults = await generateOptimalPidSettings(flightData, dataHeaders, metadata, mode);
+      const analyzedResults = await generateOptimalPidSettings(flightData, dataHeaders, metadata, mode, craftProfile);
       
       // Генерація команд CLI
       analyzedResults.betaflightCommands = generateBetaflightCommands(analyzedResults.recommendedPid);
@@ -141,6 +142,9 @@ const PidOptimizer = () => {
         </div>
       ) : (
         <>
+          {/* Межі PID залежать від класу рами прив'язаного профілю */}
+          <CraftProfileSelector />
+
           {/* Вибір режиму оптимізації */}
           <div className="mb-4">
             <label className="block text-sm font-medium text-gray-700 mb-2">Режим оптимізації:</label>
@@ -3,9 +3,11 @@ import { Line } from 'react-chartjs-2';
 import useBlackboxStore from '../store/blackboxStore';
 import _ from 'lodash';
 import Chart from 'chart.js/auto';  // Add this import
+import { getFlightSettings } from '../utils/flightSettings';
+import { findColumnName } from '../utils/blackboxColumnMapper';
 
 const PidSimulator = () => {
-  const { flightData, dataHeaders, metadata } = useBlackboxStore();
+  const { flightData, dataHeaders, metadata, setSimulatorSettings } = useBlackboxStore();
   
   // Стан для управління симуляцією
   const [isSimulating, setIsSimulating] = useState(false);
@@ -33,14 +35,24 @@ const PidSimulator = () => {
   const frequencyResponseChartRef = useRef(null);
   const trackingChartRef = useRef(null);
   
-  // Завантаження PID значень з метаданих
+  // Завантаження PID значень з метаданих; змінені користувачем значення відновлюються
   useEffect(() => {
     if (metadata) {
       const extractedPids = extractPidsFromMetadata(metadata);
+      const saved = useBlackboxStore.getState().simulatorSettings.pidSimulator;
       setCurrentPids(extractedPids);
-      setSimulatedPids(extractedPids);
+      setSimulatedPids(saved ? saved.pids : extractedPids);
+      if (saved) {
+        setSimulationSegment(saved.segment);
+        setSimulationAxis(saved.axis);
+      }
     }
   }, [metadata]);
+
+  // Налаштування симуляції зберігаються з логом (і у файлі проєкту)
+  useEffect(() => {
+    setSimulatorSettings('pidSimulator', { pids: simulatedPids, segment: simulationSegment, axis: simulationAxis });
+  }, [simulatedPids, simulationSegment, simulationAxis, setSimulatorSettings]);
   
   // Функція для вилучення PID параметрів з метаданих
   const extractPidsFromMetadata = (metadata) => {
@@ -51,42 +63,17 @@ const PidSimulator = () => {
     };
     
     try {
-      // Розбір рядків PID значень з метаданих
-      if (metadata.rollPID) {
-        const parts = metadata.rollPID.split(',').map(p => parseInt(p.trim(), 10));
-        if (parts.length >= 3) {
-          pids.roll.p = parts[0] || pids.roll.p;
-          pids.roll.i = parts[1] || pids.roll.i;
-          pids.roll.d = parts[2] || pids.roll.d;
-          if (parts.length >= 4) {
-            pids.roll.f = parts[3] || pids.roll.f;
-          }
+      // PID з нормалізованих заголовків - імена та формат залежать від прошивки
+      const settings = getFlightSettings(metadata);
+      ['roll', 'pitch', 'yaw'].forEach(axis => {
+        const { p, i, d, f, available } = settings.pid[axis];
+        if (available) {
+          pids[axis].p = p || pids[axis].p;
+          pids[axis].i = i || pids[axis].i;
+          pids[axis].d = d || pids[axis].d;
+          pids[axis].f = f || pids[axis].f;
         }
-      }
-      
-      if (metadata.pitchPID) {
-        const parts = metadata.pitchPID.split(',').map(p => parseInt(p.trim(), 10));
-        if (parts.length >= 3) {
-          pids.pitch.p = parts[0] || pids.pitch.p;
-          pids.pitch.i = parts[1] || pids.pitch.i;
-          pids.pitch.d = parts[2] || pids.pitch.d;
-          if (parts.length >= 4) {
-            pids.pitch.f = parts[3] || pids.pitch.f;
-          }
-        }
-      }
-      
-      if (metadata.yawPID) {
-        const parts = metadata.yawPID.split(',').map(p => parseInt(p.trim(), 10));
-        if (parts.length >= 3) {
-          pids.yaw.p = parts[0] || pids.yaw.p;
-          pids.yaw.i = parts[1] || pids.yaw.i;
-          pids.yaw.d = parts[2] || pids.yaw.d;
-          if (parts.length >= 4) {
-            pids.yaw.f = parts[3] || pids.yaw.f;
-          }
-        }
-      }
+      });
     } catch (e) {
       console.error("Помилка читання PID з метаданих:", e);
     }
@@ -109,9 +96,11 @@ const PidSimulator = () => {
       
       // Визначаємо колонки даних для аналізу
       const axisIndex = { roll: 0, pitch: 1, yaw: 2 }[simulationAxis];
-      const setpointCol = findColumnName(`setpoint[${axisIndex}]`, dataHeaders);
-      const gyroCol = findColumnName(`gyroADC[${axisIndex}]`, dataHeaders);
-      const timeCol = findColumnName('time', dataHeaders);
+      // Без setpoint[] у лозі використовуємо команду пульта
+      const setpointCol = findColumnName(`setpoint[${axisIndex}]`, dataHeaders, false, false)
+        || findColumnName(`rcCommand[${axisIndex}]`, dataHeaders, false, false);
+      const gyroCol = findColumnName(`gyroADC[${axisIndex}]`, dataHeaders, false, false);
+      const timeCol = findColumnName('time', dataHeaders, false, false);
       
       if (!setpointCol || !gyroCol) {
         throw new Error(`Неможливо знайти необхідні колонки для осі ${simulationAxis}`);
@@ -663,33 +652,6 @@ const PidSimulator = () => {
     });
   };
   
-  // Допоміжна функція для пошуку назви колонки
-  const findColumnName = (name, headers) => {
-    const directMatch = headers.includes(name) ? name : null;
-    if (directMatch) return directMatch;
-    
-    // Пошук альтернативних назв
-    const lowerName = name.toLowerCase();
-    const alternatives = {
-      'time': ['time', 'timestamp', 'looptime'],
-      'setpoint[0]': ['setpoint[0]', 'setpoint[roll]', 'rcCommand[0]'],
-      'setpoint[1]': ['setpoint[1]', 'setpoint[pitch]', 'rcCommand[1]'],
-      'setpoint[2]': ['setpoint[2]', 'setpoint[yaw]', 'rcCommand[2]'],
-      'gyroADC[0]': ['gyroADC[0]', 'gyro[0]', 'gyroData[0]'],
-      'gyroADC[1]': ['gyroADC[1]', 'gyro[1]', 'gyroData[1]'],
-      'gyroADC[2]': ['gyroADC[2]', 'gyro[2]', 'gyroData[2]']
-    };
-    
-    if (alternatives[name]) {
-      for (const alt of alternatives[name]) {
-        const altMatch = headers.find(h => h.toLowerCase() === alt.toLowerCase());
-        if (altMatch) return altMatch;
-      }
-    }
-    
-    return null;
-  };
-  
   // Обробники змін PID параметрів
   const handlePidChange = (axis, param, value) => {
     setSimulatedPids(prevPids => ({
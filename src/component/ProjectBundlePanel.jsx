@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import useBlackboxStore from '../store/blackboxStore';
+import { downloadBinaryFile } from '../utils/blackboxExporter';
+import { PROJECT_BUNDLE_EXTENSION } from '../utils/projectBundle';
+
+// Ім'я файлу проєкту на основі імені завантаженого логу
+const getProjectFileName = (fileName, activeLogIndex) => {
+  const baseName = fileName ? fileName.replace(/\.[^.]+$/, '') : 'blackbox';
+  return `${baseName}_flight${activeLogIndex + 1}${PROJECT_BUNDLE_EXTENSION}`;
+};
+
+// Експорт активного логу з аналізом у файл проєкту та відкриття файлу проєкту
+const ProjectBundlePanel = ({ onOpenProject }) => {
+  const logs = useBlackboxStore(state => state.logs);
+  const activeLogIndex = useBlackboxStore(state => state.activeLogIndex);
+  const fileName = useBlackboxStore(state => state.fileName);
+  const exportProjectBundle = useBlackboxStore(state => state.exportProjectBundle);
+  const importProjectBundle = useBlackboxStore(state => state.importProjectBundle);
+
+  const activeLog = logs[activeLogIndex];
+  // Нотатки редагуються для активного логу і скидаються при перемиканні
+  const [notesState, setNotesState] = useState({ log: null, notes: '' });
+  const notes = notesState.log === activeLog ? notesState.notes : (activeLog && activeLog.notes) || '';
+
+  const exportProject = () => {
+    const bundle = exportProjectBundle({ notes });
+    if (bundle) downloadBinaryFile(bundle, getProjectFileName(fileName, activeLogIndex));
+  };
+
+  const importProject = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    await importProjectBundle(file);
+    if (onOpenProject && useBlackboxStore.getState().logs.length) onOpenProject();
+  };
+
+  return (
+    <div className="mb-6">
+      <h3 className="text-lg font-semibold mb-2">Файл проєкту</h3>
+      <p className="text-sm text-gray-600 mb-2">
+        Один файл з логом (з урахуванням обрізання), результатами аналізу, рекомендаціями, налаштуваннями симуляторів і нотатками.
+        Відкривається без повторного парсингу та аналізу.
+      </p>
+      <div className="bg-gray-50 p-4 rounded-md flex flex-wrap gap-4 items-start">
+        {activeLog && (
+          <div className="flex flex-1 min-w-[280px] gap-2 items-start">
+            <textarea
+              value={notes}
+              onChange={e => setNotesState({ log: activeLog, notes: e.target.value })}
+              placeholder="Нотатки до проєкту"
+              rows={2}
+              className="flex-1 px-2 py-1 text-sm border border-gray-300 rounded-md"
+            />
+            <button
+              onClick={exportProject}
+              className="px-3 py-1 text-sm bg-blue-500 hover:bg-blue-600 text-white rounded-md whitespace-nowrap"
+            >
+              Експортувати проєкт
+            </button>
+          </div>
+        )}
+        <label className="text-sm text-gray-700">
+          Відкрити проєкт
+          <input
+            type="file"
+            accept={PROJECT_BUNDLE_EXTENSION}
+            onChange={importProject}
+            className="block mt-1 text-sm text-gray-500
+              file:mr-4 file:py-1 file:px-3
+              file:rounded-md file:border-0
+              file:text-sm file:font-semibold
+              file:bg-blue-50 file:text-blue-700
+              hover:file:bg-blue-100"
+          />
+        </label>
+      </div>
+    </div>
+  );
+};
+
+export default ProjectBundlePanel;
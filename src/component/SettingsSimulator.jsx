@@ -3,6 +3,15 @@ import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls';
 import Chart from 'chart.js/auto';
 import { Line } from 'react-chartjs-2';
+import useBlackboxStore from '../store/blackboxStore';
+import FilterChainPreview from './FilterChainPreview';
+import { getFlightSettings } from '../utils/flightSettings';
+import {
+  createFilterChainConfig,
+  applyFilterSettings,
+  getFilterChainResponse,
+  RESPONSE_THROTTLE
+} from '../utils/filterChain';
 
 const SettingsSimulator = ({ currentSettings, recommendations, metadata }) => {
   // State for slider controls
@@ -20,6 +29,9 @@ const SettingsSimulator = ({ currentSettings, recommendations, metadata }) => {
     }
   });
 
+  // Settings changed by the user are kept with the log (and in project files)
+  const setSimulatorSettings = useBlackboxStore(state => state.setSimulatorSettings);
+
   // State for display modes
   const [activeTab, setActiveTab] = useState('step-response');
   const [activePidAxis, setActivePidAxis] = useState('roll');
@@ -44,16 +56,21 @@ const SettingsSimulator = ({ currentSettings, recommendations, metadata }) => {
   // Add a control ref to track if the DOM element has been initialized
   const controlsRef = useRef(null);
 
-  // Initialize simulated settings with recommended values
+  // Initialize simulated settings with saved or recommended values
   useEffect(() => {
     if (recommendations) {
-      setSimulatedSettings({
+      const savedSettings = useBlackboxStore.getState().simulatorSettings.settingsSimulator;
+      setSimulatedSettings(savedSettings || {
         pid: { ...recommendations.pid },
         filters: { ...recommendations.filters }
       });
     }
   }, [recommendations]);
 
+  useEffect(() => {
+    setSimulatorSettings('settingsSimulator', simulatedSettings);
+  }, [simulatedSettings, setSimulatorSettings]);
+
   // Initialize charts when component mounts or settings change
   useEffect(() => {
     if (stepResponseChartRef.current && activeTab === 'step-response') {
@@ -389,26 +406,14 @@ const SettingsSimulator = ({ currentSettings, recommendations, metadata }) => {
       filterResponseChartInstance.current.destroy();
     }
     
-    // Generate filter response data
+    // Generate filter response data from the Betaflight filter chain model:
+    // the chain from the log headers vs the same chain with the simulated values
     const frequencyRange = Array.from({ length: 100 }, (_, i) => i * 5); // 0-500Hz
+    const currentChain = createFilterChainConfig(getFlightSettings(metadata));
+    const simulatedChain = applyFilterSettings(currentChain, simulatedSettings.filters, simulatedSettings.pid);
     
-    const currentGyroResponse = generateFilterResponse(
-      currentSettings?.filters?.gyro_lowpass_hz || 100
-    );
-    
-    const simulatedGyroResponse = generateFilterResponse(
-      simulatedSettings.filters.gyro_lowpass_hz
-    );
-    
-    const currentDtermResponse = generateFilterResponse(
-      currentSettings?.filters?.dterm_lowpass_hz || 100,
-      0.2
-    );
-    
-    const simulatedDtermResponse = generateFilterResponse(
-      simulatedSettings.filters.dterm_lowpass_hz,
-      0.2
-    );
+    const currentResponse = getFilterChainResponse(currentChain, frequencyRange);
+    const simulatedResponse = getFilterChainResponse(simulatedChain, frequencyRange);
     
     // Create the chart
     const ctx = filterResponseChartRef.current.getContext('2d');
@@ -419,29 +424,29 @@ const SettingsSimulator = ({ currentSettings, recommendations, metadata }) => {
         datasets: [
           {
             label: 'Current Gyro Filter',
-            data: currentGyroResponse,
+            data: currentResponse.gyro,
             borderColor: 'rgb(128, 128, 128)',
             borderWidth: 2,
             pointRadius: 0
           },
           {
             label: 'Simulated Gyro Filter',
-            data: simulatedGyroResponse,
+            data: simulatedResponse.gyro,
             borderColor: 'rgb(54, 162, 235)',
             borderWidth: 2,
             pointRadius: 0
           },
           {
-            label: 'Current D-term Filter',
-            data: currentDtermResponse,
+            label: 'Current D-term Chain',
+            data: currentResponse.dterm,
             borderColor: 'rgb(170, 170, 170)',
             borderDash: [5, 5],
             borderWidth: 2,
             pointRadius: 0
           },
           {
-            label: 'Simulated D-term Filter',
-            data: simulatedDtermResponse,
+            label: 'Simulated D-term Chain',
+            data: simulatedResponse.dterm,
             borderColor: 'rgb(99, 207, 255)',
             borderDash: [5, 5],
             borderWidth: 2,
@@ -455,7 +460,7 @@ const SettingsSimulator = ({ currentSettings, recommendations, metadata }) => {
         plugins: {
           title: {
             display: true,
-            text: 'Filter Frequency Response'
+            text: `Filter Frequency Response (model, ${RESPONSE_THROTTLE * 100}% throttle)`
           },
           tooltip: {
             mode: 'index',
@@ -624,16 +629,6 @@ const SettingsSimulator = ({ currentSettings, recommendations, metadata }) => {
     return response;
   };
 
-  // Utility function to generate filter response
-  const generateFilterResponse = (cutoffHz, steepness = 0.1) => {
-    // Generate a simple low-pass filter response
-    const frequencyRange = Array.from({ length: 100 }, (_, i) => i * 5);
-    return frequencyRange.map(f => {
-      const normalizedFreq = f / cutoffHz;
-      return 1 / Math.sqrt(1 + Math.pow(normalizedFreq, 1/steepness));
-    });
-  };
-
   // Utility function to generate expected vibration profile
   const generateVibrationProfile = (p, d, gyroLowpassHz, dtermLowpassHz, notchQ) => {
     const frequencyRange = Array.from({ length: 50 }, (_, i) => i * 10);
@@ -760,6 +755,10 @@ const SettingsSimulator = ({ currentSettings, recommendations, metadata }) => {
     customCommands.push(`set gyro_lowpass_hz = ${simulatedSettings.filters.gyro_lowpass_hz}`);
     customCommands.push(`set dterm_lowpass_hz = ${simulatedSettings.filters.dterm_lowpass_hz}`);
     customCommands.push(`set dyn_notch_q = ${simulatedSettings.filters.dyn_notch_q}`);
+    customCommands.push(`set dyn_notch_count = ${simulatedSettings.filters.dyn_notch_count}`);
+    if (simulatedSettings.filters.rpm_filter_q !== undefined) {
+      customCommands.push(`set rpm_filter_q = ${simulatedSettings.filters.rpm_filter_q}`);
+    }
     
     // Save settings
     customCommands.push('save');
@@ -1035,6 +1034,53 @@ const SettingsSimulator = ({ currentSettings, recommendations, metadata }) => {
               </p>
             </div>
             
+            {/* Dynamic notch count */}
+            <div className="mb-4">
+              <div className="flex justify-between mb-1">
+                <label className="text-sm font-medium">Dyn Notch Count</label>
+                <span className="text-sm text-gray-500">
+                  Поточний: {currentSettings?.filters.dyn_notch_count || 0} | 
+                  Новий: {simulatedSettings.filters.dyn_notch_count}
+                </span>
+              </div>
+              <input
+                type="range"
+                min="0"
+                max="5"
+                value={simulatedSettings.filters.dyn_notch_count}
+                onChange={(e) => handleFilterChange('dyn_notch_count', e.target.value)}
+                className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                Кількість динамічних notch на вісь (з RPM-фільтром зазвичай вистачає 1-2)
+              </p>
+            </div>
+            
+            {/* RPM filter Q, only when the log has the RPM filter enabled */}
+            {currentSettings?.filters.rpm_filter_q > 0 && (
+              <div className="mb-4">
+                <div className="flex justify-between mb-1">
+                  <label className="text-sm font-medium">RPM Filter Q</label>
+                  <span className="text-sm text-gray-500">
+                    Поточний: {currentSettings.filters.rpm_filter_q} | 
+                    Новий: {simulatedSettings.filters.rpm_filter_q ?? currentSettings.filters.rpm_filter_q}
+                  </span>
+                </div>
+                <input
+                  type="range"
+                  min="250"
+                  max="1500"
+                  step="10"
+                  value={simulatedSettings.filters.rpm_filter_q ?? currentSettings.filters.rpm_filter_q}
+                  onChange={(e) => handleFilterChange('rpm_filter_q', e.target.value)}
+                  className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  Ширина notch на обертах моторів: вище = вужчий notch і менша затримка
+                </p>
+              </div>
+            )}
+            
             {/* Action Buttons */}
             <div className="flex space-x-3">
               <button
@@ -1194,9 +1240,11 @@ const SettingsSimulator = ({ currentSettings, recommendations, metadata }) => {
               <div>
                 <h4 className="font-medium text-gray-800 mb-2">Характеристики фільтрів</h4>
                 <p className="text-sm text-gray-600">
-                  Графік показує характеристики пропускання сигналу фільтрами. 
+                  Графік показує характеристики пропускання сигналу фільтрами за моделлю Betaflight
+                  з типами фільтрів і notch із заголовків логу; динамічні lowpass - при газі {RESPONSE_THROTTLE * 100}%.
                   Низькочастотні фільтри (Gyro і Dterm) пропускають сигнали на низьких частотах
                   (льотні команди) і блокують високочастотні сигнали (шум і вібрації).
+                  RPM і динамічні notch залежать від обертів і сигналу - їх дію видно в симуляції на записаному гіроскопі нижче.
                 </p>
               </div>
             )}
@@ -1225,6 +1273,12 @@ const SettingsSimulator = ({ currentSettings, recommendations, metadata }) => {
           </div>
         </div>
       </div>
+      
+      <FilterChainPreview
+        metadata={metadata}
+        filters={simulatedSettings.filters}
+        pid={simulatedSettings.pid}
+      />
     </div>
   );
 };
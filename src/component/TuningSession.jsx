@@ -0,0 +1,369 @@
+import React, { useEffect, useRef, useState } from 'react';
+import useBlackboxStore from '../store/blackboxStore';
+import { analyzeLog } from '../services/analysisPipeline';
+import { generateRecommendations } from '../services/blackboxAnalysisService';
+import { loadLogFromLibrary } from '../services/logLibraryService';
+import { formatFlightDuration } from '../utils/flightLogInfo';
+import { TUNING_STAGES, createTuningIteration } from '../utils/tuningSession';
+
+const ANALYSIS_MODES = { standard: 'Стандартний', cinematic: 'Відеозйомка' };
+
+const STATUS_LABELS = {
+  applied: { label: 'застосовано', className: 'text-green-600' },
+  partial: { label: 'частково', className: 'text-yellow-600' },
+  opposite: { label: 'у протилежний бік', className: 'text-red-600' },
+  skipped: { label: 'не застосовано', className: 'text-gray-500' }
+};
+
+const VERDICTS = {
+  improved: { label: 'Покращення', className: 'bg-green-100 text-green-800' },
+  worse: { label: 'Погіршення', className: 'bg-red-100 text-red-800' },
+  neutral: { label: 'Без суттєвих змін', className: 'bg-gray-100 text-gray-700' }
+};
+
+const formatNumber = (value) => (Number.isInteger(value) ? String(value) : value.toFixed(2));
+
+const entryLabel = (entry) => (
+  `${entry.craftName || entry.fileName || 'Без назви'} · ${entry.startDatetime || new Date(entry.savedAt).toLocaleDateString()} · ${formatFlightDuration(entry.durationSeconds)}`
+);
+
+// Таблиця змін налаштувань: поточне значення, рекомендація і (якщо є) значення в наступному лозі
+const ChangesTable = ({ changes, showStatus }) => (
+  <table className="min-w-full text-xs">
+    <thead className="bg-gray-50">
+      <tr>
+        <th className="px-2 py-1 text-left font-medium text-gray-500">Параметр</th>
+        <th className="px-2 py-1 text-left font-medium text-gray-500">Етап</th>
+        <th className="px-2 py-1 text-right font-medium text-gray-500">Було</th>
+        <th className="px-2 py-1 text-right font-medium text-gray-500">Рекомендовано</th>
+        {showStatus && <th className="px-2 py-1 text-right font-medium text-gray-500">Стало</th>}
+        {showStatus && <th className="px-2 py-1 text-left font-medium text-gray-500">Статус</th>}
+      </tr>
+    </thead>
+    <tbody className="divide-y divide-gray-100">
+      {changes.map(change => (
+        <tr key={change.key}>
+          <td className="px-2 py-1">{change.label}</td>
+          <td className="px-2 py-1 text-gray-500">{TUNING_STAGES.find(stage => stage.id === change.stage)?.label}</td>
+          <td className="px-2 py-1 text-right">{formatNumber(change.current)}</td>
+          <td className="px-2 py-1 text-right">{formatNumber(change.recommended)}</td>
+          {showStatus && <td className="px-2 py-1 text-right">{formatNumber(change.after)}</td>}
+          {showStatus && (
+            <td className={`px-2 py-1 ${STATUS_LABELS[change.status].className}`}>{STATUS_LABELS[change.status].label}</td>
+          )}
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+// Картка ітерації: застосовані зміни, оцінка та наступний крок
+const IterationCard = ({ iteration, index, isLast }) => {
+  const [showMetrics, setShowMetrics] = useState(false);
+  const { applied, score, nextStep } = iteration;
+
+  return (
+    <div className="border border-gray-200 rounded-md p-4 mb-4">
+      <div className="flex items-center justify-between mb-2">
+        <div>
+          <span className="font-semibold">Ітерація {index + 1}</span>
+          <span className="ml-2 text-sm text-gray-500">{iteration.label}</span>
+          {iteration.libraryId == null && (
+            <span className="ml-2 text-xs text-gray-400">(лог видалено з бібліотеки)</span>
+          )}
+        </div>
+        {score && (
+          <span className={`px-2 py-1 text-xs rounded ${VERDICTS[score.verdict].className}`}>
+            {VERDICTS[score.verdict].label}: {score.score > 0 ? '+' : ''}{score.score.toFixed(1)}%
+          </span>
+        )}
+      </div>
+
+      {applied && (
+        <div className="mb-3">
+          <div className="text-sm font-medium text-gray-700 mb-1">
+            Рекомендації попередньої ітерації: застосовано {applied.changes.filter(change => change.status === 'applied').length} з {applied.changes.length}
+          </div>
+          {applied.changes.length > 0 && <ChangesTable changes={applied.changes} showStatus />}
+          {applied.extra.length > 0 && (
+            <div className="mt-1 text-xs text-gray-500">
+              Інші зміни: {applied.extra.map(change => `${change.label} ${formatNumber(change.before)} → ${formatNumber(change.after)}`).join(', ')}
+            </div>
+          )}
+        </div>
+      )}
+
+      {score && score.metrics.length > 0 && (
+        <div className="mb-3">
+          <button onClick={() => setShowMetrics(!showMetrics)} className="text-xs text-blue-600 hover:underline">
+            {showMetrics ? 'Сховати показники' : 'Показати показники'}
+          </button>
+          {showMetrics && (
+            <table className="mt-1 min-w-full text-xs">
+              <tbody className="divide-y divide-gray-100">
+                {score.metrics.map(metric => (
+                  <tr key={metric.label}>
+                    <td className="px-2 py-1">{metric.label}</td>
+                    <td className="px-2 py-1 text-right">{formatNumber(metric.before)} → {formatNumber(metric.after)}</td>
+                    <td className={`px-2 py-1 text-right ${metric.improvement > 0 ? 'text-green-600' : metric.improvement < 0 ? 'text-red-600' : 'text-gray-500'}`}>
+                      {metric.improvement > 0 ? '+' : ''}{metric.improvement.toFixed(1)}%
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+
+      {isLast && (
+        <div className={`p-3 rounded-md text-sm ${nextStep.action === 'revert' ? 'bg-red-50 text-red-800' : 'bg-blue-50 text-blue-800'}`}>
+          <div className="font-medium mb-1">{nextStep.message}</div>
+          {nextStep.changes.length > 0 && (
+            <>
+              <ChangesTable changes={nextStep.changes} showStatus={false} />
+              <div className="mt-1 text-xs">Застосуйте ці зміни, зробіть наступний політ і додайте лог як нову ітерацію.</div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Сесія налаштування: ланцюжок польотів, де кожен наступний зроблено після застосування рекомендацій
+const TuningSession = () => {
+  const logs = useBlackboxStore(state => state.logs);
+  const activeLogIndex = useBlackboxStore(state => state.activeLogIndex);
+  const libraryEntries = useBlackboxStore(state => state.libraryEntries);
+  const tuningSessions = useBlackboxStore(state => state.tuningSessions);
+  const refreshLibrary = useBlackboxStore(state => state.refreshLibrary);
+  const refreshTuningSessions = useBlackboxStore(state => state.refreshTuningSessions);
+  const saveTuningSession = useBlackboxStore(state => state.saveTuningSession);
+  const deleteTuningSession = useBlackboxStore(state => state.deleteTuningSession);
+  const saveActiveLogToLibrary = useBlackboxStore(state => state.saveActiveLogToLibrary);
+  const craftProfiles = useBlackboxStore(state => state.craftProfiles);
+  const refreshCraftProfiles = useBlackboxStore(state => state.refreshCraftProfiles);
+
+  const [sessionId, setSessionId] = useState(null);
+  const [newName, setNewName] = useState('');
+  const [newMode, setNewMode] = useState('standard');
+  const [status, setStatus] = useState(null);
+  const [error, setError] = useState(null);
+  const abortControllerRef = useRef(null);
+
+  useEffect(() => {
+    refreshLibrary();
+    refreshTuningSessions();
+    refreshCraftProfiles();
+  }, [refreshLibrary, refreshTuningSessions, refreshCraftProfiles]);
+
+  // Скасовуємо аналіз, якщо розділ закрито
+  useEffect(() => () => {
+    if (abortControllerRef.current) abortControllerRef.current.abort();
+  }, []);
+
+  const session = tuningSessions.find(item => item.id === sessionId) || null;
+  const activeLog = logs[activeLogIndex];
+
+  const createSession = async () => {
+    const saved = await saveTuningSession({
+      name: newName.trim(),
+      analysisMode: newMode,
+      createdAt: Date.now(),
+      iterations: []
+    });
+    if (saved) {
+      setSessionId(saved.id);
+      setNewName('');
+    }
+  };
+
+  const removeSession = () => {
+    if (window.confirm(`Видалити сесію "${session.name}"? Логи залишаться в бібліотеці.`)) {
+      deleteTuningSession(session.id);
+      setSessionId(null);
+    }
+  };
+
+  // Аналіз логу, рекомендації та оцінка відносно попередньої ітерації
+  const addIteration = async (libraryId, label, log) => {
+    setError(null);
+    setStatus('Аналіз логу...');
+    abortControllerRef.current = new AbortController();
+
+    try {
+      const craftProfile = craftProfiles.find(profile => profile.id === log.craftProfileId) || null;
+      const results = await analyzeLog(log, { signal: abortControllerRef.current.signal, craftProfile });
+      const saved = log.analysis;
+      // Збережені рекомендації придатні, лише якщо повторно використано й збережені результати
+      const recommendations = saved && saved.results === results && saved.recommendations && saved.analysisMode === session.analysisMode
+        ? saved.recommendations
+        : generateRecommendations(results, log.metadata, session.analysisMode);
+
+      const previous = session.iterations[session.iterations.length - 1] || null;
+      const iteration = createTuningIteration({ libraryId, label, metadata: log.metadata, results, recommendations }, previous);
+      await saveTuningSession({ ...session, iterations: [...session.iterations, iteration] });
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      console.error("Помилка додавання ітерації сесії:", err);
+      setError(err.message);
+    } finally {
+      setStatus(null);
+    }
+  };
+
+  const addLibraryLog = async (entry) => {
+    setStatus('Завантаження логу...');
+    try {
+      const { log } = await loadLogFromLibrary(entry.id);
+      await addIteration(entry.id, entryLabel(entry), log);
+    } catch (err) {
+      console.error("Помилка завантаження логу з бібліотеки:", err);
+      setError(err.message);
+      setStatus(null);
+    }
+  };
+
+  // Ітерації посилаються на логи бібліотеки, тож активний лог спершу зберігається
+  const addActiveLog = async () => {
+    if (activeLog.libraryId == null) {
+      setStatus('Збереження логу в бібліотеку...');
+      await saveActiveLogToLibrary({ tags: session.name ? [session.name] : [] });
+    }
+    if (activeLog.libraryId == null) {
+      setStatus(null);
+      return;
+    }
+    const entry = useBlackboxStore.getState().libraryEntries.find(item => item.id === activeLog.libraryId);
+    await addIteration(activeLog.libraryId, entry ? entryLabel(entry) : `Лог #${activeLog.libraryId}`, activeLog);
+  };
+
+  const removeLastIteration = () => {
+    saveTuningSession({ ...session, iterations: session.iterations.slice(0, -1) });
+  };
+
+  const usedIds = new Set(session ? session.iterations.map(iteration => iteration.libraryId).filter(id => id != null) : []);
+  const availableEntries = libraryEntries.filter(entry => !usedIds.has(entry.id));
+
+  return (
+    <div className="bg-white shadow-md rounded-lg p-6 mb-8">
+      <h2 className="text-2xl font-bold mb-4 text-gray-800">Сесія налаштування</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Додавайте логи по черзі: після кожного польоту застосуйте рекомендовані зміни й додайте наступний лог.
+        Застосовані зміни визначаються за заголовками логів, а кожна ітерація оцінюється за відхиленнями, відгуком і шумом.
+        Порядок етапів: {TUNING_STAGES.map(stage => stage.label).join(' → ')}.
+      </p>
+
+      <div className="mb-6 bg-gray-50 p-4 rounded-md flex flex-wrap gap-4 items-end">
+        <label className="text-sm text-gray-700">
+          Сесія
+          <select
+            value={sessionId ?? ''}
+            onChange={e => setSessionId(e.target.value ? Number(e.target.value) : null)}
+            className="block mt-1 px-2 py-1 text-sm border border-gray-300 rounded-md"
+          >
+            <option value="">Оберіть сесію...</option>
+            {tuningSessions.map(item => (
+              <option key={item.id} value={item.id}>
+                {item.name} · {item.iterations.length} ітер.
+              </option>
+            ))}
+          </select>
+        </label>
+        <div className="flex gap-2 items-end">
+          <input
+            type="text"
+            value={newName}
+            onChange={e => setNewName(e.target.value)}
+            placeholder="Назва нової сесії"
+            className="px-2 py-1 text-sm border border-gray-300 rounded-md"
+          />
+          <select
+            value={newMode}
+            onChange={e => setNewMode(e.target.value)}
+            className="px-2 py-1 text-sm border border-gray-300 rounded-md"
+          >
+            {Object.entries(ANALYSIS_MODES).map(([mode, label]) => <option key={mode} value={mode}>{label}</option>)}
+          </select>
+          <button
+            onClick={createSession}
+            disabled={!newName.trim()}
+            className={`px-3 py-1 text-sm rounded-md ${
+              newName.trim() ? 'bg-blue-500 hover:bg-blue-600 text-white' : 'bg-gray-200 text-gray-400 cursor-not-allowed'
+            }`}
+          >
+            Нова сесія
+          </button>
+        </div>
+      </div>
+
+      {session && (
+        <div>
+          <div className="flex items-center justify-between mb-4">
+            <div className="text-sm text-gray-600">
+              Режим рекомендацій: {ANALYSIS_MODES[session.analysisMode]} · створено {new Date(session.createdAt).toLocaleDateString()}
+            </div>
+            <button
+              onClick={removeSession}
+              className="px-3 py-1 text-sm text-red-600 border border-red-300 rounded-md hover:bg-red-50"
+            >
+              Видалити сесію
+            </button>
+          </div>
+
+          <div className="mb-4 flex flex-wrap gap-2 items-center">
+            <button
+              onClick={addActiveLog}
+              disabled={!activeLog || Boolean(status) || usedIds.has(activeLog.libraryId)}
+              className={`px-3 py-1 text-sm rounded-md ${
+                !activeLog || status || usedIds.has(activeLog.libraryId)
+                  ? 'bg-gray-200 text-gray-400 cursor-not-allowed'
+                  : 'bg-blue-500 hover:bg-blue-600 text-white'
+              }`}
+            >
+              Додати активний лог
+            </button>
+            <select
+              value=""
+              disabled={Boolean(status)}
+              onChange={e => {
+                const entry = availableEntries.find(item => item.id === Number(e.target.value));
+                if (entry) addLibraryLog(entry);
+              }}
+              className="px-2 py-1 text-sm border border-gray-300 rounded-md"
+            >
+              <option value="">Додати лог з бібліотеки...</option>
+              {availableEntries.map(entry => <option key={entry.id} value={entry.id}>{entryLabel(entry)}</option>)}
+            </select>
+            {status && <span className="text-sm text-gray-500">{status}</span>}
+          </div>
+
+          {error && (
+            <div className="mb-4 p-3 bg-red-100 text-red-700 rounded-md text-sm">{error}</div>
+          )}
+
+          {session.iterations.length === 0 ? (
+            <p className="text-sm text-gray-500">Додайте лог першого польоту, щоб отримати рекомендації.</p>
+          ) : (
+            <>
+              {session.iterations.map((iteration, index) => (
+                <IterationCard
+                  key={`${iteration.libraryId}-${iteration.addedAt}`}
+                  iteration={iteration}
+                  index={index}
+                  isLast={index === session.iterations.length - 1}
+                />
+              ))}
+              <button onClick={removeLastIteration} className="text-sm text-red-600 hover:underline">
+                Видалити останню ітерацію
+              </button>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TuningSession;
@@ -0,0 +1,118 @@
+import React, { useState } from 'react';
+import 'chart.js/auto';
+import { Line } from 'react-chartjs-2';
+import { MIN_COHERENCE } from '../../utils/filterTransferFunction';
+
+const AXIS_COLORS = { roll: '#ef4444', pitch: '#22c55e', yaw: '#3b82f6' };
+
+const chartOptions = (yTitle) => ({
+  responsive: true,
+  maintainAspectRatio: false,
+  animation: false,
+  parsing: false,
+  plugins: { legend: { position: 'bottom' } },
+  scales: {
+    x: { type: 'logarithmic', title: { display: true, text: 'Частота, Гц' } },
+    y: { type: 'linear', title: { display: true, text: yTitle } }
+  }
+});
+
+const formatMs = (value) => (value === null ? 'н/д' : `${value.toFixed(2)} мс`);
+
+// Діаграма Боде виміряної передавальної функції фільтрів гіроскопа, затримки та загасання
+const FilterBodePlot = ({ transferFunction }) => {
+  const axes = Object.keys(transferFunction);
+  const [selectedAxis, setSelectedAxis] = useState(null);
+  const axis = axes.includes(selectedAxis) ? selectedAxis : axes[0];
+  const selected = transferFunction[axis];
+
+  // Фаза на частотах з низькою когерентністю не показується - там оцінка шумова
+  const datasetsFor = (getValue) => axes.map(name => {
+    const transfer = transferFunction[name];
+    return {
+      label: name,
+      data: transfer.frequencies.map((frequency, index) => ({ x: frequency, y: getValue(transfer, index) })),
+      borderColor: AXIS_COLORS[name],
+      backgroundColor: AXIS_COLORS[name],
+      borderWidth: 1.5,
+      pointRadius: 0,
+      spanGaps: false
+    };
+  });
+
+  return (
+    <div className="mt-4">
+      <p className="font-medium text-gray-700">Виміряна передавальна функція фільтрів гіроскопа (gyroUnfilt → gyroADC)</p>
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 mt-2">
+        <div className="h-56">
+          <Line
+            data={{ datasets: datasetsFor((transfer, index) => transfer.magnitudeDb[index]) }}
+            options={chartOptions('Підсилення, дБ')}
+          />
+        </div>
+        <div className="h-56">
+          <Line
+            data={{
+              datasets: datasetsFor((transfer, index) => (transfer.coherence[index] >= MIN_COHERENCE ? transfer.phaseDeg[index] : null))
+            }}
+            options={chartOptions('Фаза, °')}
+          />
+        </div>
+      </div>
+
+      <div className="flex items-center gap-1 mt-3">
+        {axes.map(name => (
+          <button
+            key={name}
+            onClick={() => setSelectedAxis(name)}
+            className={`px-2 py-1 text-xs rounded-md capitalize ${axis === name ? 'bg-blue-500 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+          >
+            {name}
+          </button>
+        ))}
+        <span className="ml-2 text-xs text-gray-500">вікон: {selected.windowCount}</span>
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-2 text-sm">
+        <table className="min-w-full">
+          <thead>
+            <tr className="text-xs text-gray-500">
+              <th className="text-left font-medium">Частота</th>
+              <th className="text-left font-medium">Групова затримка</th>
+              <th className="text-left font-medium">Фазова затримка</th>
+            </tr>
+          </thead>
+          <tbody className="font-mono">
+            {selected.delays.map(delay => (
+              <tr key={delay.frequency}>
+                <td>{delay.frequency.toFixed(0)} Гц</td>
+                <td>{formatMs(delay.groupDelayMs)}</td>
+                <td>{formatMs(delay.phaseDelayMs)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <table className="min-w-full">
+          <thead>
+            <tr className="text-xs text-gray-500">
+              <th className="text-left font-medium">Смуга</th>
+              <th className="text-left font-medium">Загасання</th>
+            </tr>
+          </thead>
+          <tbody className="font-mono">
+            {selected.attenuation.map(band => (
+              <tr key={band.from}>
+                <td>{band.from.toFixed(0)}-{band.to.toFixed(0)} Гц</td>
+                <td>{band.attenuationDb === null ? 'н/д' : `${band.attenuationDb.toFixed(1)} дБ`}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-gray-400 mt-1">
+        Оцінка за взаємною спектральною густиною; фаза і затримки на частотах з когерентністю нижче {MIN_COHERENCE} не показуються.
+      </p>
+    </div>
+  );
+};
+
+export default FilterBodePlot;
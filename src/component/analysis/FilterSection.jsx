@@ -1,4 +1,6 @@
 import React from 'react';
+import ThrottleNoiseHeatmap from './ThrottleNoiseHeatmap';
+import FilterBodePlot from './FilterBodePlot';
 
 const FilterSection = ({ filterAnalysis }) => {
   return (
@@ -17,6 +19,9 @@ const FilterSection = ({ filterAnalysis }) => {
               <p className="text-sm">
                 <span className="text-gray-500">Фазова затримка:</span>
                 <span className="ml-2 font-mono">{filterAnalysis.gyroFilters.phaseDelay.toFixed(2)} мс</span>
+                <span className="ml-1 text-xs text-gray-400">
+                  {filterAnalysis.gyroFilters.phaseDelayMeasured ? '(виміряна, 20-100 Гц)' : '(оцінка за частотою зрізу)'}
+                </span>
               </p>
               <p className="text-sm">
                 <span className="text-gray-500">Рекомендована частота:</span>
@@ -140,6 +145,16 @@ const FilterSection = ({ filterAnalysis }) => {
       ) : (
         <p className="text-sm text-gray-500">Немає даних для аналізу фільтрів.</p>
       )}
+
+      {/* Передавальна функція фільтрів гіроскопа */}
+      {filterAnalysis && filterAnalysis.gyroFilters.transferFunction && (
+        <FilterBodePlot transferFunction={filterAnalysis.gyroFilters.transferFunction} />
+      )}
+
+      {/* Шум моторів і рами за положенням газу */}
+      {filterAnalysis && filterAnalysis.throttleSpectrum && (
+        <ThrottleNoiseHeatmap throttleSpectrum={filterAnalysis.throttleSpectrum} />
+      )}
     </div>
   );
 };
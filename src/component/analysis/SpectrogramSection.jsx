@@ -0,0 +1,205 @@
+import React, { useState, useMemo, useEffect, useRef } from 'react';
+import useBlackboxStore from '../../store/blackboxStore';
+import { createFlightDataAccessor } from '../../utils/flightDataAccessor';
+import { createGapIndex } from '../../utils/analyzerUtils';
+import { findColumnName, getFieldDefinition } from '../../utils/blackboxColumnMapper';
+import {
+  computeSpectrogram,
+  spectrogramColor,
+  SPECTROGRAM_WINDOW_SIZES,
+  SPECTROGRAM_OVERLAPS,
+  SPECTROGRAM_DYNAMIC_RANGE_DB
+} from '../../utils/spectrogram';
+
+// Колонки, для яких спектрограма найчастіше потрібна, - на початку списку
+const PREFERRED_COLUMNS = [
+  'gyroUnfilt[0]', 'gyroUnfilt[1]', 'gyroUnfilt[2]',
+  'gyroADC[0]', 'gyroADC[1]', 'gyroADC[2]',
+  'axisD[0]', 'axisD[1]', 'axisD[2]',
+  'motor[0]', 'motor[1]', 'motor[2]', 'motor[3]'
+];
+
+// Спектрограма (STFT) будь-якої колонки з курсором часу, спільним з таблицею переглядача
+const SpectrogramSection = () => {
+  const flightTable = useBlackboxStore(state => state.flightTable);
+  const dataHeaders = useBlackboxStore(state => state.dataHeaders);
+  const flightSettings = useBlackboxStore(state => state.flightSettings);
+  const logIntegrity = useBlackboxStore(state => state.logIntegrity);
+  const cursorRow = useBlackboxStore(state => state.cursorRow);
+  const setCursorRow = useBlackboxStore(state => state.setCursorRow);
+
+  const columnOptions = useMemo(() => {
+    const preferred = PREFERRED_COLUMNS
+      .map(name => findColumnName(name, dataHeaders, false, false))
+      .filter((header, index, all) => header && all.indexOf(header) === index);
+    return [...preferred, ...dataHeaders.filter(header => !preferred.includes(header))];
+  }, [dataHeaders]);
+
+  const [selectedColumn, setSelectedColumn] = useState(null);
+  const [windowSize, setWindowSize] = useState(256);
+  const [overlap, setOverlap] = useState(0.75);
+  const canvasRef = useRef(null);
+
+  // Вибір скидається, якщо колонки немає в активному лозі
+  const column = columnOptions.includes(selectedColumn) ? selectedColumn : columnOptions[0];
+  const sampleRateHz = flightSettings.sampleRateHz;
+
+  const spectrogram = useMemo(() => {
+    if (!flightTable || !column) return null;
+    const values = createFlightDataAccessor(flightTable, dataHeaders).column(column);
+    if (!values) return null;
+    const gaps = createGapIndex(logIntegrity ? logIntegrity.gaps.map(gap => gap.row) : []);
+    return computeSpectrogram(values, { sampleRateHz, windowSize, overlap, gaps });
+  }, [flightTable, dataHeaders, column, sampleRateHz, windowSize, overlap, logIntegrity]);
+
+  const timeValues = useMemo(
+    () => (flightTable ? createFlightDataAccessor(flightTable, dataHeaders).column('time') : null),
+    [flightTable, dataHeaders]
+  );
+
+  // Теплова карта: по горизонталі вікна (час), по вертикалі частоти знизу вгору
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !spectrogram || !spectrogram.frameCount) return;
+
+    const { frameCount, binCount, magnitudes, maxDb } = spectrogram;
+    canvas.width = frameCount;
+    canvas.height = binCount;
+    const context = canvas.getContext('2d');
+    const image = context.createImageData(frameCount, binCount);
+    const minDb = maxDb - SPECTROGRAM_DYNAMIC_RANGE_DB;
+
+    for (let frame = 0; frame < frameCount; frame++) {
+      for (let bin = 0; bin < binCount; bin++) {
+        const db = magnitudes[frame * binCount + bin];
+        const offset = ((binCount - 1 - bin) * frameCount + frame) * 4;
+        const [r, g, b] = Number.isNaN(db) ? [200, 200, 200] : spectrogramColor((db - minDb) / (maxDb - minDb));
+        image.data[offset] = r;
+        image.data[offset + 1] = g;
+        image.data[offset + 2] = b;
+        image.data[offset + 3] = 255;
+      }
+    }
+    context.putImageData(image, 0, 0);
+  }, [spectrogram]);
+
+  if (!flightTable || !columnOptions.length) return null;
+
+  const hasFrames = spectrogram && spectrogram.frameCount > 0;
+  const firstRow = hasFrames ? spectrogram.frameRows[0] : 0;
+  const lastRow = hasFrames ? spectrogram.frameRows[spectrogram.frameCount - 1] : 0;
+  const rowSpan = Math.max(1, lastRow - firstRow);
+
+  // Час рядка від початку логу (с), за відсутності колонки time - за частотою запису
+  const secondsAt = (row) => (timeValues && timeValues.length
+    ? (timeValues[row] - timeValues[0]) / 1000000
+    : row / sampleRateHz);
+
+  const handleClick = (event) => {
+    const rect = event.currentTarget.getBoundingClientRect();
+    const fraction = Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width));
+    setCursorRow(Math.round(firstRow + fraction * rowSpan));
+  };
+
+  // Вікно під курсором і найсильніша частота в ньому
+  const cursorVisible = hasFrames && cursorRow !== null && cursorRow >= firstRow && cursorRow <= lastRow;
+  let cursorPeak = null;
+  if (cursorVisible) {
+    const frame = Math.round(((cursorRow - firstRow) / rowSpan) * (spectrogram.frameCount - 1));
+    let peakBin = 1;
+    for (let bin = 1; bin < spectrogram.binCount; bin++) {
+      if (spectrogram.magnitudes[frame * spectrogram.binCount + bin] > spectrogram.magnitudes[frame * spectrogram.binCount + peakBin]) {
+        peakBin = bin;
+      }
+    }
+    cursorPeak = Number.isNaN(spectrogram.magnitudes[frame * spectrogram.binCount + peakBin]) ? null : spectrogram.frequencies[peakBin];
+  }
+
+  const columnLabel = (header) => {
+    const field = getFieldDefinition(header);
+    return field && field.label !== header ? `${header} - ${field.label}` : header;
+  };
+
+  return (
+    <div className="mt-6 bg-gray-50 p-4 rounded-lg shadow">
+      <h4 className="font-medium text-lg mb-2">Спектрограма</h4>
+      <div className="flex flex-wrap items-center gap-4 mb-2 text-sm">
+        <label className="text-gray-600">
+          Колонка
+          <select
+            value={column}
+            onChange={e => setSelectedColumn(e.target.value)}
+            className="ml-1 px-1 py-0.5 border border-gray-300 rounded-md"
+          >
+            {columnOptions.map(header => <option key={header} value={header}>{columnLabel(header)}</option>)}
+          </select>
+        </label>
+        <label className="text-gray-600">
+          Вікно
+          <select
+            value={windowSize}
+            onChange={e => setWindowSize(Number(e.target.value))}
+            className="ml-1 px-1 py-0.5 border border-gray-300 rounded-md"
+          >
+            {SPECTROGRAM_WINDOW_SIZES.map(size => (
+              <option key={size} value={size}>{size} ({((size / sampleRateHz) * 1000).toFixed(0)} мс)</option>
+            ))}
+          </select>
+        </label>
+        <label className="text-gray-600">
+          Перекриття
+          <select
+            value={overlap}
+            onChange={e => setOverlap(Number(e.target.value))}
+            className="ml-1 px-1 py-0.5 border border-gray-300 rounded-md"
+          >
+            {SPECTROGRAM_OVERLAPS.map(value => <option key={value} value={value}>{(value * 100).toFixed(1).replace(/\.0$/, '')}%</option>)}
+          </select>
+        </label>
+        {hasFrames && (
+          <span className="text-xs text-gray-500">
+            Роздільність: {(sampleRateHz / windowSize).toFixed(1)} Гц × {((spectrogram.hop / sampleRateHz) * 1000).toFixed(1)} мс
+            {spectrogram.hop > Math.round(windowSize * (1 - overlap)) && ' (крок збільшено для довгого логу)'}
+          </span>
+        )}
+      </div>
+
+      {hasFrames ? (
+        <>
+          <div className="flex">
+            <div className="flex flex-col justify-between text-xs text-gray-500 pr-1 text-right" style={{ height: '16rem' }}>
+              <span>{(sampleRateHz / 2).toFixed(0)} Гц</span>
+              <span>{(sampleRateHz / 4).toFixed(0)}</span>
+              <span>0</span>
+            </div>
+            <div className="relative flex-1 cursor-crosshair" onClick={handleClick}>
+              <canvas ref={canvasRef} className="block w-full" style={{ height: '16rem', imageRendering: 'pixelated' }} />
+              {cursorVisible && (
+                <div
+                  className="absolute top-0 h-full w-0.5 bg-red-500 pointer-events-none"
+                  style={{ left: `${((cursorRow - firstRow) / rowSpan) * 100}%` }}
+                />
+              )}
+            </div>
+          </div>
+          <div className="flex justify-between text-xs text-gray-500 mt-1 pl-10">
+            <span>{secondsAt(firstRow).toFixed(1)} с</span>
+            <span>
+              {cursorVisible
+                ? `Курсор: ${secondsAt(cursorRow).toFixed(3)} с, рядок ${cursorRow.toLocaleString()}${cursorPeak !== null ? `, пік ${cursorPeak.toFixed(0)} Гц` : ''}`
+                : 'Клацніть на спектрограмі, щоб поставити курсор часу (він також виділяє рядок у таблиці переглядача)'}
+            </span>
+            <span>{secondsAt(lastRow).toFixed(1)} с</span>
+          </div>
+          <p className="text-xs text-gray-400 mt-1">
+            Шкала кольорів: {SPECTROGRAM_DYNAMIC_RANGE_DB} дБ нижче максимуму; сірим позначено вікна, що перетинають розриви логу.
+          </p>
+        </>
+      ) : (
+        <p className="text-sm text-gray-500">Лог закороткий для вибраного вікна або колонка не числова.</p>
+      )}
+    </div>
+  );
+};
+
+export default SpectrogramSection;
@@ -1,6 +1,51 @@
 import React from 'react';
+import 'chart.js/auto';
+import { Line } from 'react-chartjs-2';
+import { STEP_RESPONSE_SPLIT_RATE } from '../../utils/stepResponseDeconvolution';
 
-const StepResponseSection = ({ stepResponseMetrics }) => {
+// Групи вікон за максимальною швидкістю setpoint
+const RATE_GROUPS = [
+  { key: 'low', label: `< ${STEP_RESPONSE_SPLIT_RATE} °/с`, color: '#3b82f6', band: 'rgba(59, 130, 246, 0.15)' },
+  { key: 'high', label: `> ${STEP_RESPONSE_SPLIT_RATE} °/с`, color: '#f97316', band: 'rgba(249, 115, 22, 0.15)' }
+];
+
+const chartOptions = {
+  responsive: true,
+  maintainAspectRatio: false,
+  animation: false,
+  parsing: false,
+  plugins: {
+    // Межі довірчого інтервалу в легенді не показуємо
+    legend: { position: 'bottom', labels: { filter: item => !item.text.startsWith('_') } }
+  },
+  scales: {
+    x: { type: 'linear', title: { display: true, text: 'Час, мс' } },
+    y: { type: 'linear', title: { display: true, text: 'Частка setpoint' } }
+  }
+};
+
+const toPoints = (curve, values) => curve.time.map((time, index) => ({ x: time, y: values[index] }));
+
+// Середня характеристика групи та смуга 95% довірчого інтервалу між верхньою і нижньою межами
+const datasetsFor = (axisResponse) => RATE_GROUPS.flatMap(group => {
+  const curve = axisResponse[group.key];
+  if (!curve) return [];
+  return [
+    { label: `_${group.key}_upper`, data: toPoints(curve, curve.upper), borderWidth: 0, pointRadius: 0, fill: '+1', backgroundColor: group.band },
+    { label: `_${group.key}_lower`, data: toPoints(curve, curve.lower), borderWidth: 0, pointRadius: 0, fill: false },
+    {
+      label: `${group.label} (вікон: ${curve.windowCount})`,
+      data: toPoints(curve, curve.mean),
+      borderColor: group.color,
+      backgroundColor: group.color,
+      borderWidth: 2,
+      pointRadius: 0,
+      fill: false
+    }
+  ];
+});
+
+const StepResponseSection = ({ stepResponseMetrics, deconvolvedStepResponse }) => {
   return (
     <div className="bg-gray-50 p-4 rounded-lg shadow">
       <h4 className="font-medium text-lg mb-2">Аналіз швидкості реакції</h4>
@@ -35,6 +80,25 @@ const StepResponseSection = ({ stepResponseMetrics }) => {
                   <p className="font-mono">{metrics.decayRate?.toFixed(1) || "н/д"}%</p>
                 </div>
               </div>
+              {deconvolvedStepResponse && deconvolvedStepResponse[axis] && datasetsFor(deconvolvedStepResponse[axis]).length > 0 && (
+                <div className="mt-2">
+                  <p className="text-sm text-gray-500">Перехідна характеристика (деконволюція setpoint→gyro):</p>
+                  <div className="h-48">
+                    <Line data={{ datasets: datasetsFor(deconvolvedStepResponse[axis]) }} options={chartOptions} />
+                  </div>
+                  <div className="flex flex-wrap gap-x-4 text-xs text-gray-600">
+                    {RATE_GROUPS.filter(group => deconvolvedStepResponse[axis][group.key]).map(group => {
+                      const curve = deconvolvedStepResponse[axis][group.key];
+                      return (
+                        <span key={group.key}>
+                          {group.label}: пік {curve.peak.toFixed(2)} на {curve.peakTime.toFixed(0)} мс,
+                          наростання {curve.riseTime !== null ? `${curve.riseTime.toFixed(1)} мс` : 'н/д'}
+                        </span>
+                      );
+                    })}
+                  </div>
+                </div>
+              )}
             </div>
           ))}
         </div>
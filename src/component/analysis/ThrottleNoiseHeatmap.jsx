@@ -0,0 +1,166 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { spectrogramColor, SPECTROGRAM_DYNAMIC_RANGE_DB } from '../../utils/spectrogram';
+
+const SOURCES = [
+  { key: 'gyroUnfilt', label: 'Гіроскоп (нефільтр.)' },
+  { key: 'gyroADC', label: 'Гіроскоп (фільтр.)' },
+  { key: 'axisD', label: 'D-терм' }
+];
+
+const AXES = ['roll', 'pitch', 'yaw'];
+
+// Кольори ліній гармонік обертів моторів
+const HARMONIC_COLORS = ['#ef4444', '#f97316', '#e879f9', '#f1f5f9'];
+
+const toDb = (amplitude) => 20 * Math.log10(amplitude + 1e-9);
+
+// Теплова карта шуму газ × частота з лініями гармонік обертів моторів (eRPM)
+const ThrottleNoiseHeatmap = ({ throttleSpectrum }) => {
+  const { sources, frequencies, throttleBands, windowCounts, rpmHz, rpmHarmonics, throttleSource } = throttleSpectrum;
+  const availableSources = SOURCES.filter(source => sources[source.key]);
+  const nyquist = frequencies[frequencies.length - 1] + (frequencies[1] - frequencies[0]);
+
+  const [selectedSource, setSelectedSource] = useState(null);
+  const [axis, setAxis] = useState('roll');
+  const [maxFrequency, setMaxFrequency] = useState(Math.min(1000, nyquist));
+  const canvasRef = useRef(null);
+
+  // Вибір скидається, якщо в нових результатах такої колонки немає
+  const sourceKey = sources[selectedSource] ? selectedSource : availableSources.length ? availableSources[0].key : null;
+  const bands = sourceKey ? sources[sourceKey][axis] : null;
+  const binCount = frequencies.filter(frequency => frequency < maxFrequency).length;
+
+  // Шкала кольорів спільна для всіх колонок осі, щоб видно було, скільки шуму прибирають фільтри
+  const axisMaxDb = Math.max(...Object.values(sources).flatMap(axes => (axes[axis] || [])
+    .filter(Boolean)
+    .map(spectrum => toDb(Math.max(...spectrum.slice(1, binCount))))));
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !bands) return;
+
+    canvas.width = throttleBands.length;
+    canvas.height = binCount;
+    const context = canvas.getContext('2d');
+    const image = context.createImageData(throttleBands.length, binCount);
+    const minDb = axisMaxDb - SPECTROGRAM_DYNAMIC_RANGE_DB;
+
+    bands.forEach((spectrum, band) => {
+      for (let bin = 0; bin < binCount; bin++) {
+        const offset = ((binCount - 1 - bin) * throttleBands.length + band) * 4;
+        const [r, g, b] = spectrum
+          ? spectrogramColor((toDb(spectrum[bin]) - minDb) / SPECTROGRAM_DYNAMIC_RANGE_DB)
+          : [200, 200, 200];
+        image.data[offset] = r;
+        image.data[offset + 1] = g;
+        image.data[offset + 2] = b;
+        image.data[offset + 3] = 255;
+      }
+    });
+    context.putImageData(image, 0, 0);
+  }, [bands, binCount, throttleBands, axisMaxDb]);
+
+  if (!availableSources.length) return null;
+
+  const visibleMaxFrequency = binCount ? frequencies[binCount - 1] + (frequencies[1] - frequencies[0]) : maxFrequency;
+  const hasRpm = rpmHz.some(value => value !== null);
+
+  // Лінії гармонік: точка в центрі кожної смуги газу, де є дані eRPM
+  const harmonicLines = hasRpm
+    ? Array.from({ length: rpmHarmonics }, (_, index) => ({
+      harmonic: index + 1,
+      points: rpmHz
+        .map((hz, band) => (hz === null ? null : `${((band + 0.5) / throttleBands.length) * 100},${100 - (hz * (index + 1) / visibleMaxFrequency) * 100}`))
+        .filter(Boolean)
+        .join(' ')
+    }))
+    : [];
+
+  return (
+    <div className="mt-4">
+      <p className="font-medium text-gray-700">Шум за газом</p>
+      <div className="flex flex-wrap items-center gap-4 my-2 text-sm">
+        <div className="flex gap-1">
+          {availableSources.map(option => (
+            <button
+              key={option.key}
+              onClick={() => setSelectedSource(option.key)}
+              className={`px-2 py-1 text-xs rounded-md ${sourceKey === option.key ? 'bg-blue-500 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        <div className="flex gap-1">
+          {AXES.map(option => (
+            <button
+              key={option}
+              onClick={() => setAxis(option)}
+              className={`px-2 py-1 text-xs rounded-md capitalize ${axis === option ? 'bg-blue-500 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+            >
+              {option}
+            </button>
+          ))}
+        </div>
+        <label className="text-gray-600">
+          До
+          <select
+            value={maxFrequency}
+            onChange={e => setMaxFrequency(Number(e.target.value))}
+            className="ml-1 px-1 py-0.5 border border-gray-300 rounded-md"
+          >
+            {[250, 500, 1000, nyquist].filter((value, index, all) => value <= nyquist && all.indexOf(value) === index).map(value => (
+              <option key={value} value={value}>{value.toFixed(0)} Гц</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {bands ? (
+        <>
+          <div className="flex">
+            <div className="flex flex-col justify-between text-xs text-gray-500 pr-1 text-right" style={{ height: '16rem' }}>
+              <span>{visibleMaxFrequency.toFixed(0)} Гц</span>
+              <span>{(visibleMaxFrequency / 2).toFixed(0)}</span>
+              <span>0</span>
+            </div>
+            <div className="relative flex-1">
+              <canvas ref={canvasRef} className="block w-full" style={{ height: '16rem', imageRendering: 'pixelated' }} />
+              {harmonicLines.length > 0 && (
+                <svg className="absolute inset-0 w-full h-full pointer-events-none" viewBox="0 0 100 100" preserveAspectRatio="none">
+                  {harmonicLines.map(line => (
+                    <polyline
+                      key={line.harmonic}
+                      points={line.points}
+                      fill="none"
+                      stroke={HARMONIC_COLORS[(line.harmonic - 1) % HARMONIC_COLORS.length]}
+                      strokeWidth="1.5"
+                      strokeDasharray={line.harmonic > 1 ? '4 2' : undefined}
+                      vectorEffect="non-scaling-stroke"
+                    />
+                  ))}
+                </svg>
+              )}
+            </div>
+          </div>
+          <div className="flex justify-between text-xs text-gray-500 mt-1 pl-10">
+            <span>0%</span>
+            <span>Газ ({throttleSource === 'rcCommand' ? 'rcCommand[3]' : 'середній вихід моторів'})</span>
+            <span>100%</span>
+          </div>
+          <p className="text-xs text-gray-400 mt-1">
+            Шкала: {SPECTROGRAM_DYNAMIC_RANGE_DB} дБ нижче максимуму осі; сірим - смуги газу без даних
+            (смуг з даними: {windowCounts.filter(Boolean).length} з {windowCounts.length}).
+            {hasRpm
+              ? ` Лінії - оберти моторів з eRPM та їх гармоніки (${rpmHarmonics}).`
+              : ' Без eRPM лінії обертів моторів не показуються.'}
+          </p>
+        </>
+      ) : (
+        <p className="text-sm text-gray-500">Немає даних для осі {axis}.</p>
+      )}
+    </div>
+  );
+};
+
+export default ThrottleNoiseHeatmap;
@@ -2,6 +2,7 @@
 export { default as BlackboxAnalyzer } from '../BlackboxAnalyzer';
 export { default as BlackboxLogViewer } from '../BlackboxLogViewer';
 export { default as BlackboxSummary } from '../BlackboxSummary';
+export { default as FlightSelector } from '../FlightSelector';
 export { default as FlightVisualizer3D } from '../FlightVisualizer3D';
 
 // Analysis sub-components
@@ -14,5 +15,6 @@ export { default as StepResponseSection } from '../analysis/StepResponseSection'
 export { default as FrequencySection } from '../analysis/FrequencySection';
 export { default as HarmonicSection } from '../analysis/HarmonicSection';
 export { default as FilterSection } from '../analysis/FilterSection';
+export { default as SpectrogramSection } from '../analysis/SpectrogramSection';
 
 // Services and utils are imported directly from their locations when needed
\ No newline at end of file
@@ -0,0 +1,235 @@
+// src/services/analysisPipeline.js
+
+import { ANALYSIS_STEPS, ANALYSIS_VERSION, runAnalysisStep } from './analysisSteps';
+import { createFlightDataAccessor } from '../utils/flightDataAccessor';
+import { checkLogIntegrity } from '../utils/logIntegrity';
+
+/**
+ * Конвеєр аналізу: незалежні кроки виконуються паралельно в пулі Web Worker,
+ * колонки логу передаються у воркери як transferable типізовані масиви.
+ * Якщо воркери недоступні, кроки виконуються послідовно в основному потоці.
+ */
+
+const createAbortError = () => new DOMException('Аналіз скасовано', 'AbortError');
+
+const canUseWorkers = () => typeof Worker !== 'undefined';
+
+// Один потік лишаємо для UI
+const getWorkerCount = (stepCount) => {
+  const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+  return Math.max(1, Math.min(stepCount, cores - 1));
+};
+
+const createAnalysisWorker = () => new Worker(
+  new URL('../workers/analysisWorker.js', import.meta.url),
+  { type: 'module' }
+);
+
+// Копії колонок, потрібних кроку: буфери копій передаються воркеру без повторного копіювання
+function extractStepColumns(data, step) {
+  const headers = [];
+  const columns = [];
+
+  step.columns.forEach(name => {
+    const resolved = data.resolve(name);
+    if (resolved && !headers.includes(resolved)) {
+      headers.push(resolved);
+      columns.push(data.column(name).slice());
+    }
+  });
+
+  return { headers, columns };
+}
+
+function runStepsInWorkers(data, metadata, steps, { onStepStart, onStepEnd, signal, gapRows, allowedRanges, craftProfile }) {
+  return new Promise((resolve, reject) => {
+    const queue = steps.slice();
+    const workers = new Set();
+    let pending = steps.length;
+    let settled = false;
+
+    const finish = (err) => {
+      if (settled) return;
+      settled = true;
+      workers.forEach(worker => worker.terminate());
+      if (signal) signal.removeEventListener('abort', onAbort);
+      if (err) reject(err); else resolve();
+    };
+
+    function onAbort() {
+      finish(createAbortError());
+    }
+
+    const completeStep = (worker, step, result, error) => {
+      onStepEnd(step, result, error);
+      if (--pending === 0) {
+        finish();
+      } else {
+        dispatch(worker);
+      }
+    };
+
+    const dispatch = (worker) => {
+      const step = queue.shift();
+      if (!step || settled) return;
+
+      const { headers, columns } = extractStepColumns(data, step);
+      onStepStart(step);
+
+      worker.onmessage = (event) => {
+        const { result, error } = event.data;
+        completeStep(worker, step, result, error ? new Error(error) : null);
+      };
+
+      worker.onerror = (event) => {
+        event.preventDefault();
+        // Воркер після помилки завантаження непридатний - замінюємо його новим
+        worker.terminate();
+        workers.delete(worker);
+        const replacement = createAnalysisWorker();
+        workers.add(replacement);
+        completeStep(replacement, step, null, new Error(event.message || 'Помилка Web Worker'));
+      };
+
+      worker.postMessage(
+        { stepId: step.id, headers, columns, metadata, gapRows, allowedRanges, craftProfile },
+        columns.map(column => column.buffer)
+      );
+    };
+
+    if (signal) {
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+      signal.addEventListener('abort', onAbort);
+    }
+
+    for (let i = 0; i < getWorkerCount(steps.length); i++) {
+      const worker = createAnalysisWorker();
+      workers.add(worker);
+      dispatch(worker);
+    }
+  });
+}
+
+async function runStepsInline(data, metadata, steps, { onStepStart, onStepEnd, signal, gapRows, allowedRanges, craftProfile }) {
+  for (const step of steps) {
+    if (signal && signal.aborted) throw createAbortError();
+
+    onStepStart(step);
+    try {
+      const result = await runAnalysisStep(step.id, data.table, data.table.headers, metadata, { gapRows, allowedRanges, craftProfile });
+      onStepEnd(step, result, null);
+    } catch (err) {
+      onStepEnd(step, null, err);
+    }
+
+    // Коротка пауза, щоб UI встиг оновити прогрес
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+
+  if (signal && signal.aborted) throw createAbortError();
+}
+
+/**
+ * Запускає всі кроки аналізу
+ * @param {Array|FlightDataTable} flightData - Дані польоту
+ * @param {Array} dataHeaders - Заголовки даних
+ * @param {Object} metadata - Метадані логу
+ * @param {Object} options - Опції
+ * @param {Function} options.onStepUpdate - Колбек стану кроку { id, name, status, time, error, completed, total }
+ * @param {AbortSignal} options.signal - Сигнал для скасування (зупиняє воркери)
+ * @param {boolean} options.useWorkers - Використовувати Web Worker, якщо доступні
+ * @param {number[]} options.gapRows - Рядки, з яких починаються розриви логу (з перевірки цілісності)
+ * @param {Array<Object>|null} options.allowedRanges - Діапазони рядків { start, end } вибраних режимів польоту
+ * @param {Object|null} options.craftProfile - Профіль апарата (полюси моторів тощо)
+ * @param {string[]|null} options.stepIds - Лише ці кроки з ANALYSIS_STEPS (null - усі)
+ * @returns {Promise<Object>} - { results, processingTimes, errors }
+ */
+export const runAnalysisPipeline = async (flightData, dataHeaders, metadata, { onStepUpdate = null, signal = null, useWorkers = true, gapRows = [], allowedRanges = null, craftProfile = null, stepIds = null } = {}) => {
+  const data = createFlightDataAccessor(flightData, dataHeaders);
+  const steps = stepIds ? ANALYSIS_STEPS.filter(step => stepIds.includes(step.id)) : ANALYSIS_STEPS;
+  const stepResults = {};
+  const processingTimes = {};
+  const errors = {};
+  const startTimes = {};
+  let completed = 0;
+
+  const notify = (step, status, extra = {}) => {
+    if (onStepUpdate) {
+      onStepUpdate({ id: step.id, name: step.name, status, completed, total: steps.length, ...extra });
+    }
+  };
+
+  const handlers = {
+    signal,
+    gapRows,
+    allowedRanges,
+    craftProfile,
+    onStepStart: (step) => {
+      startTimes[step.id] = performance.now();
+      notify(step, 'running');
+    },
+    onStepEnd: (step, result, error) => {
+      const time = (performance.now() - startTimes[step.id]) / 1000; // в секундах
+      processingTimes[step.name] = time;
+      completed++;
+
+      if (error) {
+        console.error(`Error in step ${step.name}:`, error);
+        errors[step.name] = error.message;
+        notify(step, 'error', { time, error: error.message });
+      } else {
+        stepResults[step.id] = result;
+        notify(step, 'done', { time });
+      }
+    }
+  };
+
+  if (useWorkers && canUseWorkers()) {
+    await runStepsInWorkers(data, metadata, steps, handlers);
+  } else {
+    await runStepsInline(data, metadata, steps, handlers);
+  }
+
+  // Результати об'єднуємо в порядку кроків, незалежно від порядку завершення
+  const results = {};
+  steps.forEach(step => Object.assign(results, stepResults[step.id]));
+
+  return { results, processingTimes, errors };
+};
+
+// Збережений аналіз придатний, якщо зроблений поточною версією на тих самих рядках
+// (аналіз з фільтром режимів не покриває весь лог) і містить потрібні кроки
+const isSavedAnalysisCurrent = (analysis, steps, allowedRanges) => Boolean(analysis && analysis.results)
+  && analysis.version === ANALYSIS_VERSION
+  && JSON.stringify(analysis.allowedRanges || null) === JSON.stringify(allowedRanges)
+  && steps.every(step => analysis.results[step.resultKey] !== undefined);
+
+/**
+ * Результати аналізу для логу, що не є активним (порівняння, сесії налаштування).
+ * Збережений аналіз логу використовується повторно, якщо зроблений поточною версією
+ * на тих самих діапазонах рядків і містить потрібні кроки; інакше аналіз виконується заново.
+ * @param {Object} log - Лог { metadata, dataHeaders, flightTable, integrity, analysis }
+ * @param {Object} options - { stepIds, signal, allowedRanges, craftProfile } - allowedRanges: діапазони рядків
+ *   (null - весь лог), craftProfile: профіль, прив'язаний до логу
+ * @returns {Promise<Object>} - Об'єднані результати кроків
+ */
+export const analyzeLog = async (log, { stepIds = null, signal = null, allowedRanges = null, craftProfile = null } = {}) => {
+  const steps = stepIds ? ANALYSIS_STEPS.filter(step => stepIds.includes(step.id)) : ANALYSIS_STEPS;
+  if (isSavedAnalysisCurrent(log.analysis, steps, allowedRanges)) {
+    return log.analysis.results;
+  }
+
+  // Вікна аналізу не мають перетинати розриви логу, як і для активного логу
+  const integrity = log.integrity || checkLogIntegrity(log);
+  const { results } = await runAnalysisPipeline(log.flightTable, log.dataHeaders, log.metadata, {
+    signal,
+    stepIds,
+    gapRows: integrity.gaps.map(gap => gap.row),
+    allowedRanges,
+    craftProfile
+  });
+  return results;
+};
@@ -0,0 +1,86 @@
+// src/services/analysisSteps.js
+
+import {
+  analyzeErrorMetrics,
+  analyzeStepResponse,
+  analyzeFrequencyCharacteristics,
+  analyzeHarmonicDistortion,
+  analyzeFilters
+} from './blackboxAnalysisService';
+
+// Версія результатів аналізу: збільшується, коли кроки додають або змінюють поля,
+// щоб аналіз, збережений у бібліотеці попередніми версіями, виконувався заново
+export const ANALYSIS_VERSION = 2;
+
+/**
+ * Кроки аналізу Blackbox. Кроки незалежні один від одного, тому їх можна
+ * виконувати паралельно. Для кожного кроку вказано колонки, які він читає -
+ * у Web Worker передаються лише вони, а не весь лог, - та головний ключ його результату.
+ */
+
+const axisNames = (baseName, count = 3) => Array.from({ length: count }, (_, i) => `${baseName}[${i}]`);
+
+export const ANALYSIS_STEPS = [
+  {
+    id: 'errorMetrics',
+    resultKey: 'errorMetrics',
+    name: 'Аналіз відхилень',
+    columns: [
+      ...axisNames('setpoint'), ...axisNames('rcCommand'), ...axisNames('gyroADC'), ...axisNames('axisError'),
+      ...axisNames('axisP'), ...axisNames('axisI'), ...axisNames('axisD'),
+      ...axisNames('axisF'), ...axisNames('axisSum')
+    ],
+    run: analyzeErrorMetrics
+  },
+  {
+    id: 'stepResponse',
+    resultKey: 'stepResponseMetrics',
+    name: 'Аналіз швидкості реакції',
+    columns: [
+      'time', ...axisNames('rcCommand'), ...axisNames('setpoint'), ...axisNames('gyroADC'),
+      ...axisNames('axisD'), ...axisNames('axisError')
+    ],
+    run: analyzeStepResponse
+  },
+  {
+    id: 'frequency',
+    resultKey: 'frequencyAnalysis',
+    name: 'Аналіз частотної характеристики',
+    columns: [...axisNames('gyroADC'), ...axisNames('gyroUnfilt')],
+    run: analyzeFrequencyCharacteristics
+  },
+  {
+    id: 'harmonic',
+    resultKey: 'harmonicAnalysis',
+    name: 'Аналіз гармонійності руху',
+    columns: axisNames('gyroADC'),
+    run: analyzeHarmonicDistortion
+  },
+  {
+    id: 'filters',
+    resultKey: 'filterAnalysis',
+    name: 'Аналіз фільтрів',
+    columns: [
+      ...axisNames('gyroADC'), ...axisNames('gyroUnfilt'), ...axisNames('axisD'), 'rcCommand[3]',
+      ...axisNames('motor', 4), ...axisNames('eRPM', 4)
+    ],
+    run: analyzeFilters
+  }
+];
+
+/**
+ * Виконує один крок аналізу в поточному потоці
+ * @param {string} stepId - Ідентифікатор кроку з ANALYSIS_STEPS
+ * @param {Array|FlightDataTable} flightData - Дані польоту
+ * @param {Array} dataHeaders - Заголовки даних
+ * @param {Object} metadata - Метадані логу
+ * @param {Object} options - Опції кроку { gapRows, allowedRanges, craftProfile } - розриви логу, діапазони вибраних режимів та профіль апарата
+ * @returns {Promise<Object>} - Результат кроку
+ */
+export const runAnalysisStep = async (stepId, flightData, dataHeaders, metadata, options = {}) => {
+  const step = ANALYSIS_STEPS.find(s => s.id === stepId);
+  if (!step) {
+    throw new Error(`Невідомий крок аналізу: ${stepId}`);
+  }
+  return step.run(flightData, dataHeaders, metadata, options);
+};
@@ -1,11 +1,9 @@
 import FFT from 'fft.js';import * as math from 'mathjs';
 import _ from 'lodash';
-import { 
-  findColumnName, 
-  getNumericColumnValue, 
-  getAxisValues, 
-  getAxisColumns 
-} from '../utils/blackboxColumnMapper';
+import { createFlightDataAccessor } from '../utils/flightDataAccessor';
+import { getFlightSettings, getCliSettingName, getCliPidSettingName, getCliRateSettingNames } from '../utils/flightSettings';
+import { getAxisRates, getMaxRate } from '../utils/rateCurves';
+import { createUnitConverter } from '../utils/unitConversion';
 
 import {
   performFFTAnalysis,
@@ -17,57 +15,52 @@ import {
   determineNoiseWidth
 } from '../utils/fftAnalysis';
 import { 
-    processInChunks, 
+    processRangeInChunks, 
+    createGapIndex,
     applyHannWindow, 
     calculateNormalizedCrossCorrelation,
     calculateRecommendedGyroFrequency,
     calculateDtermFilterEffectiveness,
     calculateRecommendedDtermFrequency
   } from '../utils/analyzerUtils';
+import {
+  STEP_RESPONSE_SPLIT_RATE,
+  getDeconvolutionWindow,
+  deconvolveStepResponse,
+  averageStepResponses
+} from '../utils/stepResponseDeconvolution';
+import { computeThrottleSpectrum } from '../utils/throttleSpectrum';
+import { estimateTransferFunction, summarizeTransferFunction } from '../utils/filterTransferFunction';
 /**
  * Analyzes error metrics for each axis
  * 
  * @param {Array} flightData - Flight data array
  * @param {Array} dataHeaders - Data headers array
+ * @param {Object} metadata - Log metadata, used to rebuild setpoint from rcCommand when it is not logged
+ * @param {Object} options - { allowedRanges } - row ranges flown in the selected flight modes (all rows if null)
  * @returns {Promise<Object>} - Error metrics and PID contributions by axis
  */
-export const analyzeErrorMetrics = async (flightData, dataHeaders) => {
+export const analyzeErrorMetrics = async (flightData, dataHeaders, metadata = null, { allowedRanges = null } = {}) => {
+  const data = createFlightDataAccessor(flightData, dataHeaders, metadata);
+  const rows = createGapIndex([], allowedRanges);
+
   // Find required columns for each axis
-  const axisColumns = {
-    roll: {
-      setpoint: findColumnName('setpoint[0]', dataHeaders),
-      actual: findColumnName('gyroADC[0]', dataHeaders),
-      error: findColumnName('axisError[0]', dataHeaders),
-      p: findColumnName('axisP[0]', dataHeaders),
-      i: findColumnName('axisI[0]', dataHeaders),
-      d: findColumnName('axisD[0]', dataHeaders),
-      f: findColumnName('axisF[0]', dataHeaders),
-      sum: findColumnName('axisSum[0]', dataHeaders)
-    },
-    pitch: {
-      setpoint: findColumnName('setpoint[1]', dataHeaders),
-      actual: findColumnName('gyroADC[1]', dataHeaders),
-      error: findColumnName('axisError[1]', dataHeaders),
-      p: findColumnName('axisP[1]', dataHeaders),
-      i: findColumnName('axisI[1]', dataHeaders),
-      d: findColumnName('axisD[1]', dataHeaders),
-      f: findColumnName('axisF[1]', dataHeaders),
-      sum: findColumnName('axisSum[1]', dataHeaders)
-    },
-    yaw: {
-      setpoint: findColumnName('setpoint[2]', dataHeaders),
-      actual: findColumnName('gyroADC[2]', dataHeaders),
-      error: findColumnName('axisError[2]', dataHeaders),
-      p: findColumnName('axisP[2]', dataHeaders),
-      i: findColumnName('axisI[2]', dataHeaders),
-      d: findColumnName('axisD[2]', dataHeaders),
-      f: findColumnName('axisF[2]', dataHeaders),
-      sum: findColumnName('axisSum[2]', dataHeaders)
-    }
-  };
+  const axisColumns = {};
+  ['roll', 'pitch', 'yaw'].forEach((axis, axisIndex) => {
+    axisColumns[axis] = {
+      setpoint: data.column(`setpoint[${axisIndex}]`),
+      actual: data.column(`gyroADC[${axisIndex}]`),
+      error: data.column(`axisError[${axisIndex}]`),
+      p: data.column(`axisP[${axisIndex}]`),
+      i: data.column(`axisI[${axisIndex}]`),
+      d: data.column(`axisD[${axisIndex}]`),
+      f: data.column(`axisF[${axisIndex}]`),
+      sum: data.column(`axisSum[${axisIndex}]`)
+    };
+  });
 
   // Log found columns for diagnostics
-  console.log("Found columns for error metrics analysis:", axisColumns);
+  console.log("Found columns for error metrics analysis:", _.mapValues(axisColumns, columns => _.keys(_.pickBy(columns))));
 
   // Calculate RMS error and other metrics
   const errorMetrics = {};
@@ -94,21 +87,23 @@ export const analyzeErrorMetrics = async (flightData, dataHeaders) => {
         let sumTotal = 0;
         
         // Use direct error values if available
-        const useDirectError = columns.error && columns.error in dataHeaders;
+        const useDirectError = Boolean(columns.error);
+        const hasSetpoint = Boolean(columns.setpoint);
         
         // Process data in chunks
-        await processInChunks(flightData, chunkSize, (chunk) => {
-          for (const row of chunk) {
+        await processRangeInChunks(data.length, chunkSize, (start, end) => {
+          for (let row = start; row < end; row++) {
+            // Рядки поза вибраними режимами польоту пропускаємо
+            if (!rows.includes(row)) continue;
+            
             let error;
             
             if (useDirectError) {
-              // Use getNumericColumnValue instead of direct access
-              error = getNumericColumnValue(row, `axisError[${axis === 'roll' ? 0 : axis === 'pitch' ? 1 : 2}]`, dataHeaders);
+              error = columns.error[row];
             } else {
               // Calculate error as difference between setpoint and actual
-              const setpoint = getNumericColumnValue(row, columns.setpoint, dataHeaders);
-              const actual = getNumericColumnValue(row, columns.actual, dataHeaders);
-              error = setpoint - actual;
+              const setpoint = hasSetpoint ? columns.setpoint[row] : 0;
+              error = setpoint - columns.actual[row];
             }
             
             if (!isNaN(error)) {
@@ -121,11 +116,11 @@ export const analyzeErrorMetrics = async (flightData, dataHeaders) => {
             
             // Collect PID component information, if available
             if (columns.p && columns.i && columns.d) {
-              const p = getNumericColumnValue(row, columns.p, dataHeaders);
-              const i = getNumericColumnValue(row, columns.i, dataHeaders);
-              const d = getNumericColumnValue(row, columns.d, dataHeaders);
-              const f = columns.f ? getNumericColumnValue(row, columns.f, dataHeaders) : 0;
-              const sum = columns.sum ? getNumericColumnValue(row, columns.sum, dataHeaders) : (p + i + d + f);
+              const p = columns.p[row];
+              const i = columns.i[row];
+              const d = columns.d[row];
+              const f = columns.f ? columns.f[row] : 0;
+              const sum = columns.sum ? columns.sum[row] : (p + i + d + f);
               
               if (!isNaN(p) && !isNaN(i) && !isNaN(d)) {
                 sumP += Math.abs(p);
@@ -214,9 +209,12 @@ export const analyzeErrorMetrics = async (flightData, dataHeaders) => {
  * @param {Array} flightData - Flight data array
  * @param {Array} dataHeaders - Data headers array
  * @param {Object} metadata - Metadata object with looptime
+ * @param {Object} options - { gapRows, allowedRanges } - rows that start after a log gap and, optionally,
+ *   row ranges flown in the selected flight modes; windows never span gaps or excluded rows
  * @returns {Promise<Object>} - Step response metrics and response history
  */
-export const analyzeStepResponse = async (flightData, dataHeaders, metadata) => {
+export const analyzeStepResponse = async (flightData, dataHeaders, metadata, { gapRows = [], allowedRanges = null } = {}) => {
+  const gaps = createGapIndex(gapRows, allowedRanges);
   // Initialize metrics structure
   const stepResponseMetrics = {
     roll: { settlingTime: 0, overshoot: 0, riseTime: 0, delay: 0, dampingRatio: 0, oscillationFreq: 0, decayRate: 0 },
@@ -233,23 +231,26 @@ export const analyzeStepResponse = async (flightData, dataHeaders, metadata) =>
 
   // Chunk size for data processing
   const chunkSize = 500;
-  const sampleTimeUs = parseFloat(metadata.looptime) || 1000; // Time between samples in microseconds
+  const sampleTimeUs = 1000000 / getFlightSettings(metadata).sampleRateHz; // Time between logged samples in microseconds
   const sampleTimeMs = sampleTimeUs / 1000; // Convert to milliseconds
 
+  // Setpoint is rebuilt from rcCommand and the rate curves when the log lacks setpoint[]
+  const data = createFlightDataAccessor(flightData, dataHeaders, metadata);
+  const timeValues = data.column('time');
+
   // Analyze each axis
   for (const axis of ['roll', 'pitch', 'yaw']) {
     const axisIndex = { roll: 0, pitch: 1, yaw: 2 }[axis];
     
-    // Use column finder function
-    const rcCommandCol = findColumnName(`rcCommand[${axisIndex}]`, dataHeaders);
-    const setpointCol = findColumnName(`setpoint[${axisIndex}]`, dataHeaders);
-    const gyroCol = findColumnName(`gyroADC[${axisIndex}]`, dataHeaders);
-    const pTermCol = findColumnName(`axisP[${axisIndex}]`, dataHeaders);
-    const dTermCol = findColumnName(`axisD[${axisIndex}]`, dataHeaders);
-    const errorCol = findColumnName(`axisError[${axisIndex}]`, dataHeaders);
+    // Resolve columns once per axis
+    const rcCommandValues = data.column(`rcCommand[${axisIndex}]`);
+    const setpointValues = data.column(`setpoint[${axisIndex}]`);
+    const gyroValues = data.column(`gyroADC[${axisIndex}]`);
+    const dTermValues = data.column(`axisD[${axisIndex}]`);
+    const errorValues = data.column(`axisError[${axisIndex}]`);
     
     // Check if required columns exist
-    const columnsExist = setpointCol && gyroCol && (rcCommandCol || errorCol);
+    const columnsExist = setpointValues && gyroValues && (rcCommandValues || errorValues);
     
     if (columnsExist) {
       try {
@@ -257,75 +258,47 @@ export const analyzeStepResponse = async (flightData, dataHeaders, metadata) =>
         const stepChanges = [];
         const threshold = 30; // Threshold for detecting step change
         
-        // Buffer to track previous values
-        let prevSetpoint = null;
+        // Time in microseconds, falling back to looptime when the time column is absent
+        const timeAt = (index) => (timeValues && timeValues[index]) || (index * sampleTimeMs * 1000);
         
         // Process data to detect sharp changes
-        await processInChunks(flightData, chunkSize, (chunk, chunkIndex, startIndex) => {
-          for (let i = 0; i < chunk.length; i++) {
-            const row = chunk[i];
-            const globalIndex = startIndex + i;
-            
-            // Use getNumericColumnValue to get values
-            const currentTime = getNumericColumnValue(row, 'time', dataHeaders) || (globalIndex * sampleTimeMs * 1000);
-            const currentSetpoint = getNumericColumnValue(row, setpointCol, dataHeaders);
-            const currentGyro = getNumericColumnValue(row, gyroCol, dataHeaders);
-            
-            // If not the first record and there's a significant setpoint change
-            if (prevSetpoint !== null && Math.abs(currentSetpoint - prevSetpoint) > threshold) {
-              // Found a step change
-              const startIndex = globalIndex;
-              const startTime = currentTime;
+        await processRangeInChunks(data.length, chunkSize, (start, end) => {
+          for (let index = Math.max(start, 1); index < end; index++) {
+            const currentSetpoint = setpointValues[index];
+            
+            // A jump across a log gap is not a real stick input
+            if (gaps.crosses(index - 1, index + 1)) {
+              continue;
+            }
+            
+            // Significant setpoint change relative to the previous sample
+            if (Math.abs(currentSetpoint - setpointValues[index - 1]) > threshold) {
+              const startTime = timeAt(index);
               const targetValue = currentSetpoint;
-              const startGyro = currentGyro;
+              const startGyro = gyroValues[index];
               
-              // Collect system response (up to 200 points after change for better damping analysis)
+              // Collect system response (up to 200 points after change for better damping analysis),
+              // stopping at the next log gap
               const response = [];
+              const responseEnd = Math.min(index + 200, data.length, gaps.nextGap(index));
               
-              for (let j = 0; j < 200 && (globalIndex + j) < flightData.length; j++) {
-                if (globalIndex + j >= flightData.length) break;
-                
-                // If still within current chunk
-                if (i + j < chunk.length) {
-                  const responseRow = chunk[i + j];
-                  const time = getNumericColumnValue(responseRow, 'time', dataHeaders);
-                  const gyroValue = getNumericColumnValue(responseRow, gyroCol, dataHeaders);
-                  const dTerm = dTermCol ? getNumericColumnValue(responseRow, dTermCol, dataHeaders) : null;
-                  response.push({ 
-                    time: (time - startTime) / 1000, // time in ms
-                    value: gyroValue,
-                    dTerm
-                  });
-                } 
-                // If beyond current chunk - save position for further analysis
-                else {
-                  stepChanges.push({ 
-                    startIndex, 
-                    targetValue, 
-                    startGyro,
-                    startTime,
-                    response,
-                    complete: false
-                  });
-                  break;
-                }
-              }
-              
-              // If collected enough points within chunk, mark as complete
-              if (response.length >= 50) {
-                stepChanges.push({ 
-                  startIndex, 
-                  targetValue, 
-                  startGyro,
-                  startTime,
-                  response,
-                  complete: true
+              for (let j = index; j < responseEnd; j++) {
+                response.push({ 
+                  time: (timeAt(j) - startTime) / 1000, // time in ms
+                  value: gyroValues[j],
+                  dTerm: dTermValues ? dTermValues[j] : null
                 });
               }
+              
+              stepChanges.push({ 
+                startIndex: index, 
+                targetValue, 
+                startGyro,
+                startTime,
+                response,
+                complete: response.length >= 50
+              });
             }
-            
-            // Update previous value
-            prevSetpoint = currentSetpoint;
           }
         });
         
@@ -525,7 +498,10 @@ export const analyzeStepResponse = async (flightData, dataHeaders, metadata) =>
               oscillationFreq,
               decayRate,
               peaks,
-              valleys
+              valleys,
+              // Start and target of the plotted step, used to normalise responseHistory across logs
+              startGyro,
+              targetValue
             };
           }
         }
@@ -535,7 +511,70 @@ export const analyzeStepResponse = async (flightData, dataHeaders, metadata) =>
     }
   }
 
-  return { stepResponseMetrics, responseHistory };
+  const deconvolvedStepResponse = await estimateDeconvolvedStepResponse(data, getFlightSettings(metadata).sampleRateHz, gaps);
+
+  return { stepResponseMetrics, responseHistory, deconvolvedStepResponse };
+};
+
+/**
+ * Estimates the step response of each axis by Wiener deconvolution of setpoint→gyro
+ * over overlapping ~1 s windows, so ordinary flying contributes, not only sharp stick steps.
+ * Windows are split by their peak setpoint rate and averaged with a 95% confidence band.
+ *
+ * @param {Object} data - Flight data accessor
+ * @param {number} sampleRateHz - Logged sample rate in Hz
+ * @param {Object} gaps - Gap index; windows never span gaps or excluded rows
+ * @returns {Promise<Object>} - { roll|pitch|yaw: { low, high } }, each an averaged response or null
+ */
+const estimateDeconvolvedStepResponse = async (data, sampleRateHz, gaps) => {
+  const { windowSize, responseLength } = getDeconvolutionWindow(sampleRateHz);
+  const minInputRate = 20; // Windows without stick movement carry no response information
+  const maxWindows = 400; // Per axis, to bound the FFT work on long high-rate logs
+  const windowStep = Math.max(windowSize / 2, Math.ceil((data.length - windowSize) / maxWindows));
+  const result = {};
+
+  for (const axis of ['roll', 'pitch', 'yaw']) {
+    const axisIndex = { roll: 0, pitch: 1, yaw: 2 }[axis];
+    const setpointValues = data.column(`setpoint[${axisIndex}]`);
+    const gyroValues = data.column(`gyroADC[${axisIndex}]`);
+    result[axis] = { low: null, high: null };
+
+    if (!setpointValues || !gyroValues || data.length < windowSize) continue;
+
+    try {
+      const responses = { low: [], high: [] };
+      // Each continuous run (between gaps, inside the selected modes) gets its own window grid
+      const windows = gaps.segments(data.length, windowStep, windowSize);
+
+      await processRangeInChunks(windows.length, 10, (start, end) => {
+        for (let w = start; w < end; w++) {
+          const windowStart = windows[w].start;
+          const windowEnd = windowStart + windowSize;
+
+          const setpoint = setpointValues.slice(windowStart, windowEnd);
+          const gyro = gyroValues.slice(windowStart, windowEnd);
+
+          let maxRate = 0;
+          for (let i = 0; i < windowSize; i++) maxRate = Math.max(maxRate, Math.abs(setpoint[i]));
+          if (maxRate < minInputRate) continue;
+
+          const response = deconvolveStepResponse(setpoint, gyro, responseLength);
+          if (response) {
+            responses[maxRate < STEP_RESPONSE_SPLIT_RATE ? 'low' : 'high'].push(response);
+          }
+        }
+      });
+
+      result[axis] = {
+        low: averageStepResponses(responses.low, sampleRateHz),
+        high: averageStepResponses(responses.high, sampleRateHz)
+      };
+    } catch (err) {
+      console.error(`Error estimating deconvolved step response for ${axis} axis:`, err);
+    }
+  }
+
+  return result;
 };
 
 /**
@@ -544,9 +583,12 @@ export const analyzeStepResponse = async (flightData, dataHeaders, metadata) =>
  * @param {Array} flightData - Flight data array
  * @param {Array} dataHeaders - Data headers array
  * @param {Object} metadata - Metadata object with looptime
+ * @param {Object} options - { gapRows, allowedRanges } - rows that start after a log gap and, optionally,
+ *   row ranges flown in the selected flight modes; windows never span gaps or excluded rows
  * @returns {Promise<Object>} - Frequency analysis results
  */
-export const analyzeFrequencyCharacteristics = async (flightData, dataHeaders, metadata) => {
+export const analyzeFrequencyCharacteristics = async (flightData, dataHeaders, metadata, { gapRows = [], allowedRanges = null } = {}) => {
+  const gaps = createGapIndex(gapRows, allowedRanges);
     const frequencyAnalysis = {
       roll: { 
         dominantFrequencies: [], 
@@ -565,29 +607,30 @@ export const analyzeFrequencyCharacteristics = async (flightData, dataHeaders, m
       }
     };
   
-    // Приблизна частота вибірки (в Гц)
-    const looptimeUs = parseFloat(metadata.looptime) || 312; // мікросекунди
-    const sampleRate = Math.round(1000000 / looptimeUs); // Гц
+    // Частота запису з урахуванням pid_process_denom та P interval (Гц)
+    const { sampleRateHz: sampleRate } = getFlightSettings(metadata);
+    
+    const data = createFlightDataAccessor(flightData, dataHeaders);
     
-    console.log(`Using sample rate: ${sampleRate} Hz, analyzing full dataset of ${flightData.length} points`);
+    console.log(`Using sample rate: ${sampleRate} Hz, analyzing full dataset of ${data.length} points`);
   
     // Аналіз кожної осі
     for (const axis of ['roll', 'pitch', 'yaw']) {
       const axisIndex = { roll: 0, pitch: 1, yaw: 2 }[axis];
       
-      // Використовуємо функцію пошуку стовпця
-      const gyroCol = findColumnName(`gyroADC[${axisIndex}]`, dataHeaders);
-      const gyroUnfiltCol = findColumnName(`gyroUnfilt[${axisIndex}]`, dataHeaders);
+      // Колонки знаходимо один раз для всієї осі
+      const gyroValues = data.column(`gyroADC[${axisIndex}]`);
+      const gyroUnfiltValues = data.column(`gyroUnfilt[${axisIndex}]`);
       
       // Діагностика
       console.log(`Columns for frequency analysis of ${axis} axis:`, {
-        gyro: gyroCol,
-        gyroUnfilt: gyroUnfiltCol
+        gyro: data.resolve(`gyroADC[${axisIndex}]`),
+        gyroUnfilt: data.resolve(`gyroUnfilt[${axisIndex}]`)
       });
       
       // Перевірка існування стовпців
-      const hasFiltered = gyroCol !== null;
-      const hasUnfiltered = gyroUnfiltCol !== null;
+      const hasFiltered = gyroValues !== null;
+      const hasUnfiltered = gyroUnfiltValues !== null;
       
       if (hasFiltered) {
         try {
@@ -596,8 +639,9 @@ export const analyzeFrequencyCharacteristics = async (flightData, dataHeaders, m
           
           // Розділяємо весь набір даних на сегменти для FFT аналізу
           const segmentSize = fftSize;
-          const numSegments = Math.floor(flightData.length / segmentSize);
-          const maxSegments = Math.max(1, numSegments); // Використовуємо всі можливі сегменти
+          // Сегменти лежать у неперервних ділянках: між розривами логу і в межах вибраних режимів
+          const segments = gaps.segments(data.length, segmentSize, fftSize / 2);
+          const maxSegments = Math.max(1, segments.length);
           
           console.log(`Analyzing ${maxSegments} segments for ${axis} axis`);
           
@@ -621,13 +665,8 @@ export const analyzeFrequencyCharacteristics = async (flightData, dataHeaders, m
           // Обробка даних по сегментах
           const chunkSize = 1000; // Розмір чанка для уникнення зависання UI
           
-          for (let segment = 0; segment < maxSegments; segment++) {
-            const startIdx = segment * segmentSize;
-            const endIdx = Math.min(startIdx + segmentSize, flightData.length);
-            
-            if (endIdx - startIdx < fftSize / 2) {
-              continue; // Пропускаємо надто короткі сегменти
-            }
+          for (let segment = 0; segment < segments.length; segment++) {
+            const { start: startIdx, end: endIdx } = segments[segment];
             
             // Збір даних для цього сегмента
             const gyroData = new Array(fftSize).fill(0);
@@ -636,16 +675,15 @@ export const analyzeFrequencyCharacteristics = async (flightData, dataHeaders, m
             let dataIdx = 0;
             
             // Обробка сегмента по чанках
-            await processInChunks(flightData.slice(startIdx, endIdx), chunkSize, (chunk) => {
-              for (const row of chunk) {
+            await processRangeInChunks(endIdx - startIdx, chunkSize, (start, end) => {
+              for (let row = startIdx + start; row < startIdx + end; row++) {
                 if (dataIdx < fftSize) {
-                  const value = getNumericColumnValue(row, gyroCol, dataHeaders);
+                  const value = gyroValues[row];
                   if (!isNaN(value)) {
                     gyroData[dataIdx] = value;
                     
                     if (hasUnfiltered) {
-                      const unfiltValue = getNumericColumnValue(row, gyroUnfiltCol, dataHeaders);
-                      gyroUnfiltData[dataIdx] = unfiltValue;
+                      gyroUnfiltData[dataIdx] = gyroUnfiltValues[row];
                     }
                     
                     dataIdx++;
@@ -825,7 +863,9 @@ export const analyzeFrequencyCharacteristics = async (flightData, dataHeaders, m
           const analysisResult = {
             dominantFrequencies: top5Frequencies,
             noiseLevel,
-            filteredVsUnfiltered: { ratio: 1, noiseDiff: 0 } // Значення за замовчуванням
+            filteredVsUnfiltered: { ratio: 1, noiseDiff: 0 }, // Значення за замовчуванням
+            // Усереднений спектр для графіків і порівняння логів
+            spectrum: accumulatedSpectrum.map(({ frequency, magnitude }) => ({ frequency, magnitude }))
           };
           
           // Якщо доступні нефільтровані дані, обчислюємо різницю між фільтрованими і нефільтрованими
@@ -843,6 +883,7 @@ export const analyzeFrequencyCharacteristics = async (flightData, dataHeaders, m
               noiseDiff: noiseDiff,
               unfiltNoiseLevel
             };
+            analysisResult.unfilteredSpectrum = accumulatedUnfiltSpectrum.map(({ frequency, magnitude }) => ({ frequency, magnitude }));
             
             // Групуємо нефільтровані домінуючі частоти аналогічно
             const groupedUnfiltFreqs = [];
@@ -906,10 +947,13 @@ export const analyzeFrequencyCharacteristics = async (flightData, dataHeaders, m
  * @param {Array} flightData - Flight data array
  * @param {Array} dataHeaders - Data headers array
  * @param {Object} metadata - Metadata object with looptime
+ * @param {Object} options - { gapRows, allowedRanges } - rows that start after a log gap and, optionally,
+ *   row ranges flown in the selected flight modes; windows never span gaps or excluded rows
  * @returns {Promise<Object>} - Harmonic analysis results
  */
 // Модифікація функції analyzeHarmonicDistortion для обробки всіх даних
-export const analyzeHarmonicDistortion = async (flightData, dataHeaders, metadata) => {
+export const analyzeHarmonicDistortion = async (flightData, dataHeaders, metadata, { gapRows = [], allowedRanges = null } = {}) => {
+  const gaps = createGapIndex(gapRows, allowedRanges);
     const harmonicAnalysis = {
       roll: { thd: 0, stabilityScore: 0, oscillationDetected: false, pidHarmonics: {} },
       pitch: { thd: 0, stabilityScore: 0, oscillationDetected: false, pidHarmonics: {} },
@@ -924,17 +968,24 @@ export const analyzeHarmonicDistortion = async (flightData, dataHeaders, metadat
       commonHarmonics: []
     };
   
-    // Приблизна частота вибірки
-    const looptimeUs = parseFloat(metadata.looptime) || 312;
-    const sampleRate = Math.round(1000000 / looptimeUs);
+    // Частота запису з урахуванням pid_process_denom та P interval (Гц)
+    const { sampleRateHz: sampleRate } = getFlightSettings(metadata);
+    
+    const data = createFlightDataAccessor(flightData, dataHeaders);
+    const gyroColumns = {
+      roll: data.column('gyroADC[0]'),
+      pitch: data.column('gyroADC[1]'),
+      yaw: data.column('gyroADC[2]')
+    };
     
-    console.log(`Analyzing harmonic distortion with full dataset (${flightData.length} points)`);
+    console.log(`Analyzing harmonic distortion with full dataset (${data.length} points)`);
   
     // Розмір FFT для аналізу гармонік
     const fftSize = 1024;
     const segmentSize = fftSize;
-    const numSegments = Math.floor(flightData.length / segmentSize);
-    const maxSegments = Math.max(1, numSegments); // Використовуємо всі сегменти
+    // Сегменти лежать у неперервних ділянках: між розривами логу і в межах вибраних режимів
+    const segments = gaps.segments(data.length, segmentSize, fftSize / 2);
+    const maxSegments = Math.max(1, segments.length);
     
     console.log(`Dividing data into ${maxSegments} segments for harmonic analysis`);
     
@@ -955,13 +1006,8 @@ export const analyzeHarmonicDistortion = async (flightData, dataHeaders, metadat
     // Аналіз кожного сегмента даних
     const chunkSize = 500;
     
-    for (let segment = 0; segment < maxSegments; segment++) {
-      const startIdx = segment * segmentSize;
-      const endIdx = Math.min(startIdx + segmentSize, flightData.length);
-      
-      if (endIdx - startIdx < fftSize / 2) {
-        continue; // Пропускаємо надто короткі сегменти
-      }
+    for (let segment = 0; segment < segments.length; segment++) {
+      const { start: startIdx, end: endIdx } = segments[segment];
       
       // Збираємо дані гіроскопа для цього сегмента
       const segmentGyroData = {
@@ -974,15 +1020,14 @@ export const analyzeHarmonicDistortion = async (flightData, dataHeaders, metadat
       const dataIdx = { roll: 0, pitch: 0, yaw: 0 };
       
       // Обробляємо дані сегмента по чанкам
-      await processInChunks(flightData.slice(startIdx, endIdx), chunkSize, (chunk) => {
-        for (const row of chunk) {
+      await processRangeInChunks(endIdx - startIdx, chunkSize, (start, end) => {
+        for (let row = startIdx + start; row < startIdx + end; row++) {
           for (const axis of ['roll', 'pitch', 'yaw']) {
             if (dataIdx[axis] < fftSize) {
-              const axisIndex = { roll: 0, pitch: 1, yaw: 2 }[axis];
-              const gyroCol = findColumnName(`gyroADC[${axisIndex}]`, dataHeaders);
+              const gyroValues = gyroColumns[axis];
               
-              if (gyroCol) {
-                const value = getNumericColumnValue(row, gyroCol, dataHeaders);
+              if (gyroValues) {
+                const value = gyroValues[row];
                 if (!isNaN(value)) {
                   segmentGyroData[axis][dataIdx[axis]] = value;
                   dataIdx[axis]++;
@@ -1156,30 +1201,22 @@ export const analyzeHarmonicDistortion = async (flightData, dataHeaders, metadat
           let totalCorrelation = 0;
           let segmentCount = 0;
           
-          for (let segment = 0; segment < maxSegments; segment++) {
-            const startIdx = segment * segmentSize;
-            const endIdx = Math.min(startIdx + segmentSize, flightData.length);
-            
-            if (endIdx - startIdx < fftSize / 2) {
-              continue; // Пропускаємо надто короткі сегменти
-            }
+          for (let segment = 0; segment < segments.length; segment++) {
+            const { start: startIdx, end: endIdx } = segments[segment];
             
             // Збираємо дані для обох осей
             const segmentData1 = [];
             const segmentData2 = [];
             
+            const gyroValues1 = gyroColumns[axis1];
+            const gyroValues2 = gyroColumns[axis2];
+            
             // Обробляємо дані сегмента по чанкам
-            await processInChunks(flightData.slice(startIdx, endIdx), chunkSize, (chunk) => {
-              for (const row of chunk) {
-                const axisIndex1 = { roll: 0, pitch: 1, yaw: 2 }[axis1];
-                const axisIndex2 = { roll: 0, pitch: 1, yaw: 2 }[axis2];
-                
-                const gyroCol1 = findColumnName(`gyroADC[${axisIndex1}]`, dataHeaders);
-                const gyroCol2 = findColumnName(`gyroADC[${axisIndex2}]`, dataHeaders);
-                
-                if (gyroCol1 && gyroCol2) {
-                  const value1 = getNumericColumnValue(row, gyroCol1, dataHeaders);
-                  const value2 = getNumericColumnValue(row, gyroCol2, dataHeaders);
+            await processRangeInChunks(endIdx - startIdx, chunkSize, (start, end) => {
+              for (let row = startIdx + start; row < startIdx + end; row++) {
+                if (gyroValues1 && gyroValues2) {
+                  const value1 = gyroValues1[row];
+                  const value2 = gyroValues2[row];
                   
                   if (!isNaN(value1) && !isNaN(value2)) {
                     segmentData1.push(value1);
@@ -1284,18 +1321,13 @@ export const analyzeHarmonicDistortion = async (flightData, dataHeaders, metadat
     // Аналіз поширення коливань між осями
     if (commonFreqs.length > 0) {
       const segmentSize = 1024;
-      const maxSegmentsToAnalyze = Math.min(10, maxSegments); // Обмежуємо кількість сегментів для аналізу поширення
+      const maxSegmentsToAnalyze = Math.min(10, segments.length); // Обмежуємо кількість сегментів для аналізу поширення
       
       // Збираємо дані для аналізу поширення
       const segmentGyroData = [];
       
       for (let segment = 0; segment < maxSegmentsToAnalyze; segment++) {
-        const startIdx = segment * segmentSize;
-        const endIdx = Math.min(startIdx + segmentSize, flightData.length);
-        
-        if (endIdx - startIdx < segmentSize / 2) {
-          continue;
-        }
+        const { start: startIdx, end: endIdx } = segments[segment];
         
         // Дані для цього сегмента
         const segmentData = {
@@ -1305,14 +1337,13 @@ export const analyzeHarmonicDistortion = async (flightData, dataHeaders, metadat
         };
         
         // Збір даних по чанкам
-        await processInChunks(flightData.slice(startIdx, endIdx), chunkSize, (chunk) => {
-          for (const row of chunk) {
+        await processRangeInChunks(endIdx - startIdx, chunkSize, (start, end) => {
+          for (let row = startIdx + start; row < startIdx + end; row++) {
             for (const axis of ['roll', 'pitch', 'yaw']) {
-              const axisIndex = { roll: 0, pitch: 1, yaw: 2 }[axis];
-              const gyroCol = findColumnName(`gyroADC[${axisIndex}]`, dataHeaders);
+              const gyroValues = gyroColumns[axis];
               
-              if (gyroCol) {
-                const value = getNumericColumnValue(row, gyroCol, dataHeaders);
+              if (gyroValues) {
+                const value = gyroValues[row];
                 if (!isNaN(value)) {
                   segmentData[axis].push(value);
                 }
@@ -1354,10 +1385,14 @@ export const analyzeHarmonicDistortion = async (flightData, dataHeaders, metadat
  * @param {Array} flightData - Flight data array
  * @param {Array} dataHeaders - Data headers array
  * @param {Object} metadata - Metadata object with filter settings
+ * @param {Object} options - { gapRows, allowedRanges, craftProfile } - rows that start after a log gap and, optionally,
+ *   row ranges flown in the selected flight modes; windows never span gaps or excluded rows.
+ *   The craft profile, when attached, supplies the motor pole count used for RPM harmonics
  * @returns {Promise<Object>} - Filter analysis results
  */
 // Модифікація функції analyzeFilters для обробки всіх даних
-export const analyzeFilters = async (flightData, dataHeaders, metadata) => {
+export const analyzeFilters = async (flightData, dataHeaders, metadata, { gapRows = [], allowedRanges = null, craftProfile = null } = {}) => {
+  const gaps = createGapIndex(gapRows, allowedRanges);
     const filterAnalysis = {
       gyroFilters: {
         effectiveness: 0,
@@ -1382,36 +1417,42 @@ export const analyzeFilters = async (flightData, dataHeaders, metadata) => {
       }
     };
   
-    // Отримуємо налаштування фільтрів з метаданих
-    const gyroLowpassHz = parseFloat(metadata['gyro_lowpass_hz']) || 0;
-    const dtermLowpassHz = parseFloat(metadata['dterm_lowpass_hz']) || 0;
-    const dynNotchMinHz = parseFloat(metadata['dyn_notch_min_hz']) || 0;
-    const dynNotchMaxHz = parseFloat(metadata['dyn_notch_max_hz']) || 0;
-    const gyroRpmNotchHarmonics = parseFloat(metadata['gyro_rpm_notch_harmonics']) || 0;
-    const motorPoles = parseFloat(metadata['motor_poles']) || 14;
-    const dshotBidir = parseInt(metadata['dshot_bidir']) || 0;
+    // Отримуємо налаштування фільтрів з нормалізованих заголовків (імена залежать від прошивки)
+    const { filters, motor } = getFlightSettings(metadata);
+    // Полюси моторів, задані вручну в профілі апарата, мають пріоритет над заголовком motor_poles
+    const motorPoles = craftProfile && craftProfile.motorPoles ? craftProfile.motorPoles : motor.poles;
+    const units = createUnitConverter(metadata, {}, { motorPoles });
+    // Динамічний lowpass (якщо увімкнений) замінює статичний - беремо нижню межу як найгірший випадок
+    const gyroLowpassHz = filters.gyro.lpf1.dynMinHz || filters.gyro.lpf1.staticHz;
+    const dtermLowpassHz = filters.dterm.lpf1.dynMinHz || filters.dterm.lpf1.staticHz;
+    const dynNotchMinHz = filters.dynNotch.minHz;
+    const dynNotchMaxHz = filters.dynNotch.maxHz;
+    const gyroRpmNotchHarmonics = filters.rpm.harmonics;
+    const dshotBidir = motor.dshotBidir ? 1 : 0;
     
     console.log(`Filter metadata: gyro_lowpass_hz=${gyroLowpassHz}, dterm_lowpass_hz=${dtermLowpassHz}`);
     console.log(`Dynamic notch filters: min=${dynNotchMinHz}Hz, max=${dynNotchMaxHz}Hz`);
     console.log(`RPM filter: harmonics=${gyroRpmNotchHarmonics}, motor_poles=${motorPoles}, bidir=${dshotBidir}`);
     
-    // Приблизна частота вибірки (в Гц)
-    const looptimeUs = parseFloat(metadata.looptime) || 312; // мікросекунди
-    const sampleRate = Math.round(1000000 / looptimeUs); // Гц
-    console.log(`Sample rate: ${sampleRate} Hz, analyzing full dataset of ${flightData.length} points`);
+    // Частота запису з урахуванням pid_process_denom та P interval (Гц)
+    const { sampleRateHz: sampleRate } = getFlightSettings(metadata);
+    const flight = createFlightDataAccessor(flightData, dataHeaders);
+    console.log(`Sample rate: ${sampleRate} Hz, analyzing full dataset of ${flight.length} points`);
+    
+    // Значення трьох осей у рядку (NaN для відсутньої колонки)
+    const axesAt = (columns, row) => ({
+      x: columns.roll ? columns.roll[row] : NaN,
+      y: columns.pitch ? columns.pitch[row] : NaN,
+      z: columns.yaw ? columns.yaw[row] : NaN
+    });
     
     try {
       // Аналіз даних гіроскопа
       // Перевіряємо наявність фільтрованих і нефільтрованих даних
-      const hasUnfilteredGyro = ['roll', 'pitch', 'yaw'].some(axis => {
-        const axisIndex = { roll: 0, pitch: 1, yaw: 2 }[axis];
-        return findColumnName(`gyroUnfilt[${axisIndex}]`, dataHeaders) !== null;
-      });
-      
-      const hasFilteredGyro = ['roll', 'pitch', 'yaw'].some(axis => {
-        const axisIndex = { roll: 0, pitch: 1, yaw: 2 }[axis];
-        return findColumnName(`gyroADC[${axisIndex}]`, dataHeaders) !== null;
-      });
+      const gyroUnfiltColumns = flight.axisColumns('gyroUnfilt');
+      const gyroColumns = flight.axisColumns('gyroADC');
+      const hasUnfilteredGyro = Object.values(gyroUnfiltColumns).some(values => values !== null);
+      const hasFilteredGyro = Object.values(gyroColumns).some(values => values !== null);
       
       // Діагностичний лог
       console.log(`Gyroscope data availability: filtered=${hasFilteredGyro}, unfiltered=${hasUnfilteredGyro}`);
@@ -1419,8 +1460,9 @@ export const analyzeFilters = async (flightData, dataHeaders, metadata) => {
       if (hasUnfilteredGyro && hasFilteredGyro) {
         // Розбиваємо аналіз на сегменти
         const segmentSize = 1024;
-        const numSegments = Math.floor(flightData.length / segmentSize);
-        const maxSegments = Math.max(1, numSegments);
+        // Сегменти лежать у неперервних ділянках: між розривами логу і в межах вибраних режимів
+        const segments = gaps.segments(flight.length, segmentSize, segmentSize / 2);
+        const maxSegments = Math.max(1, segments.length);
         
         console.log(`Dividing data into ${maxSegments} segments for filter analysis`);
         
@@ -1436,32 +1478,18 @@ export const analyzeFilters = async (flightData, dataHeaders, metadata) => {
         // Обробка даних по сегментам
         const chunkSize = 500;
         
-        for (let segment = 0; segment < maxSegments; segment++) {
-          const startIdx = segment * segmentSize;
-          const endIdx = Math.min(startIdx + segmentSize, flightData.length);
-          
-          if (endIdx - startIdx < segmentSize / 2) {
-            continue; // Пропускаємо надто короткі сегменти
-          }
+        for (let segment = 0; segment < segments.length; segment++) {
+          const { start: startIdx, end: endIdx } = segments[segment];
           
           // Збираємо дані гіроскопа для цього сегмента
           const rawData = [];
           const filteredData = [];
           
           // Обробка сегмента по чанкам
-          await processInChunks(flightData.slice(startIdx, endIdx), chunkSize, (chunk) => {
-            for (const row of chunk) {
-              const data = {
-                x: getNumericColumnValue(row, 'gyroUnfilt[0]', dataHeaders),
-                y: getNumericColumnValue(row, 'gyroUnfilt[1]', dataHeaders),
-                z: getNumericColumnValue(row, 'gyroUnfilt[2]', dataHeaders)
-              };
-              
-              const filtered = {
-                x: getNumericColumnValue(row, 'gyroADC[0]', dataHeaders),
-                y: getNumericColumnValue(row, 'gyroADC[1]', dataHeaders),
-                z: getNumericColumnValue(row, 'gyroADC[2]', dataHeaders)
-              };
+          await processRangeInChunks(endIdx - startIdx, chunkSize, (start, end) => {
+            for (let row = startIdx + start; row < startIdx + end; row++) {
+              const data = axesAt(gyroUnfiltColumns, row);
+              const filtered = axesAt(gyroColumns, row);
               
               // Додаємо тільки якщо всі дані присутні
               if (!isNaN(data.x) && !isNaN(data.y) && !isNaN(data.z) &&
@@ -1512,7 +1540,7 @@ export const analyzeFilters = async (flightData, dataHeaders, metadata) => {
           // Загальна ефективність як середнє по осях
           const gyroFilterEffectiveness = (totalNoiseReduction.x + totalNoiseReduction.y + totalNoiseReduction.z) / 3;
           
-          // Оцінка затримки фази
+          // Оцінка затримки фази; замінюється виміряною за передавальною функцією, якщо її вдасться оцінити
           let phaseDelay = 0;
           if (gyroLowpassHz > 0) {
             // Приблизна оцінка затримки на основі частоти зрізу
@@ -1525,26 +1553,17 @@ export const analyzeFilters = async (flightData, dataHeaders, metadata) => {
           
           // Збираємо дані з кількох рівномірно розподілених сегментів
           const sampleSegments = 5;
-          const segmentStep = Math.max(1, Math.floor(maxSegments / sampleSegments));
+          const segmentStep = Math.max(1, Math.floor(segments.length / sampleSegments));
           
-          for (let segIdx = 0; segIdx < maxSegments; segIdx += segmentStep) {
-            const startIdx = segIdx * segmentSize;
-            const endIdx = Math.min(startIdx + segmentSize, flightData.length);
-            
-            if (endIdx - startIdx < segmentSize / 2) {
-              continue;
-            }
+          for (let segIdx = 0; segIdx < segments.length; segIdx += segmentStep) {
+            const { start: startIdx, end: endIdx } = segments[segIdx];
             
             // Збираємо нефільтровані дані гіроскопа
             const segmentRawData = [];
             
-            await processInChunks(flightData.slice(startIdx, endIdx), chunkSize, (chunk) => {
-              for (const row of chunk) {
-                const data = {
-                  x: getNumericColumnValue(row, 'gyroUnfilt[0]', dataHeaders),
-                  y: getNumericColumnValue(row, 'gyroUnfilt[1]', dataHeaders),
-                  z: getNumericColumnValue(row, 'gyroUnfilt[2]', dataHeaders)
-                };
+            await processRangeInChunks(endIdx - startIdx, chunkSize, (start, end) => {
+              for (let row = startIdx + start; row < startIdx + end; row++) {
+                const data = axesAt(gyroUnfiltColumns, row);
                 
                 if (!isNaN(data.x) && !isNaN(data.y) && !isNaN(data.z)) {
                   segmentRawData.push(data);
@@ -1571,8 +1590,8 @@ export const analyzeFilters = async (flightData, dataHeaders, metadata) => {
         }
         
         // Аналіз шуму мотора з використанням даних eRPM
-        const hasERPM = dataHeaders.some(h => findColumnName('eRPM[0]', dataHeaders) !== null);
-        const hasMotor = dataHeaders.some(h => findColumnName('motor[0]', dataHeaders) !== null);
+        const hasERPM = flight.has('eRPM[0]');
+        const hasMotor = flight.has('motor[0]');
         
         if (hasERPM && hasMotor) {
           // Аналіз шуму моторів з використанням кількох репрезентативних сегментів
@@ -1581,41 +1600,24 @@ export const analyzeFilters = async (flightData, dataHeaders, metadata) => {
           
           // Обираємо кілька сегментів для аналізу шуму моторів
           const motorAnalysisSegments = 3;
-          const motorSegmentStep = Math.max(1, Math.floor(maxSegments / motorAnalysisSegments));
+          const motorSegmentStep = Math.max(1, Math.floor(segments.length / motorAnalysisSegments));
           
-          for (let segIdx = 0; segIdx < maxSegments; segIdx += motorSegmentStep) {
-            const startIdx = segIdx * segmentSize;
-            const endIdx = Math.min(startIdx + segmentSize, flightData.length);
-            
-            if (endIdx - startIdx < segmentSize / 2) {
-              continue;
-            }
+          for (let segIdx = 0; segIdx < segments.length; segIdx += motorSegmentStep) {
+            const { start: startIdx, end: endIdx } = segments[segIdx];
             
             // Збираємо дані моторів і eRPM
             const motorData = [];
             const eRpmData = [];
             
             for (let motorIdx = 0; motorIdx < 4; motorIdx++) {
-              const motorCol = findColumnName(`motor[${motorIdx}]`, dataHeaders);
-              const eRpmCol = findColumnName(`eRPM[${motorIdx}]`, dataHeaders);
+              const motorColumn = flight.column(`motor[${motorIdx}]`);
+              const eRpmColumn = flight.column(`eRPM[${motorIdx}]`);
               
-              if (motorCol && eRpmCol) {
-                const motorValues = [];
-                const eRpmValues = [];
-                
-                // Збираємо дані по чанкам
-                await processInChunks(flightData.slice(startIdx, endIdx), chunkSize, (chunk) => {
-                  for (const row of chunk) {
-                    const motorValue = getNumericColumnValue(row, motorCol, dataHeaders);
-                    const eRpmValue = getNumericColumnValue(row, eRpmCol, dataHeaders);
-                    
-                    motorValues.push(motorValue);
-                    eRpmValues.push(eRpmValue);
-                  }
-                });
-                
-                motorData.push(motorValues);
-                eRpmData.push(eRpmValues);
+              if (motorColumn && eRpmColumn) {
+                // Колонки вже типізовані - копіюємо відрізок сегмента; вихід мотора
+                // у відсотках, щоб спектр не залежав від протоколу (DShot чи PWM)
+                motorData.push(Array.from(motorColumn.subarray(startIdx, endIdx), units.motorPercent));
+                eRpmData.push(Array.from(eRpmColumn.subarray(startIdx, endIdx)));
               }
             }
             
@@ -1630,12 +1632,9 @@ export const analyzeFilters = async (flightData, dataHeaders, metadata) => {
                   // Знаходимо середнє значення eRPM мотора
                   const avgERPM = eRpmValues.reduce((sum, rpm) => sum + rpm, 0) / eRpmValues.length;
                   
-                  // Частота обертання в Гц (eRPM / 60)
-                  const rotationFreqHz = avgERPM / 60;
-                  
-                  // Базова частота шуму мотора (залежить від кількості полюсів)
-                  // Для безщіткових моторів з N полюсами = (eRPM * N / 60) / 2
-                  const baseNoiseFreq = (avgERPM * motorPoles) / (60 * 2);
+                  // Базова частота шуму мотора - механічна частота обертання
+                  // (лог містить eRPM/100, кількість полюсів з заголовка)
+                  const baseNoiseFreq = units.motorHz(avgERPM);
                   
                   // Гармоніки шуму мотора
                   for (let harmonic = 1; harmonic <= gyroRpmNotchHarmonics; harmonic++) {
@@ -1820,30 +1819,24 @@ export const analyzeFilters = async (flightData, dataHeaders, metadata) => {
           
           // Аналізуємо спектри гіроскопа для виявлення шуму
           for (const axis of ['roll', 'pitch', 'yaw']) {
-            const axisIndex = { roll: 0, pitch: 1, yaw: 2 }[axis];
-            const gyroUnfiltCol = findColumnName(`gyroUnfilt[${axisIndex}]`, dataHeaders);
+            const gyroUnfiltValues = gyroUnfiltColumns[axis];
             
-            if (gyroUnfiltCol) {
+            if (gyroUnfiltValues) {
               // Аналізуємо кілька рівномірно розподілених сегментів
               const notchAnalysisSegments = 5;
-              const notchSegmentStep = Math.max(1, Math.floor(maxSegments / notchAnalysisSegments));
+              const notchSegmentStep = Math.max(1, Math.floor(segments.length / notchAnalysisSegments));
               
-              for (let segIdx = 0; segIdx < maxSegments; segIdx += notchSegmentStep) {
-                const startIdx = segIdx * segmentSize;
-                const endIdx = Math.min(startIdx + segmentSize, flightData.length);
-                
-                if (endIdx - startIdx < segmentSize / 2) {
-                  continue;
-                }
+              for (let segIdx = 0; segIdx < segments.length; segIdx += notchSegmentStep) {
+                const { start: startIdx, end: endIdx } = segments[segIdx];
                 
                 try {
                   const fftSize = 1024;
                   const gyroData = [];
                   
                   // Збираємо дані по чанкам
-                  await processInChunks(flightData.slice(startIdx, endIdx), chunkSize, (chunk) => {
-                    for (const row of chunk) {
-                      const value = getNumericColumnValue(row, gyroUnfiltCol, dataHeaders);
+                  await processRangeInChunks(endIdx - startIdx, chunkSize, (start, end) => {
+                    for (let row = startIdx + start; row < startIdx + end; row++) {
+                      const value = gyroUnfiltValues[row];
                       if (!isNaN(value)) {
                         gyroData.push(value);
                         if (gyroData.length >= fftSize) break;
@@ -2039,6 +2032,86 @@ export const analyzeFilters = async (flightData, dataHeaders, metadata) => {
     } catch (error) {
       console.error("Error analyzing filters with full dataset:", error);
     }
+
+    // Виміряна передавальна функція фільтрів гіроскопа gyroUnfilt→gyroADC замість оцінки за частотою зрізу
+    try {
+      const gyroUnfiltColumns = flight.axisColumns('gyroUnfilt');
+      const gyroColumns = flight.axisColumns('gyroADC');
+      const transferFunction = {};
+      const axisDelays = [];
+
+      ['roll', 'pitch', 'yaw'].forEach(axis => {
+        if (!gyroUnfiltColumns[axis] || !gyroColumns[axis]) return;
+        const transfer = estimateTransferFunction(gyroUnfiltColumns[axis], gyroColumns[axis], { sampleRateHz: sampleRate, gaps });
+        if (!transfer) return;
+        transferFunction[axis] = { ...transfer, ...summarizeTransferFunction(transfer) };
+        if (transferFunction[axis].delayMs !== null) axisDelays.push(transferFunction[axis].delayMs);
+      });
+
+      if (Object.keys(transferFunction).length) {
+        filterAnalysis.gyroFilters = {
+          ...filterAnalysis.gyroFilters,
+          transferFunction,
+          ...(axisDelays.length && {
+            phaseDelay: axisDelays.reduce((sum, delay) => sum + delay, 0) / axisDelays.length,
+            phaseDelayMeasured: true
+          })
+        };
+      }
+    } catch (error) {
+      console.error("Error estimating gyro filter transfer function:", error);
+    }
+
+    // Теплова карта шуму: газ × частота для нефільтрованого і фільтрованого гіроскопа та D-терму
+    try {
+      const rcThrottle = flight.column('rcCommand[3]');
+      const motorColumns = [0, 1, 2, 3].map(index => flight.column(`motor[${index}]`)).filter(Boolean);
+      const throttle = new Float64Array(flight.length);
+      if (rcThrottle) {
+        for (let row = 0; row < flight.length; row++) throttle[row] = units.throttlePercent(rcThrottle[row]);
+      } else if (motorColumns.length) {
+        // Без rcCommand[3] газ оцінюється за середнім виходом моторів
+        for (let row = 0; row < flight.length; row++) {
+          let sum = 0;
+          motorColumns.forEach(values => { sum += units.motorPercent(values[row]); });
+          throttle[row] = sum / motorColumns.length;
+        }
+      }
+
+      const series = {};
+      ['gyroUnfilt', 'gyroADC', 'axisD'].forEach(source => {
+        ['roll', 'pitch', 'yaw'].forEach((axis, axisIndex) => {
+          series[`${source}[${axisIndex}]`] = flight.column(`${source}[${axisIndex}]`);
+        });
+      });
+
+      if ((rcThrottle || motorColumns.length) && Object.values(series).some(Boolean)) {
+        const { spectra, ...bands } = computeThrottleSpectrum(series, throttle, {
+          sampleRateHz: sampleRate,
+          gaps,
+          eRpm: [0, 1, 2, 3].map(index => flight.column(`eRPM[${index}]`)).filter(Boolean),
+          eRpmToHz: units.motorHz
+        });
+
+        const sources = {};
+        ['gyroUnfilt', 'gyroADC', 'axisD'].forEach(source => {
+          const axes = {};
+          ['roll', 'pitch', 'yaw'].forEach((axis, axisIndex) => {
+            if (spectra[`${source}[${axisIndex}]`]) axes[axis] = spectra[`${source}[${axisIndex}]`];
+          });
+          if (Object.keys(axes).length) sources[source] = axes;
+        });
+
+        filterAnalysis.throttleSpectrum = {
+          ...bands,
+          throttleSource: rcThrottle ? 'rcCommand' : 'motor',
+          rpmHarmonics: Math.max(1, gyroRpmNotchHarmonics || 3),
+          sources
+        };
+      }
+    } catch (error) {
+      console.error("Error building throttle noise spectrum:", error);
+    }
     
     return { filterAnalysis };
   };
@@ -2089,6 +2162,9 @@ export const generateRecommendations = (analysisResults, metadata, mode = 'stand
     };
     
     try {
+      // Поточні налаштування з нормалізованих заголовків (Betaflight 3.x-4.5, INAV, EmuFlight)
+      const settings = getFlightSettings(metadata);
+      
       // Get current PID settings from metadata
       const currentPid = {
         roll: { p: 0, i: 0, d: 0, f: 0 },
@@ -2096,70 +2172,46 @@ export const generateRecommendations = (analysisResults, metadata, mode = 'stand
         yaw: { p: 0, i: 0, d: 0, f: 0 }
       };
       
-      // Parse current PIDs from metadata
-      if (metadata.rollPID) {
-        const parts = metadata.rollPID.split(',').map(p => parseInt(p.trim()));
-        if (parts.length >= 3) {
-          currentPid.roll.p = parts[0];
-          currentPid.roll.i = parts[1];
-          currentPid.roll.d = parts[2];
-          if (parts.length >= 4) {
-            currentPid.roll.f = parts[3];
-          }
-        }
-      }
-      
-      if (metadata.pitchPID) {
-        const parts = metadata.pitchPID.split(',').map(p => parseInt(p.trim()));
-        if (parts.length >= 3) {
-          currentPid.pitch.p = parts[0];
-          currentPid.pitch.i = parts[1];
-          currentPid.pitch.d = parts[2];
-          if (parts.length >= 4) {
-            currentPid.pitch.f = parts[3];
-          }
-        }
-      }
-      
-      if (metadata.yawPID) {
-        const parts = metadata.yawPID.split(',').map(p => parseInt(p.trim()));
-        if (parts.length >= 3) {
-          currentPid.yaw.p = parts[0];
-          currentPid.yaw.i = parts[1];
-          currentPid.yaw.d = parts[2];
-          if (parts.length >= 4) {
-            currentPid.yaw.f = parts[3];
-          }
+      for (const axis of ['roll', 'pitch', 'yaw']) {
+        const { p, i, d, f, available } = settings.pid[axis];
+        if (available) {
+          currentPid[axis] = { p, i, d, f };
         }
       }
       
-      // Отримуємо поточні додаткові параметри
+      // Отримуємо поточні додаткові параметри (rates у CLI зберігаються в сотих)
+      const { rcExpo, rcRate } = settings.rates;
       const currentRcExpo = {
-        roll: parseFloat(metadata.rc_expo) || 0.0,
-        pitch: parseFloat(metadata.rc_expo) || 0.0,
-        yaw: parseFloat(metadata.rc_expo) || 0.0
+        roll: rcExpo.roll / 100,
+        pitch: rcExpo.pitch / 100,
+        yaw: rcExpo.yaw / 100
       };
       
       const currentRcRate = {
-        roll: parseFloat(metadata.rc_rate) || 1.0,
-        pitch: parseFloat(metadata.rc_rate) || 1.0,
-        yaw: parseFloat(metadata.rc_rate) || 1.0
+        roll: rcRate.roll / 100,
+        pitch: rcRate.pitch / 100,
+        yaw: rcRate.yaw / 100
       };
       
-      const currentTpaRate = parseFloat(metadata.tpa_rate) || 0.0;
-      const currentTpaBreakpoint = parseInt(metadata.tpa_breakpoint) || 1500;
-      const currentAntiGravityGain = parseInt(metadata.anti_gravity_gain) || 0;
-      const currentFeedForwardTransition = parseFloat(metadata.feed_forward_transition) || 0.0;
-      const currentDynIdleMinRpm = parseInt(metadata.dyn_idle_min_rpm) || 0;
+      // Реальна крива rates кожної осі: тип rates і максимальна швидкість (°/с)
+      const axisRates = getAxisRates(settings);
+      const ratesType = axisRates.roll.type;
+      const currentMaxRate = _.mapValues(axisRates, rates => Math.round(getMaxRate(rates)));
+      
+      const currentTpaRate = settings.tpa.rate;
+      const currentTpaBreakpoint = settings.tpa.breakpoint;
+      const currentAntiGravityGain = settings.antiGravityGain;
+      const currentFeedForwardTransition = settings.feedforward.transition;
+      const currentDynIdleMinRpm = settings.motor.dynIdleMinRpm;
       
       // Get current filter settings
       const currentFilters = {
-        gyro_lowpass_hz: parseInt(metadata.gyro_lowpass_hz) || 0,
-        dterm_lowpass_hz: parseInt(metadata.dterm_lowpass_hz) || 0,
-        dyn_notch_count: parseInt(metadata.dyn_notch_count) || 0,
-        dyn_notch_q: parseInt(metadata.dyn_notch_q) || 0,
-        dyn_notch_min_hz: parseInt(metadata.dyn_notch_min_hz) || 0,
-        dyn_notch_max_hz: parseInt(metadata.dyn_notch_max_hz) || 0
+        gyro_lowpass_hz: settings.filters.gyro.lpf1.staticHz,
+        dterm_lowpass_hz: settings.filters.dterm.lpf1.staticHz,
+        dyn_notch_count: settings.filters.dynNotch.count,
+        dyn_notch_q: settings.filters.dynNotch.q,
+        dyn_notch_min_hz: settings.filters.dynNotch.minHz,
+        dyn_notch_max_hz: settings.filters.dynNotch.maxHz
       };
       
       // ***********************************
@@ -2326,11 +2378,14 @@ export const generateRecommendations = (analysisResults, metadata, mode = 'stand
             pitch: Math.max(0.35, currentRcExpo.pitch),
             yaw: Math.max(0.35, currentRcExpo.yaw)
           },
-          rc_rate: {
+          // Обмеження RC Rate 0.9 має сенс лише для Betaflight rates, в інших типах rc_rate означає інше
+          rc_rate: ratesType === 'betaflight' ? {
             roll: Math.min(0.9, currentRcRate.roll),
             pitch: Math.min(0.9, currentRcRate.pitch),
             yaw: Math.min(0.9, currentRcRate.yaw)
-          },
+          } : currentRcRate,
+          rates_type: ratesType,
+          max_rate: currentMaxRate,
           tpa_rate: Math.max(0.5, currentTpaRate),
           tpa_breakpoint: Math.min(1550, currentTpaBreakpoint),
           anti_gravity_gain: Math.max(220, currentAntiGravityGain),
@@ -2355,7 +2410,10 @@ export const generateRecommendations = (analysisResults, metadata, mode = 'stand
         recommendations.explanations.mode.additional_changes = 
           `Додаткові параметри оптимізовані для плавної зйомки: ` +
           `RC Expo збільшено для плавнішого керування, ` +
-          `RC Rate зменшено для більш м'яких рухів, ` +
+          (ratesType === 'betaflight'
+            ? `RC Rate зменшено для більш м'яких рухів, `
+            : `RC Rate (${ratesType} rates) залишено без змін, `) +
+          `максимальні швидкості roll/pitch/yaw зараз ${currentMaxRate.roll}/${currentMaxRate.pitch}/${currentMaxRate.yaw} °/с, ` +
           `TPA налаштовано для запобігання перегріву моторів, ` +
           `Anti-gravity gain збільшено для стабільності під час змін газу, ` +
           `Feed Forward Transition збільшено для точнішого керування.`;
@@ -2510,41 +2568,38 @@ export const generateRecommendations = (analysisResults, metadata, mode = 'stand
         }
       }
       
-      // Generate CLI commands for Betaflight (existing code plus cinematic mode additions)
+      // Generate CLI commands (імена параметрів залежать від прошивки та її версії)
       const commands = [];
       
+      // Додає команду set, якщо прошивка має такий параметр
+      const pushSetting = (name, value) => {
+        if (name) {
+          commands.push(`set ${name} = ${value}`);
+        }
+      };
+      
       // PID commands
       commands.push('# PID settings');
-      commands.push(`set p_roll = ${recommendations.pid.roll.p}`);
-      commands.push(`set i_roll = ${recommendations.pid.roll.i}`);
-      commands.push(`set d_roll = ${recommendations.pid.roll.d}`);
-      
-      commands.push(`set p_pitch = ${recommendations.pid.pitch.p}`);
-      commands.push(`set i_pitch = ${recommendations.pid.pitch.i}`);
-      commands.push(`set d_pitch = ${recommendations.pid.pitch.d}`);
-      
-      commands.push(`set p_yaw = ${recommendations.pid.yaw.p}`);
-      commands.push(`set i_yaw = ${recommendations.pid.yaw.i}`);
-      commands.push(`set d_yaw = ${recommendations.pid.yaw.d}`);
-      
-      if (recommendations.pid.roll.f) {
-        commands.push(`set f_roll = ${recommendations.pid.roll.f}`);
-      }
-      if (recommendations.pid.pitch.f) {
-        commands.push(`set f_pitch = ${recommendations.pid.pitch.f}`);
+      for (const axis of ['roll', 'pitch', 'yaw']) {
+        pushSetting(getCliPidSettingName(settings, 'p', axis), recommendations.pid[axis].p);
+        pushSetting(getCliPidSettingName(settings, 'i', axis), recommendations.pid[axis].i);
+        pushSetting(getCliPidSettingName(settings, 'd', axis), recommendations.pid[axis].d);
       }
-      if (recommendations.pid.yaw.f) {
-        commands.push(`set f_yaw = ${recommendations.pid.yaw.f}`);
+      
+      for (const axis of ['roll', 'pitch', 'yaw']) {
+        if (recommendations.pid[axis].f) {
+          pushSetting(getCliPidSettingName(settings, 'f', axis), recommendations.pid[axis].f);
+        }
       }
       
       // Filter commands
       commands.push('# Filter settings');
-      commands.push(`set gyro_lowpass_hz = ${recommendations.filters.gyro_lowpass_hz}`);
-      commands.push(`set dterm_lowpass_hz = ${recommendations.filters.dterm_lowpass_hz}`);
-      commands.push(`set dyn_notch_count = ${recommendations.filters.dyn_notch_count}`);
-      commands.push(`set dyn_notch_q = ${recommendations.filters.dyn_notch_q}`);
-      commands.push(`set dyn_notch_min_hz = ${recommendations.filters.dyn_notch_min_hz}`);
-      commands.push(`set dyn_notch_max_hz = ${recommendations.filters.dyn_notch_max_hz}`);
+      pushSetting(getCliSettingName(settings, 'gyroLowpassHz'), recommendations.filters.gyro_lowpass_hz);
+      pushSetting(getCliSettingName(settings, 'dtermLowpassHz'), recommendations.filters.dterm_lowpass_hz);
+      pushSetting(getCliSettingName(settings, 'dynNotchCount'), recommendations.filters.dyn_notch_count);
+      pushSetting(getCliSettingName(settings, 'dynNotchQ'), recommendations.filters.dyn_notch_q);
+      pushSetting(getCliSettingName(settings, 'dynNotchMinHz'), recommendations.filters.dyn_notch_min_hz);
+      pushSetting(getCliSettingName(settings, 'dynNotchMaxHz'), recommendations.filters.dyn_notch_max_hz);
       
       // Additional commands for Betaflight 4.3+ with different Q-factor support
       if (recommendations.filters.dynamic_notch_q_factors && 
@@ -2560,28 +2615,27 @@ export const generateRecommendations = (analysisResults, metadata, mode = 'stand
       // Додаємо команди для cinematic mode
       if (mode === 'cinematic') {
         commands.push('# Cinematic mode specific settings');
+        const params = recommendations.additionalParams;
+        // Rates, TPA і FF transition у CLI задаються в сотих
+        const toCli = (fraction) => Math.round(fraction * 100);
         
-        // RC Expo settings
-        commands.push(`set rc_expo = ${recommendations.additionalParams.rc_expo.roll}`);
-        commands.push(`set rc_expo_roll = ${recommendations.additionalParams.rc_expo.roll}`);
-        commands.push(`set rc_expo_pitch = ${recommendations.additionalParams.rc_expo.pitch}`);
-        commands.push(`set rc_expo_yaw = ${recommendations.additionalParams.rc_expo.yaw}`);
-        
-        // RC Rate settings
-        commands.push(`set rc_rate = ${recommendations.additionalParams.rc_rate.roll}`);
-        commands.push(`set rc_rate_roll = ${recommendations.additionalParams.rc_rate.roll}`);
-        commands.push(`set rc_rate_pitch = ${recommendations.additionalParams.rc_rate.pitch}`);
-        commands.push(`set rc_rate_yaw = ${recommendations.additionalParams.rc_rate.yaw}`);
+        // RC Expo та RC Rate settings
+        for (const axis of ['roll', 'pitch', 'yaw']) {
+          const rateNames = getCliRateSettingNames(settings, axis);
+          pushSetting(rateNames.rcExpo, toCli(params.rc_expo[axis]));
+          pushSetting(rateNames.rcRate, toCli(params.rc_rate[axis]));
+        }
         
         // TPA і інші параметри
-        commands.push(`set tpa_rate = ${recommendations.additionalParams.tpa_rate}`);
-        commands.push(`set tpa_breakpoint = ${recommendations.additionalParams.tpa_breakpoint}`);
-        commands.push(`set anti_gravity_gain = ${recommendations.additionalParams.anti_gravity_gain}`);
-        commands.push(`set ff_transition = ${recommendations.additionalParams.feed_forward_transition}`);
+        pushSetting(getCliSettingName(settings, 'tpaRate'), toCli(params.tpa_rate));
+        pushSetting(getCliSettingName(settings, 'tpaBreakpoint'), params.tpa_breakpoint);
+        pushSetting(getCliSettingName(settings, 'antiGravityGain'), params.anti_gravity_gain);
+        pushSetting(getCliSettingName(settings, 'feedforwardTransition'), toCli(params.feed_forward_transition));
         
         // Dynamic Idle
-        if (recommendations.additionalParams.dyn_idle_min_rpm > 0) {
-          commands.push(`set dyn_idle_min_rpm = ${recommendations.additionalParams.dyn_idle_min_rpm}`);
+        const dynIdleName = getCliSettingName(settings, 'dynIdleMinRpm');
+        if (params.dyn_idle_min_rpm > 0 && dynIdleName) {
+          pushSetting(dynIdleName, params.dyn_idle_min_rpm);
           commands.push('set dyn_idle_p_gain = 50');
           commands.push('set dyn_idle_i_gain = 50');
           commands.push('set dyn_idle_d_gain = 50');
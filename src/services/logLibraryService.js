@@ -0,0 +1,339 @@
+// src/services/logLibraryService.js
+
+import { FlightDataTable } from '../utils/flightDataTable';
+import { getFlightLogInfo } from '../utils/flightLogInfo';
+
+/**
+ * Локальна бібліотека логів в IndexedDB. Лог зберігається колонками (типізовані
+ * масиви клонуються без перетворення), тому відкривається без повторного парсингу.
+ * Окремі сховища:
+ *   entries  - короткий опис для списку (апарат, дата, прошивка, тривалість, теги, нотатки)
+ *   logs     - дані логу (метадані, колонки, події, GPS, статистика парсера)
+ *   analyses - результати аналізу та рекомендації
+ *   craftProfiles - профілі апаратів, до яких прив'язуються логи
+ *   tuningSessions - сесії налаштування: ланцюжки збережених логів з оцінками ітерацій
+ */
+
+const DB_NAME = 'blackbox-log-library';
+const DB_VERSION = 3;
+
+const STORES = {
+  ENTRIES: 'entries',
+  LOGS: 'logs',
+  ANALYSES: 'analyses',
+  CRAFT_PROFILES: 'craftProfiles',
+  TUNING_SESSIONS: 'tuningSessions'
+};
+
+// Сховища з даними окремого логу (профілі та сесії спільні для всіх логів)
+const LOG_STORES = [STORES.ENTRIES, STORES.LOGS, STORES.ANALYSES];
+
+let databasePromise = null;
+
+// Обгортка запиту IndexedDB у Promise
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Promise, що завершується разом із транзакцією
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error || new DOMException('Транзакцію скасовано', 'AbortError'));
+});
+
+function openDatabase() {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB недоступна в цьому браузері'));
+  }
+
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORES.ENTRIES)) {
+          const entries = db.createObjectStore(STORES.ENTRIES, { keyPath: 'id', autoIncrement: true });
+          entries.createIndex('savedAt', 'savedAt');
+        }
+        if (!db.objectStoreNames.contains(STORES.LOGS)) {
+          db.createObjectStore(STORES.LOGS, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(STORES.ANALYSES)) {
+          db.createObjectStore(STORES.ANALYSES, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(STORES.CRAFT_PROFILES)) {
+          db.createObjectStore(STORES.CRAFT_PROFILES, { keyPath: 'id', autoIncrement: true });
+        }
+        if (!db.objectStoreNames.contains(STORES.TUNING_SESSIONS)) {
+          db.createObjectStore(STORES.TUNING_SESSIONS, { keyPath: 'id', autoIncrement: true });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        databasePromise = null;
+        reject(request.error);
+      };
+    });
+  }
+
+  return databasePromise;
+}
+
+/**
+ * Список збережених логів, новіші першими
+ * @returns {Promise<Array<Object>>} - Записи { id, fileName, craftName, firmware, startDatetime, durationSeconds, rowCount, savedAt, tags, notes, hasAnalysis, craftProfileId }
+ */
+export const listLibraryLogs = async () => {
+  const db = await openDatabase();
+  const transaction = db.transaction(STORES.ENTRIES, 'readonly');
+  const entries = await requestToPromise(transaction.objectStore(STORES.ENTRIES).getAll());
+  return entries.sort((a, b) => b.savedAt - a.savedAt);
+};
+
+/**
+ * Зберігає розібраний лог у бібліотеку
+ * @param {Object} log - Лог { metadata, dataHeaders, flightTable, columnUnits, events, gpsHeaders, gpsData, gpsHome, stats, analysis, craftProfileId }
+ * @param {Object} info - { fileName, tags, notes }
+ * @returns {Promise<number>} - Ідентифікатор запису
+ */
+export const saveLogToLibrary = async (log, { fileName = '', tags = [], notes = '' } = {}) => {
+  const db = await openDatabase();
+  const flightInfo = getFlightLogInfo(log);
+
+  const entry = {
+    fileName,
+    craftName: flightInfo.craftName,
+    firmware: flightInfo.firmware,
+    startDatetime: flightInfo.startDatetime,
+    durationSeconds: flightInfo.durationSeconds,
+    rowCount: flightInfo.rowCount,
+    savedAt: Date.now(),
+    tags,
+    notes,
+    hasAnalysis: Boolean(log.analysis),
+    craftProfileId: log.craftProfileId ?? null
+  };
+
+  const transaction = db.transaction(LOG_STORES, 'readwrite');
+  const done = transactionDone(transaction);
+  const id = await requestToPromise(transaction.objectStore(STORES.ENTRIES).add(entry));
+
+  transaction.objectStore(STORES.LOGS).put({
+    id,
+    metadata: log.metadata,
+    dataHeaders: log.dataHeaders,
+    table: log.flightTable.serialize(),
+    columnUnits: log.columnUnits || {},
+    events: log.events || [],
+    gpsHeaders: log.gpsHeaders || [],
+    gpsData: log.gpsData || [],
+    gpsHome: log.gpsHome || null,
+    stats: log.stats || null
+  });
+  if (log.analysis) {
+    transaction.objectStore(STORES.ANALYSES).put({ id, ...log.analysis });
+  }
+
+  await done;
+  return id;
+};
+
+/**
+ * Відкриває збережений лог без повторного парсингу
+ * @param {number} id - Ідентифікатор запису
+ * @returns {Promise<Object>} - { entry, log } - лог у форматі сховища з libraryId, analysis та craftProfileId
+ */
+export const loadLogFromLibrary = async (id) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(LOG_STORES, 'readonly');
+  const [entry, stored, analysis] = await Promise.all([
+    requestToPromise(transaction.objectStore(STORES.ENTRIES).get(id)),
+    requestToPromise(transaction.objectStore(STORES.LOGS).get(id)),
+    requestToPromise(transaction.objectStore(STORES.ANALYSES).get(id))
+  ]);
+
+  if (!entry || !stored) {
+    throw new Error(`Лог #${id} не знайдено в бібліотеці`);
+  }
+
+  const { id: analysisId, ...savedAnalysis } = analysis || {};
+  return {
+    entry,
+    log: {
+      metadata: stored.metadata,
+      dataHeaders: stored.dataHeaders,
+      flightTable: FlightDataTable.deserialize(stored.table),
+      columnUnits: stored.columnUnits,
+      events: stored.events,
+      gpsHeaders: stored.gpsHeaders,
+      gpsData: stored.gpsData,
+      gpsHome: stored.gpsHome,
+      stats: stored.stats,
+      analysis: analysisId !== undefined ? savedAnalysis : null,
+      libraryId: id,
+      craftProfileId: entry.craftProfileId ?? null
+    }
+  };
+};
+
+/**
+ * Оновлює теги, нотатки та прив'язаний профіль апарата запису
+ * @param {number} id - Ідентифікатор запису
+ * @param {Object} changes - { tags, notes, craftProfileId }
+ * @returns {Promise<Object>} - Оновлений запис
+ */
+export const updateLibraryEntry = async (id, changes) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(STORES.ENTRIES, 'readwrite');
+  const done = transactionDone(transaction);
+  const store = transaction.objectStore(STORES.ENTRIES);
+
+  const entry = await requestToPromise(store.get(id));
+  if (!entry) {
+    throw new Error(`Лог #${id} не знайдено в бібліотеці`);
+  }
+
+  const updated = { ...entry, ...pickEntryChanges(changes) };
+  store.put(updated);
+  await done;
+  return updated;
+};
+
+// Змінювати можна лише теги, нотатки та профіль апарата
+function pickEntryChanges({ tags, notes, craftProfileId }) {
+  const changes = {};
+  if (tags !== undefined) changes.tags = tags;
+  if (notes !== undefined) changes.notes = notes;
+  if (craftProfileId !== undefined) changes.craftProfileId = craftProfileId;
+  return changes;
+}
+
+/**
+ * Зберігає результати аналізу та рекомендації для запису
+ * @param {number} id - Ідентифікатор запису
+ * @param {Object|null} analysis - { results, recommendations, analysisMode, createdAt } або null для видалення
+ */
+export const saveAnalysisToLibrary = async (id, analysis) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([STORES.ENTRIES, STORES.ANALYSES], 'readwrite');
+  const done = transactionDone(transaction);
+
+  if (analysis) {
+    transaction.objectStore(STORES.ANALYSES).put({ id, ...analysis });
+  } else {
+    transaction.objectStore(STORES.ANALYSES).delete(id);
+  }
+
+  const entries = transaction.objectStore(STORES.ENTRIES);
+  const entry = await requestToPromise(entries.get(id));
+  if (entry) {
+    entries.put({ ...entry, hasAnalysis: Boolean(analysis) });
+  }
+
+  await done;
+};
+
+/**
+ * Видаляє лог з бібліотеки разом з результатами аналізу та відв'язує його від ітерацій
+ * сесій налаштування (ітерації зберігають підсумок, але лог уже не відкривається)
+ * @param {number} id - Ідентифікатор запису
+ */
+export const deleteLogFromLibrary = async (id) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([...LOG_STORES, STORES.TUNING_SESSIONS], 'readwrite');
+  const done = transactionDone(transaction);
+  LOG_STORES.forEach(name => transaction.objectStore(name).delete(id));
+
+  const sessions = transaction.objectStore(STORES.TUNING_SESSIONS);
+  const linked = (await requestToPromise(sessions.getAll()))
+    .filter(session => session.iterations.some(iteration => iteration.libraryId === id));
+  linked.forEach(session => sessions.put({
+    ...session,
+    iterations: session.iterations.map(iteration => (iteration.libraryId === id ? { ...iteration, libraryId: null } : iteration))
+  }));
+
+  await done;
+};
+
+/**
+ * Список профілів апаратів
+ * @returns {Promise<Array<Object>>} - Профілі, відсортовані за назвою
+ */
+export const listCraftProfiles = async () => {
+  const db = await openDatabase();
+  const transaction = db.transaction(STORES.CRAFT_PROFILES, 'readonly');
+  const profiles = await requestToPromise(transaction.objectStore(STORES.CRAFT_PROFILES).getAll());
+  return profiles.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Створює або оновлює профіль апарата (оновлюється, якщо профіль має id)
+ * @param {Object} profile - Профіль з createCraftProfile
+ * @returns {Promise<Object>} - Збережений профіль з id
+ */
+export const saveCraftProfile = async (profile) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(STORES.CRAFT_PROFILES, 'readwrite');
+  const done = transactionDone(transaction);
+  const id = await requestToPromise(transaction.objectStore(STORES.CRAFT_PROFILES).put(profile));
+  await done;
+  return { ...profile, id };
+};
+
+/**
+ * Видаляє профіль апарата та відв'язує його від збережених логів
+ * @param {number} id - Ідентифікатор профілю
+ */
+export const deleteCraftProfile = async (id) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([STORES.CRAFT_PROFILES, STORES.ENTRIES], 'readwrite');
+  const done = transactionDone(transaction);
+  transaction.objectStore(STORES.CRAFT_PROFILES).delete(id);
+
+  const entries = transaction.objectStore(STORES.ENTRIES);
+  const linked = (await requestToPromise(entries.getAll())).filter(entry => entry.craftProfileId === id);
+  linked.forEach(entry => entries.put({ ...entry, craftProfileId: null }));
+
+  await done;
+};
+
+/**
+ * Список сесій налаштування, новіші першими
+ * @returns {Promise<Array<Object>>} - Сесії { id, name, analysisMode, createdAt, iterations }
+ */
+export const listTuningSessions = async () => {
+  const db = await openDatabase();
+  const transaction = db.transaction(STORES.TUNING_SESSIONS, 'readonly');
+  const sessions = await requestToPromise(transaction.objectStore(STORES.TUNING_SESSIONS).getAll());
+  return sessions.sort((a, b) => b.createdAt - a.createdAt);
+};
+
+/**
+ * Створює або оновлює сесію налаштування (оновлюється, якщо сесія має id)
+ * @param {Object} session - { name, analysisMode, createdAt, iterations }
+ * @returns {Promise<Object>} - Збережена сесія з id
+ */
+export const saveTuningSession = async (session) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(STORES.TUNING_SESSIONS, 'readwrite');
+  const done = transactionDone(transaction);
+  const id = await requestToPromise(transaction.objectStore(STORES.TUNING_SESSIONS).put(session));
+  await done;
+  return { ...session, id };
+};
+
+/**
+ * Видаляє сесію налаштування; логи ітерацій лишаються в бібліотеці
+ * @param {number} id - Ідентифікатор сесії
+ */
+export const deleteTuningSession = async (id) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(STORES.TUNING_SESSIONS, 'readwrite');
+  const done = transactionDone(transaction);
+  transaction.objectStore(STORES.TUNING_SESSIONS).delete(id);
+  await done;
+};
@@ -4,8 +4,10 @@
  */
 
 // Імпорт необхідних утиліт та бібліотек
-import { findColumnName, getNumericColumnValue, getAxisValues } from '../utils/blackboxColumnMapper';
-import { processInChunks, applyHannWindow } from '../utils/analyzerUtils';
+import { createFlightDataAccessor } from '../utils/flightDataAccessor';
+import { getFlightSettings } from '../utils/flightSettings';
+import { scalePidLimits } from '../utils/craftProfiles';
+import { processRangeInChunks, applyHannWindow } from '../utils/analyzerUtils';
 import * as math from 'mathjs';
 import _ from 'lodash';
 
@@ -15,9 +17,10 @@ import _ from 'lodash';
  * @param {Array} dataHeaders - Заголовки колонок даних
  * @param {Object} metadata - Метадані логу з поточними налаштуваннями
  * @param {String} mode - Режим оптимізації ('standard' або 'cinematic')
+ * @param {Object|null} craftProfile - Профіль апарата; межі PID масштабуються за класом рами
  * @returns {Object} - Рекомендовані PID налаштування з детальним поясненням змін
  */
-export const generateOptimalPidSettings = async (flightData, dataHeaders, metadata, mode = 'standard') => {
+export const generateOptimalPidSettings = async (flightData, dataHeaders, metadata, mode = 'standard', craftProfile = null) => {
     // Створюємо структуру для результатів
     const result = {
         originalPid: {
@@ -224,6 +227,9 @@ export const generateOptimalPidSettings = async (flightData, dataHeaders, metada
     
     console.log("Етап 3: Застосовуємо рекомендації та виконуємо фінальні корекції...");
     
+    // Безпечні межі з урахуванням класу рами (whoop потребує вищих P/D, 7" - нижчих)
+    const limits = scalePidLimits(pidSafeLimits, craftProfile);
+    
     // Застосування оцінок для розрахунку нових значень
     for (const axis of ['roll', 'pitch', 'yaw']) {
         // P-термін
@@ -232,7 +238,7 @@ export const generateOptimalPidSettings = async (flightData, dataHeaders, metada
         result.recommendedPid[axis].p = adjustPidValue(
             result.originalPid[axis].p, 
             pModifier,
-            pidSafeLimits[axis].p
+            limits[axis].p
         );
         
         // I-термін
@@ -241,7 +247,7 @@ export const generateOptimalPidSettings = async (flightData, dataHeaders, metada
         result.recommendedPid[axis].i = adjustPidValue(
             result.originalPid[axis].i, 
             iModifier,
-            pidSafeLimits[axis].i
+            limits[axis].i
         );
         
         // D-термін
@@ -250,7 +256,7 @@ export const generateOptimalPidSettings = async (flightData, dataHeaders, metada
         result.recommendedPid[axis].d = adjustPidValue(
             result.originalPid[axis].d, 
             dModifier,
-            pidSafeLimits[axis].d
+            limits[axis].d
         );
         
         // F-термін (Feed Forward)
@@ -259,7 +265,7 @@ export const generateOptimalPidSettings = async (flightData, dataHeaders, metada
         result.recommendedPid[axis].f = adjustPidValue(
             result.originalPid[axis].f, 
             fModifier,
-            pidSafeLimits[axis].f
+            limits[axis].f
         );
     }
     
@@ -307,7 +313,7 @@ function initializeScoreMatrix() {
 }
 
 /**
- * Безпечні межі для PID-налаштувань
+ * Безпечні межі для PID-налаштувань (для рами 5-6", див. scalePidLimits)
  */
 const pidSafeLimits = {
     roll: {
@@ -384,42 +390,16 @@ function extractCurrentPidSettings(metadata) {
     
     // Спроба отримати значення з метаданих, якщо доступні
     try {
-        // Roll PID
-        if (metadata.rollPID) {
-            const parts = metadata.rollPID.split(',').map(p => parseFloat(p.trim()));
-            if (parts.length >= 3) {
-                pidSettings.roll.p = parts[0] || pidSettings.roll.p;
-                pidSettings.roll.i = parts[1] || pidSettings.roll.i;
-                pidSettings.roll.d = parts[2] || pidSettings.roll.d;
-                if (parts.length >= 4) {
-                    pidSettings.roll.f = parts[3] || pidSettings.roll.f;
-                }
-            }
-        }
-        
-        // Pitch PID
-        if (metadata.pitchPID) {
-            const parts = metadata.pitchPID.split(',').map(p => parseFloat(p.trim()));
-            if (parts.length >= 3) {
-                pidSettings.pitch.p = parts[0] || pidSettings.pitch.p;
-                pidSettings.pitch.i = parts[1] || pidSettings.pitch.i;
-                pidSettings.pitch.d = parts[2] || pidSettings.pitch.d;
-                if (parts.length >= 4) {
-                    pidSettings.pitch.f = parts[3] || pidSettings.pitch.f;
-                }
-            }
-        }
+        // PID з нормалізованих заголовків (FF може бути окремим заголовком залежно від прошивки)
+        const settings = getFlightSettings(metadata);
         
-        // Yaw PID
-        if (metadata.yawPID) {
-            const parts = metadata.yawPID.split(',').map(p => parseFloat(p.trim()));
-            if (parts.length >= 3) {
-                pidSettings.yaw.p = parts[0] || pidSettings.yaw.p;
-                pidSettings.yaw.i = parts[1] || pidSettings.yaw.i;
-                pidSettings.yaw.d = parts[2] || pidSettings.yaw.d;
-                if (parts.length >= 4) {
-                    pidSettings.yaw.f = parts[3] || pidSettings.yaw.f;
-                }
+        for (const axis of ['roll', 'pitch', 'yaw']) {
+            const { p, i, d, f, available } = settings.pid[axis];
+            if (available) {
+                pidSettings[axis].p = p || pidSettings[axis].p;
+                pidSettings[axis].i = i || pidSettings[axis].i;
+                pidSettings[axis].d = d || pidSettings[axis].d;
+                pidSettings[axis].f = f || pidSettings[axis].f;
             }
         }
     } catch (error) {
@@ -515,17 +495,20 @@ async function analyzeTransientResponse(flightData, dataHeaders, metadata) {
     };
     
     try {
+        // Без setpoint[] у лозі задана швидкість відновлюється з rcCommand за кривими rates
+        const data = createFlightDataAccessor(flightData, dataHeaders, metadata);
+        
         // Для кожної осі знаходимо перехідні процеси
         for (const axis of ['roll', 'pitch', 'yaw']) {
             const axisIndex = { roll: 0, pitch: 1, yaw: 2 }[axis];
             
             // Знаходимо необхідні колонки даних
-            const setpointCol = findColumnName(`setpoint[${axisIndex}]`, dataHeaders);
-            const gyroCol = findColumnName(`gyroADC[${axisIndex}]`, dataHeaders);
+            const setpointValues = data.column(`setpoint[${axisIndex}]`);
+            const gyroValues = data.column(`gyroADC[${axisIndex}]`);
             
-            if (setpointCol && gyroCol) {
+            if (setpointValues && gyroValues) {
                 // Знаходимо великі зміни в setpoint (команді)
-                const stepChanges = await findStepChanges(flightData, setpointCol, gyroCol, dataHeaders);
+                const stepChanges = await findStepChanges(setpointValues, gyroValues);
                 
                 if (stepChanges.length > 0) {
                     // Аналізуємо найбільш виражені зміни
@@ -547,13 +530,11 @@ async function analyzeTransientResponse(flightData, dataHeaders, metadata) {
 
 /**
  * Знаходить великі зміни в заданому значенні
- * @param {Array} flightData - Дані польоту
- * @param {String} setpointCol - Назва колонки заданого значення
- * @param {String} gyroCol - Назва колонки гіроскопа
- * @param {Array} dataHeaders - Заголовки даних
+ * @param {Float64Array|Int32Array} setpointValues - Колонка заданого значення
+ * @param {Float64Array|Int32Array} gyroValues - Колонка гіроскопа
  * @returns {Array} - Список виявлених змін
  */
-async function findStepChanges(flightData, setpointCol, gyroCol, dataHeaders) {
+async function findStepChanges(setpointValues, gyroValues) {
     const stepChanges = [];
     const threshold = 30; // Мінімальна зміна для виявлення
     const segmentSize = 100; // Розмір вікна для аналізу після зміни
@@ -562,15 +543,17 @@ async function findStepChanges(flightData, setpointCol, gyroCol, dataHeaders) {
         let lastSetpoint = null;
         
         // Обробляємо дані чанками для ефективності
-        await processInChunks(flightData, 500, (chunk, chunkIndex, startIndex) => {
-            for (let i = 0; i < chunk.length - segmentSize; i++) {
-                const setpoint = getNumericColumnValue(chunk[i], setpointCol, dataHeaders);
+        const lastStart = setpointValues.length - segmentSize;
+        
+        await processRangeInChunks(setpointValues.length, 500, (start, end) => {
+            for (let i = start; i < Math.min(end, lastStart); i++) {
+                const setpoint = setpointValues[i];
                 
                 // Якщо це не перший запис і виявлена значна зміна
                 if (lastSetpoint !== null && Math.abs(setpoint - lastSetpoint) > threshold) {
                     // Збираємо дані перехідного процесу
                     const stepData = {
-                        startIndex: startIndex + i,
+                        startIndex: i,
                         startSetpoint: lastSetpoint,
                         targetSetpoint: setpoint,
                         change: setpoint - lastSetpoint,
@@ -578,9 +561,8 @@ async function findStepChanges(flightData, setpointCol, gyroCol, dataHeaders) {
                     };
                     
                     // Записуємо дані гіроскопа для аналізу відгуку
-                    for (let j = 0; j < segmentSize && (i + j) < chunk.length; j++) {
-                        const gyroValue = getNumericColumnValue(chunk[i + j], gyroCol, dataHeaders);
-                        stepData.responseData.push(gyroValue);
+                    for (let j = 0; j < segmentSize; j++) {
+                        stepData.responseData.push(gyroValues[i + j]);
                     }
                     
                     stepChanges.push(stepData);
@@ -4,8 +4,9 @@
  * based on various optimization strategies
  */
 
-import { findColumnName, getNumericColumnValue, getAxisValues } from '../utils/blackboxColumnMapper';
-import { processInChunks } from '../utils/analyzerUtils';
+import { createFlightDataAccessor } from '../utils/flightDataAccessor';
+import { getFlightSettings } from '../utils/flightSettings';
+import { processRangeInChunks } from '../utils/analyzerUtils';
 import { optimizePidFromFlightData } from '../utils/pidOptimizationAlgorithms';
 import * as math from 'mathjs';
 import _ from 'lodash';
@@ -94,42 +95,16 @@ function extractCurrentPidSettings(metadata) {
     };
     
     try {
-        // Parse Roll PID
-        if (metadata.rollPID) {
-            const parts = metadata.rollPID.split(',').map(p => parseInt(p.trim()));
-            if (parts.length >= 3) {
-                pidSettings.roll.p = parts[0] || pidSettings.roll.p;
-                pidSettings.roll.i = parts[1] || pidSettings.roll.i;
-                pidSettings.roll.d = parts[2] || pidSettings.roll.d;
-                if (parts.length >= 4) {
-                    pidSettings.roll.f = parts[3] || pidSettings.roll.f;
-                }
-            }
-        }
+        // PIDs from normalized headers (FF may live in a separate header depending on firmware)
+        const settings = getFlightSettings(metadata);
         
-        // Parse Pitch PID
-        if (metadata.pitchPID) {
-            const parts = metadata.pitchPID.split(',').map(p => parseInt(p.trim()));
-            if (parts.length >= 3) {
-                pidSettings.pitch.p = parts[0] || pidSettings.pitch.p;
-                pidSettings.pitch.i = parts[1] || pidSettings.pitch.i;
-                pidSettings.pitch.d = parts[2] || pidSettings.pitch.d;
-                if (parts.length >= 4) {
-                    pidSettings.pitch.f = parts[3] || pidSettings.pitch.f;
-                }
-            }
-        }
-        
-        // Parse Yaw PID
-        if (metadata.yawPID) {
-            const parts = metadata.yawPID.split(',').map(p => parseInt(p.trim()));
-            if (parts.length >= 3) {
-                pidSettings.yaw.p = parts[0] || pidSettings.yaw.p;
-                pidSettings.yaw.i = parts[1] || pidSettings.yaw.i;
-                pidSettings.yaw.d = parts[2] || pidSettings.yaw.d;
-                if (parts.length >= 4) {
-                    pidSettings.yaw.f = parts[3] || pidSettings.yaw.f;
-                }
+        for (const axis of ['roll', 'pitch', 'yaw']) {
+            const { p, i, d, f, available } = settings.pid[axis];
+            if (available) {
+                pidSettings[axis].p = p || pidSettings[axis].p;
+                pidSettings[axis].i = i || pidSettings[axis].i;
+                pidSettings[axis].d = d || pidSettings[axis].d;
+                pidSettings[axis].f = f || pidSettings[axis].f;
             }
         }
     } catch (error) {
@@ -172,19 +147,19 @@ async function analyzeFlightCharacteristics(flightData, dataHeaders, metadata) {
     };
     
     try {
+        const data = createFlightDataAccessor(flightData, dataHeaders);
+        
         // For each axis, analyze transient response
         for (const axis of ['roll', 'pitch', 'yaw']) {
             const axisIndex = { roll: 0, pitch: 1, yaw: 2 }[axis];
             
             // Find relevant columns
-            const rcCommandCol = findColumnName(`rcCommand[${axisIndex}]`, dataHeaders);
-            const gyroCol = findColumnName(`gyroADC[${axisIndex}]`, dataHeaders);
+            const rcCommandValues = data.column(`rcCommand[${axisIndex}]`);
+            const gyroValues = data.column(`gyroADC[${axisIndex}]`);
             
-            if (rcCommandCol && gyroCol) {
+            if (rcCommandValues && gyroValues) {
                 // Find significant stick movements to analyze response
-                const stickMovements = await findSignificantStickMovements(
-                    flightData, rcCommandCol, gyroCol, dataHeaders
-                );
+                const stickMovements = await findSignificantStickMovements(rcCommandValues, gyroValues);
                 
                 if (stickMovements.length > 0) {
                     // Calculate average metrics
@@ -193,11 +168,11 @@ async function analyzeFlightCharacteristics(flightData, dataHeaders, metadata) {
                     result[axis].oscillations = detectOscillations(stickMovements);
                     
                     // Measure stick activity (how aggressive the flying is)
-                    result[axis].stickActivity = measureStickActivity(flightData, rcCommandCol, dataHeaders);
+                    result[axis].stickActivity = measureStickActivity(rcCommandValues);
                 }
                 
                 // Analyze noise level in gyro signal
-                result[axis].noiseLevel = await analyzeNoiseLevel(flightData, gyroCol, dataHeaders);
+                result[axis].noiseLevel = await analyzeNoiseLevel(gyroValues);
             }
         }
     } catch (error) {
@@ -209,13 +184,11 @@ async function analyzeFlightCharacteristics(flightData, dataHeaders, metadata) {
 
 /**
  * Find significant stick movements to analyze system response
- * @param {Array} flightData - Flight data array
- * @param {String} rcCommandCol - RC command column name
- * @param {String} gyroCol - Gyro column name
- * @param {Array} dataHeaders - Data headers array
+ * @param {Float64Array|Int32Array} rcCommandValues - RC command column
+ * @param {Float64Array|Int32Array} gyroValues - Gyro column
  * @returns {Array} - List of significant stick movements and responses
  */
-async function findSignificantStickMovements(flightData, rcCommandCol, gyroCol, dataHeaders) {
+async function findSignificantStickMovements(rcCommandValues, gyroValues) {
     const movements = [];
     const threshold = 30; // Minimum change to be considered significant
     const windowSize = 100; // Number of samples after change to analyze
@@ -223,9 +196,11 @@ async function findSignificantStickMovements(flightData, rcCommandCol, gyroCol,
     let prevRcCommand = null;
     
     // Process data in chunks for better performance
-    await processInChunks(flightData, 1000, (chunk, chunkIndex, startIndex) => {
-        for (let i = 0; i < chunk.length - windowSize; i++) {
-            const rcCommand = getNumericColumnValue(chunk[i], rcCommandCol, dataHeaders);
+    const lastStart = rcCommandValues.length - windowSize;
+    
+    await processRangeInChunks(rcCommandValues.length, 1000, (start, end) => {
+        for (let i = start; i < Math.min(end, lastStart); i++) {
+            const rcCommand = rcCommandValues[i];
             
             // Skip first data point
             if (prevRcCommand === null) {
@@ -237,7 +212,7 @@ async function findSignificantStickMovements(flightData, rcCommandCol, gyroCol,
             if (Math.abs(rcCommand - prevRcCommand) > threshold) {
                 // Found significant change, collect response data
                 const movement = {
-                    startIndex: startIndex + i,
+                    startIndex: i,
                     startRcCommand: prevRcCommand,
                     targetRcCommand: rcCommand,
                     change: rcCommand - prevRcCommand,
@@ -245,9 +220,8 @@ async function findSignificantStickMovements(flightData, rcCommandCol, gyroCol,
                 };
                 
                 // Collect gyro data for response analysis
-                for (let j = 0; j < windowSize && (i + j) < chunk.length; j++) {
-                    const gyroValue = getNumericColumnValue(chunk[i + j], gyroCol, dataHeaders);
-                    movement.gyroResponse.push(gyroValue);
+                for (let j = 0; j < windowSize; j++) {
+                    movement.gyroResponse.push(gyroValues[i + j]);
                 }
                 
                 movements.push(movement);
@@ -376,21 +350,18 @@ function detectOscillations(movements) {
 
 /**
  * Measure stick activity (how aggressive the flying is)
- * @param {Array} flightData - Flight data array
- * @param {String} rcCommandCol - RC command column name
- * @param {Array} dataHeaders - Data headers array
+ * @param {Float64Array|Int32Array} rcCommandValues - RC command column
  * @returns {Number} - Stick activity score (0-1)
  */
-function measureStickActivity(flightData, rcCommandCol, dataHeaders) {
-    if (flightData.length === 0) return 0;
+function measureStickActivity(rcCommandValues) {
+    if (rcCommandValues.length === 0) return 0;
     
     // Sample at most 5000 points for performance
-    const sampleInterval = Math.max(1, Math.floor(flightData.length / 5000));
+    const sampleInterval = Math.max(1, Math.floor(rcCommandValues.length / 5000));
     const rcCommands = [];
     
-    for (let i = 0; i < flightData.length; i += sampleInterval) {
-        const rcCommand = getNumericColumnValue(flightData[i], rcCommandCol, dataHeaders);
-        rcCommands.push(rcCommand);
+    for (let i = 0; i < rcCommandValues.length; i += sampleInterval) {
+        rcCommands.push(rcCommandValues[i] || 0);
     }
     
     // Calculate rate of change
@@ -408,21 +379,18 @@ function measureStickActivity(flightData, rcCommandCol, dataHeaders) {
 
 /**
  * Analyze noise level in gyro signal
- * @param {Array} flightData - Flight data array
- * @param {String} gyroCol - Gyro column name
- * @param {Array} dataHeaders - Data headers array
+ * @param {Float64Array|Int32Array} gyroColumn - Gyro column
  * @returns {Number} - Noise level score (0-1)
  */
-async function analyzeNoiseLevel(flightData, gyroCol, dataHeaders) {
-    if (flightData.length === 0) return 0;
+async function analyzeNoiseLevel(gyroColumn) {
+    if (gyroColumn.length === 0) return 0;
     
     // Sample at most 10000 points for performance
-    const sampleInterval = Math.max(1, Math.floor(flightData.length / 10000));
+    const sampleInterval = Math.max(1, Math.floor(gyroColumn.length / 10000));
     const gyroValues = [];
     
-    for (let i = 0; i < flightData.length; i += sampleInterval) {
-        const gyroValue = getNumericColumnValue(flightData[i], gyroCol, dataHeaders);
-        gyroValues.push(gyroValue);
+    for (let i = 0; i < gyroColumn.length; i += sampleInterval) {
+        gyroValues.push(gyroColumn[i] || 0);
     }
     
     // Calculate short-term variance (high-frequency noise)
@@ -1,9 +1,53 @@
 import { create } from 'zustand';
+import { loadBlackboxFile as streamBlackboxFile } from '../utils/blackboxFileLoader';
+import { createRowView } from '../utils/flightDataTable';
+import { normalizeFlightSettings, getFlightSettings } from '../utils/flightSettings';
+import { findColumnName } from '../utils/blackboxColumnMapper';
+import { checkLogIntegrity, resyncFlightTable } from '../utils/logIntegrity';
+import { buildFlightTimeline } from '../utils/flightTimeline';
+import { createGpsSeries } from '../utils/gpsTrack';
+import { trimLog } from '../utils/logSegment';
+import {
+  listLibraryLogs,
+  saveLogToLibrary,
+  loadLogFromLibrary,
+  updateLibraryEntry as updateStoredLibraryEntry,
+  saveAnalysisToLibrary,
+  deleteLogFromLibrary,
+  listCraftProfiles,
+  saveCraftProfile as storeCraftProfile,
+  deleteCraftProfile as removeCraftProfile,
+  listTuningSessions,
+  saveTuningSession as storeTuningSession,
+  deleteTuningSession as removeTuningSession
+} from '../services/logLibraryService';
+import { createCraftProfile } from '../utils/craftProfiles';
+import { createProjectBundle, parseProjectBundle, PROJECT_BUNDLE_EXTENSION } from '../utils/projectBundle';
+import { parseCliDiff } from '../utils/cliDiff';
+
+// Стовпці, які показуються за замовчуванням - перший стовпець плюс до 9 додаткових важливих
+function getDefaultSelectedColumns(headers) {
+  // Завжди включаємо перший стовпець
+  const selection = [headers[0]];
+
+  // Додаємо важливі стовпці, якщо вони існують
+  const importantColumns = ['time', 'gyroADC[0]', 'gyroADC[1]', 'gyroADC[2]', 'motor[0]', 'motor[1]', 'motor[2]', 'motor[3]'];
+  importantColumns.forEach(col => {
+    const header = findColumnName(col, headers, false, false);
+    if (header && !selection.includes(header)) {
+      selection.push(header);
+    }
+  });
+
+  // Обмежуємо до 10 стовпців загалом
+  return selection.slice(0, 10);
+}
 
 // Створення сховища Zustand для даних Blackbox
 const useBlackboxStore = create((set, get) => ({
   // Стан для даних логу
-  logData: null,
+  // Ім'я відкритого файлу (для назв експорту, бібліотеки та проєкту)
+  fileName: '',
   metadata: {},
   flightData: [],
   dataHeaders: [],
@@ -11,115 +55,551 @@ const useBlackboxStore = create((set, get) => ({
   isLoading: false,
   errorMessage: '',
 
+  // Колонкова таблиця активного логу; flightData - представлення її рядків
+  flightTable: null,
+
+  // Прогрес потокового завантаження (0-100) та контролер для скасування
+  loadProgress: 0,
+  loadAbortController: null,
+
+  // Усі логи, знайдені у файлі, та індекс активного
+  logs: [],
+  activeLogIndex: 0,
+
+  // Одиниці виміру колонок, якщо вони відомі з файлу (наприклад, з CSV)
+  columnUnits: {},
+
+  // Нормалізовані налаштування активного логу (з урахуванням прошивки)
+  flightSettings: normalizeFlightSettings({}),
+
+  // Звіт перевірки цілісності активного логу (розриви, пошкоджені рядки)
+  logIntegrity: null,
+
+  // Часова шкала подій і режимів польоту активного логу
+  flightTimeline: null,
+
+  // Ряд GPS активного логу, вирівняний з даними польоту (null, якщо GPS немає)
+  gpsSeries: null,
+
+  // Режими польоту, якими обмежуються аналізи (null - усі рядки)
+  analysisModes: null,
+
+  // Збережені результати аналізу та рекомендації активного логу
+  logAnalysis: null,
+
+  // Записи локальної бібліотеки логів
+  libraryEntries: [],
+
+  // Профілі апаратів і профіль, прив'язаний до активного логу
+  craftProfiles: [],
+  craftProfile: null,
+
+  // Сесії налаштування (ланцюжки логів бібліотеки)
+  tuningSessions: [],
+
+  // Налаштування симуляторів активного логу ({ settingsSimulator, pidSimulator })
+  simulatorSettings: {},
+
+  // Розібраний CLI diff апарата активного логу (parseCliDiff)
+  cliSettings: null,
+
+  // Рядок курсора часу, спільний для таблиці переглядача і спектрограми (null - не вибрано)
+  cursorRow: null,
+
   // Акції для оновлення стану
-  setLogData: (content) => set({ logData: content }),
-  setMetadata: (metadata) => set({ metadata }),
+  setFileName: (fileName) => set({ fileName }),
+  setMetadata: (metadata) => set({ metadata, flightSettings: getFlightSettings(metadata) }),
+  setAnalysisModes: (modes) => set({ analysisModes: modes }),
   setFlightData: (flightData) => set({ flightData }),
   setDataHeaders: (headers) => set({ dataHeaders: headers }),
   setSelectedColumns: (columns) => set({ selectedColumns: columns }),
   setIsLoading: (isLoading) => set({ isLoading }),
   setErrorMessage: (message) => set({ errorMessage: message }),
+  setCursorRow: (row) => set({ cursorRow: row }),
 
   // Скидання стану
   resetStore: () => set({
-    logData: null,
+    fileName: '',
     metadata: {},
     flightData: [],
     dataHeaders: [],
     selectedColumns: [],
     isLoading: false,
     errorMessage: '',
+    flightTable: null,
+    loadProgress: 0,
+    loadAbortController: null,
+    logs: [],
+    activeLogIndex: 0,
+    columnUnits: {},
+    flightSettings: normalizeFlightSettings({}),
+    logIntegrity: null,
+    flightTimeline: null,
+    gpsSeries: null,
+    analysisModes: null,
+    logAnalysis: null,
+    craftProfile: null,
+    simulatorSettings: {},
+    cliSettings: null,
+    cursorRow: null,
   }),
 
-  // Функція парсингу лог-файлу Blackbox
-  parseBlackboxLog: (content) => {
-    // Встановлюємо стан завантаження
-    set({ isLoading: true, errorMessage: '' });
+  // Вибір активного логу (польоту) - усі вкладки працюють з metadata/flightData активного логу
+  selectLog: (index) => {
+    const { logs, craftProfiles } = get();
+    const log = logs[index];
+    if (!log) return;
+
+    // Звіт обчислюється один раз на лог
+    if (!log.integrity) {
+      log.integrity = checkLogIntegrity(log);
+    }
+    if (!log.timeline) {
+      log.timeline = buildFlightTimeline(log);
+    }
+    if (log.gps === undefined) {
+      log.gps = createGpsSeries(log);
+    }
+
+    set({
+      activeLogIndex: index,
+      metadata: log.metadata,
+      flightSettings: getFlightSettings(log.metadata),
+      dataHeaders: log.dataHeaders,
+      flightTable: log.flightTable,
+      flightData: createRowView(log.flightTable),
+      columnUnits: log.columnUnits || {},
+      logIntegrity: log.integrity,
+      flightTimeline: log.timeline,
+      gpsSeries: log.gps,
+      logAnalysis: log.analysis || null,
+      simulatorSettings: log.simulatorSettings || {},
+      cliSettings: log.cliSettings || null,
+      craftProfile: craftProfiles.find(profile => profile.id === log.craftProfileId) || null,
+      // Набір режимів залежить від польоту - після перемикання аналізуємо всі рядки
+      analysisModes: null,
+      cursorRow: null,
+      selectedColumns: getDefaultSelectedColumns(log.dataHeaders)
+    });
+  },
+
+  // Відновлення синхронізації активного логу: відкидає рядки поза послідовністю
+  resyncActiveLog: () => {
+    const { logs, activeLogIndex } = get();
+    const log = logs[activeLogIndex];
+    if (!log) return;
+
+    const { flightTable, removedRows } = resyncFlightTable(log);
+    if (!removedRows) return;
+
+    const stats = { ...(log.stats || {}), resyncedRows: (log.stats?.resyncedRows || 0) + removedRows };
+    // Дані змінилися - попередній аналіз і запис бібліотеки до них уже не відносяться
+    const resynced = {
+      ...log, flightTable, stats, integrity: null, timeline: null, gps: undefined, analysis: null, libraryId: null
+    };
+    resynced.integrity = checkLogIntegrity(resynced);
+
+    get().replaceActiveLog(resynced);
+  },
+
+  // Замінює активний лог новою версією, зберігаючи вибрані стовпці та режими аналізу
+  replaceActiveLog: (updatedLog) => {
+    const { logs, activeLogIndex, selectedColumns, analysisModes } = get();
+    const updatedLogs = logs.slice();
+    updatedLogs[activeLogIndex] = updatedLog;
+    set({ logs: updatedLogs });
+    get().selectLog(activeLogIndex);
+    set({ selectedColumns, analysisModes });
+  },
+
+  // Обрізає активний лог до рядків [startRow, endRow) поточних даних польоту
+  trimActiveLog: (startRow, endRow) => {
+    const { logs, activeLogIndex } = get();
+    const log = logs[activeLogIndex];
+    if (!log || endRow - startRow < 2) return;
+
+    get().replaceActiveLog(trimLog(log, startRow, endRow));
+  },
+
+  // Повертає повний лог після обрізання
+  resetTrim: () => {
+    const { logs, activeLogIndex } = get();
+    const log = logs[activeLogIndex];
+    if (!log || !log.untrimmed) return;
+
+    get().replaceActiveLog(log.untrimmed);
+  },
+
+  // Записує розібрані логи у стан і вибирає перший; логи без даних польоту відкидаються
+  applyParsedLogs: (parsedLogs, fileName, emptyMessage) => {
+    const logs = parsedLogs.filter(log => log.flightTable.length > 0);
+
+    if (!logs.length) {
+      set({
+        logs: [],
+        metadata: parsedLogs.length ? parsedLogs[0].metadata : {},
+        flightSettings: getFlightSettings(parsedLogs.length ? parsedLogs[0].metadata : {}),
+        dataHeaders: [],
+        flightTable: null,
+        flightData: [],
+        errorMessage: emptyMessage,
+        fileName,
+        isLoading: false
+      });
+      return;
+    }
+
+    set({ logs, fileName, isLoading: false });
+    get().selectLog(0);
+  },
+
+  // Потокове завантаження файлу логу будь-якого підтримуваного формату
+  loadBlackboxFile: async (file, headersFile = null) => {
+    // Нове завантаження скасовує попереднє; скасоване вже не змінює стан завантаження
+    const previousController = get().loadAbortController;
+    if (previousController) {
+      previousController.abort();
+      set({ loadAbortController: null });
+    }
+
+    if (file.name.toLowerCase().endsWith(PROJECT_BUNDLE_EXTENSION)) {
+      await get().importProjectBundle(file);
+      return;
+    }
+
+    const controller = new AbortController();
+    const isCurrent = () => get().loadAbortController === controller;
+    set({ isLoading: true, errorMessage: '', loadProgress: 0, loadAbortController: controller });
 
     try {
-      // Розділяємо контент на рядки
-      const lines = content.split('\n');
-      const newMetadata = {};
-      let flightDataHeaderIndex = -1;
-
-      // Перший прохід - витягуємо метадані та знаходимо, де починаються дані польоту
-      for (let i = 0; i < lines.length; i++) {
-        const line = lines[i].trim();
-
-        // Пропускаємо порожні рядки
-        if (!line) continue;
-
-        // Перевіряємо, чи цей рядок починає секцію даних польоту
-        if (line.startsWith('loopIteration')) {
-          flightDataHeaderIndex = i;
-          break;
+      const { format, logs } = await streamBlackboxFile(file, {
+        headersFile,
+        signal: controller.signal,
+        onProgress: (progress) => {
+          if (isCurrent()) set({ loadProgress: Math.round(progress) });
         }
+      });
+      if (!isCurrent()) return;
 
-        // Обробляємо рядки метаданих (формат: key | value)
-        const parts = line.split(' | ');
-        if (parts.length === 2) {
-          newMetadata[parts[0].trim()] = parts[1].trim();
-        }
+      const emptyMessages = {
+        binary: 'Бінарний лог не містить жодного коректного кадру даних польоту.',
+        csv: 'CSV файл не містить рядків даних польоту.',
+        text: 'Не вдалося знайти секцію даних польоту в лог-файлі.'
+      };
+
+      get().applyParsedLogs(logs, file.name, emptyMessages[format]);
+    } catch (error) {
+      // Поки це завантаження завершувалося, почалося інше - його стан не чіпаємо
+      if (!isCurrent()) return;
+      if (error.name === 'AbortError') {
+        // Скасування користувачем - залишаємо попередньо завантажений лог
+        set({ isLoading: false, loadProgress: 0 });
+        return;
+      }
+      console.error("Помилка завантаження лог-файлу:", error);
+      set({
+        errorMessage: `Помилка завантаження лог-файлу: ${error.message}`,
+        isLoading: false
+      });
+    } finally {
+      if (isCurrent()) {
+        set({ loadAbortController: null });
       }
+    }
+  },
 
-      // Встановлюємо метадані в стан
-      set({ metadata: newMetadata });
-
-      // Якщо ми знайшли секцію даних польоту, парсимо її
-      if (flightDataHeaderIndex !== -1) {
-        // Витягуємо заголовок та рядки даних
-        const header = lines[flightDataHeaderIndex].split(' | ').map(h => h.trim());
-        
-        // Встановлюємо заголовки у стан
-        set({ dataHeaders: header });
-
-        // Встановлюємо початкові вибрані стовпці - перший стовпець плюс до 9 додаткових важливих
-        let initialSelectedColumns = [header[0]]; // Завжди включаємо перший стовпець
-
-        // Додаємо важливі стовпці, якщо вони існують
-        const importantColumns = ['time', 'gyroADC[0]', 'gyroADC[1]', 'gyroADC[2]', 'motor[0]', 'motor[1]', 'motor[2]', 'motor[3]'];
-        importantColumns.forEach(col => {
-          const colIndex = header.findIndex(h => h.toLowerCase() === col.toLowerCase());
-          if (colIndex !== -1) {
-            initialSelectedColumns.push(header[colIndex]);
-          }
-        });
+  // Скасування потокового завантаження
+  cancelLoading: () => {
+    const controller = get().loadAbortController;
+    if (controller) controller.abort();
+  },
+
+  // Зберігає результати аналізу в активному лозі та, якщо лог з бібліотеки, у бібліотеці
+  setLogAnalysis: (analysis) => {
+    const { logs, activeLogIndex, simulatorSettings } = get();
+    const log = logs[activeLogIndex];
+    // Налаштування симулятора рекомендацій відносилися до попереднього аналізу
+    const otherSimulators = { ...simulatorSettings };
+    delete otherSimulators.settingsSimulator;
+    set({ logAnalysis: analysis, simulatorSettings: otherSimulators });
+    if (!log) return;
+
+    log.analysis = analysis;
+    log.simulatorSettings = otherSimulators;
+    if (log.libraryId != null) {
+      saveAnalysisToLibrary(log.libraryId, analysis)
+        .then(() => get().refreshLibrary())
+        .catch(error => console.error("Помилка збереження аналізу в бібліотеці:", error));
+    }
+  },
+
+  // Зберігає налаштування симулятора в активному лозі, щоб вони потрапили у файл проєкту
+  setSimulatorSettings: (simulator, settings) => {
+    const { logs, activeLogIndex, simulatorSettings } = get();
+    const updated = { ...simulatorSettings, [simulator]: settings };
+    const log = logs[activeLogIndex];
+    if (log) log.simulatorSettings = updated;
+    set({ simulatorSettings: updated });
+  },
+
+  // Розбирає вставлений або завантажений CLI diff і прив'язує його до активного логу
+  setCliDump: (text) => {
+    try {
+      get().setCliSettings(parseCliDiff(text));
+      return true;
+    } catch (error) {
+      console.error("Помилка розбору CLI diff:", error);
+      set({ errorMessage: `Помилка розбору CLI diff: ${error.message}` });
+      return false;
+    }
+  },
+
+  // Зміна або видалення (null) розібраного diff, напр. вибір іншого профілю
+  setCliSettings: (cliSettings) => {
+    const { logs, activeLogIndex } = get();
+    const log = logs[activeLogIndex];
+    if (log) log.cliSettings = cliSettings;
+    set({ cliSettings });
+  },
+
+  // Файл проєкту з активним логом, аналізом, налаштуваннями симуляторів і нотатками
+  exportProjectBundle: ({ notes = '' } = {}) => {
+    const { logs, activeLogIndex, fileName, craftProfile, analysisModes, selectedColumns, simulatorSettings, cliSettings } = get();
+    const log = logs[activeLogIndex];
+    if (!log) return null;
+
+    log.notes = notes;
+    try {
+      return createProjectBundle({
+        fileName,
+        notes,
+        log: {
+          metadata: log.metadata,
+          dataHeaders: log.dataHeaders,
+          flightTable: log.flightTable,
+          columnUnits: log.columnUnits || {},
+          events: log.events || [],
+          gpsHeaders: log.gpsHeaders || [],
+          gpsData: log.gpsData || [],
+          gpsHome: log.gpsHome || null,
+          stats: log.stats || null,
+          trimRange: log.trimRange || null
+        },
+        analysis: log.analysis || null,
+        simulatorSettings,
+        cliSettings,
+        craftProfile,
+        view: { analysisModes, selectedColumns }
+      });
+    } catch (error) {
+      console.error("Помилка експорту проєкту:", error);
+      set({ errorMessage: `Помилка експорту проєкту: ${error.message}` });
+      return null;
+    }
+  },
+
+  // Відкриває файл проєкту в тому стані, в якому його було збережено
+  importProjectBundle: async (file) => {
+    set({ isLoading: true, errorMessage: '' });
 
-        // Обмежуємо до 10 стовпців загалом
-        initialSelectedColumns = initialSelectedColumns.slice(0, 10);
-        set({ selectedColumns: initialSelectedColumns });
-
-        // Парсимо рядки даних польоту
-        const parsedFlightData = [];
-
-        for (let i = flightDataHeaderIndex + 1; i < lines.length; i++) {
-          const line = lines[i].trim();
-          if (!line) continue;
-
-          const rowData = line.split(' | ');
-          if (rowData.length === header.length) {
-            const rowObj = {};
-            header.forEach((key, index) => {
-              rowObj[key] = rowData[index].trim();
-            });
-            parsedFlightData.push(rowObj);
-          }
+    try {
+      const project = parseProjectBundle(await file.arrayBuffer());
+      const log = {
+        ...project.log,
+        analysis: project.analysis,
+        simulatorSettings: project.simulatorSettings || {},
+        cliSettings: project.cliSettings || null,
+        notes: project.notes || '',
+        craftProfileId: null
+      };
+
+      // Профіль апарата зіставляється з локальними за назвою, відсутній - створюється;
+      // без доступу до бібліотеки проєкт відкривається без профілю
+      if (project.craftProfile) {
+        try {
+          // Ідентифікатор профілю локальний для бібліотеки, де файл створено
+          const fields = { ...project.craftProfile, id: undefined };
+          const existing = (await listCraftProfiles()).find(profile => profile.name === fields.name);
+          log.craftProfileId = existing ? existing.id : (await storeCraftProfile(createCraftProfile(fields))).id;
+          await get().refreshCraftProfiles();
+        } catch (error) {
+          console.error("Помилка відновлення профілю апарата з проєкту:", error);
         }
+      }
 
-        // Встановлюємо дані польоту в стан
-        set({ flightData: parsedFlightData });
-      } else {
-        set({ errorMessage: 'Не вдалося знайти секцію даних польоту в лог-файлі.' });
+      get().applyParsedLogs([log], project.fileName || file.name, 'Файл проєкту не містить даних польоту.');
+      if (get().logs.length) {
+        set({
+          analysisModes: project.view.analysisModes,
+          selectedColumns: project.view.selectedColumns.filter(column => log.dataHeaders.includes(column))
+        });
       }
+    } catch (error) {
+      console.error("Помилка відкриття файлу проєкту:", error);
+      set({
+        errorMessage: `Помилка відкриття файлу проєкту: ${error.message}`,
+        isLoading: false
+      });
+    }
+  },
+
+  // Оновлення списку логів бібліотеки
+  refreshLibrary: async () => {
+    try {
+      set({ libraryEntries: await listLibraryLogs() });
+    } catch (error) {
+      console.error("Помилка читання бібліотеки логів:", error);
+      set({ errorMessage: `Помилка читання бібліотеки логів: ${error.message}` });
+    }
+  },
+
+  // Зберігає активний лог у бібліотеці разом з наявним аналізом
+  saveActiveLogToLibrary: async ({ tags = [], notes = '' } = {}) => {
+    const { logs, activeLogIndex, fileName } = get();
+    const log = logs[activeLogIndex];
+    if (!log) return;
+
+    try {
+      log.libraryId = await saveLogToLibrary(log, { fileName, tags, notes });
+      await get().refreshLibrary();
+    } catch (error) {
+      console.error("Помилка збереження логу в бібліотеці:", error);
+      set({ errorMessage: `Помилка збереження логу в бібліотеці: ${error.message}` });
+    }
+  },
+
+  // Відкриває лог з бібліотеки без повторного парсингу
+  openLibraryLog: async (id) => {
+    set({ isLoading: true, errorMessage: '' });
+
+    try {
+      const { entry, log } = await loadLogFromLibrary(id);
+      // Нотатки запису стають нотатками проєкту при експорті
+      get().applyParsedLogs([{ ...log, notes: entry.notes }], entry.fileName || entry.craftName || `log-${id}`, 'Збережений лог не містить даних польоту.');
+    } catch (error) {
+      console.error("Помилка відкриття логу з бібліотеки:", error);
+      set({
+        errorMessage: `Помилка відкриття логу з бібліотеки: ${error.message}`,
+        isLoading: false
+      });
+    }
+  },
 
-      // Встановлюємо вихідні дані логу в стан
-      set({ logData: content, isLoading: false });
+  // Зміна тегів і нотаток запису бібліотеки
+  updateLibraryEntry: async (id, changes) => {
+    try {
+      const updated = await updateStoredLibraryEntry(id, changes);
+      set({ libraryEntries: get().libraryEntries.map(entry => (entry.id === id ? updated : entry)) });
     } catch (error) {
-      console.error("Помилка парсингу лог-файлу:", error);
-      set({ 
-        errorMessage: `Помилка парсингу лог-файлу: ${error.message}`,
-        isLoading: false 
+      console.error("Помилка оновлення запису бібліотеки:", error);
+      set({ errorMessage: `Помилка оновлення запису бібліотеки: ${error.message}` });
+    }
+  },
+
+  // Видалення логу з бібліотеки; відкритий лог лишається в пам'яті
+  deleteLibraryEntry: async (id) => {
+    try {
+      await deleteLogFromLibrary(id);
+      get().logs.forEach(log => {
+        if (log.libraryId === id) log.libraryId = null;
       });
+      set({ libraryEntries: get().libraryEntries.filter(entry => entry.id !== id) });
+      // Ітерації сесій, що посилалися на лог, відв'язано від нього
+      await get().refreshTuningSessions();
+    } catch (error) {
+      console.error("Помилка видалення логу з бібліотеки:", error);
+      set({ errorMessage: `Помилка видалення логу з бібліотеки: ${error.message}` });
+    }
+  },
+
+  // Оновлення списку профілів апаратів
+  refreshCraftProfiles: async () => {
+    try {
+      const craftProfiles = await listCraftProfiles();
+      const log = get().logs[get().activeLogIndex];
+      set({
+        craftProfiles,
+        craftProfile: log ? craftProfiles.find(profile => profile.id === log.craftProfileId) || null : null
+      });
+    } catch (error) {
+      console.error("Помилка читання профілів апаратів:", error);
+      set({ errorMessage: `Помилка читання профілів апаратів: ${error.message}` });
+    }
+  },
+
+  // Створення або редагування профілю апарата
+  saveCraftProfile: async (fields) => {
+    try {
+      const saved = await storeCraftProfile(createCraftProfile(fields));
+      await get().refreshCraftProfiles();
+      return saved;
+    } catch (error) {
+      console.error("Помилка збереження профілю апарата:", error);
+      set({ errorMessage: `Помилка збереження профілю апарата: ${error.message}` });
+      return null;
+    }
+  },
+
+  // Видалення профілю; логи, прив'язані до нього, лишаються без профілю
+  deleteCraftProfile: async (id) => {
+    try {
+      await removeCraftProfile(id);
+      get().logs.forEach(log => {
+        if (log.craftProfileId === id) log.craftProfileId = null;
+      });
+      await get().refreshCraftProfiles();
+      await get().refreshLibrary();
+    } catch (error) {
+      console.error("Помилка видалення профілю апарата:", error);
+      set({ errorMessage: `Помилка видалення профілю апарата: ${error.message}` });
+    }
+  },
+
+  // Прив'язує профіль до активного логу (null - відв'язати)
+  attachCraftProfile: async (profileId) => {
+    const { logs, activeLogIndex, craftProfiles } = get();
+    const log = logs[activeLogIndex];
+    if (!log) return;
+
+    log.craftProfileId = profileId;
+    set({ craftProfile: craftProfiles.find(profile => profile.id === profileId) || null });
+
+    if (log.libraryId != null) {
+      await get().updateLibraryEntry(log.libraryId, { craftProfileId: profileId });
+    }
+  },
+
+  // Оновлення списку сесій налаштування
+  refreshTuningSessions: async () => {
+    try {
+      set({ tuningSessions: await listTuningSessions() });
+    } catch (error) {
+      console.error("Помилка читання сесій налаштування:", error);
+      set({ errorMessage: `Помилка читання сесій налаштування: ${error.message}` });
+    }
+  },
+
+  // Створення або оновлення сесії налаштування
+  saveTuningSession: async (session) => {
+    try {
+      const saved = await storeTuningSession(session);
+      await get().refreshTuningSessions();
+      return saved;
+    } catch (error) {
+      console.error("Помилка збереження сесії налаштування:", error);
+      set({ errorMessage: `Помилка збереження сесії налаштування: ${error.message}` });
+      return null;
+    }
+  },
+
+  // Видалення сесії; логи ітерацій лишаються в бібліотеці
+  deleteTuningSession: async (id) => {
+    try {
+      await removeTuningSession(id);
+      set({ tuningSessions: get().tuningSessions.filter(session => session.id !== id) });
+    } catch (error) {
+      console.error("Помилка видалення сесії налаштування:", error);
+      set({ errorMessage: `Помилка видалення сесії налаштування: ${error.message}` });
     }
   },
 
@@ -130,21 +610,7 @@ const useBlackboxStore = create((set, get) => ({
     
     if (!dataHeaders.length) return;
 
-    // Завжди включаємо перший стовпець
-    let newSelection = [dataHeaders[0]];
-    
-    // Додаємо важливі стовпці, якщо вони існують
-    const importantColumns = ['time', 'gyroADC[0]', 'gyroADC[1]', 'gyroADC[2]', 'motor[0]', 'motor[1]', 'motor[2]', 'motor[3]'];
-    importantColumns.forEach(col => {
-      const colIndex = dataHeaders.findIndex(h => h.toLowerCase() === col.toLowerCase());
-      if (colIndex !== -1) {
-        newSelection.push(dataHeaders[colIndex]);
-      }
-    });
-    
-    // Обмежуємо до 10 стовпців загалом
-    newSelection = newSelection.slice(0, 10);
-    set({ selectedColumns: newSelection });
+    set({ selectedColumns: getDefaultSelectedColumns(dataHeaders) });
   },
 
   // Увімкнення/вимкнення вибору стовпця
@@ -29,7 +29,107 @@ export const processInChunks = async (data, chunkSize, processFunc) => {
     
     return results;
   };
+
+  /**
+   * Processes a row index range in chunks - the columnar counterpart of processInChunks
+   * @param {number} length - Number of rows to process
+   * @param {number} chunkSize - Size of each chunk
+   * @param {Function} processFunc - Function called with (start, end, chunkIndex)
+   * @returns {Promise<Array>} - Array of results from each chunk
+   */
+  export const processRangeInChunks = async (length, chunkSize, processFunc) => {
+    const results = [];
+    const totalChunks = Math.ceil(length / chunkSize);
+
+    for (let i = 0; i < totalChunks; i++) {
+      const start = i * chunkSize;
+      const end = Math.min(start + chunkSize, length);
+
+      results.push(processFunc(start, end, i));
+
+      // Allow the browser to breathe between chunks
+      if (i % 5 === 0) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+    }
+
+    return results;
+  };
   
+  /**
+   * Builds a lookup over log gaps (rows where iterations or time are discontinuous)
+   * so analyses can keep FFT windows and step responses within continuous data.
+   * Optional allowed ranges (e.g. rows flown in selected flight modes) restrict
+   * analyses further: rows outside them are treated as excluded.
+   * @param {Array<number>} gapRows - Indices of the first row after each gap
+   * @param {Array<Object>|null} allowedRanges - Sorted, non-overlapping { start, end } row ranges, or null for all rows
+   * @returns {Object} - { count, crosses(start, end), nextGap(index), includes(row), segments(length, size, minSize) }
+   */
+  export const createGapIndex = (gapRows = [], allowedRanges = null) => {
+    const ranges = allowedRanges || [];
+    const boundaries = ranges.flatMap(range => [range.start, range.end]);
+    const rows = Float64Array.from([...gapRows, ...boundaries]).sort();
+
+    // First value strictly greater than index (binary search)
+    const upperBound = (values, index) => {
+      let lo = 0;
+      let hi = values.length;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (values[mid] <= index) lo = mid + 1; else hi = mid;
+      }
+      return lo;
+    };
+
+    const rangeStarts = Float64Array.from(ranges, range => range.start);
+
+    // Whether a row lies inside one of the allowed ranges
+    const includes = (row) => {
+      if (!allowedRanges) return true;
+      const i = upperBound(rangeStarts, row) - 1;
+      return i >= 0 && row < ranges[i].end;
+    };
+
+    // Row where the next gap or excluded range begins after index, or Infinity
+    const nextGap = (index) => {
+      const i = upperBound(rows, index);
+      return i < rows.length ? rows[i] : Infinity;
+    };
+
+    return {
+      count: rows.length,
+      includes,
+      nextGap,
+      // True if rows [start, end) contain data from both sides of a gap or from excluded rows
+      crosses: (start, end) => {
+        if (!includes(start)) return true;
+        const i = upperBound(rows, start);
+        return i < rows.length && rows[i] < end;
+      },
+      // Consecutive { start, end } segments of up to size rows laid out inside each continuous run,
+      // so each run starts its own grid right after a gap or at the start of an allowed range.
+      // The tail of a run is kept if it has at least minSize rows.
+      segments: (length, size, minSize = size) => {
+        const result = [];
+        let start = 0;
+        while (start < length) {
+          if (!includes(start)) {
+            const i = upperBound(rangeStarts, start);
+            if (i >= ranges.length) break;
+            start = ranges[i].start;
+            continue;
+          }
+          const runEnd = Math.min(length, nextGap(start));
+          for (let segmentStart = start; runEnd - segmentStart >= minSize; segmentStart += size) {
+            result.push({ start: segmentStart, end: Math.min(segmentStart + size, runEnd) });
+          }
+          start = runEnd;
+        }
+        return result;
+      }
+    };
+  };
+
   /**
    * Applies a Hann window to a data array to reduce spectral leakage
    * @param {Array} data - The data array to window
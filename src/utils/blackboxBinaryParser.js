@@ -0,0 +1,1102 @@
+// src/utils/blackboxBinaryParser.js
+
+/**
+ * Декодер нативного бінарного формату Betaflight Blackbox (.BBL / .BFL).
+ *
+ * Файл логу складається з текстових рядків заголовка ("H key:value"),
+ * за якими йдуть бінарні кадри:
+ *   I - інтра-кадр (повні значення основних полів)
+ *   P - інтер-кадр (дельти відносно попередніх кадрів)
+ *   S - "повільний" кадр (flightModeFlags, stateFlags, ...)
+ *   G - кадр GPS, H - домашня точка GPS
+ *   E - кадр події (arm/disarm, sync beep, зміна режиму, кінець логу)
+ */
+
+import { FlightDataTable } from './flightDataTable';
+
+// Маркер початку кожного логу у файлі
+export const BLACKBOX_LOG_START_MARKER = 'H Product:Blackbox flight data recorder by Nicholas Sherlock';
+
+// Предиктори полів (див. blackbox.c у Betaflight)
+const PREDICT = {
+  ZERO: 0,
+  PREVIOUS: 1,
+  STRAIGHT_LINE: 2,
+  AVERAGE_2: 3,
+  MINTHROTTLE: 4,
+  MOTOR_0: 5,
+  INC: 6,
+  HOME_COORD: 7,
+  FIXED_1500: 8,
+  VBATREF: 9,
+  LAST_MAIN_FRAME_TIME: 10,
+  MINMOTOR: 11
+};
+
+// Кодування полів
+const ENCODING = {
+  SIGNED_VB: 0,
+  UNSIGNED_VB: 1,
+  NEG_14BIT: 3,
+  TAG8_8SVB: 6,
+  TAG2_3S32: 7,
+  TAG8_4S16: 8,
+  NULL: 9,
+  TAG2_3SVARIABLE: 10
+};
+
+// Типи подій у кадрах E
+export const BLACKBOX_EVENT = {
+  SYNC_BEEP: 0,
+  AUTOTUNE_CYCLE_START: 10,
+  AUTOTUNE_CYCLE_RESULT: 11,
+  AUTOTUNE_TARGETS: 12,
+  INFLIGHT_ADJUSTMENT: 13,
+  LOGGING_RESUME: 14,
+  DISARM: 15,
+  FLIGHT_MODE: 30,
+  LOG_END: 255
+};
+
+const EVENT_NAMES = {
+  [BLACKBOX_EVENT.SYNC_BEEP]: 'Sync beep',
+  [BLACKBOX_EVENT.AUTOTUNE_CYCLE_START]: 'Autotune cycle start',
+  [BLACKBOX_EVENT.AUTOTUNE_CYCLE_RESULT]: 'Autotune cycle result',
+  [BLACKBOX_EVENT.AUTOTUNE_TARGETS]: 'Autotune targets',
+  [BLACKBOX_EVENT.INFLIGHT_ADJUSTMENT]: 'Inflight adjustment',
+  [BLACKBOX_EVENT.LOGGING_RESUME]: 'Logging resume',
+  [BLACKBOX_EVENT.DISARM]: 'Disarm',
+  [BLACKBOX_EVENT.FLIGHT_MODE]: 'Flight mode',
+  [BLACKBOX_EVENT.LOG_END]: 'Log end'
+};
+
+// Межі, після яких кадр вважається пошкодженим
+const MAXIMUM_ITERATION_JUMP_BETWEEN_FRAMES = 500 * 10;
+const MAXIMUM_TIME_JUMP_BETWEEN_FRAMES = 10 * 1000000;
+
+// Найбільший можливий розмір одного кадру (з запасом) - потрібен для потокового декодування
+export const MAX_FRAME_SIZE = 1024;
+
+const FRAME_TYPES = ['I', 'P', 'S', 'G', 'H', 'E'].map(c => c.charCodeAt(0));
+
+const signExtend = (value, bits) => {
+  const shift = 32 - bits;
+  return (value << shift) >> shift;
+};
+
+/**
+ * Перевіряє, чи вміст є бінарним логом Blackbox
+ * @param {Uint8Array} bytes - Початкові байти файлу
+ * @returns {boolean} - true, якщо файл починається з заголовка Blackbox
+ */
+export function isBinaryBlackboxLog(bytes) {
+  if (!bytes || bytes.length < BLACKBOX_LOG_START_MARKER.length) return false;
+
+  for (let i = 0; i < BLACKBOX_LOG_START_MARKER.length; i++) {
+    if (bytes[i] !== BLACKBOX_LOG_START_MARKER.charCodeAt(i)) return false;
+  }
+  return true;
+}
+
+/**
+ * Потік байтів з курсором читання
+ */
+class ByteStream {
+  constructor(bytes, start = 0, end = bytes.length) {
+    this.bytes = bytes;
+    this.pos = start;
+    this.end = end;
+    this.eof = false;
+  }
+
+  readByte() {
+    if (this.pos >= this.end) {
+      this.eof = true;
+      return 0;
+    }
+    return this.bytes[this.pos++];
+  }
+
+  peekByte() {
+    return this.pos < this.end ? this.bytes[this.pos] : -1;
+  }
+
+  readUnsignedVB() {
+    let result = 0;
+    let shift = 0;
+
+    // Не більше 5 байтів на 32-бітне значення
+    for (let i = 0; i < 5; i++) {
+      const b = this.readByte();
+      if (this.eof) return 0;
+
+      result |= (b & 0x7F) << shift;
+      if (b < 128) return result >>> 0;
+      shift += 7;
+    }
+
+    // Занадто довге значення - потік пошкоджено
+    this.eof = true;
+    return 0;
+  }
+
+  readSignedVB() {
+    const unsigned = this.readUnsignedVB();
+    // ZigZag декодування
+    return (unsigned >>> 1) ^ -(unsigned & 1);
+  }
+
+  readString(length) {
+    let result = '';
+    for (let i = 0; i < length; i++) {
+      result += String.fromCharCode(this.readByte());
+    }
+    return result;
+  }
+
+  readFloat32() {
+    const b0 = this.readByte();
+    const b1 = this.readByte();
+    const b2 = this.readByte();
+    const b3 = this.readByte();
+    const view = new DataView(new ArrayBuffer(4));
+    view.setUint8(0, b0);
+    view.setUint8(1, b1);
+    view.setUint8(2, b2);
+    view.setUint8(3, b3);
+    return view.getFloat32(0, true);
+  }
+
+  readTag8_8SVB(values, valueCount) {
+    if (valueCount === 1) {
+      values[0] = this.readSignedVB();
+      return;
+    }
+
+    let header = this.readByte();
+    for (let i = 0; i < 8; i++, header >>= 1) {
+      values[i] = (header & 0x01) ? this.readSignedVB() : 0;
+    }
+  }
+
+  readTag2_3S32(values) {
+    let leadByte = this.readByte();
+
+    // Верхні два біти визначають розмір полів
+    switch (leadByte >> 6) {
+      case 0:
+        // 2 біти на поле
+        values[0] = signExtend((leadByte >> 4) & 0x03, 2);
+        values[1] = signExtend((leadByte >> 2) & 0x03, 2);
+        values[2] = signExtend(leadByte & 0x03, 2);
+        break;
+      case 1: {
+        // 4 біти на поле
+        values[0] = signExtend(leadByte & 0x0F, 4);
+        const b = this.readByte();
+        values[1] = signExtend(b >> 4, 4);
+        values[2] = signExtend(b & 0x0F, 4);
+        break;
+      }
+      case 2:
+        // 6 біт на поле
+        values[0] = signExtend(leadByte & 0x3F, 6);
+        values[1] = signExtend(this.readByte() & 0x3F, 6);
+        values[2] = signExtend(this.readByte() & 0x3F, 6);
+        break;
+      case 3:
+        // 8, 16, 24 або 32 біти на поле залежно від селектора
+        for (let i = 0; i < 3; i++) {
+          values[i] = this.readSelectedInt(leadByte & 0x03);
+          leadByte >>= 2;
+        }
+        break;
+    }
+  }
+
+  readTag2_3SVariable(values) {
+    let leadByte = this.readByte();
+
+    switch (leadByte >> 6) {
+      case 0:
+        // 2 біти на поле
+        values[0] = signExtend((leadByte >> 4) & 0x03, 2);
+        values[1] = signExtend((leadByte >> 2) & 0x03, 2);
+        values[2] = signExtend(leadByte & 0x03, 2);
+        break;
+      case 1: {
+        // 5, 5, 4 біти
+        values[0] = signExtend((leadByte & 0x3E) >> 1, 5);
+        const b = this.readByte();
+        values[1] = signExtend(((leadByte & 0x01) << 4) | ((b & 0xF0) >> 4), 5);
+        values[2] = signExtend(b & 0x0F, 4);
+        break;
+      }
+      case 2: {
+        // 8, 7, 7 біт
+        const b1 = this.readByte();
+        values[0] = signExtend(((leadByte & 0x3F) << 2) | ((b1 & 0xC0) >> 6), 8);
+        const b2 = this.readByte();
+        values[1] = signExtend(((b1 & 0x3F) << 1) | ((b2 & 0x80) >> 7), 7);
+        values[2] = signExtend(b2 & 0x7F, 7);
+        break;
+      }
+      case 3:
+        for (let i = 0; i < 3; i++) {
+          values[i] = this.readSelectedInt(leadByte & 0x03);
+          leadByte >>= 2;
+        }
+        break;
+    }
+  }
+
+  // Little-endian ціле зі знаком розміром 1-4 байти
+  readSelectedInt(selector) {
+    const byteCount = selector + 1;
+    let value = 0;
+    for (let i = 0; i < byteCount; i++) {
+      value |= this.readByte() << (i * 8);
+    }
+    return byteCount === 4 ? value | 0 : signExtend(value, byteCount * 8);
+  }
+
+  // Data version 1 (старі прошивки): 4-бітні поля йдуть парою в одному байті, молодший нібл першим,
+  // 16-бітні - little-endian
+  readTag8_4S16v1(values) {
+    let selector = this.readByte();
+
+    for (let i = 0; i < 4; i++) {
+      switch (selector & 0x03) {
+        case 0:
+          values[i] = 0;
+          break;
+        case 1: {
+          // Два 4-бітні поля
+          const combined = this.readByte();
+          values[i] = signExtend(combined & 0x0F, 4);
+          i++;
+          selector >>= 2;
+          values[i] = signExtend(combined >> 4, 4);
+          break;
+        }
+        case 2:
+          values[i] = signExtend(this.readByte(), 8);
+          break;
+        case 3: {
+          const char1 = this.readByte();
+          const char2 = this.readByte();
+          values[i] = signExtend(char1 | (char2 << 8), 16);
+          break;
+        }
+      }
+      selector >>= 2;
+    }
+  }
+
+  readTag8_4S16(values, dataVersion = 2) {
+    if (dataVersion < 2) {
+      this.readTag8_4S16v1(values);
+      return;
+    }
+
+    let selector = this.readByte();
+    let nibbleIndex = 0;
+    let buffer = 0;
+
+    for (let i = 0; i < 4; i++) {
+      switch (selector & 0x03) {
+        case 0:
+          values[i] = 0;
+          break;
+        case 1:
+          // 4 біти
+          if (nibbleIndex === 0) {
+            buffer = this.readByte();
+            values[i] = signExtend(buffer >> 4, 4);
+            nibbleIndex = 1;
+          } else {
+            values[i] = signExtend(buffer & 0x0F, 4);
+            nibbleIndex = 0;
+          }
+          break;
+        case 2:
+          // 8 біт
+          if (nibbleIndex === 0) {
+            values[i] = signExtend(this.readByte(), 8);
+          } else {
+            let char1 = (buffer << 4) & 0xFF;
+            buffer = this.readByte();
+            char1 |= buffer >> 4;
+            values[i] = signExtend(char1, 8);
+          }
+          break;
+        case 3:
+          // 16 біт
+          if (nibbleIndex === 0) {
+            const char1 = this.readByte();
+            const char2 = this.readByte();
+            values[i] = signExtend((char1 << 8) | char2, 16);
+          } else {
+            const char1 = this.readByte();
+            const char2 = this.readByte();
+            values[i] = signExtend(((buffer & 0x0F) << 12) | (char1 << 4) | (char2 >> 4), 16);
+            buffer = char2;
+          }
+          break;
+      }
+      selector >>= 2;
+    }
+  }
+}
+
+/**
+ * Розбирає текстову частину заголовка логу
+ * @param {Uint8Array} bytes - Байти файлу
+ * @param {number} start - Зміщення початку логу
+ * @param {number} end - Зміщення кінця логу
+ * @returns {Object} - { headers, dataStart, complete } з усіма парами "H key:value";
+ *   complete = false, якщо дані закінчились посеред заголовка
+ */
+export function parseBinaryLogHeaders(bytes, start = 0, end = bytes.length) {
+  const headers = {};
+  let pos = start;
+
+  // Рядки заголовка починаються з "H " - перший інший символ на початку рядка означає кадр даних
+  while (pos + 1 < end && bytes[pos] === 0x48 && bytes[pos + 1] === 0x20) {
+    let lineEnd = pos;
+    while (lineEnd < end && bytes[lineEnd] !== 0x0A) lineEnd++;
+    if (lineEnd === end) {
+      return { headers, dataStart: pos, complete: false };
+    }
+
+    let line = '';
+    for (let i = pos + 2; i < lineEnd; i++) {
+      line += String.fromCharCode(bytes[i]);
+    }
+    line = line.replace(/\r$/, '');
+
+    const separatorIndex = line.indexOf(':');
+    if (separatorIndex !== -1) {
+      headers[line.slice(0, separatorIndex)] = line.slice(separatorIndex + 1);
+    }
+
+    pos = lineEnd + 1;
+  }
+
+  return { headers, dataStart: Math.min(pos, end), complete: pos + 1 < end };
+}
+
+// Формує опис полів кадру певного типу з заголовків
+function buildFrameDefinition(headers, frameType, fallback = null) {
+  const names = headers[`Field ${frameType} name`];
+  const source = names ? frameType : fallback;
+  if (!source) return null;
+
+  const parseList = (key, count) => {
+    const raw = headers[`Field ${key}`];
+    const list = raw ? raw.split(',').map(v => parseInt(v, 10) || 0) : [];
+    while (list.length < count) list.push(0);
+    return list;
+  };
+
+  const fieldNames = headers[`Field ${source} name`].split(',');
+  const count = fieldNames.length;
+
+  return {
+    names: fieldNames,
+    count,
+    signed: parseList(`${source} signed`, count),
+    predictor: parseList(`${frameType} predictor`, count),
+    encoding: parseList(`${frameType} encoding`, count)
+  };
+}
+
+/**
+ * Декодер одного логу Blackbox.
+ * Зберігає стан між викликами decodeFrames, тому дані можна подавати частинами.
+ */
+export class BlackboxLogDecoder {
+  /**
+   * @param {Object} headers - Заголовки логу (результат parseBinaryLogHeaders)
+   * @param {Object} handlers - Обробники кадрів: onMainFrame, onSlowFrame, onGpsFrame, onGpsHome, onEvent
+   */
+  constructor(headers, handlers = {}) {
+    this.headers = headers;
+    this.handlers = handlers;
+
+    this.frameDefs = {
+      I: buildFrameDefinition(headers, 'I'),
+      P: buildFrameDefinition(headers, 'P', 'I'),
+      S: buildFrameDefinition(headers, 'S'),
+      G: buildFrameDefinition(headers, 'G'),
+      H: buildFrameDefinition(headers, 'H')
+    };
+
+    if (!this.frameDefs.I) {
+      throw new Error('Заголовок логу не містить опису полів (Field I name)');
+    }
+
+    const mainNames = this.frameDefs.I.names;
+    this.fieldIndex = {
+      loopIteration: mainNames.indexOf('loopIteration'),
+      time: mainNames.indexOf('time'),
+      motor0: mainNames.indexOf('motor[0]')
+    };
+
+    this.dataVersion = parseInt(headers['Data version'], 10) || 2;
+    this.minthrottle = parseInt(headers['minthrottle'], 10) || 0;
+    this.vbatref = parseInt(headers['vbatref'], 10) || 0;
+    this.minmotor = parseInt((headers['motorOutput'] || '').split(',')[0], 10) || 0;
+
+    // Інтервали I/P кадрів для коректного обчислення loopIteration
+    this.frameIntervalI = parseInt(headers['I interval'], 10) || 1;
+    this.frameIntervalPNum = 1;
+    this.frameIntervalPDenom = 1;
+    const pInterval = headers['P interval'];
+    if (pInterval) {
+      const match = pInterval.match(/(\d+)\/(\d+)/);
+      if (match) {
+        this.frameIntervalPNum = parseInt(match[1], 10) || 1;
+        this.frameIntervalPDenom = parseInt(match[2], 10) || 1;
+      } else {
+        this.frameIntervalPDenom = parseInt(pInterval, 10) || 1;
+      }
+    }
+
+    // Історія основних кадрів: поточний, попередній, передпопередній
+    const count = this.frameDefs.I.count;
+    this.current = new Array(count).fill(0);
+    this.previous = null;
+    this.previous2 = null;
+    this.mainStreamIsValid = false;
+
+    this.lastMainFrameIteration = -1;
+    this.lastMainFrameTime = -1;
+
+    this.lastSlow = this.frameDefs.S ? new Array(this.frameDefs.S.count).fill(0) : null;
+    this.lastGps = this.frameDefs.G ? new Array(this.frameDefs.G.count).fill(0) : null;
+    this.gpsHome = this.frameDefs.H ? new Array(this.frameDefs.H.count).fill(0) : null;
+    this.gpsHomeIsValid = false;
+
+    this.values = new Array(8).fill(0);
+    this.logEnded = false;
+
+    this.stats = {
+      frames: { I: 0, P: 0, S: 0, G: 0, H: 0, E: 0 },
+      corruptFrames: 0,
+      skippedBytes: 0
+    };
+  }
+
+  shouldHaveFrame(frameIndex) {
+    return (frameIndex % this.frameIntervalI + this.frameIntervalPNum - 1) % this.frameIntervalPDenom < this.frameIntervalPNum;
+  }
+
+  countIntentionallySkippedFrames() {
+    if (this.lastMainFrameIteration === -1) return 0;
+
+    let count = 0;
+    for (let frameIndex = this.lastMainFrameIteration + 1; !this.shouldHaveFrame(frameIndex) && count < this.frameIntervalI; frameIndex++) {
+      count++;
+    }
+    return count;
+  }
+
+  applyPrediction(frameDef, fieldIndex, value, current, previous, previous2, skippedFrames) {
+    switch (frameDef.predictor[fieldIndex]) {
+      case PREDICT.ZERO:
+        break;
+      case PREDICT.PREVIOUS:
+        if (previous) value += previous[fieldIndex];
+        break;
+      case PREDICT.STRAIGHT_LINE:
+        if (previous) value += 2 * previous[fieldIndex] - previous2[fieldIndex];
+        break;
+      case PREDICT.AVERAGE_2:
+        if (previous) value += Math.trunc((previous[fieldIndex] + previous2[fieldIndex]) / 2);
+        break;
+      case PREDICT.MINTHROTTLE:
+        value += this.minthrottle;
+        break;
+      case PREDICT.MINMOTOR:
+        value += this.minmotor;
+        break;
+      case PREDICT.MOTOR_0:
+        if (this.fieldIndex.motor0 !== -1) value += current[this.fieldIndex.motor0];
+        break;
+      case PREDICT.INC:
+        value += skippedFrames + 1;
+        if (previous) value += previous[fieldIndex];
+        break;
+      case PREDICT.HOME_COORD:
+        if (this.gpsHome) {
+          value += frameDef.names[fieldIndex] === 'GPS_coord[1]' ? this.gpsHome[1] : this.gpsHome[0];
+        }
+        break;
+      case PREDICT.FIXED_1500:
+        value += 1500;
+        break;
+      case PREDICT.VBATREF:
+        value += this.vbatref;
+        break;
+      case PREDICT.LAST_MAIN_FRAME_TIME:
+        if (this.lastMainFrameTime !== -1) value += this.lastMainFrameTime;
+        break;
+      default:
+        throw new Error(`Невідомий предиктор поля: ${frameDef.predictor[fieldIndex]}`);
+    }
+
+    return frameDef.signed[fieldIndex] ? value | 0 : value >>> 0;
+  }
+
+  // Читає всі поля кадру у масив current з урахуванням кодування та предикторів
+  parseFrame(stream, frameDef, current, previous, previous2, skippedFrames) {
+    const { encoding, count } = frameDef;
+    const values = this.values;
+    let i = 0;
+
+    while (i < count) {
+      let groupCount = 1;
+
+      switch (encoding[i]) {
+        case ENCODING.SIGNED_VB:
+          values[0] = stream.readSignedVB();
+          break;
+        case ENCODING.UNSIGNED_VB:
+          values[0] = stream.readUnsignedVB();
+          break;
+        case ENCODING.NEG_14BIT:
+          values[0] = -signExtend(stream.readUnsignedVB(), 14);
+          break;
+        case ENCODING.NULL:
+          values[0] = 0;
+          break;
+        case ENCODING.TAG8_8SVB: {
+          // Група складається з до 8 послідовних полів з тим самим кодуванням
+          let j = i + 1;
+          while (j < i + 8 && j < count && encoding[j] === ENCODING.TAG8_8SVB) j++;
+          groupCount = j - i;
+          stream.readTag8_8SVB(values, groupCount);
+          break;
+        }
+        case ENCODING.TAG2_3S32:
+          groupCount = 3;
+          stream.readTag2_3S32(values);
+          break;
+        case ENCODING.TAG2_3SVARIABLE:
+          groupCount = 3;
+          stream.readTag2_3SVariable(values);
+          break;
+        case ENCODING.TAG8_4S16:
+          // Розкладка полів залежить від "Data version" заголовка (Betaflight пише версію 2)
+          groupCount = 4;
+          stream.readTag8_4S16(values, this.dataVersion);
+          break;
+        default:
+          throw new Error(`Невідоме кодування поля: ${encoding[i]}`);
+      }
+
+      for (let j = 0; j < groupCount && i < count; j++, i++) {
+        current[i] = this.applyPrediction(frameDef, i, values[j], current, previous, previous2, skippedFrames);
+      }
+    }
+  }
+
+  parseEvent(stream) {
+    const eventType = stream.readByte();
+    const event = {
+      type: eventType,
+      name: EVENT_NAMES[eventType] || `Event ${eventType}`,
+      time: this.lastMainFrameTime,
+      data: {}
+    };
+
+    switch (eventType) {
+      case BLACKBOX_EVENT.SYNC_BEEP:
+        event.data.time = stream.readUnsignedVB();
+        event.time = event.data.time;
+        break;
+      case BLACKBOX_EVENT.AUTOTUNE_CYCLE_START:
+        event.data.phase = stream.readByte();
+        event.data.cycle = stream.readByte();
+        event.data.p = stream.readByte();
+        event.data.i = stream.readByte();
+        event.data.d = stream.readByte();
+        break;
+      case BLACKBOX_EVENT.AUTOTUNE_CYCLE_RESULT:
+        event.data.overshot = stream.readByte();
+        event.data.p = stream.readByte();
+        event.data.i = stream.readByte();
+        event.data.d = stream.readByte();
+        break;
+      case BLACKBOX_EVENT.AUTOTUNE_TARGETS:
+        event.data.currentAngle = stream.readSignedVB();
+        event.data.targetAngle = stream.readSignedVB();
+        event.data.targetAngleAtPeak = stream.readSignedVB();
+        event.data.firstPeakAngle = stream.readSignedVB();
+        event.data.secondPeakAngle = stream.readSignedVB();
+        break;
+      case BLACKBOX_EVENT.INFLIGHT_ADJUSTMENT: {
+        const func = stream.readByte();
+        event.data.adjustmentFunction = func & 127;
+        // Старший біт означає значення з плаваючою комою
+        event.data.value = (func & 128) ? stream.readFloat32() : stream.readSignedVB();
+        break;
+      }
+      case BLACKBOX_EVENT.LOGGING_RESUME:
+        event.data.logIteration = stream.readUnsignedVB();
+        event.data.currentTime = stream.readUnsignedVB();
+        event.time = event.data.currentTime;
+        break;
+      case BLACKBOX_EVENT.DISARM:
+        event.data.reason = stream.readUnsignedVB();
+        break;
+      case BLACKBOX_EVENT.FLIGHT_MODE:
+        event.data.newFlags = stream.readUnsignedVB();
+        event.data.lastFlags = stream.readUnsignedVB();
+        break;
+      case BLACKBOX_EVENT.LOG_END: {
+        const endMessage = 'End of log\0';
+        if (stream.readString(endMessage.length) !== endMessage) {
+          return null;
+        }
+        break;
+      }
+      default:
+        return null;
+    }
+
+    return event;
+  }
+
+  // Перевіряє правдоподібність основного кадру відносно попереднього
+  isMainFrameSane(frame) {
+    if (this.lastMainFrameIteration === -1) return true;
+
+    const { loopIteration, time } = this.fieldIndex;
+    if (loopIteration !== -1) {
+      const iteration = frame[loopIteration];
+      if (iteration < this.lastMainFrameIteration || iteration > this.lastMainFrameIteration + MAXIMUM_ITERATION_JUMP_BETWEEN_FRAMES) {
+        return false;
+      }
+    }
+    if (time !== -1 && this.lastMainFrameTime !== -1) {
+      const frameTime = frame[time];
+      if (frameTime < this.lastMainFrameTime || frameTime > this.lastMainFrameTime + MAXIMUM_TIME_JUMP_BETWEEN_FRAMES) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  // Завершує успішно прочитаний кадр: оновлює історію та передає дані обробникам
+  completeFrame(frameType, frame, event) {
+    const { handlers } = this;
+    this.stats.frames[frameType]++;
+
+    switch (frameType) {
+      case 'I':
+      case 'P':
+        if (frameType === 'P' && !this.mainStreamIsValid) return;
+        if (!this.isMainFrameSane(frame)) {
+          this.invalidateMainStream();
+          this.stats.corruptFrames++;
+          return;
+        }
+
+        if (frameType === 'I') {
+          this.previous = frame.slice();
+          this.previous2 = this.previous;
+          this.mainStreamIsValid = true;
+        } else {
+          this.previous2 = this.previous;
+          this.previous = frame.slice();
+        }
+
+        if (this.fieldIndex.loopIteration !== -1) this.lastMainFrameIteration = frame[this.fieldIndex.loopIteration];
+        if (this.fieldIndex.time !== -1) this.lastMainFrameTime = frame[this.fieldIndex.time];
+
+        if (handlers.onMainFrame) handlers.onMainFrame(this.previous, frameType, this.lastSlow);
+        break;
+      case 'S':
+        for (let i = 0; i < frame.length; i++) this.lastSlow[i] = frame[i];
+        if (handlers.onSlowFrame) handlers.onSlowFrame(this.lastSlow.slice(), this.lastMainFrameTime);
+        break;
+      case 'H':
+        for (let i = 0; i < frame.length; i++) this.gpsHome[i] = frame[i];
+        this.gpsHomeIsValid = true;
+        if (handlers.onGpsHome) handlers.onGpsHome(this.gpsHome.slice(), this.lastMainFrameTime);
+        break;
+      case 'G':
+        // Без домашньої точки координати GPS неможливо відновити
+        if (!this.gpsHomeIsValid) return;
+        for (let i = 0; i < frame.length; i++) this.lastGps[i] = frame[i];
+        if (handlers.onGpsFrame) handlers.onGpsFrame(this.lastGps.slice(), this.lastMainFrameTime);
+        break;
+      case 'E':
+        if (event.type === BLACKBOX_EVENT.LOGGING_RESUME) {
+          // Після паузи запису лічильники стрибають - наступний кадр має бути I
+          this.lastMainFrameIteration = event.data.logIteration;
+          this.lastMainFrameTime = event.data.currentTime;
+          this.mainStreamIsValid = false;
+        }
+        if (event.type === BLACKBOX_EVENT.LOG_END) this.logEnded = true;
+        if (handlers.onEvent) handlers.onEvent(event);
+        break;
+    }
+  }
+
+  invalidateMainStream() {
+    this.mainStreamIsValid = false;
+    this.previous = null;
+    this.previous2 = null;
+  }
+
+  /**
+   * Декодує кадри з буфера. Повертає зміщення, з якого треба продовжити,
+   * якщо isFinal = false і останній кадр може бути неповним.
+   * @param {Uint8Array} bytes - Байти логу
+   * @param {number} start - Зміщення першого кадру
+   * @param {number} end - Кінець доступних даних
+   * @param {boolean} isFinal - Чи це останній блок даних
+   * @returns {number} - Зміщення першого необробленого байта
+   */
+  decodeFrames(bytes, start, end, isFinal = true) {
+    const stream = new ByteStream(bytes, start, end);
+    const safeEnd = isFinal ? end : end - MAX_FRAME_SIZE;
+
+    while (stream.pos < end && !this.logEnded) {
+      if (stream.pos >= safeEnd) break;
+
+      const frameStart = stream.pos;
+      const command = stream.readByte();
+      const frameType = String.fromCharCode(command);
+      let frame = null;
+      let event = null;
+
+      try {
+        switch (frameType) {
+          case 'I':
+            this.parseFrame(stream, this.frameDefs.I, this.current, null, null, 0);
+            frame = this.current;
+            break;
+          case 'P':
+            if (!this.frameDefs.P) break;
+            if (this.previous) {
+              this.parseFrame(stream, this.frameDefs.P, this.current, this.previous, this.previous2, this.countIntentionallySkippedFrames());
+            } else {
+              // Без попереднього I-кадру P-кадр не можна відновити - лише пропускаємо його байти
+              this.parseFrame(stream, this.frameDefs.P, this.current, null, null, 0);
+            }
+            frame = this.current;
+            break;
+          case 'S':
+            if (!this.frameDefs.S) break;
+            frame = this.lastSlow.slice();
+            this.parseFrame(stream, this.frameDefs.S, frame, null, null, 0);
+            break;
+          case 'G':
+            if (!this.frameDefs.G) break;
+            frame = new Array(this.frameDefs.G.count).fill(0);
+            this.parseFrame(stream, this.frameDefs.G, frame, this.lastGps, this.lastGps, 0);
+            break;
+          case 'H':
+            if (!this.frameDefs.H) break;
+            frame = new Array(this.frameDefs.H.count).fill(0);
+            this.parseFrame(stream, this.frameDefs.H, frame, null, null, 0);
+            break;
+          case 'E':
+            event = this.parseEvent(stream);
+            break;
+        }
+      } catch (err) {
+        console.warn('Помилка декодування кадру Blackbox:', err.message);
+        frame = null;
+        event = null;
+      }
+
+      const parsed = frame !== null || event !== null;
+
+      // Кадр вважається коректним, лише якщо за ним іде маркер іншого кадру або кінець даних
+      const next = stream.peekByte();
+      const isFollowedByFrame = next === -1 || FRAME_TYPES.includes(next) || (event && event.type === BLACKBOX_EVENT.LOG_END);
+
+      if (stream.eof) {
+        // Обрізаний кадр у кінці логу
+        if (!isFinal) {
+          return frameStart;
+        }
+        break;
+      }
+
+      if (parsed && isFollowedByFrame) {
+        this.completeFrame(frameType, frame, event);
+      } else {
+        // Пошкоджені дані - шукаємо наступний маркер кадру з наступного байта
+        this.stats.corruptFrames++;
+        this.stats.skippedBytes++;
+        this.invalidateMainStream();
+        stream.pos = frameStart + 1;
+      }
+    }
+
+    return this.logEnded ? end : stream.pos;
+  }
+}
+
+/**
+ * Створює декодер логу, що записує основні кадри прямо в колонкову таблицю
+ * @param {Object} headers - Заголовки логу
+ * @returns {Object} - { decoder, finish } - finish() повертає готовий лог
+ */
+function createBinaryLogBuilder(headers) {
+  // Метадані - усі заголовки крім описів полів кадрів
+  const metadata = {};
+  Object.entries(headers).forEach(([key, value]) => {
+    if (!key.startsWith('Field ')) {
+      metadata[key] = value;
+    }
+  });
+
+  const mainNames = headers['Field I name'] ? headers['Field I name'].split(',') : [];
+  const slowNames = headers['Field S name'] ? headers['Field S name'].split(',') : [];
+  const gpsHeaders = headers['Field G name'] ? headers['Field G name'].split(',') : [];
+  const gpsHomeHeaders = headers['Field H name'] ? headers['Field H name'].split(',') : [];
+
+  // Повільні поля додаються до кожного рядка, як це робить blackbox_decode
+  const dataHeaders = [...mainNames, ...slowNames];
+  // Час може перевищувати діапазон int32 (мікросекунди від увімкнення), прапорці - беззнакові
+  const columnTypes = dataHeaders.map((name, index) => (index < mainNames.length && name !== 'time' ? 'int32' : 'float64'));
+  const flightTable = new FlightDataTable(dataHeaders, undefined, columnTypes);
+  const rowValues = new Array(dataHeaders.length).fill(0);
+  const events = [];
+  const gpsData = [];
+  let gpsHome = null;
+
+  const decoder = new BlackboxLogDecoder(headers, {
+    onMainFrame: (frame, frameType, slow) => {
+      for (let i = 0; i < mainNames.length; i++) rowValues[i] = frame[i];
+      for (let i = 0; i < slowNames.length; i++) rowValues[mainNames.length + i] = slow[i];
+      flightTable.appendRow(rowValues);
+    },
+    onGpsFrame: (frame, mainFrameTime) => {
+      const row = {};
+      gpsHeaders.forEach((name, i) => { row[name] = frame[i]; });
+      // Старі прошивки не пишуть час у кадр G - беремо час останнього основного кадру
+      if (row.time === undefined) row.time = mainFrameTime;
+      gpsData.push(row);
+    },
+    onGpsHome: (frame) => {
+      // Перша домашня точка - відлік траєкторії
+      if (gpsHome) return;
+      gpsHome = {};
+      gpsHomeHeaders.forEach((name, i) => { gpsHome[name] = frame[i]; });
+    },
+    onEvent: (event) => events.push(event)
+  });
+
+  const finish = () => ({
+    metadata,
+    dataHeaders,
+    flightTable: flightTable.finalize(),
+    events,
+    gpsHeaders,
+    gpsData,
+    gpsHome,
+    // Лог без події "End of log" обірвався (наприклад, через втрату живлення)
+    stats: { ...decoder.stats, truncated: !decoder.logEnded }
+  });
+
+  return { decoder, finish };
+}
+
+/**
+ * Декодує один лог з файлу у формат, який використовує сховище
+ * @param {Uint8Array} bytes - Вміст файлу
+ * @param {number} start - Зміщення маркера початку логу
+ * @param {number} end - Кінець логу (початок наступного або кінець файлу)
+ * @returns {Object} - { metadata, dataHeaders, flightTable, events, gpsHeaders, gpsData, gpsHome, stats }
+ */
+function decodeBinaryLog(bytes, start, end) {
+  const { headers, dataStart } = parseBinaryLogHeaders(bytes, start, end);
+  const { decoder, finish } = createBinaryLogBuilder(headers);
+
+  decoder.decodeFrames(bytes, dataStart, end, true);
+
+  return finish();
+}
+
+/**
+ * Потоковий декодер бінарного файлу: дані подаються блоками довільного розміру,
+ * у пам'яті тримається лише незавершений хвіст останнього блоку
+ */
+export class BlackboxBinaryStreamParser {
+  constructor() {
+    this.pending = new Uint8Array(0);
+    this.logs = [];
+    this.current = null;
+  }
+
+  finishCurrentLog() {
+    if (this.current) {
+      this.logs.push(this.current.finish());
+      this.current = null;
+    }
+  }
+
+  /**
+   * Додає наступний блок даних файлу
+   * @param {Uint8Array} chunk - Блок байтів
+   * @param {boolean} isFinal - Чи це останній блок
+   */
+  push(chunk, isFinal = false) {
+    let bytes = chunk;
+    if (this.pending.length) {
+      bytes = new Uint8Array(this.pending.length + chunk.length);
+      bytes.set(this.pending);
+      bytes.set(chunk, this.pending.length);
+    }
+
+    let pos = 0;
+    while (pos < bytes.length) {
+      if (!this.current) {
+        const start = findNextLogStart(bytes, pos);
+        if (start === -1) {
+          // Маркер може бути розрізаний між блоками - залишаємо хвіст
+          pos = isFinal ? bytes.length : Math.max(pos, bytes.length - BLACKBOX_LOG_START_MARKER.length);
+          break;
+        }
+
+        const { headers, dataStart, complete } = parseBinaryLogHeaders(bytes, start, bytes.length);
+        if (!complete && !isFinal) {
+          pos = start;
+          break;
+        }
+
+        try {
+          this.current = createBinaryLogBuilder(headers);
+        } catch (err) {
+          console.warn('Не вдалося декодувати заголовок логу:', err.message);
+        }
+        pos = dataStart;
+        continue;
+      }
+
+      // Наступний маркер завершує поточний лог
+      const nextStart = findNextLogStart(bytes, pos);
+      const end = nextStart === -1 ? bytes.length : nextStart;
+      const segmentIsFinal = isFinal || nextStart !== -1;
+
+      const consumed = this.current.decoder.decodeFrames(bytes, pos, end, segmentIsFinal);
+      if (!segmentIsFinal) {
+        pos = consumed;
+        break;
+      }
+
+      this.finishCurrentLog();
+      pos = end;
+    }
+
+    this.pending = bytes.slice(pos);
+  }
+
+  /**
+   * Завершує декодування
+   * @returns {Array<Object>} - Список логів
+   */
+  finish() {
+    if (this.pending.length) {
+      this.push(new Uint8Array(0), true);
+    }
+    this.finishCurrentLog();
+    return this.logs;
+  }
+}
+
+/**
+ * Знаходить межі всіх логів у файлі - кожен починається з заголовка "H Product:..."
+ * @param {Uint8Array} bytes - Вміст файлу
+ * @returns {Array<Object>} - Список { start, end }
+ */
+export function findBinaryLogBoundaries(bytes) {
+  const boundaries = [];
+  let start = findNextLogStart(bytes, 0);
+
+  while (start !== -1) {
+    const next = findNextLogStart(bytes, start + 1);
+    boundaries.push({ start, end: next === -1 ? bytes.length : next });
+    start = next;
+  }
+
+  return boundaries;
+}
+
+/**
+ * Декодує всі логи, записані в одному бінарному файлі Blackbox
+ * @param {ArrayBuffer|Uint8Array} buffer - Вміст файлу
+ * @returns {Array<Object>} - Список логів { metadata, dataHeaders, flightTable, events, gpsHeaders, gpsData, gpsHome, stats }
+ */
+export function parseBinaryBlackboxLogs(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+
+  if (!isBinaryBlackboxLog(bytes)) {
+    throw new Error('Файл не є бінарним логом Blackbox');
+  }
+
+  const logs = [];
+  findBinaryLogBoundaries(bytes).forEach(({ start, end }, index) => {
+    try {
+      logs.push(decodeBinaryLog(bytes, start, end));
+    } catch (err) {
+      // Пошкоджений заголовок одного логу не повинен блокувати решту
+      console.warn(`Не вдалося декодувати лог #${index + 1}:`, err.message);
+    }
+  });
+
+  return logs;
+}
+
+/**
+ * Декодує бінарний лог Blackbox у формат, який використовує сховище
+ * @param {ArrayBuffer|Uint8Array} buffer - Вміст файлу
+ * @param {number} logIndex - Номер логу у файлі (за замовчуванням перший)
+ * @returns {Object} - { metadata, dataHeaders, flightTable, events, gpsHeaders, gpsData, gpsHome, stats }
+ */
+export function parseBinaryBlackboxLog(buffer, logIndex = 0) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+
+  if (!isBinaryBlackboxLog(bytes)) {
+    throw new Error('Файл не є бінарним логом Blackbox');
+  }
+
+  const boundary = findBinaryLogBoundaries(bytes)[logIndex];
+  if (!boundary) {
+    throw new Error(`Лог #${logIndex + 1} не знайдено у файлі`);
+  }
+
+  return decodeBinaryLog(bytes, boundary.start, boundary.end);
+}
+
+/**
+ * Шукає початок наступного логу у файлі
+ * @param {Uint8Array} bytes - Байти файлу
+ * @param {number} fromIndex - Позиція, з якої почати пошук
+ * @returns {number} - Зміщення маркера або -1
+ */
+export function findNextLogStart(bytes, fromIndex = 0) {
+  const first = BLACKBOX_LOG_START_MARKER.charCodeAt(0);
+  const markerLength = BLACKBOX_LOG_START_MARKER.length;
+
+  for (let i = bytes.indexOf(first, fromIndex); i !== -1 && i + markerLength <= bytes.length; i = bytes.indexOf(first, i + 1)) {
+    let match = true;
+    for (let j = 1; j < markerLength; j++) {
+      if (bytes[i + j] !== BLACKBOX_LOG_START_MARKER.charCodeAt(j)) {
+        match = false;
+        break;
+      }
+    }
+    if (match) return i;
+  }
+
+  return -1;
+}
@@ -1,95 +1,187 @@
 // src/utils/blackboxColumnMapper.js
 
 /**
- * Таблиця відповідності імен колонок між текстовим форматом логів Blackbox
- * та відображенням у Betaflight Explorer
+ * Реєстр полів логу Blackbox.
+ * Кожне відоме поле має канонічний ідентифікатор (ім'я в логу), вісь/індекс,
+ * одиниці виміру, масштаб від сирого значення до одиниць, категорію та
+ * псевдоніми для імен у логу, Betaflight Explorer і CSV (blackbox_decode).
  */
-export const fieldNameMap = {
-    // Акселерометр
-    'accSmooth[0]': 'Accel. [X]',
-    'accSmooth[1]': 'Accel. [Y]',
-    'accSmooth[2]': 'Accel. [Z]',
-    
-    // Гіроскоп
-    'gyroADC[0]': 'Gyro [roll]',
-    'gyroADC[1]': 'Gyro [pitch]',
-    'gyroADC[2]': 'Gyro [yaw]',
-    
-    // Нефільтрований гіроскоп
-    'gyroUnfilt[0]': 'Unfiltered Gyro [roll]',
-    'gyroUnfilt[1]': 'Unfiltered Gyro [pitch]',
-    'gyroUnfilt[2]': 'Unfiltered Gyro [yaw]',
-    
-    // Мотори
-    'motor[0]': 'Motor [1]',
-    'motor[1]': 'Motor [2]',
-    'motor[2]': 'Motor [3]',
-    'motor[3]': 'Motor [4]',
-    
-    // eRPM (електронні оберти моторів)
-    'eRPM[0]': 'RPM [1]',
-    'eRPM[1]': 'RPM [2]',
-    'eRPM[2]': 'RPM [3]',
-    'eRPM[3]': 'RPM [4]',
-    
-    // Команди пульта RC
-    'rcCommand[0]': 'RC Command [roll]',
-    'rcCommand[1]': 'RC Command [pitch]',
-    'rcCommand[2]': 'RC Command [yaw]',
-    'rcCommand[3]': 'RC Command [throttle]',
-    
-    // Значення заданої точки (setpoint)
-    'setpoint[0]': 'Setpoint [roll]',
-    'setpoint[1]': 'Setpoint [pitch]',
-    'setpoint[2]': 'Setpoint [yaw]',
-    'setpoint[3]': 'Setpoint [throttle]',
-    
-    // PID компоненти
-    'axisP[0]': 'PID P [roll]',
-    'axisP[1]': 'PID P [pitch]',
-    'axisP[2]': 'PID P [yaw]',
-    'axisI[0]': 'PID I [roll]',
-    'axisI[1]': 'PID I [pitch]',
-    'axisI[2]': 'PID I [yaw]',
-    'axisD[0]': 'PID D [roll]',
-    'axisD[1]': 'PID D [pitch]',
-    'axisD[2]': 'PID D [yaw]',
-    'axisF[0]': 'PID Feedforward [roll]',
-    'axisF[1]': 'PID Feedforward [pitch]',
-    'axisF[2]': 'PID Feedforward [yaw]',
-    
-    // PID Суми
-    'axisSum[0]': 'PID Sum [roll]',
-    'axisSum[1]': 'PID Sum [pitch]',
-    'axisSum[2]': 'PID Sum [yaw]',
-    
-    // Помилки PID
-    'axisError[0]': 'PID Error [roll]',
-    'axisError[1]': 'PID Error [pitch]',
-    'axisError[2]': 'PID Error [yaw]',
-    
-    // Інші датчики/змінні
-    'vbatLatest': 'Battery volt.',
-    'amperageLatest': 'Amperage',
-    'baroAlt': 'Barometer',
-    'rssi': 'RSSI',
-    
-    // Напрямок (heading)
-    'heading[0]': 'Heading [roll]',
-    'heading[1]': 'Heading [pitch]',
-    'heading[2]': 'Heading [yaw]',
-    
-    // Лічильник ітерацій і час
-    'loopIteration': 'loopIteration',
-    'time': 'time'
-  };
-  
-  // Створюємо зворотню мапу для пошуку в обох напрямках
-  const reverseFieldNameMap = Object.entries(fieldNameMap).reduce((acc, [key, value]) => {
-    acc[value] = key;
-    return acc;
-  }, {});
-  
+
+// Категорії полів у порядку показу
+export const FIELD_CATEGORIES = {
+    time: 'Час',
+    rc: 'Команди пульта',
+    setpoint: 'Задана швидкість',
+    gyro: 'Гіроскоп',
+    pid: 'PID',
+    motor: 'Мотори',
+    rpm: 'Оберти моторів',
+    accel: 'Акселерометр',
+    attitude: 'Положення',
+    power: 'Живлення',
+    sensors: 'Датчики',
+    gps: 'GPS',
+    status: 'Стан',
+    debug: 'Debug',
+    other: 'Інше'
+};
+
+const AXIS_LABELS = ['roll', 'pitch', 'yaw'];
+const RC_LABELS = ['roll', 'pitch', 'yaw', 'throttle'];
+const XYZ_LABELS = ['X', 'Y', 'Z'];
+
+/**
+ * Опис полів. Для полів з індексом:
+ *   count - кількість індексів, indices - явний перелік індексів,
+ *   labels - підписи індексів в Explorer (або oneBased для нумерації з 1),
+ *   axes - вісь для кожного індексу.
+ * unit - одиниця після масштабування, rawUnit - одиниця сирого значення в логу,
+ * scale - множник від сирого значення до unit.
+ * legacy - імена з інших версій і програм (лише ім'я поля, без індексу).
+ */
+const FIELD_DEFINITIONS = [
+    { base: 'loopIteration', category: 'time' },
+    { base: 'time', category: 'time', rawUnit: 'us', unit: 'ms', scale: 0.001, legacy: ['timestamp'] },
+
+    // Команди пульта: roll/pitch/yaw у діапазоні ±500, газ 1000-2000 мкс
+    { base: 'rcCommand', explorer: 'RC Command', indices: [0, 1, 2], labels: RC_LABELS, axes: RC_LABELS, category: 'rc' },
+    { base: 'rcCommand', explorer: 'RC Command', indices: [3], labels: RC_LABELS, axes: RC_LABELS, category: 'rc', rawUnit: 'us', unit: 'us' },
+
+    { base: 'setpoint', explorer: 'Setpoint', indices: [0, 1, 2], labels: RC_LABELS, axes: RC_LABELS, category: 'setpoint', rawUnit: 'deg/s', unit: 'deg/s' },
+    { base: 'setpoint', explorer: 'Setpoint', indices: [3], labels: RC_LABELS, axes: RC_LABELS, category: 'setpoint' },
+
+    { base: 'gyroADC', explorer: 'Gyro', count: 3, labels: AXIS_LABELS, axes: AXIS_LABELS, category: 'gyro', rawUnit: 'deg/s', unit: 'deg/s', legacy: ['gyro', 'gyroData'] },
+    { base: 'gyroUnfilt', explorer: 'Unfiltered Gyro', count: 3, labels: AXIS_LABELS, axes: AXIS_LABELS, category: 'gyro', rawUnit: 'deg/s', unit: 'deg/s' },
+
+    { base: 'axisP', explorer: 'PID P', count: 3, labels: AXIS_LABELS, axes: AXIS_LABELS, category: 'pid' },
+    { base: 'axisI', explorer: 'PID I', count: 3, labels: AXIS_LABELS, axes: AXIS_LABELS, category: 'pid' },
+    { base: 'axisD', explorer: 'PID D', count: 3, labels: AXIS_LABELS, axes: AXIS_LABELS, category: 'pid' },
+    { base: 'axisF', explorer: 'PID Feedforward', count: 3, labels: AXIS_LABELS, axes: AXIS_LABELS, category: 'pid' },
+    { base: 'axisSum', explorer: 'PID Sum', count: 3, labels: AXIS_LABELS, axes: AXIS_LABELS, category: 'pid' },
+    { base: 'axisError', explorer: 'PID Error', count: 3, labels: AXIS_LABELS, axes: AXIS_LABELS, category: 'pid', rawUnit: 'deg/s', unit: 'deg/s' },
+
+    // Вихід моторів у сирих одиницях протоколу (діапазон задає motorOutput)
+    { base: 'motor', explorer: 'Motor', count: 8, oneBased: true, category: 'motor' },
+    // Betaflight пише eRPM поділені на 100
+    { base: 'eRPM', explorer: 'RPM', count: 8, oneBased: true, category: 'rpm', rawUnit: 'eRPM/100', unit: 'eRPM', scale: 100 },
+
+    { base: 'accSmooth', explorer: 'Accel.', count: 3, labels: XYZ_LABELS, axes: ['x', 'y', 'z'], category: 'accel' },
+    { base: 'magADC', explorer: 'Compass', count: 3, labels: XYZ_LABELS, axes: ['x', 'y', 'z'], category: 'sensors' },
+    { base: 'heading', explorer: 'Heading', count: 3, labels: AXIS_LABELS, axes: AXIS_LABELS, category: 'attitude', rawUnit: 'rad', unit: 'deg', scale: 180 / Math.PI },
+
+    // Напруга і струм у сотих частках (Betaflight 4.x)
+    { base: 'vbatLatest', explorer: 'Battery volt.', category: 'power', rawUnit: '0.01 V', unit: 'V', scale: 0.01 },
+    { base: 'amperageLatest', explorer: 'Amperage', category: 'power', rawUnit: '0.01 A', unit: 'A', scale: 0.01 },
+    { base: 'baroAlt', explorer: 'Barometer', category: 'sensors', rawUnit: 'cm', unit: 'm', scale: 0.01 },
+    { base: 'rssi', explorer: 'RSSI', category: 'sensors' },
+
+    { base: 'GPS_numSat', category: 'gps' },
+    { base: 'GPS_coord', count: 2, axes: ['lat', 'lon'], category: 'gps', rawUnit: '1e-7 deg', unit: 'deg', scale: 1e-7 },
+    { base: 'GPS_altitude', category: 'gps', rawUnit: 'dm', unit: 'm', scale: 0.1 },
+    { base: 'GPS_speed', category: 'gps', rawUnit: 'cm/s', unit: 'm/s', scale: 0.01 },
+    { base: 'GPS_ground_course', category: 'gps', rawUnit: '0.1 deg', unit: 'deg', scale: 0.1 },
+
+    { base: 'flightModeFlags', category: 'status' },
+    { base: 'stateFlags', category: 'status' },
+    { base: 'failsafePhase', category: 'status' },
+    { base: 'rxSignalReceived', category: 'status' },
+    { base: 'rxFlightChannelsValid', category: 'status' },
+
+    { base: 'debug', explorer: 'Debug', count: 8, category: 'debug' }
+];
+
+// Розгортає опис поля в записи реєстру для кожного індексу
+function expandFieldDefinition(definition) {
+    const indices = definition.indices
+        || (definition.count ? Array.from({ length: definition.count }, (_, i) => i) : [null]);
+
+    return indices.map(index => {
+        const indexed = index !== null;
+        const id = indexed ? `${definition.base}[${index}]` : definition.base;
+
+        let indexLabel = index;
+        if (indexed && definition.labels) indexLabel = definition.labels[index];
+        else if (indexed && definition.oneBased) indexLabel = index + 1;
+
+        let explorerName = id;
+        if (definition.explorer) {
+            explorerName = indexed ? `${definition.explorer} [${indexLabel}]` : definition.explorer;
+        }
+
+        const unit = definition.unit || null;
+        const legacy = (definition.legacy || []).map(name => (indexed ? `${name}[${index}]` : name));
+        if (indexed && definition.labels) {
+            // "setpoint[roll]" - індекс, записаний підписом осі
+            legacy.push(`${definition.base}[${indexLabel}]`);
+        }
+
+        return {
+            id,
+            base: definition.base,
+            index: indexed ? index : null,
+            axis: indexed && definition.axes ? definition.axes[index] : null,
+            label: explorerName,
+            category: definition.category,
+            unit,
+            rawUnit: definition.rawUnit || null,
+            scale: definition.scale || 1,
+            aliases: {
+                log: id,
+                explorer: explorerName,
+                csv: definition.rawUnit ? [id, `${id} (${definition.rawUnit})`] : [id],
+                legacy
+            }
+        };
+    });
+}
+
+export const FIELD_REGISTRY = FIELD_DEFINITIONS.flatMap(expandFieldDefinition);
+
+// Індекс псевдонімів (без урахування регістру) -> запис реєстру
+const aliasIndex = new Map();
+FIELD_REGISTRY.forEach(field => {
+    getFieldAliases(field).forEach(alias => {
+        const key = alias.toLowerCase();
+        if (!aliasIndex.has(key)) aliasIndex.set(key, field);
+    });
+});
+
+/**
+ * Усі відомі імена поля: ім'я в логу, Explorer, CSV та застарілі
+ * @param {Object} field - Запис реєстру
+ * @returns {string[]} - Псевдоніми без повторів
+ */
+export function getFieldAliases(field) {
+    const { log, explorer, csv, legacy } = field.aliases;
+    return [...new Set([log, explorer, ...csv, ...legacy])];
+}
+
+// Відкидає одиниці виміру в дужках у кінці: "time (us)" -> "time"
+const stripUnitSuffix = (name) => name.replace(/\s*\([^()]+\)$/, '').trim();
+
+/**
+ * Знаходить запис реєстру за будь-яким відомим ім'ям поля
+ * @param {string} name - Ім'я колонки (з логу, Explorer або CSV)
+ * @returns {Object|null} - Запис реєстру { id, base, index, axis, label, category, unit, rawUnit, scale, aliases }
+ */
+export function getFieldDefinition(name) {
+    if (!name) return null;
+    const key = String(name).trim().toLowerCase();
+    return aliasIndex.get(key) || aliasIndex.get(stripUnitSuffix(key)) || null;
+}
+
+/**
+ * Розбирає ім'я колонки на нормалізоване ім'я поля та числовий індекс
+ * ("gyroADC[0]", "gyroAdc_0", "gyroADC 0" -> { base: 'gyroadc', index: 0 })
+ */
+function parseColumnName(name) {
+    const match = stripUnitSuffix(String(name)).match(/^(.*?)[\s_]*(?:\[(\d+)\]|(\d+))?$/);
+    return {
+        base: match[1].replace(/[^a-z0-9]/gi, '').toLowerCase(),
+        index: match[2] !== undefined ? Number(match[2]) : (match[3] !== undefined ? Number(match[3]) : null)
+    };
+}
+
   /**
    * Знаходить колонку в наборі даних з урахуванням різних імен у Blackbox і Betaflight Explorer
    * 
@@ -118,34 +210,35 @@ export const fieldNameMap = {
       return directMatch;
     }
   
-    // 2. Пошук через таблицю відповідності (від логу до Betaflight)
-    const mappedName = fieldNameMap[columnName];
-    if (mappedName) {
-      const mappedMatch = dataHeaders.find(header => compareStrings(header, mappedName));
-      if (mappedMatch) {
-        return mappedMatch;
+    // 2. Пошук через реєстр полів: будь-яке відоме ім'я того самого поля
+    const field = getFieldDefinition(columnName);
+    if (field) {
+      for (const alias of getFieldAliases(field)) {
+        const aliasMatch = dataHeaders.find(header => compareStrings(header, alias));
+        if (aliasMatch) {
+          return aliasMatch;
+        }
       }
-    }
-  
-    // 3. Пошук через зворотню таблицю відповідності (від Betaflight до логу)
-    const reverseMappedName = reverseFieldNameMap[columnName];
-    if (reverseMappedName) {
-      const reverseMappedMatch = dataHeaders.find(header => compareStrings(header, reverseMappedName));
-      if (reverseMappedMatch) {
-        return reverseMappedMatch;
+
+      // Заголовки з одиницями виміру, наприклад "vbatLatest (V)"
+      const fieldMatch = dataHeaders.find(header => getFieldDefinition(header) === field);
+      if (fieldMatch) {
+        return fieldMatch;
       }
     }
   
-    // 4. Нечіткий пошук (без урахування індексів)
-    // Для випадків коли назви трохи відрізняються, наприклад "gyroADC[0]" vs "gyroAdc_0"
-    const baseColumnName = columnName.replace(/[\[\]0-9]/g, '').toLowerCase();
-    const baseMatch = dataHeaders.find(header => 
-      header.replace(/[\[\]0-9]/g, '').toLowerCase() === baseColumnName &&
-      header.includes(columnName.match(/\d+/)?.[0] || '')
-    );
+    // 3. Нечіткий пошук для невідомих варіантів запису, наприклад "gyroADC[0]" vs "gyroAdc_0".
+    // Індекс має збігатися точно, щоб "motor[1]" не знаходив "motor[10]";
+    // відомі заголовки порівнюються за канонічним ім'ям ("Motor [1]" - це motor[0])
+    const target = parseColumnName(columnName);
+    const fuzzyMatch = dataHeaders.find(header => {
+      const known = getFieldDefinition(header);
+      const candidate = parseColumnName(known ? known.id : header);
+      return candidate.base === target.base && candidate.index === target.index;
+    });
     
-    if (baseMatch) {
-      return baseMatch;
+    if (fuzzyMatch) {
+      return fuzzyMatch;
     }
   
     // Якщо колонку не знайдено і потрібно вивести попередження
@@ -0,0 +1,216 @@
+// src/utils/blackboxCsvImporter.js
+
+import Papa from 'papaparse';
+import { getFieldDefinition } from './blackboxColumnMapper';
+import { FlightDataTable } from './flightDataTable';
+
+/**
+ * Імпорт CSV, експортованого Betaflight Blackbox Explorer або blackbox_decode.
+ *
+ * blackbox_decode пише імена полів логу з одиницями в дужках:
+ *   loopIteration, time (us), vbatLatest (V), amperageLatest (A), ...
+ * Blackbox Explorer використовує відображувані імена ("Gyro [roll]", "Motor [1]")
+ * і може додавати рядки метаданих "key","value" перед заголовком даних.
+ */
+
+// Множники для переведення часу в мікросекунди
+const TIME_UNIT_SCALE = {
+  'us': 1,
+  'µs': 1,
+  'ms': 1000,
+  's': 1000000
+};
+
+/**
+ * Розбирає ім'я колонки CSV на ім'я поля логу та одиницю виміру
+ * @param {string} rawName - Ім'я колонки з CSV
+ * @returns {Object} - { name, unit, isExplorerName }
+ */
+export function normalizeCsvHeader(rawName) {
+  let name = String(rawName).trim();
+  let unit = null;
+
+  // Одиниці виміру в дужках в кінці: "time (us)", "vbatLatest (V)"
+  const unitMatch = name.match(/^(.*?)\s*\(([^()]+)\)$/);
+  if (unitMatch) {
+    name = unitMatch[1].trim();
+    unit = unitMatch[2].trim();
+  }
+
+  // Відображувані імена Explorer і застарілі імена зводимо до імен полів логу
+  const field = getFieldDefinition(name);
+  if (field && field.id !== name) {
+    const isExplorerName = field.aliases.explorer.toLowerCase() === name.toLowerCase();
+    return { name: field.id, unit, isExplorerName };
+  }
+
+  return { name, unit, isExplorerName: false };
+}
+
+/**
+ * Перевіряє, чи текстовий вміст схожий на CSV лог Blackbox
+ * @param {string} content - Вміст файлу
+ * @returns {boolean} - true для CSV формату
+ */
+export function isBlackboxCsv(content) {
+  const firstLine = content.slice(0, 4096).split('\n').find(line => line.trim()) || '';
+  // Текстовий формат використовує роздільник " | "
+  return !firstLine.includes(' | ') && firstLine.includes(',');
+}
+
+/**
+ * Розбирає файл метаданих (.headers.csv) - пари "ключ,значення"
+ * @param {string} content - Вміст файлу метаданих
+ * @returns {Object} - Метадані логу
+ */
+export function parseCsvHeadersFile(content) {
+  const metadata = {};
+  const { data } = Papa.parse(content.trim(), { skipEmptyLines: true });
+
+  data.forEach(row => {
+    if (row.length < 2) return;
+
+    // Ключі можуть зберігати префікс заголовка бінарного логу "H "
+    const key = String(row[0]).trim().replace(/^H\s+/, '');
+    // Значення з комами (наприклад "45,80,30") Papa розділяє на кілька комірок
+    const value = row.slice(1).map(v => String(v).trim()).filter(v => v !== '').join(',');
+    if (key && !key.startsWith('Field ')) {
+      metadata[key] = value;
+    }
+  });
+
+  return metadata;
+}
+
+// Рядок заголовка даних - перший рядок, що містить колонку часу або loopIteration
+function isDataHeaderRow(row) {
+  return row.length > 2 && row.some(cell => {
+    const { name } = normalizeCsvHeader(cell);
+    return name === 'loopIteration' || name.toLowerCase() === 'time';
+  });
+}
+
+/**
+ * Покроковий імпорт CSV - рядки (вже розібрані Papa) подаються порціями,
+ * що дозволяє читати великі файли потоком
+ */
+export class BlackboxCsvImporter {
+  /**
+   * @param {string} headersContent - Вміст супровідного .headers.csv (необов'язково)
+   */
+  constructor(headersContent = null) {
+    this.metadata = {};
+    this.headersContent = headersContent;
+    this.preambleRows = [];
+    this.dataHeaders = null;
+    this.flightTable = null;
+  }
+
+  // Обробляє рядок заголовка даних: нормалізує імена та визначає одиниці виміру
+  initHeaders(headerRow) {
+    const parsedHeaders = headerRow.map(normalizeCsvHeader);
+    this.dataHeaders = parsedHeaders.map(h => h.name);
+    this.headerStyle = parsedHeaders.some(h => h.isExplorerName) ? 'explorer' : 'raw';
+
+    this.columnUnits = {};
+    parsedHeaders.forEach(h => {
+      if (h.unit) this.columnUnits[h.name] = h.unit;
+    });
+
+    // Час зберігаємо в мікросекундах, як у логах
+    this.timeIndex = this.dataHeaders.findIndex(h => h.toLowerCase() === 'time');
+    const timeUnit = this.timeIndex !== -1 ? (parsedHeaders[this.timeIndex].unit || 'us') : null;
+    this.timeScale = TIME_UNIT_SCALE[timeUnit] || 1;
+    if (this.timeIndex !== -1) {
+      this.columnUnits[this.dataHeaders[this.timeIndex]] = 'us';
+    }
+
+    this.flightTable = new FlightDataTable(this.dataHeaders);
+    this.stats = { badRows: 0, badRowLines: [], truncated: false };
+  }
+
+  /**
+   * Додає порцію рядків CSV
+   * @param {Array<Array>} rows - Рядки, розібрані Papa
+   */
+  pushRows(rows) {
+    for (let i = 0; i < rows.length; i++) {
+      const row = rows[i];
+
+      if (!this.dataHeaders) {
+        if (isDataHeaderRow(row)) {
+          this.initHeaders(row);
+        } else {
+          this.preambleRows.push(row);
+        }
+        continue;
+      }
+
+      // Пропускаємо неповні рядки (наприклад, обрізаний останній рядок), але враховуємо їх
+      if (row.length !== this.dataHeaders.length) {
+        this.stats.badRows++;
+        this.stats.truncated = row.length < this.dataHeaders.length;
+        continue;
+      }
+      this.stats.truncated = false;
+
+      if (this.timeIndex !== -1 && this.timeScale !== 1 && typeof row[this.timeIndex] === 'number') {
+        row[this.timeIndex] = Math.round(row[this.timeIndex] * this.timeScale);
+      }
+
+      this.flightTable.appendRow(row);
+    }
+  }
+
+  /**
+   * Завершує імпорт
+   * @returns {Object} - { metadata, dataHeaders, flightTable, columnUnits, headerStyle, stats }
+   */
+  finish() {
+    if (!this.dataHeaders) {
+      throw new Error('Не вдалося знайти рядок заголовків даних у CSV файлі.');
+    }
+
+    // Рядки перед заголовком - вбудовані метадані Explorer
+    const metadata = {};
+    this.preambleRows.forEach(row => {
+      if (row.length >= 2 && row[0] !== null && row[0] !== '') {
+        metadata[String(row[0]).trim()] = row.slice(1).filter(v => v !== null && v !== '').join(',');
+      }
+    });
+
+    if (this.headersContent) {
+      Object.assign(metadata, parseCsvHeadersFile(this.headersContent));
+    }
+
+    return {
+      metadata,
+      dataHeaders: this.dataHeaders,
+      flightTable: this.flightTable.finalize(),
+      columnUnits: this.columnUnits,
+      headerStyle: this.headerStyle,
+      stats: this.stats
+    };
+  }
+}
+
+/**
+ * Імпортує CSV лог Blackbox у формат сховища
+ * @param {string} content - Вміст CSV файлу
+ * @param {string} headersContent - Вміст супровідного .headers.csv (необов'язково)
+ * @returns {Object} - { metadata, dataHeaders, flightTable, columnUnits, headerStyle, stats }
+ */
+export function parseBlackboxCsv(content, headersContent = null) {
+  const { data: rows, errors } = Papa.parse(content, {
+    skipEmptyLines: true,
+    dynamicTyping: true
+  });
+
+  if (errors.length) {
+    console.warn(`CSV містить ${errors.length} помилок розбору, перша:`, errors[0].message);
+  }
+
+  const importer = new BlackboxCsvImporter(headersContent);
+  importer.pushRows(rows);
+  return importer.finish();
+}
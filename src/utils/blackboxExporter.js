@@ -0,0 +1,106 @@
+// src/utils/blackboxExporter.js
+
+import Papa from 'papaparse';
+
+/**
+ * Експорт логу (або обрізаного сегмента) у формати, які застосунок читає:
+ * текстовий формат з роздільником " | " (метадані, заголовок, рядки, кадри GPS)
+ * та CSV у стилі Blackbox Explorer (рядки "key","value" перед заголовком даних).
+ */
+
+const TEXT_SEPARATOR = ' | ';
+
+// Значення комірки без NaN, які парсери прочитали б як текст
+const formatValue = (value) => (typeof value === 'number' && Number.isNaN(value) ? '' : value);
+
+// Обходить рядки таблиці, передаючи масив значень у порядку колонок
+function forEachRow(table, callback) {
+  const values = new Array(table.columns.length);
+  for (let row = 0; row < table.length; row++) {
+    for (let i = 0; i < table.columns.length; i++) {
+      values[i] = formatValue(table.columns[i][row]);
+    }
+    callback(values);
+  }
+}
+
+/**
+ * Записує лог у текстовий формат "key | value" / "a | b | c"
+ * @param {Object} log - Лог { metadata, dataHeaders, flightTable, gpsHeaders, gpsData, gpsHome }
+ * @returns {string} - Вміст файлу
+ */
+export function exportBlackboxText(log) {
+  const lines = [];
+
+  Object.entries(log.metadata || {}).forEach(([key, value]) => {
+    lines.push(`${key}${TEXT_SEPARATOR}${value}`);
+  });
+
+  lines.push(log.flightTable.headers.join(TEXT_SEPARATOR));
+  forEachRow(log.flightTable, values => lines.push(values.join(TEXT_SEPARATOR)));
+
+  // Кадри GPS позначаються префіксами H і G, як їх читає текстовий парсер
+  if (log.gpsHome) {
+    const homeHeaders = Object.keys(log.gpsHome);
+    lines.push(['H', ...homeHeaders].join(TEXT_SEPARATOR));
+    lines.push(['H', ...homeHeaders.map(name => log.gpsHome[name])].join(TEXT_SEPARATOR));
+  }
+  const gpsData = log.gpsData || [];
+  if (gpsData.length) {
+    const gpsHeaders = log.gpsHeaders && log.gpsHeaders.length ? log.gpsHeaders : Object.keys(gpsData[0]);
+    lines.push(['G', ...gpsHeaders].join(TEXT_SEPARATOR));
+    gpsData.forEach(sample => {
+      lines.push(['G', ...gpsHeaders.map(name => formatValue(sample[name]))].join(TEXT_SEPARATOR));
+    });
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Записує лог у CSV: метадані парами "key","value", далі заголовок з одиницями та дані
+ * @param {Object} log - Лог { metadata, flightTable, columnUnits }
+ * @returns {string} - Вміст файлу
+ */
+export function exportBlackboxCsv(log) {
+  const columnUnits = log.columnUnits || {};
+  const rows = Object.entries(log.metadata || {}).map(([key, value]) => [key, value]);
+
+  // Одиниці в дужках імпортер CSV читає назад ("time (us)", "vbatLatest (V)")
+  rows.push(log.flightTable.headers.map(name => (columnUnits[name] ? `${name} (${columnUnits[name]})` : name)));
+  forEachRow(log.flightTable, values => rows.push(values.slice()));
+
+  // Рядки метаданих коротші за рядки даних - Papa пише їх як є
+  return `${Papa.unparse(rows, { quotes: false, newline: '\n' })}\n`;
+}
+
+// Пропонує браузеру зберегти Blob як файл
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Пропонує браузеру зберегти текст як файл
+ * @param {string} content - Вміст
+ * @param {string} fileName - Ім'я файлу
+ * @param {string} mimeType - MIME тип
+ */
+export function downloadTextFile(content, fileName, mimeType = 'text/plain') {
+  downloadBlob(new Blob([content], { type: `${mimeType};charset=utf-8` }), fileName);
+}
+
+/**
+ * Пропонує браузеру зберегти двійкові дані як файл
+ * @param {Uint8Array} content - Вміст
+ * @param {string} fileName - Ім'я файлу
+ */
+export function downloadBinaryFile(content, fileName) {
+  downloadBlob(new Blob([content], { type: 'application/octet-stream' }), fileName);
+}
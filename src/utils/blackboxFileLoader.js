@@ -0,0 +1,151 @@
+// src/utils/blackboxFileLoader.js
+
+import Papa from 'papaparse';
+import { isBinaryBlackboxLog, BlackboxBinaryStreamParser } from './blackboxBinaryParser';
+import { BlackboxTextLogParser } from './blackboxTextParser';
+import { BlackboxCsvImporter, isBlackboxCsv } from './blackboxCsvImporter';
+
+/**
+ * Потокове завантаження файлу логу: файл читається частинами через File.stream(),
+ * тому великі логи не потрапляють у пам'ять цілим рядком, а рядки одразу
+ * записуються у колонкові таблиці.
+ */
+
+// Після скількох блоків віддаємо керування UI (як у processInChunks)
+const YIELD_EVERY_CHUNKS = 4;
+
+const yieldToUi = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const createAbortError = () => new DOMException('Завантаження скасовано', 'AbortError');
+
+/**
+ * Визначає формат файлу за першими байтами та розширенням
+ * @param {File} file - Файл логу
+ * @returns {Promise<string>} - 'binary', 'csv' або 'text'
+ */
+export async function detectLogFormat(file) {
+  const head = new Uint8Array(await file.slice(0, 4096).arrayBuffer());
+
+  // Бінарні логи (.BBL/.BFL) починаються з текстового заголовка "H Product:Blackbox..."
+  if (isBinaryBlackboxLog(head)) return 'binary';
+
+  const text = new TextDecoder().decode(head);
+  if (file.name.toLowerCase().endsWith('.csv') || isBlackboxCsv(text)) return 'csv';
+
+  return 'text';
+}
+
+// Читає файл блоками, викликаючи onChunk для кожного
+async function readFileInChunks(file, onChunk, { onProgress, signal }) {
+  const reader = file.stream().getReader();
+  let bytesRead = 0;
+  let chunkCount = 0;
+
+  try {
+    for (;;) {
+      if (signal && signal.aborted) throw createAbortError();
+
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      onChunk(value);
+      bytesRead += value.length;
+      chunkCount++;
+
+      if (onProgress) onProgress(file.size ? (bytesRead / file.size) * 100 : 0);
+      if (chunkCount % YIELD_EVERY_CHUNKS === 0) await yieldToUi();
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+async function loadBinaryLogs(file, options) {
+  const parser = new BlackboxBinaryStreamParser();
+  await readFileInChunks(file, chunk => parser.push(chunk), options);
+  return parser.finish();
+}
+
+async function loadTextLogs(file, options) {
+  const parser = new BlackboxTextLogParser();
+  const decoder = new TextDecoder();
+  let remainder = '';
+
+  await readFileInChunks(file, chunk => {
+    const lines = (remainder + decoder.decode(chunk, { stream: true })).split('\n');
+    // Останній рядок може бути неповним - дочитаємо його з наступним блоком
+    remainder = lines.pop();
+    lines.forEach(line => parser.pushLine(line));
+  }, options);
+
+  parser.pushLine(remainder + decoder.decode());
+  return parser.finish();
+}
+
+function loadCsvLogs(file, headersContent, { onProgress, signal }) {
+  const importer = new BlackboxCsvImporter(headersContent);
+  let chunkCount = 0;
+
+  return new Promise((resolve, reject) => {
+    Papa.parse(file, {
+      skipEmptyLines: true,
+      dynamicTyping: true,
+      chunk: (results, parser) => {
+        if (signal && signal.aborted) {
+          parser.abort();
+          return;
+        }
+
+        importer.pushRows(results.data);
+        if (onProgress && file.size) onProgress((results.meta.cursor / file.size) * 100);
+
+        // Пауза між блоками, щоб UI встиг оновити прогрес
+        if (++chunkCount % YIELD_EVERY_CHUNKS === 0) {
+          parser.pause();
+          setTimeout(() => parser.resume(), 0);
+        }
+      },
+      complete: () => {
+        if (signal && signal.aborted) {
+          reject(createAbortError());
+          return;
+        }
+        try {
+          resolve([importer.finish()]);
+        } catch (err) {
+          reject(err);
+        }
+      },
+      error: (err) => reject(err)
+    });
+  });
+}
+
+/**
+ * Завантажує файл логу потоком і повертає всі знайдені в ньому логи
+ * @param {File} file - Файл логу (.BBL/.BFL, текстовий або CSV)
+ * @param {Object} options - Опції завантаження
+ * @param {File} options.headersFile - Супровідний .headers.csv для CSV логів
+ * @param {Function} options.onProgress - Колбек прогресу (0-100)
+ * @param {AbortSignal} options.signal - Сигнал для скасування
+ * @returns {Promise<Object>} - { format, logs } де кожен лог { metadata, dataHeaders, flightTable, ... }
+ */
+export async function loadBlackboxFile(file, { headersFile = null, onProgress = null, signal = null } = {}) {
+  const format = await detectLogFormat(file);
+  const options = { onProgress, signal };
+
+  let logs;
+  if (format === 'binary') {
+    logs = await loadBinaryLogs(file, options);
+  } else if (format === 'csv') {
+    const headersContent = headersFile ? await headersFile.text() : null;
+    logs = await loadCsvLogs(file, headersContent, options);
+  } else {
+    logs = await loadTextLogs(file, options);
+  }
+
+  if (signal && signal.aborted) throw createAbortError();
+  if (onProgress) onProgress(100);
+
+  return { format, logs };
+}
@@ -0,0 +1,150 @@
+// src/utils/blackboxTextParser.js
+
+import { FlightDataTable } from './flightDataTable';
+
+// Скільки номерів відкинутих рядків зберігати для діагностики
+const MAX_BAD_ROW_LINES = 20;
+
+/**
+ * Покроковий розбір текстового логу Blackbox (формат "key | value" для метаданих
+ * та рядки "a | b | c" для даних польоту). Рядки подаються по одному, тому
+ * файл можна читати частинами, не тримаючи весь вміст у пам'яті.
+ * Один файл може містити кілька логів поспіль - кожна сесія arm/disarm
+ * має власний блок метаданих і власний заголовок "loopIteration | ...".
+ * Кадри GPS мають окремий заголовок з полями GPS_coord[] (або GPS_home[] для
+ * домашньої точки) і можуть позначатися префіксом "G | " чи "H | ".
+ */
+export class BlackboxTextLogParser {
+  constructor() {
+    this.logs = [];
+    this.metadata = {};
+    this.current = null;
+    this.lineNumber = 0;
+  }
+
+  /**
+   * Обробляє один рядок файлу
+   * @param {string} rawLine - Рядок без символу переведення рядка
+   */
+  pushLine(rawLine) {
+    this.lineNumber++;
+    const line = rawLine.trim();
+
+    // Пропускаємо порожні рядки
+    if (!line) return;
+
+    // Рядок заголовка починає секцію даних польоту нового логу
+    if (line.startsWith('loopIteration')) {
+      this.finishCurrentLog();
+      const dataHeaders = line.split(' | ').map(h => h.trim());
+      this.current = {
+        metadata: this.metadata,
+        dataHeaders,
+        flightTable: new FlightDataTable(dataHeaders),
+        gpsHeaders: [],
+        gpsHomeHeaders: null,
+        gpsData: [],
+        gpsHome: null,
+        stats: { badRows: 0, badRowLines: [], truncated: false }
+      };
+      this.metadata = {};
+      return;
+    }
+
+    const parts = line.split(' | ');
+
+    // Заголовки та рядки кадрів GPS ідуть окремо від даних польоту
+    if (this.current && this.pushGpsLine(parts)) return;
+
+    // Рядок даних польоту поточного логу
+    if (this.current && parts.length === this.current.dataHeaders.length) {
+      this.current.flightTable.appendRow(parts);
+      this.current.stats.truncated = false;
+      return;
+    }
+
+    // Обробляємо рядки метаданих (формат: key | value) - вони належать наступному логу
+    if (parts.length === 2) {
+      this.metadata[parts[0].trim()] = parts[1].trim();
+      return;
+    }
+
+    // Рядок даних з неправильною кількістю полів - відкидаємо, але враховуємо у статистиці
+    if (this.current) {
+      const { stats } = this.current;
+      stats.badRows++;
+      if (stats.badRowLines.length < MAX_BAD_ROW_LINES) stats.badRowLines.push(this.lineNumber);
+      // Неповний рядок у кінці означає обрізаний файл; наступний коректний рядок це скасовує
+      stats.truncated = parts.length < this.current.dataHeaders.length;
+    }
+  }
+
+  /**
+   * Обробляє рядок кадру GPS, якщо він належить до секції GPS
+   * @param {string[]} parts - Поля рядка
+   * @returns {boolean} - true, якщо рядок оброблено
+   */
+  pushGpsLine(parts) {
+    const { current } = this;
+    const frameType = parts[0] === 'G' || parts[0] === 'H' ? parts[0] : null;
+    const fields = (frameType ? parts.slice(1) : parts).map(part => part.trim());
+
+    if (fields.some(field => field.startsWith('GPS_coord'))) {
+      current.gpsHeaders = fields;
+      return true;
+    }
+    if (fields.some(field => field.startsWith('GPS_home'))) {
+      current.gpsHomeHeaders = fields;
+      return true;
+    }
+
+    const toRow = (headers) => {
+      const row = {};
+      headers.forEach((name, i) => { row[name] = parseFloat(fields[i]); });
+      return row;
+    };
+
+    if (frameType === 'H' && current.gpsHomeHeaders && fields.length === current.gpsHomeHeaders.length) {
+      if (!current.gpsHome) current.gpsHome = toRow(current.gpsHomeHeaders);
+      return true;
+    }
+
+    // Рядок без префікса вважаємо кадром GPS лише тоді, коли його не сплутати з даними польоту
+    const isGpsRow = current.gpsHeaders.length && fields.length === current.gpsHeaders.length
+      && (frameType === 'G' || fields.length !== current.dataHeaders.length);
+    if (isGpsRow) {
+      current.gpsData.push(toRow(current.gpsHeaders));
+      return true;
+    }
+
+    return false;
+  }
+
+  finishCurrentLog() {
+    if (this.current) {
+      this.current.flightTable.finalize();
+      this.logs.push(this.current);
+      this.current = null;
+    }
+  }
+
+  /**
+   * Завершує розбір
+   * @returns {Array<Object>} - Список логів { metadata, dataHeaders, flightTable, gpsHeaders, gpsData, gpsHome, stats }
+   */
+  finish() {
+    this.finishCurrentLog();
+    return this.logs;
+  }
+}
+
+/**
+ * Розбирає текстовий лог Blackbox цілком
+ * @param {string} content - Вміст файлу
+ * @returns {Array<Object>} - Список логів { metadata, dataHeaders, flightTable, gpsHeaders, gpsData, gpsHome, stats }
+ */
+export function parseBlackboxTextLogs(content) {
+  const parser = new BlackboxTextLogParser();
+  content.split('\n').forEach(line => parser.pushLine(line));
+  return parser.finish();
+}
@@ -0,0 +1,255 @@
+// src/utils/cliDiff.js
+
+import { RATES_TYPES } from './flightSettings';
+
+/**
+ * Розбір виводу Betaflight CLI "diff" / "diff all" / "dump": параметри master,
+ * профілів PID (profile N) та профілів rates (rateprofile N). Розібрані параметри
+ * перетворюються на метадані у форматі заголовків логу, щоб порівняти їх із
+ * заголовками та доповнити неповні заголовки для рекомендацій.
+ *
+ * diff виводить лише значення, відмінні від типових, тому складені заголовки
+ * (rollPID, rc_rates...) доповнюються типовими значеннями Betaflight 4.3+.
+ */
+
+const AXES = ['roll', 'pitch', 'yaw'];
+
+// Перелічувані параметри: CLI пише назву, заголовок логу - індекс
+const ENUM_SETTINGS = {
+  gyro_lpf1_type: ['PT1', 'BIQUAD', 'PT2', 'PT3'],
+  gyro_lpf2_type: ['PT1', 'BIQUAD', 'PT2', 'PT3'],
+  dterm_lpf1_type: ['PT1', 'BIQUAD', 'PT2', 'PT3'],
+  dterm_lpf2_type: ['PT1', 'BIQUAD', 'PT2', 'PT3'],
+  rates_type: RATES_TYPES.map(type => type.toUpperCase())
+};
+
+// Складені заголовки логу: частини - параметри CLI, типові значення - Betaflight 4.3+.
+// scope - розділ diff, наявність якого означає, що відсутні частини мають типові значення
+const COMPOSITE_HEADERS = [
+  { header: 'rollPID', parts: ['p_roll', 'i_roll', 'd_roll'], defaults: [45, 80, 40], scope: 'profile' },
+  { header: 'pitchPID', parts: ['p_pitch', 'i_pitch', 'd_pitch'], defaults: [47, 84, 46], scope: 'profile' },
+  { header: 'yawPID', parts: ['p_yaw', 'i_yaw', 'd_yaw'], defaults: [45, 80, 0], scope: 'profile' },
+  { header: 'ff_weight', parts: AXES.map(axis => `f_${axis}`), defaults: [120, 125, 120], scope: 'profile', alternates: ['feedforward_weight'] },
+  { header: 'd_min', parts: AXES.map(axis => `d_min_${axis}`), defaults: [30, 34, 0], scope: 'profile' },
+  { header: 'rc_rates', parts: AXES.map(axis => `${axis}_rc_rate`), defaults: [7, 7, 7], scope: 'rateprofile' },
+  { header: 'rc_expo', parts: AXES.map(axis => `${axis}_expo`), defaults: [0, 0, 0], scope: 'rateprofile' },
+  { header: 'rates', parts: AXES.map(axis => `${axis}_srate`), defaults: [67, 67, 67], scope: 'rateprofile' },
+  { header: 'rate_limits', parts: AXES.map(axis => `${axis}_rate_limit`), defaults: [1998, 1998, 1998], scope: 'rateprofile' },
+  { header: 'gyro_lpf1_dyn_hz', parts: ['gyro_lpf1_dyn_min_hz', 'gyro_lpf1_dyn_max_hz'], defaults: [250, 500], scope: null },
+  { header: 'dterm_lpf1_dyn_hz', parts: ['dterm_lpf1_dyn_min_hz', 'dterm_lpf1_dyn_max_hz'], defaults: [75, 150], scope: null }
+];
+
+const createSection = () => ({});
+
+/**
+ * Розбирає вивід CLI diff/dump
+ * @param {string} text - Вивід CLI
+ * @returns {Object} - { firmwareRevision, boardName, craftName, features, master, profiles, rateProfiles,
+ *   activeProfile, activeRateProfile, settingCount }; профілі - { індекс: { параметр: значення } }
+ */
+export function parseCliDiff(text) {
+  const parsed = {
+    firmwareRevision: '',
+    boardName: '',
+    craftName: '',
+    features: [],
+    master: createSection(),
+    profiles: {},
+    rateProfiles: {},
+    activeProfile: null,
+    activeRateProfile: null,
+    settingCount: 0
+  };
+  let section = parsed.master;
+
+  const selectProfile = (kind, index) => {
+    const profiles = kind === 'rateprofile' ? parsed.rateProfiles : parsed.profiles;
+    if (!profiles[index]) profiles[index] = createSection();
+    section = profiles[index];
+  };
+
+  String(text).split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    if (line.startsWith('#')) {
+      const comment = line.slice(1).trim();
+      // # Betaflight / STM32F7X2 (S7X2) 4.4.2 Jun 10 2023 / 09:06:13 (8d4f005) MSP API: 1.45
+      const version = comment.match(/^(\w+)\s*\/\s*(\S+)\s*\(\w+\)\s*(\d+\.\d+(?:\.\d+)?)[^(]*(\([0-9a-f]+\))?/i);
+      if (version && !parsed.firmwareRevision) {
+        parsed.firmwareRevision = [version[1], version[3], version[4], version[2]].filter(Boolean).join(' ');
+        return;
+      }
+      const name = comment.match(/^name:\s*(.*)$/i);
+      if (name) {
+        parsed.craftName = name[1].trim();
+        return;
+      }
+      // Звичайний "diff" позначає розділ профілю лише коментарем
+      const profileComment = comment.match(/^(profile|rateprofile)\s+(\d+)$/i);
+      if (profileComment) selectProfile(profileComment[1].toLowerCase(), Number(profileComment[2]));
+      return;
+    }
+
+    const [command, ...args] = line.split(/\s+/);
+    const argument = args.join(' ');
+
+    switch (command.toLowerCase()) {
+      case 'set': {
+        const setting = argument.match(/^(\S+)\s*=\s*(.*)$/);
+        if (!setting) return;
+        section[setting[1].toLowerCase()] = setting[2].trim();
+        parsed.settingCount++;
+        if (setting[1].toLowerCase() === 'craft_name') parsed.craftName = setting[2].trim();
+        return;
+      }
+      case 'profile':
+        // Останній вибір профілю в "diff all" - "restore original profile selection"
+        parsed.activeProfile = Number(args[0]);
+        selectProfile('profile', parsed.activeProfile);
+        return;
+      case 'rateprofile':
+        parsed.activeRateProfile = Number(args[0]);
+        selectProfile('rateprofile', parsed.activeRateProfile);
+        return;
+      case 'feature':
+        parsed.features.push(argument);
+        return;
+      case 'name':
+        // Betaflight 3.x - ім'я апарата окремою командою
+        if (argument && argument !== '-') parsed.craftName = argument;
+        return;
+      case 'board_name':
+        parsed.boardName = argument;
+        return;
+      default:
+        // resource, serial, aux, map, batch, save... на налаштування польоту не впливають
+        return;
+    }
+  });
+
+  if (!parsed.settingCount) {
+    throw new Error('Не знайдено жодного параметра "set" - це не схоже на вивід CLI diff або dump');
+  }
+
+  const firstIndex = (profiles) => {
+    const indexes = Object.keys(profiles).map(Number);
+    return indexes.length ? Math.min(...indexes) : null;
+  };
+  if (parsed.activeProfile === null) parsed.activeProfile = firstIndex(parsed.profiles);
+  if (parsed.activeRateProfile === null) parsed.activeRateProfile = firstIndex(parsed.rateProfiles);
+
+  return parsed;
+}
+
+// Значення CLI у форматі заголовка: ON/OFF - 1/0, назви перелічуваних параметрів - індекси
+function toHeaderValue(name, value) {
+  const upper = value.toUpperCase();
+  if (ENUM_SETTINGS[name]) {
+    const index = ENUM_SETTINGS[name].indexOf(upper);
+    return index >= 0 ? String(index) : value;
+  }
+  if (upper === 'ON') return '1';
+  if (upper === 'OFF') return '0';
+  return value;
+}
+
+/**
+ * Параметри CLI для вибраних профілів: master, профіль PID і профіль rates
+ * @param {Object} cliSettings - Результат parseCliDiff
+ * @returns {Object} - { параметр: значення }
+ */
+export function getActiveCliSettings(cliSettings) {
+  return {
+    ...cliSettings.master,
+    ...(cliSettings.profiles[cliSettings.activeProfile] || {}),
+    ...(cliSettings.rateProfiles[cliSettings.activeRateProfile] || {})
+  };
+}
+
+/**
+ * Перетворює розібраний diff на метадані у форматі заголовків логу
+ * @param {Object} cliSettings - Результат parseCliDiff
+ * @returns {Object} - Метадані, зрозумілі normalizeFlightSettings
+ */
+export function cliSettingsToMetadata(cliSettings) {
+  const settings = getActiveCliSettings(cliSettings);
+  const metadata = {};
+
+  Object.entries(settings).forEach(([name, value]) => {
+    metadata[name] = toHeaderValue(name, value);
+  });
+
+  // Складений заголовок будується, якщо diff містить його розділ або хоча б одну частину
+  const hasScope = {
+    profile: Boolean(cliSettings.profiles[cliSettings.activeProfile]),
+    rateprofile: Boolean(cliSettings.rateProfiles[cliSettings.activeRateProfile])
+  };
+  COMPOSITE_HEADERS.forEach(({ header, parts, defaults, scope }) => {
+    if (!hasScope[scope] && !parts.some(part => settings[part] !== undefined)) return;
+    metadata[header] = parts.map((part, index) => (settings[part] !== undefined ? settings[part] : defaults[index])).join(',');
+  });
+
+  if (cliSettings.firmwareRevision) metadata['Firmware revision'] = cliSettings.firmwareRevision;
+  if (cliSettings.craftName) metadata['Craft name'] = cliSettings.craftName;
+
+  return metadata;
+}
+
+/**
+ * Доповнює заголовки логу параметрами з diff: значення з заголовків мають пріоритет,
+ * diff заповнює лише відсутні (наприклад, у логах старих прошивок або обрізаних заголовках)
+ * @param {Object} metadata - Метадані логу
+ * @param {Object|null} cliSettings - Результат parseCliDiff
+ * @returns {Object} - Метадані для аналізу та рекомендацій
+ */
+export function mergeCliIntoMetadata(metadata, cliSettings) {
+  if (!cliSettings) return metadata;
+  const fromCli = cliSettingsToMetadata(cliSettings);
+  const merged = { ...metadata };
+  Object.entries(fromCli).forEach(([name, value]) => {
+    const current = merged[name];
+    if (current === undefined || current === null || String(current).trim() === '') merged[name] = value;
+  });
+  return merged;
+}
+
+// Значення параметра CLI у заголовках: напряму або частиною складеного заголовка
+function findHeaderValue(metadata, name) {
+  if (metadata[name] !== undefined) return String(metadata[name]).trim();
+
+  for (const { header, parts, alternates = [] } of COMPOSITE_HEADERS) {
+    const index = parts.indexOf(name);
+    if (index < 0) continue;
+    const source = [header, ...alternates].find(key => metadata[key] !== undefined);
+    if (!source) return null;
+    const value = String(metadata[source]).split(',')[index];
+    return value !== undefined ? value.trim() : null;
+  }
+  return null;
+}
+
+/**
+ * Порівнює параметри diff з заголовками логу
+ * @param {Object} cliSettings - Результат parseCliDiff
+ * @param {Object} metadata - Метадані логу
+ * @returns {Array<Object>} - { name, cliValue, headerValue, status }, status:
+ *   'match' - збігається, 'mismatch' - відрізняється, 'notInLog' - лог не містить параметра
+ */
+export function compareCliWithMetadata(cliSettings, metadata) {
+  const settings = getActiveCliSettings(cliSettings);
+
+  return Object.entries(settings).map(([name, cliValue]) => {
+    const headerValue = findHeaderValue(metadata, name);
+    if (headerValue === null) return { name, cliValue, headerValue, status: 'notInLog' };
+
+    const expected = toHeaderValue(name, cliValue);
+    const expectedNumber = parseFloat(expected);
+    const headerNumber = parseFloat(headerValue);
+    const equal = Number.isFinite(expectedNumber) && Number.isFinite(headerNumber)
+      ? Math.abs(expectedNumber - headerNumber) < 1e-6
+      : expected.toLowerCase() === headerValue.toLowerCase();
+
+    return { name, cliValue, headerValue, status: equal ? 'match' : 'mismatch' };
+  });
+}
@@ -0,0 +1,135 @@
+// src/utils/craftProfiles.js
+
+/**
+ * Профілі апаратів: параметри конкретної збірки (рама, пропелери, мотори, батарея),
+ * яких немає в заголовках логу. Профіль прив'язується до логу вручну або
+ * пропонується за заголовком "Craft name".
+ */
+
+export const ESC_PROTOCOLS = ['DSHOT150', 'DSHOT300', 'DSHOT600', 'PROSHOT1000', 'ONESHOT125', 'MULTISHOT', 'PWM'];
+
+/**
+ * Класи рам за розміром пропелера. Малі апарати мають меншу інерцію і потребують
+ * вищих P/D, великі - нижчих, тому межі рекомендацій PID масштабуються за класом.
+ */
+export const FRAME_CLASSES = {
+  WHOOP: {
+    id: 'whoop',
+    label: 'Whoop (до 2.5")',
+    maxSizeInch: 2.5,
+    pidLimitScale: { p: 1.5, i: 1.2, d: 1.6, f: 1.2 }
+  },
+  MICRO: {
+    id: 'micro',
+    label: 'Micro (3-4")',
+    maxSizeInch: 4,
+    pidLimitScale: { p: 1.25, i: 1.1, d: 1.3, f: 1.1 }
+  },
+  STANDARD: {
+    id: 'standard',
+    label: 'Standard (5-6")',
+    maxSizeInch: 6,
+    pidLimitScale: { p: 1, i: 1, d: 1, f: 1 }
+  },
+  LONG_RANGE: {
+    id: 'long-range',
+    label: 'Long range (7"+)',
+    maxSizeInch: Infinity,
+    pidLimitScale: { p: 0.8, i: 1, d: 0.75, f: 0.9 }
+  }
+};
+
+const DEFAULT_PROFILE = {
+  name: '',
+  craftNames: [],
+  frameSizeInch: 5,
+  prop: '',
+  motorKv: 0,
+  cellCount: 6,
+  weightGrams: 0,
+  // Без значення полюси беруться із заголовка логу motor_poles
+  motorPoles: null,
+  escProtocol: 'DSHOT600'
+};
+
+const toPositiveNumber = (value, fallback) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+const normalizeName = (name) => String(name || '').trim().toLowerCase();
+
+/**
+ * Створює профіль з введених значень, підставляючи типові для відсутніх
+ * @param {Object} fields - { id, name, craftNames, frameSizeInch, prop, motorKv, cellCount, weightGrams, motorPoles, escProtocol }
+ * @returns {Object} - Нормалізований профіль
+ */
+export function createCraftProfile(fields = {}) {
+  const profile = { ...DEFAULT_PROFILE, ...fields };
+  const poles = Math.round(toPositiveNumber(profile.motorPoles, 0));
+
+  return {
+    ...(fields.id !== undefined ? { id: fields.id } : {}),
+    name: String(profile.name).trim(),
+    craftNames: (Array.isArray(profile.craftNames) ? profile.craftNames : String(profile.craftNames).split(','))
+      .map(name => String(name).trim())
+      .filter(Boolean),
+    frameSizeInch: toPositiveNumber(profile.frameSizeInch, DEFAULT_PROFILE.frameSizeInch),
+    prop: String(profile.prop || '').trim(),
+    motorKv: toPositiveNumber(profile.motorKv, 0),
+    cellCount: Math.round(toPositiveNumber(profile.cellCount, DEFAULT_PROFILE.cellCount)),
+    weightGrams: toPositiveNumber(profile.weightGrams, 0),
+    // Кількість полюсів мотора завжди парна (12N14P - 14); null - не задано, діє заголовок логу
+    motorPoles: poles > 0 ? poles + (poles % 2) : null,
+    escProtocol: ESC_PROTOCOLS.includes(profile.escProtocol) ? profile.escProtocol : DEFAULT_PROFILE.escProtocol
+  };
+}
+
+/**
+ * Клас рами за розміром пропелера
+ * @param {number} frameSizeInch - Розмір пропелера в дюймах
+ * @returns {Object} - Елемент FRAME_CLASSES
+ */
+export function getFrameClass(frameSizeInch) {
+  const size = toPositiveNumber(frameSizeInch, DEFAULT_PROFILE.frameSizeInch);
+  return Object.values(FRAME_CLASSES).find(frameClass => size <= frameClass.maxSizeInch);
+}
+
+/**
+ * Пропонує профіль за заголовком "Craft name": спершу точний збіг з назвою
+ * профілю або його craftNames, потім часткове входження
+ * @param {Array<Object>} profiles - Збережені профілі
+ * @param {string} craftName - Значення "Craft name" з метаданих
+ * @returns {Object|null} - Профіль або null
+ */
+export function suggestCraftProfile(profiles, craftName) {
+  const name = normalizeName(craftName);
+  if (!name) return null;
+
+  const namesOf = (profile) => [profile.name, ...(profile.craftNames || [])].map(normalizeName).filter(Boolean);
+
+  return profiles.find(profile => namesOf(profile).includes(name))
+    || profiles.find(profile => namesOf(profile).some(candidate => name.includes(candidate) || candidate.includes(name)))
+    || null;
+}
+
+/**
+ * Масштабує межі PID під клас рами профілю
+ * @param {Object} limits - { roll: { p: { min, max }, ... }, pitch, yaw }
+ * @param {Object|null} profile - Профіль апарата (без профілю межі не змінюються)
+ * @returns {Object} - Нові межі
+ */
+export function scalePidLimits(limits, profile) {
+  if (!profile) return limits;
+  const { pidLimitScale } = getFrameClass(profile.frameSizeInch);
+
+  const scaled = {};
+  Object.entries(limits).forEach(([axis, terms]) => {
+    scaled[axis] = {};
+    Object.entries(terms).forEach(([term, { min, max }]) => {
+      const scale = pidLimitScale[term] || 1;
+      scaled[axis][term] = { min: Math.round(min * scale), max: Math.round(max * scale) };
+    });
+  });
+  return scaled;
+}
@@ -0,0 +1,543 @@
+// src/utils/filterChain.js
+
+import FFT from 'fft.js';
+
+/**
+ * Цифрова модель ланцюга фільтрів Betaflight: ті самі формули фільтрів (filter.c),
+ * порядок і правила увімкнення (gyro_filter_impl.c, rpm_filter.c, dyn_notch_filter.c, pid.c):
+ *
+ *   gyroUnfilt → RPM notch → notch1 → notch2 → lpf1 → lpf2 → dyn notch = gyroADC
+ *   gyroADC → D notch → D lpf1 → D lpf2 → похідна × D = axisD
+ *
+ * Конфігурація будується з нормалізованих заголовків (getFlightSettings), тож модель
+ * можна прогнати по записаному gyroUnfilt з поточними або запропонованими налаштуваннями.
+ *
+ * Обмеження: модель працює на частоті запису, а прошивка - на частоті гіроскопа/PID,
+ * тож при прорідженому записі результат наближений. Трекер dyn notch замість SDFT
+ * прошивки рахує FFT ковзного вікна з тією ж роздільністю. TPA і d_min у D-терм не входять.
+ */
+
+// Шум рахується вище цієї частоти (Гц): нижче - рух апарата, а не вібрації
+export const NOISE_FROM_HZ = 100;
+
+// Газ, за яким будується частотна характеристика динамічних lowpass (0..1)
+export const RESPONSE_THROTTLE = 0.5;
+
+// Q біквадратного lowpass (Баттерворт), BIQUAD_Q у прошивці
+const BIQUAD_Q = 1 / Math.sqrt(2);
+
+const LOWPASS_ORDERS = { PT1: 1, PT2: 2, PT3: 3 };
+
+// Коефіцієнт D з CLI у pid.c (DTERM_SCALE)
+const DTERM_SCALE = 0.0000529;
+
+// Динамічні lowpass: газ квантується на 100 кроків, частота оновлюється не частіше ніж раз на 5 мс
+const DYN_LPF_THROTTLE_STEPS = 100;
+const DYN_LPF_UPDATE_MS = 5;
+
+// RPM notch не піднімаються вище цієї частки частоти циклу
+const RPM_MAX_FREQUENCY_RATIO = 0.48;
+
+// Трекер dyn notch: SDFT прошивки має 72 відліки на смугу 0..2·dyn_notch_max_hz
+const DYN_NOTCH_SAMPLE_SIZE = 72;
+const DYN_NOTCH_UPDATE_MS = 4;
+// Згладжування центру notch (Гц); сильні піки згладжуються до 10 разів слабше
+const DYN_NOTCH_SMOOTH_HZ = 4;
+const DYN_NOTCH_MAX_SMOOTH_MULTIPLIER = 10;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Комплексні числа як [re, im]
+const multiply = ([ar, ai], [br, bi]) => [ar * br - ai * bi, ar * bi + ai * br];
+const divide = ([ar, ai], [br, bi]) => {
+  const denominator = br * br + bi * bi;
+  return [(ar * br + ai * bi) / denominator, (ai * br - ar * bi) / denominator];
+};
+// c0 + c1·z⁻¹ + c2·z⁻² при z = e^(jω)
+const polynomial = (c0, c1, c2, omega) => [
+  c0 + c1 * Math.cos(omega) + c2 * Math.cos(2 * omega),
+  -(c1 * Math.sin(omega) + c2 * Math.sin(2 * omega))
+];
+
+// Підсилення PT1 з поправкою частоти зрізу для каскаду PTn (pt1/pt2/pt3FilterGain)
+function ptGain(cutoffHz, dT, order = 1) {
+  const correction = order > 1 ? 1 / Math.sqrt(Math.pow(2, 1 / order) - 1) : 1;
+  const omega = 2 * Math.PI * cutoffHz * correction * dT;
+  return omega / (omega + 1);
+}
+
+function createPtFilter(order, cutoffHz, dT) {
+  const state = new Float64Array(order);
+  let gain = ptGain(cutoffHz, dT, order);
+
+  return {
+    apply(input) {
+      let value = input;
+      for (let stage = 0; stage < order; stage++) {
+        state[stage] += gain * (value - state[stage]);
+        value = state[stage];
+      }
+      return value;
+    },
+    setCutoff(hz) {
+      gain = ptGain(hz, dT, order);
+    },
+    // k / (1 - (1-k)·z⁻¹) у степені order
+    response(omega) {
+      const stage = divide([gain, 0], polynomial(1, -(1 - gain), 0, omega));
+      let result = [1, 0];
+      for (let i = 0; i < order; i++) result = multiply(result, stage);
+      return result;
+    }
+  };
+}
+
+function biquadCoefficients(kind, frequencyHz, q, dT) {
+  const omega = 2 * Math.PI * frequencyHz * dT;
+  const sn = Math.sin(omega);
+  const cs = Math.cos(omega);
+  const alpha = sn / (2 * q);
+  const a0 = 1 + alpha;
+
+  if (kind === 'lowpass') {
+    return { b0: (1 - cs) / 2 / a0, b1: (1 - cs) / a0, b2: (1 - cs) / 2 / a0, a1: (-2 * cs) / a0, a2: (1 - alpha) / a0 };
+  }
+  return { b0: 1 / a0, b1: (-2 * cs) / a0, b2: 1 / a0, a1: (-2 * cs) / a0, a2: (1 - alpha) / a0 };
+}
+
+function createBiquad(kind, frequencyHz, q, dT) {
+  let coefficients = biquadCoefficients(kind, frequencyHz, q, dT);
+  let weight = 1;
+  let x1 = 0;
+  let x2 = 0;
+  let y1 = 0;
+  let y2 = 0;
+
+  return {
+    // Пряма форма 1 з вагою (biquadFilterApplyDF1Weighted): коефіцієнти можна змінювати на ходу
+    apply(input) {
+      const { b0, b1, b2, a1, a2 } = coefficients;
+      const result = b0 * input + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+      x2 = x1;
+      x1 = input;
+      y2 = y1;
+      y1 = result;
+      return weight * result + (1 - weight) * input;
+    },
+    setCutoff(hz) {
+      coefficients = biquadCoefficients(kind, hz, q, dT);
+    },
+    update(hz, newWeight = 1) {
+      coefficients = biquadCoefficients(kind, hz, q, dT);
+      weight = newWeight;
+    },
+    response(omega) {
+      const { b0, b1, b2, a1, a2 } = coefficients;
+      const [re, im] = divide(polynomial(b0, b1, b2, omega), polynomial(1, a1, a2, omega));
+      return [weight * re + (1 - weight), weight * im];
+    }
+  };
+}
+
+function createLowpass(type, cutoffHz, dT) {
+  if (type === 'BIQUAD') return createBiquad('lowpass', cutoffHz, BIQUAD_Q, dT);
+  return createPtFilter(LOWPASS_ORDERS[type] || 1, cutoffHz, dT);
+}
+
+// Q notch з центру і нижньої межі (filterGetNotchQ)
+function notchQ(centerHz, cutoffHz) {
+  return (centerHz * cutoffHz) / (centerHz * centerHz - cutoffHz * cutoffHz);
+}
+
+// Частота динамічного lowpass для газу 0..1 (dynLpfCutoffFreq; без expo - крива до Betaflight 4.2)
+function dynLpfCutoff(throttle, minHz, maxHz, expo) {
+  if (expo > 0) {
+    const curve = throttle * (1 - throttle) * (expo / 10) + throttle;
+    return (maxHz - minHz) * curve + minHz;
+  }
+  const dynThrottle = throttle * (1 - (throttle * throttle) / 3) * 1.5;
+  return Math.max(dynThrottle * maxHz, minHz);
+}
+
+// Lowpass увімкнений, якщо частота (мінімум для динамічного) ненульова і не вище Найквіста
+function createLowpassStage(lowpass, throttle, expo, dT, nyquist) {
+  const dynamic = lowpass.dynMinHz > 0;
+  const baseHz = dynamic ? lowpass.dynMinHz : lowpass.staticHz;
+  if (!(baseHz > 0) || baseHz > nyquist) return null;
+
+  const cutoffAt = (value) => (dynamic ? dynLpfCutoff(value, lowpass.dynMinHz, lowpass.dynMaxHz, expo) : lowpass.staticHz);
+  const filter = createLowpass(lowpass.type, cutoffAt(throttle), dT);
+  return dynamic ? { ...filter, retune: value => filter.setCutoff(cutoffAt(value)) } : filter;
+}
+
+function createNotchStage(notch, dT, nyquist) {
+  if (!(notch.hz > 0) || !(notch.cutoffHz > 0) || notch.cutoffHz >= notch.hz || notch.hz > nyquist) return null;
+  return createBiquad('notch', notch.hz, notchQ(notch.hz, notch.cutoffHz), dT);
+}
+
+// Статичні notch і lowpass гіроскопа та D-терму в порядку прошивки (RPM і dyn notch - окремо)
+function createChainStages(config, throttle) {
+  const dT = 1 / config.sampleRateHz;
+  const nyquist = config.sampleRateHz / 2;
+  const lowpass = (spec) => createLowpassStage(spec, throttle, config.dynLpfCurveExpo, dT, nyquist);
+
+  return {
+    gyro: [
+      createNotchStage(config.gyro.notch1, dT, nyquist),
+      createNotchStage(config.gyro.notch2, dT, nyquist),
+      lowpass(config.gyro.lpf1),
+      lowpass(config.gyro.lpf2)
+    ].filter(Boolean),
+    dterm: [
+      createNotchStage(config.dterm.notch, dT, nyquist),
+      lowpass(config.dterm.lpf1),
+      lowpass(config.dterm.lpf2)
+    ].filter(Boolean)
+  };
+}
+
+// Газ для динамічних lowpass по рядках: квантування і обмеження частоти оновлення, як у mixer.c
+function quantizeDynLpfThrottle(throttle, length, sampleRateHz) {
+  const result = new Float64Array(length);
+  if (!throttle) return result;
+
+  const minRows = Math.max(1, Math.round((sampleRateHz * DYN_LPF_UPDATE_MS) / 1000));
+  let current = Math.round(clamp(throttle[0], 0, 1) * DYN_LPF_THROTTLE_STEPS);
+  let lastUpdate = 0;
+  for (let row = 0; row < length; row++) {
+    if (row - lastUpdate >= minRows) {
+      const quantized = Math.round(clamp(throttle[row], 0, 1) * DYN_LPF_THROTTLE_STEPS);
+      if (quantized !== current) {
+        current = quantized;
+        lastUpdate = row;
+      }
+    }
+    result[row] = current / DYN_LPF_THROTTLE_STEPS;
+  }
+  return result;
+}
+
+// Частоти й ваги RPM notch по рядках для кожного мотора і гармоніки: оберти згладжуються PT1,
+// частота обмежується [rpm_filter_min_hz, 0.48·частота циклу], біля мінімуму notch згасає (fade range)
+function computeRpmNotches(rpm, motorHz, length, sampleRateHz) {
+  const dT = 1 / sampleRateHz;
+  const maxHz = RPM_MAX_FREQUENCY_RATIO * sampleRateHz;
+  const gain = rpm.lpfHz > 0 ? ptGain(rpm.lpfHz, dT) : 1;
+  const notches = [];
+
+  motorHz.forEach(values => {
+    const smoothed = new Float64Array(length);
+    let state = values[0];
+    for (let row = 0; row < length; row++) {
+      state += gain * (values[row] - state);
+      smoothed[row] = state;
+    }
+
+    for (let harmonic = 1; harmonic <= rpm.harmonics; harmonic++) {
+      const frequencies = new Float64Array(length);
+      const weights = new Float64Array(length);
+      for (let row = 0; row < length; row++) {
+        const frequency = clamp(smoothed[row] * harmonic, rpm.minHz, maxHz);
+        const margin = frequency - rpm.minHz;
+        frequencies[row] = frequency;
+        weights[row] = rpm.fadeRangeHz > 0 && margin < rpm.fadeRangeHz ? margin / rpm.fadeRangeHz : 1;
+      }
+      notches.push({ frequencies, weights });
+    }
+  });
+  return notches;
+}
+
+function nextPowerOfTwo(value) {
+  let size = 1;
+  while (size < value) size *= 2;
+  return size;
+}
+
+// Трекер dyn notch однієї осі: шукає count найсильніших піків у [minHz, maxHz] у ковзному вікні
+// і веде на них notch; піки розподіляються по notch за зростанням частоти, як у прошивці
+function createDynNotchTracker({ count, q, minHz, maxHz }, sampleRateHz) {
+  const dT = 1 / sampleRateHz;
+  const fftSize = Math.max(32, nextPowerOfTwo((sampleRateHz * DYN_NOTCH_SAMPLE_SIZE) / (2 * maxHz)));
+  const hop = Math.max(1, Math.round((sampleRateHz * DYN_NOTCH_UPDATE_MS) / 1000));
+  const binWidth = sampleRateHz / fftSize;
+  const minBin = Math.max(1, Math.ceil(minHz / binWidth));
+  const maxBin = Math.min(fftSize / 2 - 2, Math.floor(maxHz / binWidth));
+
+  const fft = new FFT(fftSize);
+  const input = new Float64Array(fftSize);
+  const spectrum = fft.createComplexArray();
+  const magnitudes = new Float64Array(fftSize / 2);
+  const window = Float64Array.from({ length: fftSize }, (_, i) => 0.5 * (1 - Math.cos(2 * Math.PI * i / (fftSize - 1))));
+  const history = new Float64Array(fftSize);
+  let position = 0;
+  let pushed = 0;
+
+  const centers = Array.from({ length: count }, (_, index) => minHz + ((maxHz - minHz) * (index + 1)) / (count + 1));
+  const notches = centers.map(hz => createBiquad('notch', hz, q / 100, dT));
+  const centerSums = new Float64Array(count);
+  let updateCount = 0;
+
+  const update = () => {
+    let mean = 0;
+    for (let i = 0; i < fftSize; i++) mean += history[i];
+    mean /= fftSize;
+    for (let i = 0; i < fftSize; i++) input[i] = (history[(position + i) % fftSize] - mean) * window[i];
+    fft.realTransform(spectrum, input);
+    for (let bin = minBin - 1; bin <= maxBin + 1; bin++) magnitudes[bin] = Math.hypot(spectrum[bin * 2], spectrum[bin * 2 + 1]);
+
+    // Поріг шуму - середня амплітуда смуги пошуку; слабші піки не рухають notch
+    let threshold = 0;
+    for (let bin = minBin; bin <= maxBin; bin++) threshold += magnitudes[bin];
+    threshold /= Math.max(1, maxBin - minBin + 1);
+
+    const peaks = [];
+    for (let bin = minBin; bin <= maxBin; bin++) {
+      if (magnitudes[bin] > threshold && magnitudes[bin] > magnitudes[bin - 1] && magnitudes[bin] >= magnitudes[bin + 1]) {
+        peaks.push(bin);
+      }
+    }
+    peaks.sort((a, b) => magnitudes[b] - magnitudes[a]);
+
+    peaks.slice(0, count).sort((a, b) => a - b).forEach((bin, index) => {
+      // Параболічна інтерполяція вершини піка між бінами
+      const left = magnitudes[bin - 1];
+      const right = magnitudes[bin + 1];
+      const curvature = left - 2 * magnitudes[bin] + right;
+      const offset = curvature ? (0.5 * (left - right)) / curvature : 0;
+      const peakHz = clamp((bin + offset) * binWidth, minHz, maxHz);
+
+      const multiplier = clamp(magnitudes[bin] / threshold, 1, DYN_NOTCH_MAX_SMOOTH_MULTIPLIER);
+      centers[index] += ptGain(DYN_NOTCH_SMOOTH_HZ * multiplier, hop * dT) * (peakHz - centers[index]);
+      notches[index].update(centers[index]);
+    });
+
+    centers.forEach((center, index) => { centerSums[index] += center; });
+    updateCount++;
+  };
+
+  return {
+    apply(value) {
+      history[position] = value;
+      position = (position + 1) % fftSize;
+      pushed++;
+      if (pushed >= fftSize && (pushed - fftSize) % hop === 0) update();
+
+      let result = value;
+      notches.forEach(notch => { result = notch.apply(result); });
+      return result;
+    },
+    // Середні центри notch за прогін (Гц)
+    meanCenters() {
+      return Array.from(centerSums, sum => (updateCount ? sum / updateCount : null));
+    }
+  };
+}
+
+function isDynNotchActive(dynNotch, nyquist) {
+  return dynNotch.count > 0 && dynNotch.q > 0 && dynNotch.maxHz > dynNotch.minHz && dynNotch.maxHz <= nyquist;
+}
+
+/**
+ * Конфігурація ланцюга фільтрів з нормалізованих налаштувань логу
+ * @param {Object} settings - Нормалізовані налаштування (getFlightSettings)
+ * @returns {Object} - { sampleRateHz, gyro, dterm, dynLpfCurveExpo, dynNotch, rpm, dGain: { вісь: D } }
+ */
+export function createFilterChainConfig(settings) {
+  const { filters, pid, sampleRateHz } = settings;
+  return {
+    sampleRateHz,
+    gyro: {
+      lpf1: filters.gyro.lpf1,
+      lpf2: filters.gyro.lpf2,
+      notch1: filters.gyro.notch1,
+      notch2: filters.gyro.notch2
+    },
+    dterm: {
+      lpf1: filters.dterm.lpf1,
+      lpf2: filters.dterm.lpf2,
+      notch: filters.dterm.notch
+    },
+    dynLpfCurveExpo: filters.dynLpfCurveExpo,
+    dynNotch: { ...filters.dynNotch },
+    rpm: { ...filters.rpm },
+    dGain: { roll: pid.roll.d, pitch: pid.pitch.d, yaw: pid.yaw.d }
+  };
+}
+
+/**
+ * Конфігурація з новими значеннями симулятора (імена як у рекомендаціях і CLI).
+ * При увімкненому динамічному lowpass gyro/dterm_lowpass_hz задає його мінімум,
+ * а максимум зсувається пропорційно.
+ * @param {Object} config - Конфігурація з заголовків (createFilterChainConfig)
+ * @param {Object} filters - { gyro_lowpass_hz, dterm_lowpass_hz, dyn_notch_count, dyn_notch_q, dyn_notch_min_hz,
+ *   dyn_notch_max_hz, rpm_filter_harmonics, rpm_filter_q }; відсутні значення беруться з логу
+ * @param {Object} pid - { вісь: { d } } - нові D
+ * @returns {Object} - Нова конфігурація
+ */
+export function applyFilterSettings(config, filters = {}, pid = {}) {
+  const valueOf = (key, fallback) => (Number.isFinite(filters[key]) ? filters[key] : fallback);
+  // Межі dyn notch 0 у рекомендаціях означають "без рекомендації", а не вимкнення
+  const rangeOf = (key, fallback) => (filters[key] > 0 ? filters[key] : fallback);
+  const withCutoff = (lowpass, hz) => {
+    if (!Number.isFinite(hz)) return lowpass;
+    if (lowpass.dynMinHz > 0) {
+      return { ...lowpass, dynMinHz: hz, dynMaxHz: Math.round((hz * lowpass.dynMaxHz) / lowpass.dynMinHz) };
+    }
+    return { ...lowpass, staticHz: hz };
+  };
+
+  return {
+    ...config,
+    gyro: { ...config.gyro, lpf1: withCutoff(config.gyro.lpf1, filters.gyro_lowpass_hz) },
+    dterm: { ...config.dterm, lpf1: withCutoff(config.dterm.lpf1, filters.dterm_lowpass_hz) },
+    dynNotch: {
+      count: valueOf('dyn_notch_count', config.dynNotch.count),
+      q: valueOf('dyn_notch_q', config.dynNotch.q),
+      minHz: rangeOf('dyn_notch_min_hz', config.dynNotch.minHz),
+      maxHz: rangeOf('dyn_notch_max_hz', config.dynNotch.maxHz)
+    },
+    rpm: {
+      ...config.rpm,
+      harmonics: valueOf('rpm_filter_harmonics', config.rpm.harmonics),
+      q: valueOf('rpm_filter_q', config.rpm.q)
+    },
+    dGain: Object.fromEntries(Object.entries(config.dGain).map(([axis, d]) => [
+      axis,
+      pid[axis] && Number.isFinite(pid[axis].d) ? pid[axis].d : d
+    ]))
+  };
+}
+
+/**
+ * Пропускає записаний нефільтрований гіроскоп через модель ланцюга фільтрів
+ * @param {Object} config - Конфігурація ланцюга
+ * @param {Object} input - Вхідні дані
+ * @param {Object} input.gyroUnfilt - { вісь: значення } - нефільтрований гіроскоп (°/с)
+ * @param {ArrayLike<number>|null} input.throttle - Газ 0..1 по рядках (для динамічних lowpass)
+ * @param {Array<ArrayLike<number>>} input.motorHz - Частоти обертання моторів (Гц) по рядках (для RPM-фільтра)
+ * @returns {Object} - { gyro: { вісь: Float64Array }, dterm: { вісь: Float64Array }, dynNotchHz: { вісь: [середні центри] }, rpmActive, dynNotchActive }
+ */
+export function simulateFilterChain(config, { gyroUnfilt, throttle = null, motorHz = [] }) {
+  const { sampleRateHz } = config;
+  const nyquist = sampleRateHz / 2;
+  const axes = Object.keys(gyroUnfilt).filter(axis => gyroUnfilt[axis]);
+  const length = axes.length ? Math.min(...axes.map(axis => gyroUnfilt[axis].length)) : 0;
+
+  const dynThrottle = quantizeDynLpfThrottle(throttle, length, sampleRateHz);
+  const rpmActive = config.rpm.harmonics > 0 && config.rpm.q > 0 && motorHz.length > 0;
+  const rpmNotches = rpmActive ? computeRpmNotches(config.rpm, motorHz, length, sampleRateHz) : [];
+  const dynNotchActive = isDynNotchActive(config.dynNotch, nyquist);
+
+  const gyro = {};
+  const dterm = {};
+  const dynNotchHz = {};
+
+  axes.forEach(axis => {
+    const values = gyroUnfilt[axis];
+    const gyroOutput = new Float64Array(length);
+    const dtermOutput = new Float64Array(length);
+    const stages = createChainStages(config, dynThrottle[0]);
+    const dynamicStages = [...stages.gyro, ...stages.dterm].filter(stage => stage.retune);
+    const rpmFilters = rpmNotches.map(notch => createBiquad('notch', notch.frequencies[0], config.rpm.q / 100, 1 / sampleRateHz));
+    const tracker = dynNotchActive ? createDynNotchTracker(config.dynNotch, sampleRateHz) : null;
+    const kd = (config.dGain[axis] || 0) * DTERM_SCALE;
+    let previousThrottle = dynThrottle[0];
+    let previousDterm = null;
+
+    for (let row = 0; row < length; row++) {
+      if (dynThrottle[row] !== previousThrottle) {
+        previousThrottle = dynThrottle[row];
+        dynamicStages.forEach(stage => stage.retune(previousThrottle));
+      }
+
+      let value = values[row];
+      for (let i = 0; i < rpmFilters.length; i++) {
+        rpmFilters[i].update(rpmNotches[i].frequencies[row], rpmNotches[i].weights[row]);
+        value = rpmFilters[i].apply(value);
+      }
+      for (let i = 0; i < stages.gyro.length; i++) value = stages.gyro[i].apply(value);
+      if (tracker) value = tracker.apply(value);
+      gyroOutput[row] = value;
+
+      // D-терм: фільтрований гіроскоп → фільтри D → -похідна × Kd (pid.c)
+      for (let i = 0; i < stages.dterm.length; i++) value = stages.dterm[i].apply(value);
+      dtermOutput[row] = previousDterm === null ? 0 : -(value - previousDterm) * sampleRateHz * kd;
+      previousDterm = value;
+    }
+
+    gyro[axis] = gyroOutput;
+    dterm[axis] = dtermOutput;
+    dynNotchHz[axis] = tracker ? tracker.meanCenters() : [];
+  });
+
+  return { gyro, dterm, dynNotchHz, rpmActive, dynNotchActive };
+}
+
+/**
+ * Амплітудно-частотна характеристика статичних notch і lowpass ланцюга
+ * (RPM і dyn notch залежать від обертів і сигналу, тому сюди не входять)
+ * @param {Object} config - Конфігурація ланцюга
+ * @param {Array<number>} frequencies - Частоти (Гц)
+ * @param {number} throttle - Газ 0..1 для динамічних lowpass
+ * @returns {Object} - { gyro: [підсилення], dterm: [підсилення гіроскопа разом з D-фільтрами] }; вище Найквіста - null
+ */
+export function getFilterChainResponse(config, frequencies, throttle = RESPONSE_THROTTLE) {
+  const { sampleRateHz } = config;
+  const stages = createChainStages(config, Math.round(throttle * DYN_LPF_THROTTLE_STEPS) / DYN_LPF_THROTTLE_STEPS);
+  const gyro = [];
+  const dterm = [];
+
+  frequencies.forEach(frequency => {
+    if (frequency >= sampleRateHz / 2) {
+      gyro.push(null);
+      dterm.push(null);
+      return;
+    }
+    const omega = (2 * Math.PI * frequency) / sampleRateHz;
+    let response = [1, 0];
+    stages.gyro.forEach(stage => { response = multiply(response, stage.response(omega)); });
+    gyro.push(Math.hypot(...response));
+    stages.dterm.forEach(stage => { response = multiply(response, stage.response(omega)); });
+    dterm.push(Math.hypot(...response));
+  });
+
+  return { gyro, dterm };
+}
+
+/**
+ * Середньоквадратичний шум сигналу вище заданої частоти: потужність спектра
+ * у смузі за теоремою Парсеваля, усереднена по вікнах Ганна
+ * @param {ArrayLike<number>} values - Сигнал
+ * @param {Object} options - Параметри
+ * @param {number} options.sampleRateHz - Частота запису (Гц)
+ * @param {number} options.fromHz - Нижня межа смуги (Гц)
+ * @param {number} options.fftSize - Розмір вікна FFT (степінь 2)
+ * @returns {number|null} - СКЗ у смузі (в одиницях сигналу) або null, якщо сигнал коротший за вікно
+ */
+export function measureNoise(values, { sampleRateHz, fromHz = NOISE_FROM_HZ, fftSize = 256 }) {
+  const fft = new FFT(fftSize);
+  const input = new Float64Array(fftSize);
+  const spectrum = fft.createComplexArray();
+  const window = Float64Array.from({ length: fftSize }, (_, i) => 0.5 * (1 - Math.cos(2 * Math.PI * i / (fftSize - 1))));
+  const windowPower = window.reduce((sum, value) => sum + value * value, 0);
+  const firstBin = Math.max(1, Math.ceil((fromHz * fftSize) / sampleRateHz));
+  let power = 0;
+  let windowCount = 0;
+
+  for (let start = 0; start + fftSize <= values.length; start += fftSize / 2) {
+    let mean = 0;
+    for (let i = 0; i < fftSize; i++) mean += values[start + i];
+    mean /= fftSize;
+    for (let i = 0; i < fftSize; i++) input[i] = (values[start + i] - mean) * window[i];
+
+    fft.realTransform(spectrum, input);
+    // Однобічний спектр: кожен бін, крім нульового і Найквіста, рахується двічі
+    for (let bin = firstBin; bin < fftSize / 2; bin++) {
+      power += (2 * (spectrum[bin * 2] ** 2 + spectrum[bin * 2 + 1] ** 2)) / (fftSize * windowPower);
+    }
+    windowCount++;
+  }
+
+  return windowCount ? Math.sqrt(power / windowCount) : null;
+}
@@ -0,0 +1,174 @@
+// src/utils/filterTransferFunction.js
+
+import FFT from 'fft.js';
+import { createGapIndex } from './analyzerUtils';
+
+/**
+ * Виміряна передавальна функція ланцюга фільтрів гіроскопа: оцінка H1 за
+ * взаємною спектральною густиною (метод Велча) між нефільтрованим (gyroUnfilt)
+ * і фільтрованим (gyroADC) гіроскопом. H = Sxy / Sxx, когерентність
+ * γ² = |Sxy|² / (Sxx·Syy) показує, на яких частотах оцінці можна вірити.
+ */
+
+// Частоти, на яких показується затримка (Гц)
+export const DELAY_FREQUENCIES = [50, 100, 200, 300];
+
+// Смуги для загасання (Гц): керування, перехідна, шум рами та моторів
+export const ATTENUATION_BANDS = [
+  { from: 0, to: 100 },
+  { from: 100, to: 200 },
+  { from: 200, to: 350 },
+  { from: 350, to: 500 },
+  { from: 500, to: Infinity }
+];
+
+// Нижче цієї когерентності фаза і затримка - шум оцінки, а не властивість фільтра
+export const MIN_COHERENCE = 0.5;
+
+// Смуга, за якою затримка ланцюга зводиться до одного числа (там працює PID-регулятор)
+const CONTROL_BAND = { from: 20, to: 100 };
+
+/**
+ * Оцінює передавальну функцію вхід→вихід
+ * @param {ArrayLike<number>} input - Вхідний сигнал (gyroUnfilt)
+ * @param {ArrayLike<number>} output - Вихідний сигнал (gyroADC)
+ * @param {Object} options - Параметри
+ * @param {number} options.sampleRateHz - Частота запису (Гц)
+ * @param {number} options.fftSize - Розмір вікна FFT (степінь 2)
+ * @param {Object|null} options.gaps - Індекс розривів (createGapIndex); вікна розкладаються в межах кожної неперервної ділянки
+ * @returns {Object|null} - { frequencies, magnitudeDb, phaseDeg, coherence, groupDelayMs, windowCount } або null, якщо вікон немає
+ */
+export function estimateTransferFunction(input, output, { sampleRateHz, fftSize = 512, gaps = null }) {
+  const binCount = fftSize / 2;
+  const fft = new FFT(fftSize);
+  const inputWindow = new Float64Array(fftSize);
+  const outputWindow = new Float64Array(fftSize);
+  const inputSpectrum = fft.createComplexArray();
+  const outputSpectrum = fft.createComplexArray();
+  const window = Float64Array.from({ length: fftSize }, (_, i) => 0.5 * (1 - Math.cos(2 * Math.PI * i / (fftSize - 1))));
+
+  const sxx = new Float64Array(binCount);
+  const syy = new Float64Array(binCount);
+  const sxyRe = new Float64Array(binCount);
+  const sxyIm = new Float64Array(binCount);
+  let windowCount = 0;
+
+  // Кожна неперервна ділянка (між розривами, у вибраних режимах) має власну сітку вікон
+  const windows = (gaps || createGapIndex()).segments(input.length, fftSize / 2, fftSize);
+
+  for (const { start } of windows) {
+    for (let i = 0; i < fftSize; i++) {
+      inputWindow[i] = input[start + i] * window[i];
+      outputWindow[i] = output[start + i] * window[i];
+    }
+    fft.realTransform(inputSpectrum, inputWindow);
+    fft.realTransform(outputSpectrum, outputWindow);
+
+    for (let bin = 0; bin < binCount; bin++) {
+      const xr = inputSpectrum[bin * 2];
+      const xi = inputSpectrum[bin * 2 + 1];
+      const yr = outputSpectrum[bin * 2];
+      const yi = outputSpectrum[bin * 2 + 1];
+      sxx[bin] += xr * xr + xi * xi;
+      syy[bin] += yr * yr + yi * yi;
+      // Y·conj(X)
+      sxyRe[bin] += yr * xr + yi * xi;
+      sxyIm[bin] += yi * xr - yr * xi;
+    }
+    windowCount++;
+  }
+
+  if (!windowCount) return null;
+
+  const frequencies = [];
+  const magnitudeDb = [];
+  const phaseDeg = [];
+  const coherence = [];
+  let previousPhase = 0;
+  let phaseOffset = 0;
+
+  // Постійна складова (bin 0) не несе інформації про фільтр
+  for (let bin = 1; bin < binCount; bin++) {
+    const re = sxyRe[bin] / sxx[bin];
+    const im = sxyIm[bin] / sxx[bin];
+    const magnitude = Math.hypot(re, im);
+    let phase = Math.atan2(im, re) + phaseOffset;
+
+    // Розгортання фази: стрибок більше за π - перехід через ±π
+    if (bin > 1) {
+      while (phase - previousPhase > Math.PI) {
+        phaseOffset -= 2 * Math.PI;
+        phase -= 2 * Math.PI;
+      }
+      while (phase - previousPhase < -Math.PI) {
+        phaseOffset += 2 * Math.PI;
+        phase += 2 * Math.PI;
+      }
+    }
+    previousPhase = phase;
+
+    frequencies.push((bin * sampleRateHz) / fftSize);
+    magnitudeDb.push(20 * Math.log10(magnitude + 1e-12));
+    phaseDeg.push((phase * 180) / Math.PI);
+    coherence.push(sxx[bin] && syy[bin] ? (sxyRe[bin] ** 2 + sxyIm[bin] ** 2) / (sxx[bin] * syy[bin]) : 0);
+  }
+
+  // Групова затримка -dφ/dω (мс), центральна різниця
+  const groupDelayMs = phaseDeg.map((_, index) => {
+    const from = Math.max(0, index - 1);
+    const to = Math.min(phaseDeg.length - 1, index + 1);
+    const dPhase = ((phaseDeg[to] - phaseDeg[from]) * Math.PI) / 180;
+    const dOmega = 2 * Math.PI * (frequencies[to] - frequencies[from]);
+    return dOmega ? (-dPhase / dOmega) * 1000 : 0;
+  });
+
+  return { frequencies, magnitudeDb, phaseDeg, coherence, groupDelayMs, windowCount };
+}
+
+/**
+ * Зведення передавальної функції: затримки на ключових частотах, загасання по смугах
+ * і затримка ланцюга в смузі керування
+ * @param {Object} transfer - Результат estimateTransferFunction
+ * @returns {Object} - { delays: [{ frequency, groupDelayMs, phaseDelayMs }], attenuation: [{ from, to, attenuationDb }], delayMs }
+ *   значення на частотах з низькою когерентністю - null
+ */
+export function summarizeTransferFunction(transfer) {
+  const { frequencies, magnitudeDb, phaseDeg, coherence, groupDelayMs } = transfer;
+  const nyquist = frequencies[frequencies.length - 1];
+  const nearestIndex = (frequency) => frequencies.reduce(
+    (best, value, index) => (Math.abs(value - frequency) < Math.abs(frequencies[best] - frequency) ? index : best), 0
+  );
+  // Фазова затримка -φ/ω (мс)
+  const phaseDelayAt = (index) => (-(phaseDeg[index] * Math.PI) / 180 / (2 * Math.PI * frequencies[index])) * 1000;
+
+  const delays = DELAY_FREQUENCIES.filter(frequency => frequency < nyquist).map(frequency => {
+    const index = nearestIndex(frequency);
+    const coherent = coherence[index] >= MIN_COHERENCE;
+    return {
+      frequency: frequencies[index],
+      groupDelayMs: coherent ? groupDelayMs[index] : null,
+      phaseDelayMs: coherent ? phaseDelayAt(index) : null
+    };
+  });
+
+  // Загасання - середнє підсилення в смузі, з протилежним знаком (дБ)
+  const attenuation = ATTENUATION_BANDS.filter(band => band.from < nyquist).map(band => {
+    const values = magnitudeDb.filter((_, index) => frequencies[index] >= band.from && frequencies[index] < band.to);
+    return {
+      from: band.from,
+      to: Math.min(band.to, nyquist),
+      attenuationDb: values.length ? -values.reduce((sum, value) => sum + value, 0) / values.length : null
+    };
+  });
+
+  // Затримка ланцюга: середня фазова затримка в смузі керування, зважена когерентністю
+  let weightedDelay = 0;
+  let totalWeight = 0;
+  frequencies.forEach((frequency, index) => {
+    if (frequency < CONTROL_BAND.from || frequency > CONTROL_BAND.to || coherence[index] < MIN_COHERENCE) return;
+    weightedDelay += phaseDelayAt(index) * coherence[index];
+    totalWeight += coherence[index];
+  });
+
+  return { delays, attenuation, delayMs: totalWeight ? weightedDelay / totalWeight : null };
+}
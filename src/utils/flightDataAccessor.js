@@ -0,0 +1,118 @@
+// src/utils/flightDataAccessor.js
+
+import { FlightDataTable } from './flightDataTable';
+import { findColumnName } from './blackboxColumnMapper';
+import { getFlightSettings } from './flightSettings';
+import { getAxisRates, rebuildSetpoint } from './rateCurves';
+
+/**
+ * Доступ до даних польоту через колонкову модель.
+ * Пошук колонки та перетворення в числа виконуються один раз на лог,
+ * а не для кожного рядка, як у getNumericColumnValue.
+ */
+
+const AXES = ['roll', 'pitch', 'yaw'];
+
+// Таблиці, побудовані зі звичайних масивів рядків (наприклад, обрізаних фрагментів)
+const tableCache = new WeakMap();
+
+/**
+ * Повертає колонкову таблицю для даних польоту
+ * @param {Array|FlightDataTable} flightData - Представлення рядків зі сховища, масив рядків або таблиця
+ * @param {string[]} dataHeaders - Заголовки колонок
+ * @returns {FlightDataTable} - Колонкова таблиця
+ */
+export function getFlightTable(flightData, dataHeaders) {
+  if (flightData instanceof FlightDataTable) return flightData;
+  if (flightData && flightData.table instanceof FlightDataTable) return flightData.table;
+
+  let table = tableCache.get(flightData);
+  if (!table) {
+    table = FlightDataTable.fromRows(dataHeaders, flightData || []);
+    tableCache.set(flightData, table);
+  }
+  return table;
+}
+
+/**
+ * Створює аксесор до колонок даних польоту
+ * @param {Array|FlightDataTable} flightData - Дані польоту
+ * @param {string[]} dataHeaders - Заголовки колонок
+ * @param {Object} metadata - Метадані логу; якщо передані, відсутні setpoint[0..2]
+ *   відновлюються з rcCommand за кривими rates
+ * @returns {Object} - { table, length, resolve, has, column, value, axisColumns }
+ */
+export function createFlightDataAccessor(flightData, dataHeaders, metadata = null) {
+  const table = getFlightTable(flightData, dataHeaders);
+  const headers = dataHeaders && dataHeaders.length ? dataHeaders : table.headers;
+  const resolvedNames = new Map();
+  const numericColumns = new Map();
+  const derivedColumns = new Map();
+  let axisRates = null;
+
+  // Ім'я колонки в логу для запитаного імені (з урахуванням імен Explorer)
+  const resolve = (name) => {
+    if (!name) return null;
+    if (!resolvedNames.has(name)) {
+      const found = findColumnName(name, headers, true, false);
+      resolvedNames.set(name, found && table.columnIndex.has(found) ? found : null);
+    }
+    return resolvedNames.get(name);
+  };
+
+  // Колонки, яких немає в логу, але які можна обчислити з інших
+  const derive = (name) => {
+    const match = metadata && /^setpoint\[([0-2])\]$/.exec(name);
+    if (!match) return null;
+
+    if (!derivedColumns.has(name)) {
+      const rcCommand = column(`rcCommand[${match[1]}]`);
+      if (rcCommand && !axisRates) {
+        axisRates = getAxisRates(getFlightSettings(metadata));
+      }
+      derivedColumns.set(name, rcCommand ? rebuildSetpoint(rcCommand, axisRates[AXES[match[1]]]) : null);
+    }
+    return derivedColumns.get(name);
+  };
+
+  /**
+   * Числовий масив значень колонки довжиною table.length або null
+   */
+  const column = (name) => {
+    const resolved = resolve(name);
+    if (!resolved) return derive(name);
+
+    if (!numericColumns.has(resolved)) {
+      const index = table.columnIndex.get(resolved);
+      let values = table.columns[index];
+
+      // Текстові колонки перетворюємо на числа один раз
+      if (table.textColumns.has(index)) {
+        values = Float64Array.from(values, v => parseFloat(v));
+      }
+      numericColumns.set(resolved, values.length === table.length ? values : values.subarray(0, table.length));
+    }
+    return numericColumns.get(resolved);
+  };
+
+  return {
+    table,
+    length: table.length,
+    resolve,
+    has: (name) => column(name) !== null,
+    column,
+    // Значення в рядку з підстановкою значення за замовчуванням для відсутніх або нечислових даних
+    value: (name, rowIndex, defaultValue = 0) => {
+      const values = column(name);
+      if (!values) return defaultValue;
+      const v = values[rowIndex];
+      return Number.isNaN(v) ? defaultValue : v;
+    },
+    // Колонки для трьох осей: {roll, pitch, yaw}
+    axisColumns: (baseName) => ({
+      roll: column(`${baseName}[0]`),
+      pitch: column(`${baseName}[1]`),
+      yaw: column(`${baseName}[2]`)
+    })
+  };
+}
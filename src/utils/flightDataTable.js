@@ -0,0 +1,247 @@
+// src/utils/flightDataTable.js
+
+/**
+ * Колонкове сховище даних польоту: один типізований масив на колонку
+ * замість об'єкта {header: value} на кожен рядок логу.
+ */
+
+const INITIAL_CAPACITY = 4096;
+
+const createTypedColumn = (type, capacity) => (
+  type === 'int32' ? new Int32Array(capacity) : new Float64Array(capacity)
+);
+
+export class FlightDataTable {
+  /**
+   * @param {string[]} headers - Імена колонок
+   * @param {number} capacity - Початкова місткість (кількість рядків)
+   * @param {string[]} columnTypes - Тип кожної колонки: 'float64' (за замовчуванням) або 'int32'
+   */
+  constructor(headers, capacity = INITIAL_CAPACITY, columnTypes = null) {
+    this.headers = headers.slice();
+    this.length = 0;
+    this.capacity = Math.max(1, capacity);
+    this.columnIndex = new Map(this.headers.map((header, index) => [header, index]));
+    // Цілочисельні поля бінарних логів зберігаємо в Int32Array - удвічі менше пам'яті
+    this.columnTypes = this.headers.map((header, index) => (columnTypes && columnTypes[index] === 'int32' ? 'int32' : 'float64'));
+    this.columns = this.columnTypes.map(type => createTypedColumn(type, this.capacity));
+    // Колонки з нечисловими значеннями (наприклад, текстові прапорці режимів у CSV)
+    this.textColumns = new Set();
+  }
+
+  /**
+   * Створює таблицю з масиву об'єктів-рядків
+   * @param {string[]} headers - Імена колонок
+   * @param {Array<Object>} rows - Рядки {header: value}
+   * @returns {FlightDataTable} - Заповнена таблиця
+   */
+  static fromRows(headers, rows) {
+    const table = new FlightDataTable(headers, rows.length || 1);
+    const values = new Array(headers.length);
+    rows.forEach(row => {
+      for (let i = 0; i < headers.length; i++) values[i] = row[headers[i]];
+      table.appendRow(values);
+    });
+    return table.finalize();
+  }
+
+  /**
+   * Створює таблицю з готових колонок (наприклад, отриманих у Web Worker)
+   * @param {string[]} headers - Імена колонок
+   * @param {Array<Float64Array|Int32Array>} columns - Колонки однакової довжини
+   * @returns {FlightDataTable} - Таблиця, що використовує ці колонки без копіювання
+   */
+  static fromColumns(headers, columns) {
+    const length = columns.length ? columns[0].length : 0;
+    const table = new FlightDataTable(headers, 1);
+    table.columns = columns;
+    table.columnTypes = columns.map(column => (column instanceof Int32Array ? 'int32' : 'float64'));
+    table.length = length;
+    table.capacity = Math.max(1, length);
+    return table;
+  }
+
+  /**
+   * Відновлює таблицю, збережену через serialize()
+   * @param {Object} stored - { headers, columns, columnTypes, textColumns }
+   * @returns {FlightDataTable} - Таблиця
+   */
+  static deserialize(stored) {
+    const table = FlightDataTable.fromColumns(stored.headers, stored.columns);
+    table.columnTypes = stored.columnTypes;
+    stored.textColumns.forEach(index => table.textColumns.add(index));
+    return table;
+  }
+
+  /**
+   * Знімок таблиці для збереження (IndexedDB, файл проєкту): колонки без зайвої
+   * місткості, разом з типами та текстовими колонками
+   * @returns {Object} - { headers, columns, columnTypes, textColumns }
+   */
+  serialize() {
+    return {
+      headers: this.headers,
+      columns: this.columns.map(column => column.slice(0, this.length)),
+      columnTypes: this.columnTypes,
+      textColumns: Array.from(this.textColumns)
+    };
+  }
+
+  grow() {
+    this.capacity *= 2;
+    this.columns = this.columns.map((column, index) => {
+      if (this.textColumns.has(index)) return column;
+      const grown = createTypedColumn(this.columnTypes[index], this.capacity);
+      grown.set(column);
+      return grown;
+    });
+  }
+
+  // Переводить колонку у звичайний масив, щоб зберігати рядкові значення;
+  // уже додані числа стають рядками, порожні клітинки (NaN) - порожніми рядками
+  convertToTextColumn(index) {
+    this.columns[index] = Array.from(this.columns[index].subarray(0, this.length), value => (Number.isNaN(value) ? '' : String(value)));
+    this.textColumns.add(index);
+  }
+
+  /**
+   * Додає рядок. Рядкові значення перетворюються на числа, якщо це можливо.
+   * @param {Array} values - Значення в порядку колонок
+   */
+  appendRow(values) {
+    if (this.length === this.capacity) this.grow();
+
+    const row = this.length;
+    for (let i = 0; i < this.columns.length; i++) {
+      let value = values[i];
+
+      if (typeof value !== 'number') {
+        const parsed = value === null || value === undefined || value === '' ? NaN : Number(value);
+        // Перше непорожнє нечислове значення в будь-якому рядку робить колонку текстовою
+        if (Number.isNaN(parsed) && value !== null && value !== undefined && value !== '' && !this.textColumns.has(i)) {
+          this.convertToTextColumn(i);
+        }
+        if (!this.textColumns.has(i)) value = parsed;
+      }
+      // У текстовій колонці всі значення рядкові, зокрема ті, що надійшли числами
+      if (this.textColumns.has(i)) {
+        value = value === null || value === undefined || Number.isNaN(value) ? '' : String(value).trim();
+      }
+
+      this.columns[i][row] = value;
+    }
+    this.length++;
+  }
+
+  /**
+   * Обрізає колонки до фактичної кількості рядків, звільняючи зайву пам'ять
+   * @returns {FlightDataTable} - Ця ж таблиця
+   */
+  finalize() {
+    this.columns = this.columns.map(column => column.slice(0, this.length));
+    this.capacity = Math.max(1, this.length);
+    return this;
+  }
+
+  /**
+   * Повертає масив значень колонки або null
+   * @param {string} name - Ім'я колонки
+   * @returns {Float64Array|Int32Array|Array|null} - Значення колонки (довжина може перевищувати length до finalize)
+   */
+  getColumn(name) {
+    const index = this.columnIndex.get(name);
+    return index === undefined ? null : this.columns[index];
+  }
+
+  getValue(rowIndex, name) {
+    const column = this.getColumn(name);
+    return column && rowIndex < this.length ? column[rowIndex] : undefined;
+  }
+
+  /**
+   * Збирає об'єкт-рядок {header: value} для сумісності з кодом, що працює з рядками
+   * @param {number} rowIndex - Номер рядка
+   * @returns {Object|undefined} - Рядок або undefined поза межами таблиці
+   */
+  getRow(rowIndex) {
+    if (rowIndex < 0 || rowIndex >= this.length) return undefined;
+
+    const row = {};
+    for (let i = 0; i < this.headers.length; i++) {
+      row[this.headers[i]] = this.columns[i][rowIndex];
+    }
+    return row;
+  }
+
+  getRows(start = 0, end = this.length) {
+    const from = Math.max(0, start < 0 ? this.length + start : start);
+    const to = Math.min(this.length, end < 0 ? this.length + end : end);
+    const rows = [];
+    for (let i = from; i < to; i++) rows.push(this.getRow(i));
+    return rows;
+  }
+
+  /**
+   * Копіює діапазон рядків у нову таблицю (типи та текстові колонки зберігаються)
+   * @param {number} start - Перший рядок
+   * @param {number} end - Рядок після останнього
+   * @returns {FlightDataTable} - Нова таблиця
+   */
+  sliceRows(start = 0, end = this.length) {
+    const from = Math.max(0, Math.min(start, this.length));
+    const to = Math.max(from, Math.min(end, this.length));
+
+    const table = new FlightDataTable(this.headers, 1, this.columnTypes);
+    table.columns = this.columns.map(column => column.slice(from, to));
+    this.textColumns.forEach(index => table.textColumns.add(index));
+    table.length = to - from;
+    table.capacity = Math.max(1, table.length);
+    return table;
+  }
+}
+
+/**
+ * Створює масивоподібне представлення таблиці: flightData[i][header], flightData.length,
+ * slice/map/forEach працюють як раніше, але рядки збираються лише при зверненні.
+ * @param {FlightDataTable} table - Колонкова таблиця
+ * @returns {Array} - Проксі з інтерфейсом масиву рядків
+ */
+export function createRowView(table) {
+  let cachedIndex = -1;
+  let cachedRow = null;
+
+  const getRow = (index) => {
+    if (index !== cachedIndex) {
+      cachedRow = table.getRow(index);
+      cachedIndex = index;
+    }
+    return cachedRow;
+  };
+
+  const isIndex = (prop) => typeof prop === 'string' && /^\d+$/.test(prop);
+
+  return new Proxy([], {
+    get(target, prop, receiver) {
+      if (prop === 'length') return table.length;
+      if (prop === 'table') return table;
+      if (isIndex(prop)) return getRow(Number(prop));
+      if (prop === 'slice') return (start, end) => table.getRows(start, end);
+      if (prop === Symbol.iterator) {
+        return function* () {
+          for (let i = 0; i < table.length; i++) yield table.getRow(i);
+        };
+      }
+
+      // Методи Array.prototype (map, forEach, reduce...) працюють через length та індекси
+      return Reflect.get(target, prop, receiver);
+    },
+    has(target, prop) {
+      if (isIndex(prop)) return Number(prop) < table.length;
+      return Reflect.has(target, prop);
+    },
+    set() {
+      // Дані польоту доступні лише для читання
+      return false;
+    }
+  });
+}
@@ -0,0 +1,40 @@
+// src/utils/flightLogInfo.js
+
+/**
+ * Коротка інформація про лог для списків вибору польотів
+ * @param {Object} log - Лог { metadata, dataHeaders, flightTable }
+ * @returns {Object} - { durationSeconds, craftName, firmware, rowCount, startDatetime }
+ */
+export function getFlightLogInfo(log) {
+  const { metadata = {}, dataHeaders = [], flightTable = null } = log;
+  const rowCount = flightTable ? flightTable.length : 0;
+
+  let durationSeconds = 0;
+  const timeColumn = dataHeaders.find(h => h.toLowerCase() === 'time');
+  if (timeColumn && rowCount > 1) {
+    const time = flightTable.getColumn(timeColumn);
+    const firstTime = time[0];
+    const lastTime = time[rowCount - 1];
+    // Час у логах записується в мікросекундах
+    durationSeconds = Math.max(0, (lastTime - firstTime) / 1000000) || 0;
+  }
+
+  return {
+    durationSeconds,
+    craftName: metadata['Craft name'] || '',
+    firmware: metadata['Firmware revision'] || metadata['firmwareVersion'] || metadata['Firmware type'] || '',
+    startDatetime: metadata['Log start datetime'] || '',
+    rowCount
+  };
+}
+
+/**
+ * Форматує тривалість польоту у вигляді "хв:сс"
+ * @param {number} seconds - Тривалість у секундах
+ * @returns {string} - Відформатований рядок
+ */
+export function formatFlightDuration(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const rest = Math.floor(seconds % 60);
+  return `${minutes}:${rest.toString().padStart(2, '0')}`;
+}
@@ -0,0 +1,432 @@
+// src/utils/flightSettings.js
+
+/**
+ * Нормалізація заголовків логу з урахуванням прошивки.
+ *
+ * Betaflight 3.x-4.5, INAV та EmuFlight пишуть ті самі налаштування під різними
+ * іменами (gyro_lowpass_hz / gyro_lpf1_static_hz, feedforward_* / ff_*, rc_rate /
+ * rc_rates...) і часом у різних одиницях. Тут вони зводяться до одного об'єкта
+ * налаштувань, з яким працюють сервіси аналізу.
+ *
+ * Одиниці об'єкта налаштувань:
+ * - частоти фільтрів - Гц, looptime - мкс;
+ * - PID, Q-фактори, коефіцієнти - як у CLI (цілі числа);
+ * - tpaRate, feedforward.transition - частка 0..1;
+ * - rates - сирі значення CLI (rc_rate 100 = 1.00), їх зміст залежить від rates.type.
+ */
+
+export const FIRMWARE_TYPES = {
+  BETAFLIGHT: 'betaflight',
+  INAV: 'inav',
+  EMUFLIGHT: 'emuflight',
+  CLEANFLIGHT: 'cleanflight',
+  UNKNOWN: 'unknown'
+};
+
+// Значення rates_type у Betaflight 4.x
+export const RATES_TYPES = ['betaflight', 'raceflight', 'kiss', 'actual', 'quick'];
+
+// Типи фільтрів lowpass (lowpassFilterType_e)
+const LOWPASS_FILTER_TYPES = ['PT1', 'BIQUAD', 'PT2', 'PT3'];
+
+const DEFAULT_LOOPTIME_US = 312;
+
+const AXES = ['roll', 'pitch', 'yaw'];
+
+// Перше наявне значення заголовка з переліку імен
+function findHeaderValue(metadata, names) {
+  for (const name of names) {
+    const value = metadata[name];
+    if (value !== undefined && value !== null && String(value).trim() !== '') {
+      return String(value).trim();
+    }
+  }
+  return null;
+}
+
+function parseNumberList(value) {
+  if (value === null) return [];
+  return value.split(',').map(part => parseFloat(part.trim()));
+}
+
+// Перше число із заголовка (для списків "150,0" береться перше значення)
+function readNumber(metadata, names, defaultValue = null) {
+  const [first] = parseNumberList(findHeaderValue(metadata, names));
+  return Number.isFinite(first) ? first : defaultValue;
+}
+
+function readList(metadata, names) {
+  return parseNumberList(findHeaderValue(metadata, names)).filter(Number.isFinite);
+}
+
+// Значення, що в CLI зберігаються в сотих (tpa_rate 65), а в деяких логах - дробом (0.65)
+function readFraction(metadata, names, defaultValue = 0) {
+  const raw = findHeaderValue(metadata, names);
+  if (raw === null) return defaultValue;
+  const value = parseFloat(raw);
+  if (!Number.isFinite(value)) return defaultValue;
+  return raw.includes('.') ? value : value / 100;
+}
+
+function readFilterType(metadata, names) {
+  const raw = findHeaderValue(metadata, names);
+  if (raw === null) return null;
+  const index = parseInt(raw, 10);
+  if (Number.isNaN(index)) return raw.toUpperCase();
+  return LOWPASS_FILTER_TYPES[index] || null;
+}
+
+/**
+ * Визначає прошивку та її версію з заголовків "Firmware revision"/"Firmware type"
+ * @param {Object} metadata - Метадані логу
+ * @returns {Object} - { type, name, version, major, minor, patch, revision }
+ */
+export function detectFirmware(metadata = {}) {
+  const revision = findHeaderValue(metadata, ['Firmware revision', 'firmwareVersion', 'Firmware version']) || '';
+  const firmwareType = findHeaderValue(metadata, ['Firmware type']) || '';
+
+  const match = revision.match(/(betaflight|inav|emuflight|cleanflight)\s+v?(\d+)\.(\d+)(?:\.(\d+))?/i);
+
+  let type = FIRMWARE_TYPES.UNKNOWN;
+  let name = '';
+  let major = 0;
+  let minor = 0;
+  let patch = 0;
+
+  if (match) {
+    type = match[1].toLowerCase();
+    name = match[1];
+    major = parseInt(match[2], 10);
+    minor = parseInt(match[3], 10);
+    patch = match[4] ? parseInt(match[4], 10) : 0;
+  } else if (/cleanflight/i.test(firmwareType)) {
+    // Старі Betaflight пишуть "Firmware type:Cleanflight" без назви у ревізії
+    type = FIRMWARE_TYPES.CLEANFLIGHT;
+    name = 'Cleanflight';
+  }
+
+  return {
+    type,
+    name,
+    version: match ? `${major}.${minor}.${patch}` : '',
+    major,
+    minor,
+    patch,
+    revision
+  };
+}
+
+/**
+ * Перевіряє, чи версія прошивки не менша за вказану
+ * @param {Object} firmware - Результат detectFirmware
+ * @param {number} major - Мажорна версія
+ * @param {number} minor - Мінорна версія
+ * @returns {boolean}
+ */
+export function isFirmwareAtLeast(firmware, major, minor = 0) {
+  return firmware.major > major || (firmware.major === major && firmware.minor >= minor);
+}
+
+function readPid(metadata) {
+  // Betaflight 4.3+ пише FF окремо (ff_weight), 4.1-4.2 - feedforward_weight,
+  // раніші версії та INAV - четвертим значенням у rollPID
+  const ffWeights = readList(metadata, ['ff_weight', 'feedforward_weight']);
+  const dMin = readList(metadata, ['d_min']);
+
+  return Object.fromEntries(AXES.map((axis, index) => {
+    const parts = parseNumberList(findHeaderValue(metadata, [`${axis}PID`]));
+    const value = (i) => (Number.isFinite(parts[i]) ? parts[i] : 0);
+    const f = Number.isFinite(ffWeights[index]) ? ffWeights[index] : value(3);
+
+    return [axis, {
+      p: value(0),
+      i: value(1),
+      d: value(2),
+      f,
+      dMin: Number.isFinite(dMin[index]) ? dMin[index] : 0,
+      available: parts.length >= 3
+    }];
+  }));
+}
+
+// Значення для трьох осей: спершу список "r,p,y", потім окремі заголовки для yaw
+function readAxisValues(metadata, listNames, yawNames, defaultValue) {
+  const list = readList(metadata, listNames);
+  const yaw = readNumber(metadata, yawNames, null);
+
+  const roll = Number.isFinite(list[0]) ? list[0] : defaultValue;
+  const pitch = Number.isFinite(list[1]) ? list[1] : roll;
+  const yawValue = Number.isFinite(list[2]) ? list[2] : (yaw !== null ? yaw : roll);
+
+  return { roll, pitch, yaw: yawValue };
+}
+
+function readRates(metadata, firmware) {
+  const typeIndex = readNumber(metadata, ['rates_type'], null);
+  // До Betaflight 4.2 (та в INAV/EmuFlight) rates_type не було - завжди Betaflight rates
+  const type = typeIndex !== null && RATES_TYPES[typeIndex] ? RATES_TYPES[typeIndex] : 'betaflight';
+
+  return {
+    type,
+    // INAV зберігає в "rates" максимальну швидкість у десятках °/с
+    inavRates: firmware.type === FIRMWARE_TYPES.INAV,
+    rcRate: readAxisValues(metadata, ['rc_rates', 'rc_rate', 'rcRate'], ['rc_rate_yaw', 'rcYawRate'], 100),
+    rcExpo: readAxisValues(metadata, ['rc_expo', 'rcExpo'], ['rc_expo_yaw', 'rcYawExpo', 'rc_yaw_expo'], 0),
+    superRate: readAxisValues(metadata, ['rates', 'super_rates'], [], 0),
+    rateLimit: readAxisValues(metadata, ['rate_limits'], [], 1998)
+  };
+}
+
+function readLowpass(metadata, { type, staticHz, dynHz, dynMinHz, dynMaxHz }) {
+  const dynamic = dynHz ? readList(metadata, dynHz) : [];
+  return {
+    type: readFilterType(metadata, type),
+    staticHz: readNumber(metadata, staticHz, 0),
+    dynMinHz: Number.isFinite(dynamic[0]) ? dynamic[0] : readNumber(metadata, dynMinHz || [], 0),
+    dynMaxHz: Number.isFinite(dynamic[1]) ? dynamic[1] : readNumber(metadata, dynMaxHz || [], 0)
+  };
+}
+
+function readNotch(metadata, hzNames, cutoffNames, index = 0) {
+  const hz = readList(metadata, hzNames);
+  const cutoff = readList(metadata, cutoffNames);
+  return {
+    hz: Number.isFinite(hz[index]) ? hz[index] : 0,
+    cutoffHz: Number.isFinite(cutoff[index]) ? cutoff[index] : 0
+  };
+}
+
+function readFilters(metadata) {
+  const dynNotchQ = readNumber(metadata, ['dyn_notch_q', 'dynamic_gyro_notch_q', 'dynamicGyroNotchQ'], 0);
+  // До Betaflight 4.3 кількості notch не було: dyn_notch_width_percent > 0 означав два фільтри на вісь
+  const widthPercent = readNumber(metadata, ['dyn_notch_width_percent'], null);
+  const legacyCount = widthPercent !== null ? (widthPercent > 0 ? 2 : 1) : 0;
+
+  return {
+    gyro: {
+      lpf1: readLowpass(metadata, {
+        type: ['gyro_lpf1_type', 'gyro_lowpass_type', 'gyro_lpf_type', 'gyro_soft_type'],
+        staticHz: ['gyro_lpf1_static_hz', 'gyro_lowpass_hz', 'gyro_lowpass_hz_roll', 'gyro_main_lpf_hz', 'gyro_lpf_hz'],
+        dynHz: ['gyro_lpf1_dyn_hz'],
+        dynMinHz: ['dyn_lpf_gyro_min_hz'],
+        dynMaxHz: ['dyn_lpf_gyro_max_hz']
+      }),
+      lpf2: readLowpass(metadata, {
+        type: ['gyro_lpf2_type', 'gyro_lowpass2_type'],
+        staticHz: ['gyro_lpf2_static_hz', 'gyro_lowpass2_hz', 'gyro_lowpass2_hz_roll']
+      }),
+      notch1: readNotch(metadata, ['gyro_notch_hz', 'gyro_notch1_hz'], ['gyro_notch_cutoff', 'gyro_notch1_cutoff'], 0),
+      // Betaflight 3.x пише другий notch окремими заголовками, 4.x - другим значенням списку
+      notch2: metadata.gyro_notch2_hz !== undefined
+        ? readNotch(metadata, ['gyro_notch2_hz'], ['gyro_notch2_cutoff'])
+        : readNotch(metadata, ['gyro_notch_hz'], ['gyro_notch_cutoff'], 1)
+    },
+    dterm: {
+      lpf1: readLowpass(metadata, {
+        type: ['dterm_lpf1_type', 'dterm_filter_type', 'dterm_lpf_type'],
+        staticHz: ['dterm_lpf1_static_hz', 'dterm_lowpass_hz', 'dterm_lowpass_hz_roll', 'dterm_lpf_hz'],
+        dynHz: ['dterm_lpf1_dyn_hz'],
+        dynMinHz: ['dyn_lpf_dterm_min_hz'],
+        dynMaxHz: ['dyn_lpf_dterm_max_hz']
+      }),
+      lpf2: readLowpass(metadata, {
+        type: ['dterm_lpf2_type', 'dterm_filter2_type'],
+        staticHz: ['dterm_lpf2_static_hz', 'dterm_lowpass2_hz', 'dterm_lpf2_hz']
+      }),
+      notch: readNotch(metadata, ['dterm_notch_hz'], ['dterm_notch_cutoff']),
+      yawLowpassHz: readNumber(metadata, ['yaw_lowpass_hz', 'yaw_lpf_hz'], 0)
+    },
+    // Крива динамічних lowpass від газу; 0 - крива без expo (до Betaflight 4.2)
+    dynLpfCurveExpo: readNumber(metadata, ['dyn_lpf_curve_expo'], 0),
+    dynNotch: {
+      count: readNumber(metadata, ['dyn_notch_count', 'dynamic_gyro_notch_count'], legacyCount),
+      q: dynNotchQ,
+      minHz: readNumber(metadata, ['dyn_notch_min_hz', 'dynamic_gyro_notch_min_hz', 'dynamicGyroNotchMinHz'], 0),
+      maxHz: readNumber(metadata, ['dyn_notch_max_hz', 'dynamic_gyro_notch_max_hz'], 0)
+    },
+    rpm: {
+      harmonics: readNumber(metadata, ['rpm_filter_harmonics', 'gyro_rpm_notch_harmonics'], 0),
+      q: readNumber(metadata, ['rpm_filter_q', 'gyro_rpm_notch_q'], 0),
+      minHz: readNumber(metadata, ['rpm_filter_min_hz', 'gyro_rpm_notch_min'], 0),
+      fadeRangeHz: readNumber(metadata, ['rpm_filter_fade_range_hz'], 0),
+      // Згладжування eRPM перед розрахунком частот notch
+      lpfHz: readNumber(metadata, ['rpm_filter_lpf_hz', 'rpm_notch_lpf'], 150)
+    }
+  };
+}
+
+// Частота запису кадрів: looptime - цикл гіроскопа, кадри пишуться раз на pid_process_denom * P interval циклів
+function readTiming(metadata) {
+  const looptimeUs = readNumber(metadata, ['looptime'], DEFAULT_LOOPTIME_US) || DEFAULT_LOOPTIME_US;
+  const pidProcessDenom = readNumber(metadata, ['pid_process_denom'], 1) || 1;
+
+  // P interval буває дробом "1/4" або (Betaflight 4.x) цілим "4", що означає 1/4
+  let pInterval = 1;
+  const rawInterval = findHeaderValue(metadata, ['P interval']);
+  if (rawInterval) {
+    const parts = rawInterval.split('/').map(v => parseFloat(v));
+    const [num, denom] = parts.length > 1 ? parts : [1, parts[0]];
+    if (num > 0 && denom > 0) pInterval = denom / num;
+  }
+
+  return {
+    looptimeUs,
+    pidProcessDenom,
+    pInterval,
+    sampleRateHz: Math.round(1000000 / (looptimeUs * pidProcessDenom * pInterval))
+  };
+}
+
+/**
+ * Зводить заголовки логу до єдиного типізованого об'єкта налаштувань
+ * @param {Object} metadata - Метадані логу (заголовки "H ...")
+ * @returns {Object} - Нормалізовані налаштування
+ */
+export function normalizeFlightSettings(metadata = {}) {
+  const firmware = detectFirmware(metadata);
+  const motorOutput = readList(metadata, ['motorOutput']);
+  const currentSensor = readList(metadata, ['currentSensor', 'currentMeter']);
+  const cellVoltages = readList(metadata, ['vbatcellvoltage']);
+
+  return {
+    firmware,
+    craftName: findHeaderValue(metadata, ['Craft name']) || '',
+    ...readTiming(metadata),
+    pid: readPid(metadata),
+    rates: readRates(metadata, firmware),
+    filters: readFilters(metadata),
+    feedforward: {
+      transition: readFraction(metadata, ['ff_transition', 'feedforward_transition', 'feed_forward_transition', 'setpoint_relax_ratio'], 0),
+      boost: readNumber(metadata, ['ff_boost', 'feedforward_boost'], 0),
+      averaging: readNumber(metadata, ['ff_averaging', 'feedforward_averaging'], 0),
+      smoothFactor: readNumber(metadata, ['ff_smooth_factor', 'feedforward_smooth_factor'], 0),
+      jitterFactor: readNumber(metadata, ['ff_jitter_factor', 'feedforward_jitter_factor'], 0),
+      maxRateLimit: readNumber(metadata, ['ff_max_rate_limit', 'feedforward_max_rate_limit'], 0)
+    },
+    tpa: {
+      rate: readFraction(metadata, ['tpa_rate', 'dynThrPID'], 0),
+      breakpoint: readNumber(metadata, ['tpa_breakpoint'], 1500)
+    },
+    antiGravityGain: readNumber(metadata, ['anti_gravity_gain'], 0),
+    motor: {
+      poles: readNumber(metadata, ['motor_poles'], 14),
+      dshotBidir: readNumber(metadata, ['dshot_bidir'], 0) > 0,
+      protocol: readNumber(metadata, ['motor_pwm_protocol'], null),
+      outputRange: motorOutput.length >= 2 ? [motorOutput[0], motorOutput[1]] : null,
+      minthrottle: readNumber(metadata, ['minthrottle'], null),
+      maxthrottle: readNumber(metadata, ['maxthrottle'], null),
+      dynIdleMinRpm: readNumber(metadata, ['dyn_idle_min_rpm'], 0),
+      outputLimit: readNumber(metadata, ['motor_output_limit'], 100)
+    },
+    battery: {
+      vbatscale: readNumber(metadata, ['vbatscale', 'vbat_scale'], null),
+      vbatref: readNumber(metadata, ['vbatref'], null),
+      cellVoltage: cellVoltages.length >= 3 ? { min: cellVoltages[0], warning: cellVoltages[1], max: cellVoltages[2] } : null,
+      currentSensor: currentSensor.length >= 2 ? { offset: currentSensor[0], scale: currentSensor[1] } : null
+    }
+  };
+}
+
+// Метадані незмінні після розбору, тому результат нормалізації кешуємо
+const settingsCache = new WeakMap();
+
+/**
+ * Повертає нормалізовані налаштування для метаданих (з кешем)
+ * @param {Object} metadata - Метадані логу
+ * @returns {Object} - Нормалізовані налаштування
+ */
+export function getFlightSettings(metadata) {
+  if (!metadata || typeof metadata !== 'object') return normalizeFlightSettings({});
+
+  let settings = settingsCache.get(metadata);
+  if (!settings) {
+    settings = normalizeFlightSettings(metadata);
+    settingsCache.set(metadata, settings);
+  }
+  return settings;
+}
+
+/**
+ * Ім'я параметра CLI для прошивки логу. Повертає null, якщо прошивка не має такого параметра.
+ * @param {Object} settings - Нормалізовані налаштування
+ * @param {string} key - Канонічне ім'я (gyroLowpassHz, dtermLowpassHz, dynNotchCount, ...)
+ * @returns {string|null} - Ім'я параметра для команди set
+ */
+export function getCliSettingName(settings, key) {
+  const { firmware } = settings;
+  const isInav = firmware.type === FIRMWARE_TYPES.INAV;
+  const isEmu = firmware.type === FIRMWARE_TYPES.EMUFLIGHT;
+  // Невідому прошивку вважаємо актуальним Betaflight
+  const isModernBf = !isInav && !isEmu && (firmware.major === 0 || isFirmwareAtLeast(firmware, 4, 2));
+
+  switch (key) {
+    case 'gyroLowpassHz':
+      if (isInav) return 'gyro_main_lpf_hz';
+      return isModernBf ? 'gyro_lpf1_static_hz' : 'gyro_lowpass_hz';
+    case 'dtermLowpassHz':
+      if (isInav) return 'dterm_lpf_hz';
+      return isModernBf ? 'dterm_lpf1_static_hz' : 'dterm_lowpass_hz';
+    case 'dynNotchCount':
+      if (isInav || isEmu) return null;
+      return firmware.major === 0 || isFirmwareAtLeast(firmware, 4, 3) ? 'dyn_notch_count' : null;
+    case 'dynNotchQ':
+      if (isInav) return 'dynamic_gyro_notch_q';
+      return isEmu ? 'dynamic_gyro_notch_q' : 'dyn_notch_q';
+    case 'dynNotchMinHz':
+      if (isInav || isEmu) return 'dynamic_gyro_notch_min_hz';
+      return 'dyn_notch_min_hz';
+    case 'dynNotchMaxHz':
+      if (isInav) return null;
+      if (isEmu) return 'dynamic_gyro_notch_max_hz';
+      return firmware.major === 0 || isFirmwareAtLeast(firmware, 4, 2) ? 'dyn_notch_max_hz' : null;
+    case 'feedforwardTransition':
+      if (isInav || isEmu) return null;
+      return firmware.major === 0 || isFirmwareAtLeast(firmware, 4, 0) ? 'feedforward_transition' : 'setpoint_relax_ratio';
+    case 'tpaRate':
+      return 'tpa_rate';
+    case 'tpaBreakpoint':
+      return 'tpa_breakpoint';
+    case 'antiGravityGain':
+      return isInav ? null : 'anti_gravity_gain';
+    case 'dynIdleMinRpm':
+      return isModernBf ? 'dyn_idle_min_rpm' : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Імена параметрів rates для осі в CLI
+ * @param {Object} settings - Нормалізовані налаштування
+ * @param {string} axis - roll, pitch або yaw
+ * @returns {Object} - { rcRate, rcExpo }
+ */
+export function getCliRateSettingNames(settings, axis) {
+  const { firmware } = settings;
+  if (firmware.type === FIRMWARE_TYPES.INAV) {
+    return { rcRate: null, rcExpo: axis === 'yaw' ? 'rc_yaw_expo' : 'rc_expo' };
+  }
+  // Betaflight 4.x має окремі параметри для кожної осі
+  if (firmware.major === 0 || isFirmwareAtLeast(firmware, 4, 0)) {
+    return { rcRate: `${axis}_rc_rate`, rcExpo: `${axis}_expo` };
+  }
+  return {
+    rcRate: axis === 'yaw' ? 'rc_rate_yaw' : 'rc_rate',
+    rcExpo: axis === 'yaw' ? 'rc_expo_yaw' : 'rc_expo'
+  };
+}
+
+/**
+ * Ім'я параметра CLI для коефіцієнта PID
+ * @param {Object} settings - Нормалізовані налаштування
+ * @param {string} term - p, i, d або f
+ * @param {string} axis - roll, pitch або yaw
+ * @returns {string} - Ім'я параметра для команди set
+ */
+export function getCliPidSettingName(settings, term, axis) {
+  if (settings.firmware.type === FIRMWARE_TYPES.INAV) {
+    // INAV називає feedforward "cd" (control derivative)
+    return `mc_${term === 'f' ? 'cd' : term}_${axis}`;
+  }
+  return `${term}_${axis}`;
+}
@@ -0,0 +1,269 @@
+// src/utils/flightTimeline.js
+
+import { findColumnName } from './blackboxColumnMapper';
+import { getFlightSettings, isFirmwareAtLeast, FIRMWARE_TYPES } from './flightSettings';
+import { BLACKBOX_EVENT } from './blackboxBinaryParser';
+
+/**
+ * Часова шкала польоту: події з кадрів E (arm/disarm, зміна режиму, sync beep,
+ * налаштування в польоті, відновлення запису) та ділянки режимів польоту
+ * з полів flightModeFlags/stateFlags. Ділянки режимів дозволяють обмежити
+ * аналізи вибраними режимами (наприклад, лише acro).
+ */
+
+// Betaflight пише у flightModeFlags маску активних перемикачів (boxId_e) до 4.5
+const BETAFLIGHT_BOX_NAMES = [
+  'ARM', 'ANGLE', 'HORIZON', 'MAG', 'BARO', 'GPS_HOME', 'GPS_HOLD', 'HEADFREE',
+  'PASSTHRU', 'RANGEFINDER', 'FAILSAFE', 'GPS_RESCUE', 'ANTI_GRAVITY', 'HEADADJ', 'CAMSTAB', 'BEEPER',
+  'LEDLOW', 'CALIB', 'OSD', 'TELEMETRY', 'SERVO1', 'SERVO2', 'SERVO3', 'BLACKBOX',
+  'AIRMODE', '3D', 'FPV_ANGLE_MIX', 'BLACKBOX_ERASE', 'CAMERA1', 'CAMERA2', 'CAMERA3', 'TURTLE'
+];
+
+// Порядок boxId_e з Betaflight 4.5
+const BETAFLIGHT_4_5_BOX_NAMES = [
+  'ARM', 'ANGLE', 'HORIZON', 'MAG', 'ALTHOLD', 'HEADFREE', 'CHIRP', 'PASSTHRU',
+  'FAILSAFE', 'POSHOLD', 'GPS_RESCUE', 'ANTI_GRAVITY', 'HEADADJ', 'CAMSTAB', 'BEEPER', 'LEDLOW',
+  'CALIB', 'OSD', 'TELEMETRY', 'SERVO1', 'SERVO2', 'SERVO3', 'BLACKBOX', 'AIRMODE',
+  '3D', 'FPV_ANGLE_MIX', 'BLACKBOX_ERASE', 'CAMERA1', 'CAMERA2', 'CAMERA3', 'TURTLE', 'PREARM'
+];
+
+// INAV та інші прошивки пишуть власні біти flightModeFlags (runtime_config.h)
+const FLIGHT_MODE_FLAG_NAMES = [
+  'ANGLE', 'HORIZON', 'HEADING', 'NAV_ALTHOLD', 'NAV_RTH', 'NAV_POSHOLD', 'HEADFREE', 'NAV_LAUNCH',
+  'MANUAL', 'FAILSAFE', 'AUTO_TUNE', 'NAV_WP', 'NAV_COURSE_HOLD', 'FLAPERON', 'TURN_ASSIST', 'TURTLE'
+];
+
+// Біти stateFlags (Betaflight runtime_config.h)
+const STATE_FLAG_NAMES = ['GPS_FIX_HOME', 'GPS_FIX', 'GPS_FIX_EVER', 'CALIBRATE_MAG', 'SMALL_ANGLE', 'FIXED_WING'];
+
+// Синоніми назв прапорців з CSV blackbox_decode (наприклад, "ANGLE_MODE|HORIZON_MODE")
+const FLAG_ALIASES = {
+  ANGLE_MODE: 'ANGLE',
+  HORIZON_MODE: 'HORIZON',
+  FAILSAFE_MODE: 'FAILSAFE',
+  GPS_RESCUE_MODE: 'GPS_RESCUE',
+  PASSTHRU_MODE: 'PASSTHRU',
+  HEADFREE_MODE: 'HEADFREE',
+  FLIPOVERAFTERCRASH: 'TURTLE',
+  CRASHFLIP: 'TURTLE'
+};
+
+/**
+ * Основні режими польоту для шкали та фільтра аналізів у порядку пріоритету
+ */
+export const FLIGHT_MODES = {
+  TURTLE: { label: 'Turtle', color: 'bg-purple-400' },
+  FAILSAFE: { label: 'Failsafe', color: 'bg-red-500' },
+  GPS_RESCUE: { label: 'GPS Rescue', color: 'bg-orange-400' },
+  ANGLE: { label: 'Angle', color: 'bg-yellow-400' },
+  HORIZON: { label: 'Horizon', color: 'bg-amber-300' },
+  ACRO: { label: 'Acro', color: 'bg-green-400' }
+};
+
+// Прапорці, що відповідають основним режимам (NAV_RTH в INAV - аналог GPS Rescue)
+const MODE_FLAGS = {
+  TURTLE: ['TURTLE'],
+  FAILSAFE: ['FAILSAFE'],
+  GPS_RESCUE: ['GPS_RESCUE', 'NAV_RTH'],
+  ANGLE: ['ANGLE'],
+  HORIZON: ['HORIZON']
+};
+
+// Підписи подій для шкали
+const EVENT_LABELS = {
+  [BLACKBOX_EVENT.SYNC_BEEP]: 'Sync beep',
+  [BLACKBOX_EVENT.INFLIGHT_ADJUSTMENT]: 'Налаштування в польоті',
+  [BLACKBOX_EVENT.LOGGING_RESUME]: 'Відновлення запису',
+  [BLACKBOX_EVENT.DISARM]: 'Disarm',
+  [BLACKBOX_EVENT.FLIGHT_MODE]: 'Зміна режиму',
+  [BLACKBOX_EVENT.LOG_END]: 'Кінець логу'
+};
+
+// Синтетична подія, якої немає серед кадрів E
+export const ARM_EVENT = 'arm';
+
+function getModeFlagNames(metadata) {
+  const { firmware } = getFlightSettings(metadata);
+  if (firmware.type === FIRMWARE_TYPES.BETAFLIGHT || firmware.type === FIRMWARE_TYPES.UNKNOWN) {
+    return isFirmwareAtLeast(firmware, 4, 5) ? BETAFLIGHT_4_5_BOX_NAMES : BETAFLIGHT_BOX_NAMES;
+  }
+  return FLIGHT_MODE_FLAG_NAMES;
+}
+
+/**
+ * Перетворює значення поля прапорців на список назв
+ * @param {number|string} value - Числова маска або назви через "|"
+ * @param {string[]} names - Назви бітів
+ * @returns {string[]} - Активні прапорці
+ */
+export function decodeFlags(value, names) {
+  if (typeof value === 'string' && Number.isNaN(Number(value))) {
+    return value.split('|')
+      .map(flag => flag.trim().toUpperCase())
+      .filter(flag => flag && flag !== '0')
+      .map(flag => FLAG_ALIASES[flag] || flag);
+  }
+
+  const mask = Number(value) >>> 0;
+  const flags = [];
+  for (let bit = 0; bit < 32; bit++) {
+    if (mask & (1 << bit)) {
+      flags.push(names[bit] || `BIT${bit}`);
+    }
+  }
+  return flags;
+}
+
+/**
+ * Основний режим польоту за активними прапорцями
+ * @param {string[]} flags - Активні прапорці flightModeFlags
+ * @returns {string} - Ключ з FLIGHT_MODES
+ */
+export function getPrimaryFlightMode(flags) {
+  const mode = Object.keys(MODE_FLAGS).find(key => MODE_FLAGS[key].some(flag => flags.includes(flag)));
+  return mode || 'ACRO';
+}
+
+// Перший рядок, час якого не менший за заданий (бінарний пошук)
+function findRowAtTime(times, time) {
+  let lo = 0;
+  let hi = times.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (times[mid] < time) lo = mid + 1; else hi = mid;
+  }
+  return Math.max(0, Math.min(lo, times.length - 1));
+}
+
+function getColumn(table, headers, name) {
+  const header = findColumnName(name, headers, true, false);
+  if (!header) return null;
+  const index = table.columnIndex.get(header);
+  return index === undefined ? null : table.columns[index];
+}
+
+// Опис події для підказки на шкалі
+function describeEvent(event, modeNames) {
+  const { data } = event;
+  switch (event.type) {
+    case BLACKBOX_EVENT.INFLIGHT_ADJUSTMENT:
+      return `Функція ${data.adjustmentFunction} = ${data.value}`;
+    case BLACKBOX_EVENT.DISARM:
+      return `Причина: ${data.reason}`;
+    case BLACKBOX_EVENT.FLIGHT_MODE:
+      return decodeFlags(data.newFlags, modeNames).join(', ') || 'без перемикачів';
+    case BLACKBOX_EVENT.LOGGING_RESUME:
+      return `Ітерація ${data.logIteration}`;
+    default:
+      return '';
+  }
+}
+
+/**
+ * Будує часову шкалу подій і режимів польоту для логу
+ * @param {Object} log - Лог { metadata, dataHeaders, flightTable, events }
+ * @returns {Object} - { events, modeSegments, modes, hasModeData }
+ *   events: [{ type, name, label, description, time, row }]
+ *   modeSegments: [{ mode, flags, stateFlags, start, end, startTime, endTime }] - рядки [start, end)
+ */
+export function buildFlightTimeline(log) {
+  const table = log.flightTable;
+  const headers = log.dataHeaders || table.headers;
+  const length = table.length;
+  const modeNames = getModeFlagNames(log.metadata);
+
+  const times = getColumn(table, headers, 'time');
+  const modeColumn = getColumn(table, headers, 'flightModeFlags');
+  const stateColumn = getColumn(table, headers, 'stateFlags');
+  const timeAt = (row) => (times ? times[row] : row);
+
+  const events = (log.events || []).map(event => {
+    const row = times && event.time >= 0 ? findRowAtTime(times, event.time) : 0;
+    return {
+      type: event.type,
+      name: event.name,
+      label: EVENT_LABELS[event.type] || event.name,
+      description: describeEvent(event, modeNames),
+      time: event.time >= 0 ? event.time : timeAt(row),
+      row
+    };
+  });
+
+  // Зміни режимів: з колонки flightModeFlags, інакше з подій зміни режиму
+  const changes = [];
+  if (modeColumn) {
+    let previousMode;
+    let previousState;
+    for (let row = 0; row < length; row++) {
+      const value = modeColumn[row];
+      const state = stateColumn ? stateColumn[row] : 0;
+      if (value !== previousMode || state !== previousState) {
+        changes.push({ row, flags: decodeFlags(value, modeNames), stateFlags: stateColumn ? decodeFlags(state, STATE_FLAG_NAMES) : [] });
+        previousMode = value;
+        previousState = state;
+      }
+    }
+  } else {
+    const modeEvents = (log.events || []).filter(event => event.type === BLACKBOX_EVENT.FLIGHT_MODE);
+    if (modeEvents.length && length > 0) {
+      changes.push({ row: 0, flags: decodeFlags(modeEvents[0].data.lastFlags, modeNames), stateFlags: [] });
+      modeEvents.forEach(event => {
+        const row = times ? findRowAtTime(times, event.time) : 0;
+        changes.push({ row, flags: decodeFlags(event.data.newFlags, modeNames), stateFlags: [] });
+      });
+    }
+  }
+
+  const modeSegments = [];
+  changes.forEach((change, index) => {
+    const end = index + 1 < changes.length ? changes[index + 1].row : length;
+    if (end <= change.row) return;
+    modeSegments.push({
+      mode: getPrimaryFlightMode(change.flags),
+      flags: change.flags,
+      stateFlags: change.stateFlags,
+      start: change.row,
+      end,
+      startTime: timeAt(change.row),
+      endTime: timeAt(end - 1)
+    });
+  });
+
+  // Arm не має власного кадру E - беремо перше ввімкнення перемикача ARM
+  const armSegment = modeSegments.find(segment => segment.flags.includes('ARM'));
+  if (armSegment) {
+    events.push({ type: ARM_EVENT, name: 'Arm', label: 'Arm', description: '', time: armSegment.startTime, row: armSegment.start });
+  }
+  events.sort((a, b) => a.row - b.row);
+
+  return {
+    events,
+    modeSegments,
+    modes: [...new Set(modeSegments.map(segment => segment.mode))],
+    hasModeData: modeSegments.length > 0
+  };
+}
+
+/**
+ * Діапазони рядків, польоти в яких відповідають вибраним режимам
+ * @param {Object} timeline - Результат buildFlightTimeline
+ * @param {string[]|null} modes - Ключі FLIGHT_MODES або null для всіх рядків
+ * @returns {Array<Object>|null} - Відсортовані { start, end } або null, якщо обмеження немає
+ */
+export function getModeRowRanges(timeline, modes) {
+  if (!modes || !timeline || !timeline.hasModeData) return null;
+
+  const ranges = [];
+  timeline.modeSegments
+    .filter(segment => modes.includes(segment.mode))
+    .forEach(segment => {
+      const last = ranges[ranges.length - 1];
+      // Сусідні ділянки одного дозволеного режиму зливаємо
+      if (last && last.end === segment.start) {
+        last.end = segment.end;
+      } else {
+        ranges.push({ start: segment.start, end: segment.end });
+      }
+    });
+  return ranges;
+}
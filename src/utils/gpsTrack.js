@@ -0,0 +1,160 @@
+// src/utils/gpsTrack.js
+
+import { getFieldDefinition, findColumnName } from './blackboxColumnMapper';
+
+/**
+ * Ряд даних GPS, вирівняний за часом з даними польоту, та траєкторія в метрах
+ * відносно домашньої точки (локальна площина схід-північ-вгору). Карта не
+ * потрібна - перетворення працює офлайн.
+ */
+
+// Середній радіус Землі, м
+const EARTH_RADIUS_M = 6371000;
+
+// Мінімум супутників, з яким координата вважається надійною
+const MIN_SATELLITES = 5;
+
+const DEG_TO_RAD = Math.PI / 180;
+
+// Масштаб поля з реєстру (градуси * 1e7, дециметри, см/с, 0.1°)
+const fieldScale = (name) => {
+  const field = getFieldDefinition(name);
+  return field ? field.scale : 1;
+};
+
+// Перший рядок, час якого не менший за заданий (бінарний пошук)
+function findRowAtTime(times, time) {
+  let lo = 0;
+  let hi = times.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (times[mid] < time) lo = mid + 1; else hi = mid;
+  }
+  return Math.max(0, Math.min(lo, times.length - 1));
+}
+
+/**
+ * Будує ряд GPS з кадрів G логу
+ * @param {Object} log - Лог { gpsData, gpsHome, flightTable, dataHeaders }
+ * @returns {Object|null} - { length, time, row, lat, lon, altitude, speed, course, numSat, home } або null без GPS
+ *   time - мкс, row - індекс найближчого рядка даних польоту, lat/lon - градуси,
+ *   altitude - м, speed - м/с, course - градуси
+ */
+export function createGpsSeries(log) {
+  const samples = (log.gpsData || []).filter(sample => {
+    const lat = sample['GPS_coord[0]'];
+    const lon = sample['GPS_coord[1]'];
+    const numSat = sample.GPS_numSat;
+    return Number.isFinite(lat) && Number.isFinite(lon) && (lat !== 0 || lon !== 0)
+      && (numSat === undefined || numSat >= MIN_SATELLITES);
+  });
+  if (!samples.length) return null;
+
+  const length = samples.length;
+  const series = {
+    length,
+    time: new Float64Array(length),
+    row: new Int32Array(length),
+    lat: new Float64Array(length),
+    lon: new Float64Array(length),
+    altitude: new Float64Array(length),
+    speed: new Float64Array(length),
+    course: new Float64Array(length),
+    numSat: new Uint8Array(length),
+    home: null
+  };
+
+  const coordScale = fieldScale('GPS_coord[0]');
+  const altitudeScale = fieldScale('GPS_altitude');
+  const speedScale = fieldScale('GPS_speed');
+  const courseScale = fieldScale('GPS_ground_course');
+
+  // Час основних кадрів для прив'язки точок GPS до рядків даних польоту
+  const table = log.flightTable;
+  const timeHeader = table ? findColumnName('time', log.dataHeaders || table.headers, true, false) : null;
+  const mainTimes = timeHeader && table.length ? table.getColumn(timeHeader).subarray(0, table.length) : null;
+
+  samples.forEach((sample, i) => {
+    series.time[i] = sample.time || 0;
+    series.lat[i] = sample['GPS_coord[0]'] * coordScale;
+    series.lon[i] = sample['GPS_coord[1]'] * coordScale;
+    series.altitude[i] = (sample.GPS_altitude || 0) * altitudeScale;
+    series.speed[i] = (sample.GPS_speed || 0) * speedScale;
+    series.course[i] = (sample.GPS_ground_course || 0) * courseScale;
+    series.numSat[i] = sample.GPS_numSat || 0;
+    series.row[i] = mainTimes ? findRowAtTime(mainTimes, series.time[i]) : 0;
+  });
+
+  // Домашня точка з кадру H, інакше перша надійна координата
+  const home = log.gpsHome;
+  const hasHome = home && Number.isFinite(home['GPS_home[0]']) && (home['GPS_home[0]'] !== 0 || home['GPS_home[1]'] !== 0);
+  series.home = {
+    lat: hasHome ? home['GPS_home[0]'] * coordScale : series.lat[0],
+    lon: hasHome ? home['GPS_home[1]'] * coordScale : series.lon[0],
+    // Кадр H не містить висоти - відлік від першої точки
+    altitude: series.altitude[0]
+  };
+
+  return series;
+}
+
+/**
+ * Траєкторія в метрах відносно домашньої точки (рівнокутна проєкція, точна для кількох кілометрів)
+ * @param {Object} series - Результат createGpsSeries
+ * @returns {Object} - { east, north, up, distance, bounds: { minEast, maxEast, minNorth, maxNorth, minUp, maxUp, maxDistance } }
+ */
+export function toLocalTrack(series) {
+  const { length, home } = series;
+  const east = new Float64Array(length);
+  const north = new Float64Array(length);
+  const up = new Float64Array(length);
+  const distance = new Float64Array(length);
+  const cosLat = Math.cos(home.lat * DEG_TO_RAD);
+
+  const bounds = { minEast: 0, maxEast: 0, minNorth: 0, maxNorth: 0, minUp: 0, maxUp: 0, maxDistance: 0 };
+
+  for (let i = 0; i < length; i++) {
+    east[i] = (series.lon[i] - home.lon) * DEG_TO_RAD * EARTH_RADIUS_M * cosLat;
+    north[i] = (series.lat[i] - home.lat) * DEG_TO_RAD * EARTH_RADIUS_M;
+    up[i] = series.altitude[i] - home.altitude;
+    distance[i] = Math.hypot(east[i], north[i]);
+
+    bounds.minEast = Math.min(bounds.minEast, east[i]);
+    bounds.maxEast = Math.max(bounds.maxEast, east[i]);
+    bounds.minNorth = Math.min(bounds.minNorth, north[i]);
+    bounds.maxNorth = Math.max(bounds.maxNorth, north[i]);
+    bounds.minUp = Math.min(bounds.minUp, up[i]);
+    bounds.maxUp = Math.max(bounds.maxUp, up[i]);
+    bounds.maxDistance = Math.max(bounds.maxDistance, distance[i]);
+  }
+
+  return { east, north, up, distance, bounds };
+}
+
+/**
+ * Індекс точки GPS для рядка даних польоту (остання точка, не пізніша за рядок)
+ * @param {Object} series - Результат createGpsSeries
+ * @param {number} row - Індекс рядка даних польоту
+ * @returns {number} - Індекс точки GPS
+ */
+export function getGpsIndexAtRow(series, row) {
+  let lo = 0;
+  let hi = series.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (series.row[mid] <= row) lo = mid + 1; else hi = mid;
+  }
+  return Math.max(0, lo - 1);
+}
+
+/**
+ * Колір кольорової шкали (синій -> зелений -> жовтий -> червоний)
+ * @param {number} fraction - Значення від 0 до 1
+ * @returns {number[]} - [r, g, b] від 0 до 1
+ */
+export function colorRamp(fraction) {
+  const t = Math.min(1, Math.max(0, fraction));
+  if (t < 1 / 3) return [0, t * 3, 1 - t * 3];
+  if (t < 2 / 3) return [(t - 1 / 3) * 3, 1, 0];
+  return [1, 1 - (t - 2 / 3) * 3, 0];
+}
@@ -0,0 +1,123 @@
+// src/utils/logComparison.js
+
+import { getFlightSettings } from './flightSettings';
+
+/**
+ * Порівняння логів до і після зміни налаштувань: різниця налаштувань PID/фільтрів
+ * з заголовків, зміни RMS/STD відхилень та дані для накладання графіків
+ * (відгук на ступінчасту зміну, спектр шуму).
+ */
+
+const AXES = ['roll', 'pitch', 'yaw'];
+const PID_TERMS = ['p', 'i', 'd', 'f'];
+
+// Налаштування, що порівнюються: читаються з нормалізованих налаштувань, тож
+// логи різних версій прошивки порівнюються за змістом, а не за іменем заголовка
+export const TUNING_SETTINGS = [
+  ...AXES.flatMap(axis => PID_TERMS.map(term => ({
+    key: `pid.${axis}.${term}`,
+    label: `${axis} ${term.toUpperCase()}`,
+    group: 'pid',
+    read: settings => (settings.pid[axis].available ? settings.pid[axis][term] : null)
+  }))),
+  { key: 'filters.gyro.lpf1.staticHz', label: 'Gyro LPF1, Гц', group: 'filters', read: s => s.filters.gyro.lpf1.staticHz },
+  { key: 'filters.gyro.lpf1.dynMinHz', label: 'Gyro LPF1 dyn min, Гц', group: 'filters', read: s => s.filters.gyro.lpf1.dynMinHz },
+  { key: 'filters.gyro.lpf1.dynMaxHz', label: 'Gyro LPF1 dyn max, Гц', group: 'filters', read: s => s.filters.gyro.lpf1.dynMaxHz },
+  { key: 'filters.gyro.lpf2.staticHz', label: 'Gyro LPF2, Гц', group: 'filters', read: s => s.filters.gyro.lpf2.staticHz },
+  { key: 'filters.dterm.lpf1.staticHz', label: 'D-term LPF1, Гц', group: 'filters', read: s => s.filters.dterm.lpf1.staticHz },
+  { key: 'filters.dterm.lpf1.dynMinHz', label: 'D-term LPF1 dyn min, Гц', group: 'filters', read: s => s.filters.dterm.lpf1.dynMinHz },
+  { key: 'filters.dterm.lpf1.dynMaxHz', label: 'D-term LPF1 dyn max, Гц', group: 'filters', read: s => s.filters.dterm.lpf1.dynMaxHz },
+  { key: 'filters.dterm.lpf2.staticHz', label: 'D-term LPF2, Гц', group: 'filters', read: s => s.filters.dterm.lpf2.staticHz },
+  { key: 'filters.dynNotch.count', label: 'Dyn notch count', group: 'filters', read: s => s.filters.dynNotch.count },
+  { key: 'filters.dynNotch.q', label: 'Dyn notch Q', group: 'filters', read: s => s.filters.dynNotch.q },
+  { key: 'filters.dynNotch.minHz', label: 'Dyn notch min, Гц', group: 'filters', read: s => s.filters.dynNotch.minHz },
+  { key: 'filters.dynNotch.maxHz', label: 'Dyn notch max, Гц', group: 'filters', read: s => s.filters.dynNotch.maxHz },
+  { key: 'filters.rpm.harmonics', label: 'RPM harmonics', group: 'filters', read: s => s.filters.rpm.harmonics },
+  { key: 'filters.rpm.q', label: 'RPM Q', group: 'filters', read: s => s.filters.rpm.q },
+  { key: 'filters.rpm.minHz', label: 'RPM min, Гц', group: 'filters', read: s => s.filters.rpm.minHz },
+  { key: 'feedforward.transition', label: 'FF transition', group: 'other', read: s => s.feedforward.transition },
+  { key: 'feedforward.boost', label: 'FF boost', group: 'other', read: s => s.feedforward.boost },
+  { key: 'tpa.rate', label: 'TPA rate', group: 'other', read: s => s.tpa.rate },
+  { key: 'tpa.breakpoint', label: 'TPA breakpoint', group: 'other', read: s => s.tpa.breakpoint },
+  { key: 'antiGravityGain', label: 'Anti gravity gain', group: 'other', read: s => s.antiGravityGain },
+  { key: 'motor.dynIdleMinRpm', label: 'Dyn idle min RPM', group: 'other', read: s => s.motor.dynIdleMinRpm }
+];
+
+/**
+ * Різниця налаштувань двох логів
+ * @param {Object} beforeMetadata - Метадані базового логу
+ * @param {Object} afterMetadata - Метадані порівнюваного логу
+ * @returns {Array<Object>} - Змінені налаштування { key, label, group, before, after, delta }
+ */
+export function diffTuningSettings(beforeMetadata, afterMetadata) {
+  const before = getFlightSettings(beforeMetadata);
+  const after = getFlightSettings(afterMetadata);
+
+  return TUNING_SETTINGS
+    .map(({ key, label, group, read }) => ({ key, label, group, before: read(before), after: read(after) }))
+    .filter(({ before: a, after: b }) => a !== null && b !== null && a !== b)
+    .map(change => ({ ...change, delta: change.after - change.before }));
+}
+
+// Зміна показника: абсолютна та відносна
+const metricDelta = (before, after) => ({
+  before,
+  after,
+  delta: after - before,
+  percent: before !== 0 ? ((after - before) / Math.abs(before)) * 100 : 0
+});
+
+/**
+ * Зміни RMS та STD відхилень по осях (від'ємна зміна - покращення)
+ * @param {Object} beforeResults - Результати аналізу базового логу
+ * @param {Object} afterResults - Результати аналізу порівнюваного логу
+ * @returns {Object} - { roll: { rmsError, stdDeviation }, ... } з { before, after, delta, percent }, лише для осей з даними
+ */
+export function compareErrorMetrics(beforeResults, afterResults) {
+  const before = (beforeResults && beforeResults.errorMetrics) || {};
+  const after = (afterResults && afterResults.errorMetrics) || {};
+  const comparison = {};
+
+  AXES.forEach(axis => {
+    if (!before[axis] || !after[axis]) return;
+    comparison[axis] = {
+      rmsError: metricDelta(before[axis].rmsError, after[axis].rmsError),
+      stdDeviation: metricDelta(before[axis].stdDeviation, after[axis].stdDeviation)
+    };
+  });
+
+  return comparison;
+}
+
+/**
+ * Відгук осі на ступінчасту зміну, нормалізований до 0 (старт) - 1 (ціль),
+ * щоб відгуки з різними амплітудами кроку можна було накласти
+ * @param {Object} results - Результати аналізу (stepResponseMetrics, responseHistory)
+ * @param {string} axis - roll, pitch або yaw
+ * @returns {Array<Object>} - Точки { x: час мс, y: частка цілі } або порожній масив
+ */
+export function getNormalizedStepResponse(results, axis) {
+  const history = results && results.responseHistory && results.responseHistory[axis];
+  const metrics = results && results.stepResponseMetrics && results.stepResponseMetrics[axis];
+  if (!history || !history.length || !metrics || metrics.targetValue === undefined) return [];
+
+  const range = metrics.targetValue - metrics.startGyro;
+  if (Math.abs(range) < 1e-6) return [];
+
+  return history.map(point => ({ x: point.time, y: (point.value - metrics.startGyro) / range }));
+}
+
+/**
+ * Спектр шуму гіроскопа осі для графіка
+ * @param {Object} results - Результати аналізу (frequencyAnalysis)
+ * @param {string} axis - roll, pitch або yaw
+ * @param {boolean} unfiltered - Спектр нефільтрованого гіроскопа замість фільтрованого
+ * @returns {Array<Object>} - Точки { x: частота Гц, y: амплітуда } або порожній масив
+ */
+export function getNoiseSpectrum(results, axis, unfiltered = false) {
+  const analysis = results && results.frequencyAnalysis && results.frequencyAnalysis[axis];
+  const spectrum = analysis && (unfiltered ? analysis.unfilteredSpectrum : analysis.spectrum);
+  if (!spectrum) return [];
+  // Нульова частота - постійна складова, не шум
+  return spectrum.filter(point => point.frequency > 0).map(point => ({ x: point.frequency, y: point.magnitude }));
+}
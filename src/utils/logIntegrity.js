@@ -0,0 +1,315 @@
+// src/utils/logIntegrity.js
+
+import { FlightDataTable } from './flightDataTable';
+import { findColumnName } from './blackboxColumnMapper';
+
+/**
+ * Перевірка цілісності логу: пропущені ітерації, немонотонний час, втрачені кадри,
+ * пошкоджені рядки та обрізаний кінець. Розриви передаються в аналізи, щоб FFT
+ * і пошук ступінчастих змін не захоплювали дані з обох боків розриву.
+ */
+
+// Стрибок часу вважається розривом, якщо перевищує медіанний крок у стільки разів
+const TIME_JUMP_FACTOR = 3;
+
+// Кількість рядків для оцінки типового кроку ітерацій і часу
+const STEP_SAMPLE_SIZE = 10000;
+
+// Як у декодері бінарних логів: більші стрибки вважаються пошкодженням, а не паузою
+const MAXIMUM_ITERATION_JUMP = 500 * 10;
+const MAXIMUM_TIME_JUMP_US = 10 * 1000000;
+
+// Скільки послідовних узгоджених рядків потрібно, щоб відновити синхронізацію після збою
+const RESYNC_RUN_LENGTH = 8;
+
+// Максимум розривів у звіті для показу (аналізи отримують усі)
+export const MAX_REPORTED_GAPS = 50;
+
+const median = (values) => {
+  if (!values.length) return 0;
+  const sorted = Float64Array.from(values).sort();
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+// Типовий додатний крок колонки за першими STEP_SAMPLE_SIZE рядками
+function typicalStep(values) {
+  const steps = [];
+  const limit = Math.min(values.length, STEP_SAMPLE_SIZE);
+  for (let i = 1; i < limit; i++) {
+    const step = values[i] - values[i - 1];
+    if (step > 0) steps.push(step);
+  }
+  return median(steps);
+}
+
+// Найбільший крок ітерацій, який дає шаблон "P interval" (наприклад, 1/2 -> 2; ціле "4" означає 1/4)
+function maxIterationStepFromHeader(metadata) {
+  const pInterval = metadata && metadata['P interval'];
+  if (!pInterval) return 1;
+  const match = String(pInterval).match(/(\d+)\/(\d+)/);
+  const num = match ? parseInt(match[1], 10) || 1 : 1;
+  const denom = match ? parseInt(match[2], 10) || 1 : parseInt(pInterval, 10) || 1;
+  return Math.max(1, denom - num + 1);
+}
+
+// Після одиночного рядка, що пішов назад, крок рахуємо від рядка перед ним,
+// інакше повернення до послідовності виглядає як величезний пропуск
+function previousInSequence(values, row, previousReversed) {
+  if (previousReversed && row >= 2 && values[row] > values[row - 2]) {
+    return row - 2;
+  }
+  return row - 1;
+}
+
+function numericColumn(table, headers, name) {
+  const header = findColumnName(name, headers, true, false);
+  if (!header) return null;
+  const index = table.columnIndex.get(header);
+  if (index === undefined) return null;
+  const values = table.columns[index];
+  const column = table.textColumns.has(index) ? Float64Array.from(values, v => parseFloat(v)) : values;
+  return column.length === table.length ? column : column.subarray(0, table.length);
+}
+
+/**
+ * Перевіряє цілісність логу
+ * @param {Object} log - Лог { metadata, dataHeaders, flightTable, stats }
+ * @returns {Object} - Звіт { rowCount, iterationStep, timeStepUs, missingIterations, droppedFrames,
+ *   timeReversals, iterationReversals, timeJumps, badRows, corruptFrames, skippedBytes, truncated,
+ *   resyncedRows, gaps, segments, issues }
+ */
+export function checkLogIntegrity(log) {
+  const table = log.flightTable;
+  const headers = log.dataHeaders || table.headers;
+  const stats = log.stats || {};
+  const length = table.length;
+
+  const iterations = numericColumn(table, headers, 'loopIteration');
+  const times = numericColumn(table, headers, 'time');
+
+  const iterationStep = iterations ? typicalStep(iterations) || 1 : 0;
+  const maxNormalIterationStep = Math.max(iterationStep, maxIterationStepFromHeader(log.metadata));
+  const timeStepUs = times ? typicalStep(times) : 0;
+
+  const report = {
+    rowCount: length,
+    iterationStep,
+    timeStepUs,
+    missingIterations: 0,
+    droppedFrames: 0,
+    timeReversals: 0,
+    iterationReversals: 0,
+    timeJumps: 0,
+    badRows: stats.badRows || 0,
+    badRowLines: stats.badRowLines || [],
+    corruptFrames: stats.corruptFrames || 0,
+    skippedBytes: stats.skippedBytes || 0,
+    truncated: Boolean(stats.truncated),
+    resyncedRows: stats.resyncedRows || 0,
+    gaps: [],
+    segments: [],
+    issues: []
+  };
+
+  let iterationReversed = false;
+  let timeReversed = false;
+
+  for (let row = 1; row < length; row++) {
+    const gap = { row, types: [], missingIterations: 0, timeJumpUs: 0 };
+
+    if (iterations) {
+      const step = iterations[row] - iterations[previousInSequence(iterations, row, iterationReversed)];
+      iterationReversed = step <= 0;
+      if (step <= 0) {
+        report.iterationReversals++;
+        gap.types.push('iterationReversal');
+      } else if (step > maxNormalIterationStep) {
+        const missing = step - iterationStep;
+        report.missingIterations += missing;
+        report.droppedFrames += Math.max(0, Math.round(step / iterationStep) - 1);
+        gap.missingIterations = missing;
+        gap.types.push('missingIterations');
+      }
+    }
+
+    if (times && timeStepUs > 0) {
+      const dt = times[row] - times[previousInSequence(times, row, timeReversed)];
+      timeReversed = dt <= 0;
+      if (dt <= 0) {
+        report.timeReversals++;
+        gap.types.push('timeReversal');
+      } else if (dt > timeStepUs * TIME_JUMP_FACTOR) {
+        report.timeJumps++;
+        gap.timeJumpUs = dt - timeStepUs;
+        gap.types.push('timeJump');
+        // Без loopIteration втрачені кадри оцінюємо за часом
+        if (!iterations) {
+          report.droppedFrames += Math.max(0, Math.round(dt / timeStepUs) - 1);
+        }
+      }
+    }
+
+    if (gap.types.length) {
+      if (times) {
+        gap.startTime = times[row - 1];
+        gap.endTime = times[row];
+      }
+      report.gaps.push(gap);
+    }
+  }
+
+  // Неперервні ділянки між розривами
+  let segmentStart = 0;
+  report.gaps.forEach(gap => {
+    report.segments.push({ start: segmentStart, end: gap.row });
+    segmentStart = gap.row;
+  });
+  if (length > 0) report.segments.push({ start: segmentStart, end: length });
+
+  report.issues = describeIssues(report, Boolean(iterations), Boolean(times));
+  return report;
+}
+
+// Людиночитний перелік проблем для панелі діагностики
+function describeIssues(report, hasIterations, hasTime) {
+  const issues = [];
+
+  if (!hasIterations) {
+    issues.push({ severity: 'info', message: 'Лог не містить loopIteration - пропуски оцінюються лише за часом.' });
+  }
+  if (!hasTime) {
+    issues.push({ severity: 'warning', message: 'Лог не містить колонки time - перевірка часу неможлива.' });
+  }
+  if (report.missingIterations > 0) {
+    issues.push({ severity: 'warning', message: `Пропущено ${report.missingIterations} ітерацій (≈${report.droppedFrames} кадрів).` });
+  } else if (report.droppedFrames > 0) {
+    issues.push({ severity: 'warning', message: `Втрачено ≈${report.droppedFrames} кадрів.` });
+  }
+  if (report.iterationReversals > 0) {
+    issues.push({ severity: 'error', message: `loopIteration зменшується ${report.iterationReversals} раз(ів).` });
+  }
+  if (report.timeReversals > 0) {
+    issues.push({ severity: 'error', message: `Немонотонний час: ${report.timeReversals} зворотних стрибків.` });
+  }
+  if (report.timeJumps > 0) {
+    issues.push({ severity: 'warning', message: `Стрибки часу: ${report.timeJumps}.` });
+  }
+  if (report.badRows > 0) {
+    issues.push({ severity: 'error', message: `Відкинуто ${report.badRows} рядків з неправильною кількістю полів.` });
+  }
+  if (report.corruptFrames > 0) {
+    issues.push({ severity: 'error', message: `Пошкоджених кадрів: ${report.corruptFrames}, пропущено байтів: ${report.skippedBytes}.` });
+  }
+  if (report.resyncedRows > 0) {
+    issues.push({ severity: 'info', message: `Після відновлення синхронізації відкинуто ${report.resyncedRows} рядків поза послідовністю.` });
+  }
+  if (report.truncated) {
+    issues.push({ severity: 'warning', message: 'Лог обрізаний: немає маркера кінця логу або останній рядок неповний.' });
+  }
+
+  return issues;
+}
+
+/**
+ * Чи є в звіті рядки поза послідовністю, які можна прибрати відновленням синхронізації
+ * @param {Object} report - Результат checkLogIntegrity
+ * @returns {boolean}
+ */
+export function canResyncLog(report) {
+  return Boolean(report) && (report.iterationReversals > 0 || report.timeReversals > 0);
+}
+
+/**
+ * Відновлює синхронізацію після пошкоджених ділянок: відкидає рядки, у яких
+ * loopIteration або time йдуть назад чи стрибають неправдоподібно далеко.
+ * Справжня пауза запису приймається, якщо після неї йде RESYNC_RUN_LENGTH
+ * узгоджених рядків.
+ * @param {Object} log - Лог { dataHeaders, flightTable }
+ * @returns {Object} - { flightTable, removedRows }
+ */
+export function resyncFlightTable(log) {
+  const table = log.flightTable;
+  const headers = log.dataHeaders || table.headers;
+  const iterations = numericColumn(table, headers, 'loopIteration');
+  const times = numericColumn(table, headers, 'time');
+
+  if (!iterations && !times) {
+    return { flightTable: table, removedRows: 0 };
+  }
+
+  // Рядок b продовжує послідовність після a
+  const follows = (a, b) => {
+    if (iterations) {
+      const step = iterations[b] - iterations[a];
+      if (!(step > 0 && step <= MAXIMUM_ITERATION_JUMP)) return false;
+    }
+    if (times) {
+      const dt = times[b] - times[a];
+      if (!(dt > 0 && dt <= MAXIMUM_TIME_JUMP_US)) return false;
+    }
+    return true;
+  };
+
+  // Чи починається з рядка узгоджена послідовність довжиною RESYNC_RUN_LENGTH
+  const startsRun = (start) => {
+    let runEnd = start;
+    while (runEnd + 1 < table.length && runEnd - start + 1 < RESYNC_RUN_LENGTH && follows(runEnd, runEnd + 1)) {
+      runEnd++;
+    }
+    return runEnd - start + 1 >= RESYNC_RUN_LENGTH;
+  };
+
+  // Опорою стає перша узгоджена послідовність, а не рядок 0: пошкоджений перший рядок
+  // з завеликими loopIteration/time інакше відкинув би весь лог
+  let first = 0;
+  while (first < table.length && !startsRun(first)) first++;
+  if (first === table.length) first = 0;
+
+  const keep = new Uint8Array(table.length);
+  let last = first;
+  keep[first] = 1;
+  let row = first + 1;
+
+  while (row < table.length) {
+    if (follows(last, row)) {
+      keep[row] = 1;
+      last = row;
+      row++;
+      continue;
+    }
+
+    // Перевіряємо, чи з цього рядка починається нова узгоджена послідовність
+    const isNewSequence = startsRun(row)
+      && (!iterations || iterations[row] > iterations[last])
+      && (!times || times[row] > times[last]);
+
+    if (isNewSequence) {
+      keep[row] = 1;
+      last = row;
+    }
+    row++;
+  }
+
+  let removedRows = 0;
+  for (let i = 0; i < keep.length; i++) {
+    if (!keep[i]) removedRows++;
+  }
+  if (!removedRows) {
+    return { flightTable: table, removedRows: 0 };
+  }
+
+  const keptCount = table.length - removedRows;
+  const columns = table.columns.map((column, index) => {
+    const isText = table.textColumns.has(index);
+    const result = isText ? new Array(keptCount) : new column.constructor(keptCount);
+    let target = 0;
+    for (let i = 0; i < table.length; i++) {
+      if (keep[i]) result[target++] = column[i];
+    }
+    return result;
+  });
+
+  const flightTable = FlightDataTable.fromColumns(table.headers, columns);
+  table.textColumns.forEach(index => flightTable.textColumns.add(index));
+  return { flightTable, removedRows };
+}
@@ -0,0 +1,47 @@
+// src/utils/logSegment.js
+
+import { findColumnName } from './blackboxColumnMapper';
+
+/**
+ * Обрізання логу до вибраного діапазону рядків: відкидає, наприклад, холостий хід
+ * на землі на початку та падіння в кінці. Події та кадри GPS обрізаються за часом.
+ */
+
+/**
+ * Повертає копію логу лише з рядками [startRow, endRow)
+ * @param {Object} log - Лог { metadata, dataHeaders, flightTable, events, gpsData, ... }
+ * @param {number} startRow - Перший рядок
+ * @param {number} endRow - Рядок після останнього
+ * @returns {Object} - Новий лог; похідні дані (integrity, timeline, gps) та аналіз обчислюються заново
+ */
+export function trimLog(log, startRow, endRow) {
+  const table = log.flightTable;
+  const start = Math.max(0, Math.min(startRow, table.length - 1));
+  const end = Math.max(start + 1, Math.min(endRow, table.length));
+  const flightTable = table.sliceRows(start, end);
+
+  const timeHeader = findColumnName('time', log.dataHeaders || table.headers, true, false);
+  const times = timeHeader ? table.getColumn(timeHeader) : null;
+  const startTime = times ? times[start] : -Infinity;
+  const endTime = times ? times[end - 1] : Infinity;
+  const inRange = (time) => time === undefined || time < 0 || (time >= startTime && time <= endTime);
+
+  return {
+    ...log,
+    flightTable,
+    events: log.events ? log.events.filter(event => inRange(event.time)) : log.events,
+    gpsData: log.gpsData ? log.gpsData.filter(sample => inRange(sample.time)) : log.gpsData,
+    integrity: null,
+    timeline: null,
+    gps: undefined,
+    // Аналіз і запис бібліотеки належать повному логу
+    analysis: null,
+    libraryId: null,
+    // Повний лог зберігаємо, щоб обрізання можна було скасувати
+    untrimmed: log.untrimmed || log,
+    trimRange: {
+      start: (log.trimRange ? log.trimRange.start : 0) + start,
+      end: (log.trimRange ? log.trimRange.start : 0) + end
+    }
+  };
+}
@@ -0,0 +1,136 @@
+// src/utils/projectBundle.js
+
+import { FlightDataTable } from './flightDataTable';
+
+/**
+ * Файл проєкту (.bbproj) - один файл з логом, результатами аналізу, рекомендаціями,
+ * налаштуваннями симулятора, CLI diff та нотатками, щоб поділитися аналізом без повторного
+ * парсингу. Формат: сигнатура, довжини JSON-маніфесту та JSON проєкту, обидва JSON,
+ * далі двійкові блоки типізованих масивів (колонки логу, масиви в результатах аналізу),
+ * вирівняні на 8 байт. Маніфест описує формат і розташування двійкових блоків.
+ */
+
+export const PROJECT_BUNDLE_EXTENSION = '.bbproj';
+
+const MAGIC = 'BBPROJ01';
+const FORMAT = 'betaflight-blackbox-project';
+const VERSION = 1;
+const HEADER_SIZE = MAGIC.length + 8;
+const ALIGNMENT = 8;
+
+const TYPED_ARRAYS = {
+  Float64Array, Float32Array, Int32Array, Uint32Array, Int16Array, Uint16Array, Int8Array, Uint8Array
+};
+
+const align = (offset) => Math.ceil(offset / ALIGNMENT) * ALIGNMENT;
+
+/**
+ * Перевіряє сигнатуру файлу проєкту
+ * @param {Uint8Array} head - Перші байти файлу
+ * @returns {boolean}
+ */
+export function isProjectBundle(head) {
+  if (head.length < HEADER_SIZE) return false;
+  return new TextDecoder().decode(head.subarray(0, MAGIC.length)) === MAGIC;
+}
+
+/**
+ * Пакує проєкт у файл
+ * @param {Object} project - { fileName, notes, log, analysis, simulatorSettings, cliSettings, craftProfile, view }
+ *   log - { metadata, dataHeaders, flightTable, columnUnits, events, gpsHeaders, gpsData, gpsHome, stats, trimRange }
+ * @returns {Uint8Array} - Вміст файлу .bbproj
+ */
+export function createProjectBundle(project) {
+  const binaries = [];
+  let binaryLength = 0;
+
+  // Типізовані масиви виносяться у двійкову частину, NaN/Infinity JSON не підтримує
+  const replacer = (key, value) => {
+    if (ArrayBuffer.isView(value) && TYPED_ARRAYS[value.constructor.name]) {
+      const offset = align(binaryLength);
+      binaries.push({ offset, array: value });
+      binaryLength = offset + value.byteLength;
+      return { $binary: binaries.length - 1, type: value.constructor.name, length: value.length };
+    }
+    if (typeof value === 'number' && !Number.isFinite(value)) {
+      return { $number: String(value) };
+    }
+    return value;
+  };
+
+  const payload = {
+    ...project,
+    log: { ...project.log, flightTable: project.log.flightTable.serialize() }
+  };
+  const encoder = new TextEncoder();
+  const projectBytes = encoder.encode(JSON.stringify(payload, replacer));
+  const manifestBytes = encoder.encode(JSON.stringify({
+    format: FORMAT,
+    version: VERSION,
+    savedAt: Date.now(),
+    binaries: binaries.map(({ offset, array }) => ({ offset, byteLength: array.byteLength }))
+  }));
+
+  const dataStart = align(HEADER_SIZE + manifestBytes.length + projectBytes.length);
+  const bundle = new Uint8Array(dataStart + binaryLength);
+  const view = new DataView(bundle.buffer);
+
+  bundle.set(encoder.encode(MAGIC), 0);
+  view.setUint32(MAGIC.length, manifestBytes.length, true);
+  view.setUint32(MAGIC.length + 4, projectBytes.length, true);
+  bundle.set(manifestBytes, HEADER_SIZE);
+  bundle.set(projectBytes, HEADER_SIZE + manifestBytes.length);
+  binaries.forEach(({ offset, array }) => {
+    bundle.set(new Uint8Array(array.buffer, array.byteOffset, array.byteLength), dataStart + offset);
+  });
+
+  return bundle;
+}
+
+/**
+ * Розпаковує файл проєкту
+ * @param {ArrayBuffer} buffer - Вміст файлу .bbproj
+ * @returns {Object} - Проєкт у форматі createProjectBundle, flightTable - FlightDataTable
+ */
+export function parseProjectBundle(buffer) {
+  const bytes = new Uint8Array(buffer);
+  if (!isProjectBundle(bytes)) {
+    throw new Error('Файл не є файлом проєкту');
+  }
+
+  const view = new DataView(buffer);
+  const manifestLength = view.getUint32(MAGIC.length, true);
+  const projectLength = view.getUint32(MAGIC.length + 4, true);
+  const projectStart = HEADER_SIZE + manifestLength;
+  if (projectStart + projectLength > bytes.length) {
+    throw new Error('Файл проєкту пошкоджено: дані обрізано');
+  }
+
+  const decoder = new TextDecoder();
+  const { format, version, binaries } = JSON.parse(decoder.decode(bytes.subarray(HEADER_SIZE, projectStart)));
+  if (format !== FORMAT || version > VERSION) {
+    throw new Error(`Непідтримувана версія файлу проєкту: ${version}`);
+  }
+
+  const dataStart = align(projectStart + projectLength);
+  const project = JSON.parse(decoder.decode(bytes.subarray(projectStart, projectStart + projectLength)), (key, value) => {
+    if (value && typeof value === 'object' && value.$binary !== undefined) {
+      const block = binaries[value.$binary];
+      const ArrayType = TYPED_ARRAYS[value.type];
+      if (!block || !ArrayType || dataStart + block.offset + block.byteLength > bytes.length) {
+        throw new Error('Файл проєкту пошкоджено: бракує двійкових даних');
+      }
+      // Копія, щоб масив не тримав увесь файл і мав власне вирівнювання
+      return new ArrayType(buffer.slice(dataStart + block.offset, dataStart + block.offset + block.byteLength));
+    }
+    if (value && typeof value === 'object' && value.$number !== undefined) {
+      return Number(value.$number);
+    }
+    return value;
+  });
+
+  return {
+    ...project,
+    log: { ...project.log, flightTable: FlightDataTable.deserialize(project.log.flightTable) }
+  };
+}
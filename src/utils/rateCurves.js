@@ -0,0 +1,160 @@
+// src/utils/rateCurves.js
+
+import { getFlightSettings } from './flightSettings';
+
+/**
+ * Криві rates: перетворення положення стіка на задану швидкість обертання (°/с)
+ * за формулами прошивки (Betaflight rc_rates.c) для типів Betaflight, RaceFlight,
+ * Kiss, Actual, Quick та за кривою INAV.
+ */
+
+// Обмеження заданої швидкості у Betaflight (SETPOINT_RATE_LIMIT)
+export const SETPOINT_RATE_LIMIT = 1998;
+
+// Приріст rc_rate понад 2.0 у Betaflight rates (RC_RATE_INCREMENTAL)
+const RC_RATE_INCREMENTAL = 14.54;
+
+// Повний хід стіка в rcCommand для roll/pitch/yaw
+const RC_COMMAND_RANGE = 500;
+
+const AXES = ['roll', 'pitch', 'yaw'];
+
+const constrain = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const power3 = (x) => x * x * x;
+
+const power5 = (x) => x * x * x * x * x;
+
+function applyBetaflightRates(rates, stick, stickAbs) {
+  let command = stick;
+  if (rates.rcExpo) {
+    const expo = rates.rcExpo / 100;
+    command = stick * power3(stickAbs) * expo + stick * (1 - expo);
+  }
+
+  let rcRate = rates.rcRate / 100;
+  if (rcRate > 2) {
+    rcRate += RC_RATE_INCREMENTAL * (rcRate - 2);
+  }
+
+  let angleRate = 200 * rcRate * command;
+  if (rates.superRate) {
+    const superFactor = 1 / constrain(1 - stickAbs * (rates.superRate / 100), 0.01, 1);
+    angleRate *= superFactor;
+  }
+  return angleRate;
+}
+
+function applyRaceFlightRates(rates, stick, stickAbs) {
+  const command = (1 + 0.01 * rates.rcExpo * (stick * stick - 1)) * stick;
+  const angleRate = 10 * rates.rcRate * command;
+  return angleRate * (1 + stickAbs * rates.superRate * 0.01);
+}
+
+function applyKissRates(rates, stick, stickAbs) {
+  const curve = rates.rcExpo / 100;
+  const useRates = 1 / constrain(1 - stickAbs * (rates.superRate / 100), 0.01, 1);
+  const command = (power3(stick) * curve + stick * (1 - curve)) * (rates.rcRate / 1000);
+  return constrain(2000 * useRates * command, -SETPOINT_RATE_LIMIT, SETPOINT_RATE_LIMIT);
+}
+
+function applyActualRates(rates, stick, stickAbs) {
+  const expo = rates.rcExpo / 100;
+  const expoCurve = stickAbs * (power5(stick) * expo + stick * (1 - expo));
+  const centerSensitivity = rates.rcRate * 10;
+  const stickMovement = Math.max(0, rates.superRate * 10 - centerSensitivity);
+  return stick * centerSensitivity + stickMovement * expoCurve;
+}
+
+function applyQuickRates(rates, stick, stickAbs) {
+  const rcRate = rates.rcRate * 2;
+  if (rcRate <= 0) return 0;
+
+  const maxRate = Math.max(rates.superRate * 10, rcRate);
+  const expo = rates.rcExpo / 100;
+  const superFactorConfig = (maxRate / rcRate - 1) / (maxRate / rcRate);
+
+  const curve = power3(stickAbs) * expo + stickAbs * (1 - expo);
+  const superFactor = 1 / constrain(1 - curve * superFactorConfig, 0.01, 1);
+  return constrain(stick * rcRate * superFactor, -SETPOINT_RATE_LIMIT, SETPOINT_RATE_LIMIT);
+}
+
+// INAV: крива expo над стіком, "rates" - максимальна швидкість у десятках °/с
+function applyInavRates(rates, stick) {
+  const expo = rates.rcExpo / 100;
+  const command = stick * (1 + expo * (stick * stick - 1));
+  return command * rates.superRate * 10;
+}
+
+const RATE_FUNCTIONS = {
+  betaflight: applyBetaflightRates,
+  raceflight: applyRaceFlightRates,
+  kiss: applyKissRates,
+  actual: applyActualRates,
+  quick: applyQuickRates,
+  inav: applyInavRates
+};
+
+/**
+ * Параметри rates для кожної осі з нормалізованих налаштувань
+ * @param {Object} settings - Результат getFlightSettings
+ * @returns {Object} - { roll, pitch, yaw } де кожна вісь { type, rcRate, rcExpo, superRate, rateLimit }
+ */
+export function getAxisRates(settings) {
+  const { rates } = settings;
+  const type = rates.inavRates ? 'inav' : rates.type;
+
+  return Object.fromEntries(AXES.map(axis => [axis, {
+    type,
+    rcRate: rates.rcRate[axis],
+    rcExpo: rates.rcExpo[axis],
+    superRate: rates.superRate[axis],
+    rateLimit: rates.rateLimit[axis] || SETPOINT_RATE_LIMIT
+  }]));
+}
+
+/**
+ * Перетворює положення стіка на задану швидкість обертання
+ * @param {number} stick - Положення стіка від -1 до 1
+ * @param {Object} axisRates - Параметри осі з getAxisRates
+ * @returns {number} - Швидкість у °/с
+ */
+export function stickToDegPerSecond(stick, axisRates) {
+  const position = constrain(stick, -1, 1);
+  const applyRates = RATE_FUNCTIONS[axisRates.type] || applyBetaflightRates;
+  const angleRate = applyRates(axisRates, position, Math.abs(position));
+  return constrain(angleRate, -axisRates.rateLimit, axisRates.rateLimit);
+}
+
+/**
+ * Максимальна швидкість обертання (стік у крайньому положенні)
+ * @param {Object} axisRates - Параметри осі з getAxisRates
+ * @returns {number} - Швидкість у °/с
+ */
+export function getMaxRate(axisRates) {
+  return stickToDegPerSecond(1, axisRates);
+}
+
+/**
+ * Створює функції кривих rates для всіх осей
+ * @param {Object} metadata - Метадані логу
+ * @returns {Object} - { roll, pitch, yaw }: stick (-1..1) => °/с
+ */
+export function createRateCurves(metadata) {
+  const axisRates = getAxisRates(getFlightSettings(metadata));
+  return Object.fromEntries(AXES.map(axis => [axis, (stick) => stickToDegPerSecond(stick, axisRates[axis])]));
+}
+
+/**
+ * Відновлює setpoint з rcCommand, якщо лог не містить колонок setpoint[]
+ * @param {Float64Array|Int32Array} rcCommandValues - Колонка rcCommand[0..2] (-500..500)
+ * @param {Object} axisRates - Параметри осі з getAxisRates
+ * @returns {Float64Array} - Задана швидкість у °/с
+ */
+export function rebuildSetpoint(rcCommandValues, axisRates) {
+  const setpoint = new Float64Array(rcCommandValues.length);
+  for (let i = 0; i < rcCommandValues.length; i++) {
+    setpoint[i] = stickToDegPerSecond(rcCommandValues[i] / RC_COMMAND_RANGE, axisRates);
+  }
+  return setpoint;
+}
@@ -0,0 +1,100 @@
+// src/utils/spectrogram.js
+
+import FFT from 'fft.js';
+
+/**
+ * Спектрограма (STFT) колонки логу: спектр у вікнах, що ковзають по часу, щоб
+ * бачити шум, який з'являється лише на певних ділянках польоту (газ, маневри,
+ * пошкоджений пропелер), а не усереднений по всьому логу.
+ */
+
+export const SPECTROGRAM_WINDOW_SIZES = [128, 256, 512, 1024, 2048];
+export const SPECTROGRAM_OVERLAPS = [0, 0.5, 0.75, 0.875];
+
+// Динамічний діапазон шкали кольорів (дБ нижче максимуму)
+export const SPECTROGRAM_DYNAMIC_RANGE_DB = 60;
+
+/**
+ * Обчислює спектрограму
+ * @param {ArrayLike<number>} values - Значення колонки
+ * @param {Object} options - Параметри
+ * @param {number} options.sampleRateHz - Частота запису (Гц)
+ * @param {number} options.windowSize - Розмір вікна FFT (степінь 2)
+ * @param {number} options.overlap - Частка перекриття сусідніх вікон (0..1)
+ * @param {Object|null} options.gaps - Індекс розривів (createGapIndex); вікна через розрив лишаються порожніми
+ * @param {number} options.maxFrames - Найбільша кількість вікон; для довгих логів крок збільшується
+ * @returns {Object} - { frameRows, frequencies, magnitudes, frameCount, binCount, hop, maxDb };
+ *   magnitudes - Float32Array frameCount×binCount у дБ (NaN для порожніх вікон), frameRows - центральний рядок вікна
+ */
+export function computeSpectrogram(values, { sampleRateHz, windowSize = 256, overlap = 0.5, gaps = null, maxFrames = 1500 }) {
+  const length = values.length;
+  const binCount = windowSize / 2;
+  const frequencies = Float64Array.from({ length: binCount }, (_, bin) => (bin * sampleRateHz) / windowSize);
+
+  if (length < windowSize) {
+    return { frameRows: new Int32Array(0), frequencies, magnitudes: new Float32Array(0), frameCount: 0, binCount, hop: 0, maxDb: 0 };
+  }
+
+  const requestedHop = Math.max(1, Math.round(windowSize * (1 - overlap)));
+  const hop = Math.max(requestedHop, Math.ceil((length - windowSize) / Math.max(1, maxFrames - 1)));
+  const frameCount = Math.floor((length - windowSize) / hop) + 1;
+
+  const fft = new FFT(windowSize);
+  const input = new Float64Array(windowSize);
+  const spectrum = fft.createComplexArray();
+  const window = Float64Array.from({ length: windowSize }, (_, i) => 0.5 * (1 - Math.cos(2 * Math.PI * i / (windowSize - 1))));
+  // Сума вікна Ганна - N/2; амплітуда синусоїди зберігається після нормування на половину суми
+  const scale = 2 / window.reduce((sum, value) => sum + value, 0);
+
+  const frameRows = new Int32Array(frameCount);
+  const magnitudes = new Float32Array(frameCount * binCount);
+  let maxDb = -Infinity;
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    const start = frame * hop;
+    frameRows[frame] = start + windowSize / 2;
+
+    if (gaps && gaps.crosses(start, start + windowSize)) {
+      magnitudes.fill(NaN, frame * binCount, (frame + 1) * binCount);
+      continue;
+    }
+
+    // Постійна складова вікна заважає бачити низькі частоти
+    let mean = 0;
+    for (let i = 0; i < windowSize; i++) mean += values[start + i];
+    mean /= windowSize;
+    for (let i = 0; i < windowSize; i++) input[i] = (values[start + i] - mean) * window[i];
+
+    fft.realTransform(spectrum, input);
+    for (let bin = 0; bin < binCount; bin++) {
+      const amplitude = Math.hypot(spectrum[bin * 2], spectrum[bin * 2 + 1]) * scale;
+      const db = 20 * Math.log10(amplitude + 1e-9);
+      magnitudes[frame * binCount + bin] = db;
+      if (db > maxDb) maxDb = db;
+    }
+  }
+
+  return { frameRows, frequencies, magnitudes, frameCount, binCount, hop, maxDb: Number.isFinite(maxDb) ? maxDb : 0 };
+}
+
+/**
+ * Колір шкали спектрограми (від темно-синього через зелений до жовтого)
+ * @param {number} level - Рівень 0..1
+ * @returns {number[]} - [r, g, b]
+ */
+export function spectrogramColor(level) {
+  const stops = [
+    [0, [13, 8, 64]],
+    [0.25, [59, 82, 139]],
+    [0.5, [33, 145, 140]],
+    [0.75, [94, 201, 98]],
+    [1, [253, 231, 37]]
+  ];
+  const clamped = Math.min(1, Math.max(0, level));
+  const upper = stops.findIndex(([position]) => position >= clamped);
+  if (upper <= 0) return stops[0][1];
+  const [fromPosition, from] = stops[upper - 1];
+  const [toPosition, to] = stops[upper];
+  const t = (clamped - fromPosition) / (toPosition - fromPosition);
+  return from.map((channel, index) => Math.round(channel + (to[index] - channel) * t));
+}
@@ -0,0 +1,147 @@
+// src/utils/stepResponseDeconvolution.js
+
+import FFT from 'fft.js';
+
+/**
+ * Оцінка перехідної характеристики деконволюцією (як у PIDtoolbox): для кожного
+ * вікна польоту імпульсна характеристика setpoint→gyro знаходиться фільтром Вінера
+ * H = Gyro·conj(Setpoint) / (|Setpoint|² + λ), а перехідна - її кумулятивною сумою.
+ * Так використовуються всі рухи стіків, а не лише різкі кроки setpoint.
+ */
+
+// Межа поділу вікон за максимальною швидкістю setpoint (град/с)
+export const STEP_RESPONSE_SPLIT_RATE = 500;
+
+// Вікна зі сталим значенням поза цими межами - шум або насичення, а не відгук
+const MIN_STEADY_STATE = 0.5;
+const MAX_STEADY_STATE = 3;
+
+// Частка від середньої потужності setpoint, що регуляризує ділення на слабкі частоти
+const NOISE_TO_SIGNAL = 0.01;
+
+const nextPowerOfTwo = (value) => 2 ** Math.ceil(Math.log2(Math.max(2, value)));
+
+/**
+ * Параметри вікон для частоти запису: тривалість вікна ~1 с, розмір FFT - степінь 2
+ * @param {number} sampleRateHz - Частота запису (Гц)
+ * @param {number} responseMs - Тривалість перехідної характеристики (мс)
+ * @returns {Object} - { windowSize, responseLength }
+ */
+export function getDeconvolutionWindow(sampleRateHz, responseMs = 500) {
+  const windowSize = nextPowerOfTwo(sampleRateHz);
+  const responseLength = Math.min(Math.round(responseMs * sampleRateHz / 1000), windowSize / 2);
+  return { windowSize, responseLength };
+}
+
+/**
+ * Перехідна характеристика одного вікна
+ * @param {ArrayLike<number>} setpoint - Setpoint вікна (довжина - степінь 2)
+ * @param {ArrayLike<number>} gyro - Gyro вікна тієї ж довжини
+ * @param {number} responseLength - Кількість відліків перехідної характеристики
+ * @returns {Float64Array|null} - Перехідна характеристика або null, якщо вікно непридатне
+ */
+export function deconvolveStepResponse(setpoint, gyro, responseLength) {
+  const size = setpoint.length;
+  const fft = new FFT(size);
+  const input = fft.createComplexArray();
+  const output = fft.createComplexArray();
+
+  // Вікно Ганна зменшує вплив країв вікна (кругова згортка)
+  for (let i = 0; i < size; i++) {
+    const window = 0.5 * (1 - Math.cos(2 * Math.PI * i / (size - 1)));
+    input[i * 2] = setpoint[i] * window;
+    output[i * 2] = gyro[i] * window;
+  }
+
+  const inputSpectrum = fft.createComplexArray();
+  const outputSpectrum = fft.createComplexArray();
+  fft.transform(inputSpectrum, input);
+  fft.transform(outputSpectrum, output);
+
+  let inputPower = 0;
+  for (let k = 0; k < size; k++) {
+    inputPower += inputSpectrum[k * 2] ** 2 + inputSpectrum[k * 2 + 1] ** 2;
+  }
+  if (inputPower === 0) return null;
+  const regularization = (inputPower / size) * NOISE_TO_SIGNAL;
+
+  // Фільтр Вінера: Y·conj(X) / (|X|² + λ)
+  const transfer = fft.createComplexArray();
+  for (let k = 0; k < size; k++) {
+    const xr = inputSpectrum[k * 2];
+    const xi = inputSpectrum[k * 2 + 1];
+    const yr = outputSpectrum[k * 2];
+    const yi = outputSpectrum[k * 2 + 1];
+    const denominator = xr * xr + xi * xi + regularization;
+    transfer[k * 2] = (yr * xr + yi * xi) / denominator;
+    transfer[k * 2 + 1] = (yi * xr - yr * xi) / denominator;
+  }
+
+  const impulse = fft.createComplexArray();
+  fft.inverseTransform(impulse, transfer);
+
+  const step = new Float64Array(responseLength);
+  let sum = 0;
+  for (let i = 0; i < responseLength; i++) {
+    sum += impulse[i * 2];
+    step[i] = sum;
+  }
+
+  // Стале значення - друга половина характеристики
+  let steadyState = 0;
+  const steadyStart = Math.floor(responseLength / 2);
+  for (let i = steadyStart; i < responseLength; i++) steadyState += step[i];
+  steadyState /= responseLength - steadyStart;
+
+  return steadyState >= MIN_STEADY_STATE && steadyState <= MAX_STEADY_STATE ? step : null;
+}
+
+/**
+ * Усереднює перехідні характеристики вікон і рахує 95% довірчий інтервал середнього
+ * @param {Array<Float64Array>} responses - Характеристики вікон однакової довжини
+ * @param {number} sampleRateHz - Частота запису (Гц)
+ * @param {number} maxPoints - Найбільша кількість точок результату (решта проріджується)
+ * @returns {Object|null} - { time, mean, upper, lower, windowCount, peak, peakTime, riseTime }; time - мс
+ */
+export function averageStepResponses(responses, sampleRateHz, maxPoints = 500) {
+  if (!responses.length) return null;
+
+  const length = responses[0].length;
+  const stride = Math.max(1, Math.ceil(length / maxPoints));
+  const count = responses.length;
+  const result = { time: [], mean: [], upper: [], lower: [], windowCount: count };
+
+  for (let i = 0; i < length; i += stride) {
+    let sum = 0;
+    for (const response of responses) sum += response[i];
+    const mean = sum / count;
+
+    let variance = 0;
+    for (const response of responses) variance += (response[i] - mean) ** 2;
+    const halfWidth = count > 1 ? 1.96 * Math.sqrt(variance / (count - 1)) / Math.sqrt(count) : 0;
+
+    result.time.push((i * 1000) / sampleRateHz);
+    result.mean.push(mean);
+    result.upper.push(mean + halfWidth);
+    result.lower.push(mean - halfWidth);
+  }
+
+  // Показники середньої характеристики: пік і час наростання 10-90% сталого значення
+  const steadyStart = Math.floor(result.mean.length / 2);
+  const steady = result.mean.slice(steadyStart);
+  const steadyState = steady.reduce((acc, value) => acc + value, 0) / steady.length;
+  let peakIndex = 0;
+  result.mean.forEach((value, index) => {
+    if (value > result.mean[peakIndex]) peakIndex = index;
+  });
+  const crossing = (level) => result.mean.findIndex(value => value >= level * steadyState);
+  const rise10 = crossing(0.1);
+  const rise90 = crossing(0.9);
+
+  result.steadyState = steadyState;
+  result.peak = result.mean[peakIndex];
+  result.peakTime = result.time[peakIndex];
+  result.riseTime = rise10 >= 0 && rise90 >= 0 ? result.time[rise90] - result.time[rise10] : null;
+
+  return result;
+}
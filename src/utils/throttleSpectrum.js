@@ -0,0 +1,94 @@
+// src/utils/throttleSpectrum.js
+
+import FFT from 'fft.js';
+import { createGapIndex } from './analyzerUtils';
+
+/**
+ * Спектр шуму за положенням газу: кожне вікно FFT потрапляє в смугу газу за
+ * середнім газом вікна, а спектри в смузі усереднюються. На тепловій карті
+ * газ × частота видно, як шум моторів і рами рухається з обертами - головний
+ * графік для налаштування фільтрів (як у PIDtoolbox чи PID-Analyzer).
+ */
+
+// Кількість смуг газу (0-100%)
+export const THROTTLE_BAND_COUNT = 20;
+
+/**
+ * Усереднені спектри колонок у смугах газу
+ * @param {Object} series - { ім'я: значення колонки } - колонки для спектрів
+ * @param {ArrayLike<number>} throttle - Газ у відсотках для кожного рядка
+ * @param {Object} options - Параметри
+ * @param {number} options.sampleRateHz - Частота запису (Гц)
+ * @param {number} options.fftSize - Розмір вікна FFT (степінь 2)
+ * @param {Object|null} options.gaps - Індекс розривів (createGapIndex); вікна розкладаються в межах кожної неперервної ділянки
+ * @param {Array<ArrayLike<number>>} options.eRpm - Колонки eRPM моторів (можуть бути відсутні)
+ * @param {Function} options.eRpmToHz - Перетворення сирого eRPM на частоту обертання (Гц)
+ * @returns {Object} - { throttleBands, frequencies, spectra: { ім'я: [смуга][частота] }, windowCounts, rpmHz };
+ *   порожні смуги мають null замість спектра, rpmHz - середня частота обертання моторів у смузі або null
+ */
+export function computeThrottleSpectrum(series, throttle, { sampleRateHz, fftSize = 256, gaps = null, eRpm = [], eRpmToHz = null }) {
+  const names = Object.keys(series).filter(name => series[name]);
+  const binCount = fftSize / 2;
+  const bandWidth = 100 / THROTTLE_BAND_COUNT;
+  const frequencies = Array.from({ length: binCount }, (_, bin) => (bin * sampleRateHz) / fftSize);
+  const throttleBands = Array.from({ length: THROTTLE_BAND_COUNT }, (_, band) => (band + 0.5) * bandWidth);
+
+  const sums = Object.fromEntries(names.map(name => [name, Array.from({ length: THROTTLE_BAND_COUNT }, () => new Float64Array(binCount))]));
+  const windowCounts = new Array(THROTTLE_BAND_COUNT).fill(0);
+  const rpmSums = new Array(THROTTLE_BAND_COUNT).fill(0);
+  const rpmCounts = new Array(THROTTLE_BAND_COUNT).fill(0);
+
+  const fft = new FFT(fftSize);
+  const input = new Float64Array(fftSize);
+  const spectrum = fft.createComplexArray();
+  const window = Float64Array.from({ length: fftSize }, (_, i) => 0.5 * (1 - Math.cos(2 * Math.PI * i / (fftSize - 1))));
+  const scale = 2 / window.reduce((sum, value) => sum + value, 0);
+  const hop = fftSize / 2;
+  const length = throttle.length;
+
+  // Кожна неперервна ділянка (між розривами, у вибраних режимах) має власну сітку вікон
+  const windows = (gaps || createGapIndex()).segments(length, hop, fftSize);
+
+  for (const { start } of windows) {
+    let throttleSum = 0;
+    for (let i = start; i < start + fftSize; i++) throttleSum += throttle[i];
+    const band = Math.min(THROTTLE_BAND_COUNT - 1, Math.max(0, Math.floor(throttleSum / fftSize / bandWidth)));
+    windowCounts[band]++;
+
+    names.forEach(name => {
+      const values = series[name];
+      let mean = 0;
+      for (let i = 0; i < fftSize; i++) mean += values[start + i];
+      mean /= fftSize;
+      for (let i = 0; i < fftSize; i++) input[i] = (values[start + i] - mean) * window[i];
+
+      fft.realTransform(spectrum, input);
+      const target = sums[name][band];
+      for (let bin = 0; bin < binCount; bin++) {
+        target[bin] += Math.hypot(spectrum[bin * 2], spectrum[bin * 2 + 1]) * scale;
+      }
+    });
+
+    if (eRpm.length && eRpmToHz) {
+      let eRpmSum = 0;
+      eRpm.forEach(values => {
+        for (let i = start; i < start + fftSize; i++) eRpmSum += values[i];
+      });
+      rpmSums[band] += eRpmToHz(eRpmSum / (fftSize * eRpm.length));
+      rpmCounts[band]++;
+    }
+  }
+
+  const spectra = Object.fromEntries(names.map(name => [
+    name,
+    sums[name].map((sum, band) => (windowCounts[band] ? Array.from(sum, value => value / windowCounts[band]) : null))
+  ]));
+
+  return {
+    throttleBands,
+    frequencies,
+    spectra,
+    windowCounts,
+    rpmHz: rpmCounts.map((count, band) => (count ? rpmSums[band] / count : null))
+  };
+}
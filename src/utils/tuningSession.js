@@ -0,0 +1,252 @@
+// src/utils/tuningSession.js
+
+import { getFlightSettings } from './flightSettings';
+import { TUNING_SETTINGS, diffTuningSettings, compareErrorMetrics } from './logComparison';
+
+/**
+ * Сесія налаштування: ланцюжок логів, де кожен наступний політ зроблено після
+ * застосування рекомендацій попереднього. Тут - чиста логіка сесії: які
+ * рекомендовані зміни застосовано (за різницею заголовків), чи покращилися
+ * показники та який етап налаштування наступний.
+ */
+
+const AXES = ['roll', 'pitch', 'yaw'];
+
+// Етапи в порядку налаштування: спершу шум, потім баланс P/D, далі FF і наостанок I
+export const TUNING_STAGES = [
+  { id: 'filters', label: 'Фільтри', description: 'Приберіть шум, щоб P/D працювали на чистому сигналі гіроскопа.' },
+  { id: 'pd', label: 'Баланс P/D', description: 'Налаштуйте P і D за відгуком на ступінчасту зміну та перерегулюванням.' },
+  { id: 'feedforward', label: 'Feedforward', description: 'Підберіть FF, щоб гіроскоп встигав за setpoint без запізнення.' },
+  { id: 'i', label: 'I-термін', description: 'Налаштуйте I для утримання положення на газі та в поворотах.' }
+];
+
+// Відносна зміна, меншу за яку не вважаємо окремим кроком налаштування
+const SIGNIFICANT_CHANGE = 0.05;
+
+// Поля рекомендацій фільтрів і відповідні налаштування з TUNING_SETTINGS
+const FILTER_RECOMMENDATION_KEYS = {
+  gyro_lowpass_hz: 'filters.gyro.lpf1.staticHz',
+  dterm_lowpass_hz: 'filters.dterm.lpf1.staticHz',
+  dyn_notch_count: 'filters.dynNotch.count',
+  dyn_notch_q: 'filters.dynNotch.q',
+  dyn_notch_min_hz: 'filters.dynNotch.minHz',
+  dyn_notch_max_hz: 'filters.dynNotch.maxHz'
+};
+
+// Етап, до якого належить налаштування
+function getStageForKey(key) {
+  if (key.startsWith('filters.')) return 'filters';
+  if (!key.startsWith('pid.')) return null;
+  const term = key.split('.')[2];
+  if (term === 'f') return 'feedforward';
+  if (term === 'i') return 'i';
+  return 'pd';
+}
+
+const isSignificant = (current, recommended) => (
+  current === 0 ? recommended !== 0 : Math.abs(recommended - current) / Math.abs(current) >= SIGNIFICANT_CHANGE
+);
+
+/**
+ * Рекомендовані зміни налаштувань відносно заголовків логу
+ * @param {Object} recommendations - Результат generateRecommendations
+ * @param {Object} metadata - Метадані логу, для якого зроблено рекомендації
+ * @returns {Array<Object>} - { key, label, stage, current, recommended, significant }
+ */
+export function getRecommendedChanges(recommendations, metadata) {
+  if (!recommendations) return [];
+  const settings = getFlightSettings(metadata);
+  const recommendedValues = {};
+
+  AXES.forEach(axis => {
+    ['p', 'i', 'd', 'f'].forEach(term => {
+      const value = recommendations.pid && recommendations.pid[axis] ? recommendations.pid[axis][term] : 0;
+      if (value) recommendedValues[`pid.${axis}.${term}`] = value;
+    });
+  });
+  Object.entries(FILTER_RECOMMENDATION_KEYS).forEach(([field, key]) => {
+    const value = recommendations.filters ? recommendations.filters[field] : 0;
+    if (value) recommendedValues[key] = value;
+  });
+
+  return TUNING_SETTINGS
+    .filter(setting => recommendedValues[setting.key] !== undefined)
+    .map(setting => ({
+      key: setting.key,
+      label: setting.label,
+      stage: getStageForKey(setting.key),
+      current: setting.read(settings),
+      recommended: recommendedValues[setting.key]
+    }))
+    .filter(change => change.current !== null && change.current !== change.recommended)
+    .map(change => ({ ...change, significant: isSignificant(change.current, change.recommended) }));
+}
+
+/**
+ * Визначає, які рекомендовані зміни застосовано між двома польотами
+ * @param {Array<Object>} recommendedChanges - Зміни з getRecommendedChanges для попереднього логу
+ * @param {Object} previousMetadata - Метадані попереднього логу
+ * @param {Object} nextMetadata - Метадані наступного логу
+ * @returns {Object} - { changes: [{ ...change, after, status }], extra: [зміни поза рекомендаціями] }
+ *   status: 'applied' - значення як рекомендовано, 'partial' - змінено в тому ж напрямку,
+ *   'opposite' - змінено у протилежному напрямку, 'skipped' - не змінено
+ */
+export function detectAppliedChanges(recommendedChanges, previousMetadata, nextMetadata) {
+  const diff = diffTuningSettings(previousMetadata, nextMetadata);
+  const diffByKey = new Map(diff.map(change => [change.key, change]));
+
+  const changes = recommendedChanges.map(change => {
+    const headerChange = diffByKey.get(change.key);
+    if (!headerChange) return { ...change, after: change.current, status: 'skipped' };
+
+    const wanted = change.recommended - change.current;
+    const made = headerChange.after - headerChange.before;
+    let status = 'partial';
+    if (headerChange.after === change.recommended) status = 'applied';
+    else if (Math.sign(wanted) !== Math.sign(made)) status = 'opposite';
+
+    return { ...change, after: headerChange.after, status };
+  });
+
+  const recommendedKeys = new Set(recommendedChanges.map(change => change.key));
+  return { changes, extra: diff.filter(change => !recommendedKeys.has(change.key)) };
+}
+
+/**
+ * Короткий зріз результатів аналізу для збереження в сесії
+ * @param {Object} results - Результати аналізу
+ * @returns {Object} - { errorMetrics, stepResponse, noiseLevel } по осях
+ */
+export function summarizeResults(results) {
+  const summary = { errorMetrics: {}, stepResponse: {}, noiseLevel: {} };
+  if (!results) return summary;
+
+  AXES.forEach(axis => {
+    const error = results.errorMetrics && results.errorMetrics[axis];
+    if (error) summary.errorMetrics[axis] = { rmsError: error.rmsError, stdDeviation: error.stdDeviation };
+
+    const step = results.stepResponseMetrics && results.stepResponseMetrics[axis];
+    if (step && step.settlingTime > 0) summary.stepResponse[axis] = { overshoot: step.overshoot, settlingTime: step.settlingTime };
+
+    const frequency = results.frequencyAnalysis && results.frequencyAnalysis[axis];
+    if (frequency && frequency.noiseLevel > 0) summary.noiseLevel[axis] = frequency.noiseLevel;
+  });
+
+  return summary;
+}
+
+// Покращення у відсотках для показника, де менше - краще
+const improvement = (before, after) => (before > 0 ? ((before - after) / before) * 100 : 0);
+
+/**
+ * Оцінка ітерації: середнє покращення показників відносно попереднього польоту
+ * @param {Object} previousSummary - summarizeResults попереднього логу
+ * @param {Object} nextSummary - summarizeResults наступного логу
+ * @returns {Object} - { score, verdict, metrics: [{ label, before, after, improvement }] }
+ *   score - середнє покращення, % (додатне - краще); verdict: 'improved' | 'worse' | 'neutral'
+ */
+export function scoreIteration(previousSummary, nextSummary) {
+  const metrics = [];
+
+  const errorComparison = compareErrorMetrics(
+    { errorMetrics: previousSummary.errorMetrics },
+    { errorMetrics: nextSummary.errorMetrics }
+  );
+  Object.entries(errorComparison).forEach(([axis, { rmsError, stdDeviation }]) => {
+    metrics.push({ label: `${axis} RMS`, before: rmsError.before, after: rmsError.after, improvement: improvement(rmsError.before, rmsError.after) });
+    metrics.push({ label: `${axis} STD`, before: stdDeviation.before, after: stdDeviation.after, improvement: improvement(stdDeviation.before, stdDeviation.after) });
+  });
+
+  AXES.forEach(axis => {
+    const before = previousSummary.stepResponse[axis];
+    const after = nextSummary.stepResponse[axis];
+    if (before && after) {
+      // Перерегулювання порівнюємо за модулем: недорегулювання теж погано
+      const overshootBefore = Math.abs(before.overshoot);
+      const overshootAfter = Math.abs(after.overshoot);
+      metrics.push({ label: `${axis} перерегулювання`, before: overshootBefore, after: overshootAfter, improvement: improvement(overshootBefore, overshootAfter) });
+      metrics.push({ label: `${axis} час встановлення`, before: before.settlingTime, after: after.settlingTime, improvement: improvement(before.settlingTime, after.settlingTime) });
+    }
+
+    const noiseBefore = previousSummary.noiseLevel[axis];
+    const noiseAfter = nextSummary.noiseLevel[axis];
+    if (noiseBefore && noiseAfter) {
+      metrics.push({ label: `${axis} шум`, before: noiseBefore, after: noiseAfter, improvement: improvement(noiseBefore, noiseAfter) });
+    }
+  });
+
+  // Окремий показник не має переважувати решту (напр. перерегулювання з 1% до 5%)
+  const clamped = metrics.map(metric => Math.max(-100, Math.min(100, metric.improvement)));
+  const score = clamped.length ? clamped.reduce((sum, value) => sum + value, 0) / clamped.length : 0;
+
+  let verdict = 'neutral';
+  if (score >= SIGNIFICANT_CHANGE * 100) verdict = 'improved';
+  else if (score <= -SIGNIFICANT_CHANGE * 100) verdict = 'worse';
+
+  return { score, verdict, metrics };
+}
+
+/**
+ * Наступний крок налаштування: перший етап (фільтри -> P/D -> FF -> I), для якого
+ * лишилися суттєві рекомендовані зміни. Якщо остання ітерація погіршила показники,
+ * пропонується повернути попередні налаштування.
+ * @param {Array<Object>} recommendedChanges - Зміни з getRecommendedChanges для останнього логу
+ * @param {Object|null} lastScore - Оцінка останньої ітерації (scoreIteration)
+ * @returns {Object} - { stage, action: 'revert' | 'tune' | 'done', changes, message }
+ */
+export function suggestNextStep(recommendedChanges, lastScore = null) {
+  if (lastScore && lastScore.verdict === 'worse') {
+    return {
+      stage: null,
+      action: 'revert',
+      changes: [],
+      message: `Остання зміна погіршила показники (${lastScore.score.toFixed(1)}%). Поверніть попередні налаштування й зробіть менший крок.`
+    };
+  }
+
+  const stage = TUNING_STAGES.find(({ id }) => recommendedChanges.some(change => change.stage === id && change.significant));
+  if (!stage) {
+    return {
+      stage: null,
+      action: 'done',
+      changes: [],
+      message: 'Суттєвих рекомендацій не лишилося - налаштування збалансоване для цього стилю польоту.'
+    };
+  }
+
+  return {
+    stage,
+    action: 'tune',
+    changes: recommendedChanges.filter(change => change.stage === stage.id && change.significant),
+    message: `Наступний етап: ${stage.label}. ${stage.description}`
+  };
+}
+
+/**
+ * Нова ітерація сесії: що з рекомендацій попередньої ітерації застосовано,
+ * оцінка змін і рекомендації для наступного польоту
+ * @param {Object} source - { libraryId, label, metadata, results, recommendations }
+ * @param {Object|null} previousIteration - Остання ітерація сесії або null для першої
+ * @returns {Object} - Ітерація { libraryId, label, addedAt, metadata, summary, recommendedChanges, applied, score, nextStep }
+ */
+export function createTuningIteration({ libraryId, label, metadata, results, recommendations }, previousIteration = null) {
+  const summary = summarizeResults(results);
+  const recommendedChanges = getRecommendedChanges(recommendations, metadata);
+
+  const applied = previousIteration
+    ? detectAppliedChanges(previousIteration.recommendedChanges, previousIteration.metadata, metadata)
+    : null;
+  const score = previousIteration ? scoreIteration(previousIteration.summary, summary) : null;
+
+  return {
+    libraryId,
+    label,
+    addedAt: Date.now(),
+    metadata,
+    summary,
+    recommendedChanges,
+    applied,
+    score,
+    nextStep: suggestNextStep(recommendedChanges, score)
+  };
+}
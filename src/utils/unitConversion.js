@@ -0,0 +1,188 @@
+// src/utils/unitConversion.js
+
+import { getFlightSettings, isFirmwareAtLeast, FIRMWARE_TYPES } from './flightSettings';
+import { getFieldDefinition } from './blackboxColumnMapper';
+
+/**
+ * Перетворення сирих значень логу у фізичні одиниці за заголовками логу:
+ * мотори у відсотки (motorOutput або minthrottle/maxthrottle), напруга у вольти
+ * (vbatscale для старих логів з АЦП), струм в ампери (currentSensor), спожиту ємність у мА·год.
+ * Формули відповідають Betaflight Blackbox Explorer.
+ */
+
+// Опорна напруга та розрядність АЦП старих прошивок, що писали сирі значення
+const ADC_VREF = 33;
+const ADC_MAX = 0xFFF;
+
+// Діапазон виходу моторів без заголовків (PWM)
+const DEFAULT_MOTOR_RANGE = [1000, 2000];
+
+// Діапазон газу rcCommand[3]
+const THROTTLE_RANGE = [1000, 2000];
+
+// Одиниці, в яких CSV (blackbox_decode) вже містить фізичні значення
+const PHYSICAL_UNITS = {
+  vbatLatest: ['v'],
+  amperageLatest: ['a']
+};
+
+const US_PER_HOUR = 3600 * 1000000;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Діапазон виходу моторів: motorOutput з заголовка, інакше minthrottle..maxthrottle
+ * @param {Object} settings - Результат getFlightSettings
+ * @returns {number[]} - [мінімум, максимум]
+ */
+export function getMotorOutputRange(settings) {
+  const { outputRange, minthrottle, maxthrottle } = settings.motor;
+  if (outputRange && outputRange[1] > outputRange[0]) {
+    return outputRange;
+  }
+  if (minthrottle && maxthrottle && maxthrottle > minthrottle) {
+    return [minthrottle, maxthrottle];
+  }
+  return DEFAULT_MOTOR_RANGE;
+}
+
+// Старі прошивки писали напругу і струм як сирі значення АЦП
+function getBatteryEncoding(firmware) {
+  const { type } = firmware;
+
+  // Betaflight і Cleanflight мають власну історію формату, решта пише соті частки
+  if (type !== FIRMWARE_TYPES.BETAFLIGHT && type !== FIRMWARE_TYPES.CLEANFLIGHT) {
+    return { vbat: 'centivolts', amperage: 'centiamps' };
+  }
+
+  const isBetaflight = type === FIRMWARE_TYPES.BETAFLIGHT;
+  const modernCleanflight = !isBetaflight && isFirmwareAtLeast(firmware, 2, 0);
+
+  let vbat = 'adc';
+  if (isBetaflight && isFirmwareAtLeast(firmware, 4, 0)) {
+    vbat = 'centivolts';
+  } else if ((isBetaflight && isFirmwareAtLeast(firmware, 3, 1)) || modernCleanflight) {
+    vbat = 'decivolts';
+  }
+
+  const centiamps = modernCleanflight || (isBetaflight && (isFirmwareAtLeast(firmware, 3, 2)
+    || (firmware.major === 3 && firmware.minor === 1 && firmware.patch >= 7)));
+
+  return { vbat, amperage: centiamps ? 'centiamps' : 'adc' };
+}
+
+/**
+ * Створює перетворювач одиниць для логу
+ * @param {Object} metadata - Метадані логу
+ * @param {Object} columnUnits - Одиниці колонок з CSV (можуть бути вже фізичними)
+ * @param {Object} overrides - Значення, відомі точніше за заголовки { motorPoles } (з профілю апарата)
+ * @returns {Object} - Функції перетворення та діапазони
+ */
+export function createUnitConverter(metadata, columnUnits = {}, overrides = {}) {
+  const settings = getFlightSettings(metadata);
+  const [motorMin, motorMax] = getMotorOutputRange(settings);
+  const encoding = getBatteryEncoding(settings.firmware);
+  const { vbatscale, currentSensor } = settings.battery;
+  const motorPoles = overrides.motorPoles || settings.motor.poles || 14;
+
+  const isPhysical = (field) => {
+    const unit = columnUnits[field];
+    return Boolean(unit && (PHYSICAL_UNITS[field] || []).includes(unit.toLowerCase()));
+  };
+  const vbatIsVolts = isPhysical('vbatLatest');
+  const amperageIsAmps = isPhysical('amperageLatest');
+
+  const motorPercent = (raw) => clamp(((raw - motorMin) / (motorMax - motorMin)) * 100, 0, 100);
+
+  const volts = (raw) => {
+    if (vbatIsVolts) return raw;
+    if (encoding.vbat === 'centivolts') return raw / 100;
+    if (encoding.vbat === 'decivolts') return raw / 10;
+    // vbatscale у заголовку вже помножений на 100
+    return (raw * ADC_VREF * 10 * (vbatscale || 110)) / ADC_MAX / 1000;
+  };
+
+  const amps = (raw) => {
+    if (amperageIsAmps) return raw;
+    if (encoding.amperage === 'centiamps') return raw / 100;
+    const offset = currentSensor ? currentSensor.offset : 0;
+    const scale = currentSensor && currentSensor.scale ? currentSensor.scale : 400;
+    const millivolts = (raw * ADC_VREF * 100) / ADC_MAX - offset;
+    return (millivolts * 10000) / scale / 1000;
+  };
+
+  const throttlePercent = (raw) => clamp(((raw - THROTTLE_RANGE[0]) / (THROTTLE_RANGE[1] - THROTTLE_RANGE[0])) * 100, 0, 100);
+
+  // Механічна частота обертання: Betaflight пише eRPM/100, eRPM = RPM * (полюси / 2)
+  const motorHz = (rawERpm) => (rawERpm * 100) / 60 / (motorPoles / 2);
+
+  /**
+   * Значення колонки у фізичних одиницях
+   * @param {string} columnName - Ім'я колонки
+   * @param {number} raw - Сире значення
+   * @returns {number} - Перетворене значення
+   */
+  const convert = (columnName, raw) => {
+    const field = getFieldDefinition(columnName);
+    if (!field || Number.isNaN(raw)) return raw;
+
+    switch (field.base) {
+      case 'motor': return motorPercent(raw);
+      case 'vbatLatest': return volts(raw);
+      case 'amperageLatest': return amps(raw);
+      case 'rcCommand': return field.index === 3 ? throttlePercent(raw) : raw;
+      default: return raw * field.scale;
+    }
+  };
+
+  /**
+   * Одиниця колонки після перетворення
+   * @param {string} columnName - Ім'я колонки
+   * @returns {string|null} - Одиниця виміру
+   */
+  const unitOf = (columnName) => {
+    const field = getFieldDefinition(columnName);
+    if (!field) return columnUnits[columnName] || null;
+
+    switch (field.base) {
+      case 'motor': return '%';
+      case 'vbatLatest': return 'V';
+      case 'amperageLatest': return 'A';
+      case 'rcCommand': return field.index === 3 ? '%' : field.unit;
+      default: return field.unit;
+    }
+  };
+
+  /**
+   * Спожита ємність: інтеграл струму за часом
+   * @param {ArrayLike<number>} amperageValues - Сирі значення amperageLatest
+   * @param {ArrayLike<number>} timeValues - Час у мікросекундах
+   * @returns {number} - мА·год
+   */
+  const consumedMah = (amperageValues, timeValues) => {
+    let mah = 0;
+    for (let i = 1; i < amperageValues.length; i++) {
+      const dt = timeValues[i] - timeValues[i - 1];
+      const current = amps(amperageValues[i]);
+      // Розриви і стрибки часу назад не враховуємо
+      if (dt > 0 && dt < 1000000 && !Number.isNaN(current)) {
+        mah += (current * 1000 * dt) / US_PER_HOUR;
+      }
+    }
+    return mah;
+  };
+
+  return {
+    motorRange: [motorMin, motorMax],
+    motorPercent,
+    volts,
+    amps,
+    throttlePercent,
+    motorHz,
+    // Час у логах і після імпорту CSV зберігається в мікросекундах
+    seconds: (rawTime) => rawTime / 1000000,
+    convert,
+    unitOf,
+    consumedMah
+  };
+}
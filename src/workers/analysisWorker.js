@@ -0,0 +1,22 @@
+// src/workers/analysisWorker.js
+
+import { runAnalysisStep } from '../services/analysisSteps';
+import { FlightDataTable } from '../utils/flightDataTable';
+
+/**
+ * Web Worker, що виконує один крок аналізу за повідомлення.
+ * Вхід: { stepId, headers, columns, metadata, gapRows, allowedRanges, craftProfile } - колонки передаються як transferable.
+ * Вихід: { stepId, result } або { stepId, error }.
+ */
+self.onmessage = async (event) => {
+  const { stepId, headers, columns, metadata, gapRows, allowedRanges, craftProfile } = event.data;
+
+  try {
+    const table = FlightDataTable.fromColumns(headers, columns);
+    const result = await runAnalysisStep(stepId, table, headers, metadata, { gapRows, allowedRanges, craftProfile });
+    self.postMessage({ stepId, result });
+  } catch (err) {
+    console.error(`Помилка кроку аналізу ${stepId} у воркері:`, err);
+    self.postMessage({ stepId, error: err.message });
+  }
+};